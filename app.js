@@ -5,15 +5,44 @@ const session = require("express-session");
 const connectDB = require("./config/database");
 const passport = require("./config/passport");
 const { scheduleCleanup } = require("./utils/tokenCleanup");
+const { scheduleKeyRotation } = require("./utils/signingKeys");
+const { schedulePurge } = require("./utils/userDeletion");
+const { ensureBuiltInRoles } = require("./utils/permissions");
+const { rateLimit } = require("./middleware/rateLimit");
+const { globalPolicy, routePolicies } = require("./config/rateLimit");
 
 // Import routes
 const authRoutes = require("./routes/auth");
-const googleRoutes = require("./routes/google");
+const socialRoutes = require("./routes/social");
+const identityRoutes = require("./routes/identities");
+const magicLinkRoutes = require("./routes/magicLink");
+const mfaRoutes = require("./routes/mfa");
+const passkeyRoutes = require("./routes/passkeys");
+const sessionRoutes = require("./routes/sessions");
+const lockoutRoutes = require("./routes/lockouts");
+const personalTokenRoutes = require("./routes/personalTokens");
 const userRoutes = require("./routes/users");
+const invitationRoutes = require("./routes/invitations");
+const roleRoutes = require("./routes/roles");
+const organizationRoutes = require("./routes/organizations");
 const logRoutes = require("./routes/logs");
+const wellKnownRoutes = require("./routes/wellKnown");
+const oidcRoutes = require("./routes/oidc");
+const oauthClientRoutes = require("./routes/oauthClients");
 
 const app = express();
 
+// Needed for correct client IPs (rate limits, logs) behind a reverse proxy
+// (number of hops, "true", or a list of trusted addresses)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  if (/^\d+$/.test(trustProxy)) {
+    app.set("trust proxy", Number(trustProxy));
+  } else {
+    app.set("trust proxy", trustProxy === "true" ? true : trustProxy);
+  }
+}
+
 // Connect to MongoDB
 connectDB();
 
@@ -22,6 +51,13 @@ app.use(
   cors({
     origin: process.env.FRONTEND_URL || "http://localhost:3000",
     credentials: true,
+    exposedHeaders: [
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "RateLimit-Policy",
+      "Retry-After",
+    ],
   })
 );
 
@@ -42,6 +78,12 @@ app.use(
 app.use(passport.initialize());
 app.use(passport.session());
 
+// Rate limiting (global, then stricter per-route policies)
+app.use(rateLimit(globalPolicy));
+for (const { method, path, policy } of routePolicies) {
+  app[method](path, rateLimit(policy));
+}
+
 // Health check route
 app.get("/health", (req, res) => {
   res.json({
@@ -54,9 +96,22 @@ app.get("/health", (req, res) => {
 
 // Routes
 app.use("/auth", authRoutes);
-app.use("/auth", googleRoutes);
+app.use("/auth", socialRoutes);
+app.use("/auth", identityRoutes);
+app.use("/auth", magicLinkRoutes);
+app.use("/auth", mfaRoutes);
+app.use("/auth", passkeyRoutes);
+app.use("/auth", sessionRoutes);
+app.use("/auth", lockoutRoutes);
+app.use("/auth", personalTokenRoutes);
+app.use("/users/invitations", invitationRoutes);
 app.use("/users", userRoutes);
+app.use("/roles", roleRoutes);
+app.use("/orgs", organizationRoutes);
 app.use("/logs", logRoutes);
+app.use("/.well-known", wellKnownRoutes);
+app.use("/oauth", oidcRoutes);
+app.use("/oauth/clients", oauthClientRoutes);
 
 // 404 handler
 app.use("*", (req, res) => {
@@ -104,6 +159,13 @@ app.use((error, req, res, next) => {
     });
   }
 
+  if (error.name === "TokenRevokedError") {
+    return res.status(401).json({
+      success: false,
+      message: "Token revoked",
+    });
+  }
+
   // Default error
   res.status(error.status || 500).json({
     success: false,
@@ -113,12 +175,31 @@ app.use((error, req, res, next) => {
 
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || "development"}`);
-  
-  // Start automatic token cleanup
-  scheduleCleanup(24);
+const startServer = async () => {
+  // Create or rotate the access token signing keys; logins can't issue
+  // tokens until they are loaded
+  await scheduleKeyRotation();
+
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`Environment: ${process.env.NODE_ENV || "development"}`);
+
+    // Start automatic token cleanup
+    scheduleCleanup(24);
+
+    // Hard-delete users whose retention window has passed
+    schedulePurge(24);
+
+    // Create the built-in roles
+    ensureBuiltInRoles().catch((error) => {
+      console.error("❌ Built-in role setup failed:", error);
+    });
+  });
+};
+
+startServer().catch((error) => {
+  console.error("❌ Server startup failed:", error);
+  process.exit(1);
 });
 
 module.exports = app;
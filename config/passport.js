@@ -1,52 +1,8 @@
 const passport = require("passport");
-const GoogleStrategy = require("passport-google-oauth20").Strategy;
 const User = require("../models/User");
 
-passport.use(
-  new GoogleStrategy(
-    {
-      clientID: process.env.GOOGLE_CLIENT_ID,
-      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-      callbackURL: "/auth/google/callback",
-    },
-    async (accessToken, refreshToken, profile, done) => {
-      try {
-        // Check if user already exists
-        let user = await User.findOne({ googleId: profile.id });
-
-        if (user) {
-          return done(null, user);
-        }
-
-        // Check if user exists with same email
-        user = await User.findOne({ email: profile.emails[0].value });
-
-        if (user) {
-          // Link Google account to existing user
-          user.googleId = profile.id;
-          await user.save();
-          return done(null, user);
-        }
-
-        // Create new user
-        user = new User({
-          googleId: profile.id,
-          name: profile.displayName,
-          email: profile.emails[0].value,
-          avatar: profile.photos[0].value,
-          role: "user",
-          isEmailVerified: true,
-        });
-
-        await user.save();
-        done(null, user);
-      } catch (error) {
-        console.error("Google OAuth error:", error);
-        done(error, null);
-      }
-    }
-  )
-);
+// Login strategies for external providers are registered on first use by
+// utils/socialAuth.js (see config/socialProviders.js)
 
 passport.serializeUser((user, done) => {
   done(null, user.id);
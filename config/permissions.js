@@ -0,0 +1,68 @@
+// Permissions that roles can grant. Routes check them with
+// requirePermission(permission) in middleware/auth.js.
+const PERMISSIONS = {
+  "users:read": "List and read any user account",
+  "users:update": "Update any user account",
+  "users:invite": "Invite people to create an account",
+  "users:suspend": "Suspend, disable and reactivate user accounts",
+  "users:delete": "Delete user accounts",
+  "logs:read": "Read everyone's activity logs and statistics",
+  "sessions:manage": "View and revoke other users' sessions and tokens",
+  "lockouts:manage": "View and clear login lockouts",
+  "clients:manage": "Manage OAuth and API clients",
+  "roles:manage": "Manage roles and assign them to users",
+  "orgs:manage": "Create and delete organizations and manage any of them",
+};
+
+// Created on startup. Built-in roles can't be deleted, and admin always
+// holds every permission.
+const DEFAULT_ROLE = "user";
+const ADMIN_ROLE = "admin";
+
+const BUILT_IN_ROLES = [
+  {
+    name: DEFAULT_ROLE,
+    description: "Every account; manages only its own data",
+    permissions: [],
+  },
+  {
+    name: ADMIN_ROLE,
+    description: "Full access",
+    permissions: Object.keys(PERMISSIONS),
+  },
+];
+
+// Roles within an organization (Membership.roles). Their permissions only
+// reach the organization itself, its members and the activity recorded
+// in it.
+const ORG_PERMISSIONS = {
+  "users:read": "List the organization's members",
+  "logs:read": "Read the activity logs recorded in the organization",
+  "members:manage": "Add and remove members and assign their roles",
+  "org:update": "Rename the organization",
+};
+
+const DEFAULT_ORG_ROLE = "member";
+const ORG_ADMIN_ROLE = "admin";
+
+const ORG_ROLES = {
+  [DEFAULT_ORG_ROLE]: {
+    description: "Belongs to the organization",
+    permissions: [],
+  },
+  [ORG_ADMIN_ROLE]: {
+    description: "Manages the organization and its members",
+    permissions: Object.keys(ORG_PERMISSIONS),
+  },
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLE,
+  ADMIN_ROLE,
+  BUILT_IN_ROLES,
+  ORG_PERMISSIONS,
+  DEFAULT_ORG_ROLE,
+  ORG_ADMIN_ROLE,
+  ORG_ROLES,
+};
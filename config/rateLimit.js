@@ -0,0 +1,171 @@
+// Rate limit policies. See middleware/rateLimit.js for the options.
+const MINUTE = 60 * 1000;
+
+// Applied to every request
+const globalPolicy = {
+  name: "global",
+  algorithm: "token_bucket",
+  limit: parseInt(process.env.RATE_LIMIT_GLOBAL_LIMIT) || 300,
+  windowMs: MINUTE,
+  keyBy: "ip",
+};
+
+// Stricter per-route policies, applied in addition to the global one
+const routePolicies = [
+  {
+    method: "post",
+    path: "/auth/register",
+    policy: {
+      name: "register",
+      limit: 5,
+      windowMs: 60 * MINUTE,
+      keyBy: "ip",
+    },
+  },
+  {
+    method: "post",
+    path: "/auth/login",
+    policy: {
+      name: "login",
+      limit: 10,
+      windowMs: 15 * MINUTE,
+      keyBy: "email",
+    },
+  },
+  {
+    method: "post",
+    path: "/auth/login/mfa",
+    policy: {
+      name: "login-mfa",
+      limit: 10,
+      windowMs: 15 * MINUTE,
+      keyBy: "ip",
+    },
+  },
+  {
+    method: "post",
+    path: "/auth/refresh",
+    policy: {
+      name: "refresh",
+      algorithm: "token_bucket",
+      limit: 30,
+      windowMs: 15 * MINUTE,
+      keyBy: "ip",
+    },
+  },
+  {
+    method: "post",
+    path: "/auth/forgot-password",
+    policy: {
+      name: "forgot-password",
+      limit: 3,
+      windowMs: 60 * MINUTE,
+      keyBy: "email",
+    },
+  },
+  {
+    method: "post",
+    path: "/auth/reset-password",
+    policy: {
+      name: "reset-password",
+      limit: 10,
+      windowMs: 60 * MINUTE,
+      keyBy: "ip",
+    },
+  },
+  {
+    method: "post",
+    path: "/auth/resend-verification",
+    policy: {
+      name: "resend-verification",
+      limit: 3,
+      windowMs: 60 * MINUTE,
+      keyBy: "email",
+    },
+  },
+  {
+    method: "post",
+    path: "/auth/verify-email",
+    policy: {
+      name: "verify-email",
+      limit: 20,
+      windowMs: 60 * MINUTE,
+      keyBy: "ip",
+    },
+  },
+  {
+    method: "post",
+    path: "/auth/magic-link",
+    policy: {
+      name: "magic-link",
+      limit: 3,
+      windowMs: 15 * MINUTE,
+      keyBy: "email",
+    },
+  },
+  {
+    method: "post",
+    path: "/auth/magic-link/verify",
+    policy: {
+      name: "magic-link-verify",
+      limit: 20,
+      windowMs: 15 * MINUTE,
+      keyBy: "ip",
+    },
+  },
+  {
+    method: "post",
+    path: "/users/invitations/accept",
+    policy: {
+      name: "invitation-accept",
+      limit: 20,
+      windowMs: 15 * MINUTE,
+      keyBy: "ip",
+    },
+  },
+  {
+    method: "post",
+    path: "/auth/passkeys/login/verify",
+    policy: {
+      name: "passkey-login",
+      limit: 20,
+      windowMs: 15 * MINUTE,
+      keyBy: "ip",
+    },
+  },
+  {
+    method: "post",
+    path: "/auth/:provider/exchange",
+    policy: {
+      name: "social-exchange",
+      limit: 20,
+      windowMs: 15 * MINUTE,
+      keyBy: "ip",
+    },
+  },
+  {
+    method: "post",
+    path: "/oauth/token",
+    policy: {
+      name: "oauth-token",
+      limit: 30,
+      windowMs: 15 * MINUTE,
+      keyBy: "ip",
+    },
+  },
+  {
+    method: "post",
+    path: "/auth/change-password",
+    policy: {
+      name: "change-password",
+      limit: 5,
+      windowMs: 15 * MINUTE,
+      keyBy: "user",
+    },
+  },
+];
+
+module.exports = {
+  globalPolicy,
+  routePolicies,
+};
@@ -0,0 +1,23 @@
+// Scopes that service clients (client credentials grant) can be granted.
+// Each is named after the permission it stands in for (config/permissions.js);
+// routes admit scoped tokens with permissionOrScopedAuth(permission) or
+// allowScopedTokens(scope) in middleware/auth.js.
+const API_SCOPES = {
+  "users:read": "List and read user accounts",
+  "users:delete": "Delete user accounts",
+  "logs:read": "Read activity logs and statistics",
+};
+
+// Scopes for personal access tokens. A personal token acts as its user, so
+// only users holding the matching permission may give theirs the API scopes
+// above.
+const PERSONAL_TOKEN_SCOPES = {
+  "profile:read": "Read your own profile",
+  "activity:read": "Read your own activity log",
+  ...API_SCOPES,
+};
+
+module.exports = {
+  API_SCOPES,
+  PERSONAL_TOKEN_SCOPES,
+};
@@ -0,0 +1,62 @@
+// External identity providers users can sign in with. A provider is enabled
+// when its client credentials (and, for OIDC providers, issuer) are set.
+// Each enabled provider gets /auth/<name> and /auth/<name>/callback.
+//
+// type:
+// - google  passport-google-oauth20
+// - github  GitHub OAuth apps (not OIDC)
+// - oidc    any OpenID Connect provider, configured through discovery
+const getSocialProviderConfigs = () => [
+  {
+    name: "google",
+    label: "Google",
+    type: "google",
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    scope: ["profile", "email"],
+  },
+  {
+    name: "github",
+    label: "GitHub",
+    type: "github",
+    clientId: process.env.GITHUB_CLIENT_ID,
+    clientSecret: process.env.GITHUB_CLIENT_SECRET,
+    scope: ["read:user", "user:email"],
+  },
+  {
+    name: "microsoft",
+    label: "Microsoft",
+    type: "oidc",
+    issuer: `https://login.microsoftonline.com/${
+      process.env.MICROSOFT_TENANT || "common"
+    }/v2.0`,
+    clientId: process.env.MICROSOFT_CLIENT_ID,
+    clientSecret: process.env.MICROSOFT_CLIENT_SECRET,
+    scope: ["openid", "profile", "email"],
+  },
+  {
+    name: "oidc",
+    label: process.env.SOCIAL_OIDC_LABEL || "Single sign-on",
+    type: "oidc",
+    issuer: process.env.SOCIAL_OIDC_ISSUER,
+    clientId: process.env.SOCIAL_OIDC_CLIENT_ID,
+    clientSecret: process.env.SOCIAL_OIDC_CLIENT_SECRET,
+    scope: (process.env.SOCIAL_OIDC_SCOPE || "openid profile email").split(" "),
+  },
+];
+
+const getSocialProviders = () =>
+  getSocialProviderConfigs().filter(
+    (provider) =>
+      provider.clientId &&
+      provider.clientSecret &&
+      (provider.type !== "oidc" || provider.issuer)
+  );
+
+const getSocialProvider = (name) =>
+  getSocialProviders().find((provider) => provider.name === name) || null;
+
+module.exports = {
+  getSocialProviders,
+  getSocialProvider,
+};
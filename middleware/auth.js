@@ -1,6 +1,141 @@
-const { verifyAccessToken } = require("../utils/jwt");
+const { verifyAccessToken, loadAccessTokenKey } = require("../utils/jwt");
 const { autoCleanupMiddleware } = require("../utils/tokenCleanup");
 const User = require("../models/User");
+const OAuthClient = require("../models/OAuthClient");
+const { getVerificationPolicy } = require("../utils/emailVerification");
+const {
+  assertTokenNotDenylisted,
+  assertTokenIssuedAfterCutoff,
+} = require("../utils/tokenRevocation");
+const {
+  parseScopes,
+  isClientAccessToken,
+  verifyClientAccessToken,
+} = require("../utils/oidc");
+const {
+  isPersonalAccessToken,
+  authenticatePersonalToken,
+} = require("../utils/personalTokens");
+const { getClientIp } = require("../utils/requestInfo");
+const { hasPermission } = require("../utils/permissions");
+const { hasActiveOrgPermission } = require("../utils/organizations");
+const { assertAccountActive } = require("../utils/accountStatus");
+
+// Verify an access token, check it has not been revoked and load its user.
+// Returns { decoded, user }; user is null if the account no longer exists.
+// Throws AccountStatusError for suspended and disabled accounts.
+const authenticateAccessToken = async (token) => {
+  await loadAccessTokenKey(token);
+  const decoded = verifyAccessToken(token);
+  await assertTokenNotDenylisted(decoded);
+
+  const user = await User.findById(decoded.id).select(
+    "-password -refreshTokens"
+  );
+  if (user) {
+    assertTokenIssuedAfterCutoff(decoded, user);
+    assertAccountActive(user);
+  }
+
+  return { decoded, user };
+};
+
+// Verify a service client token (client credentials grant) and load its
+// client. Returns { decoded, client }; client is null if it was deleted.
+const authenticateClientToken = async (token) => {
+  await loadAccessTokenKey(token);
+  const decoded = verifyClientAccessToken(token);
+  await assertTokenNotDenylisted(decoded);
+
+  const client = await OAuthClient.findOne({ clientId: decoded.client_id });
+  if (client) {
+    assertTokenIssuedAfterCutoff(decoded, client);
+  }
+
+  return { decoded, client };
+};
+
+// Scoped tokens (service clients and personal access tokens) only pass
+// `auth` on routes that opt in with allowScopedTokens(scope), and only with
+// that scope. Sends the 403 and returns false otherwise.
+const checkTokenScope = (req, res, scopes, tokenKind) => {
+  if (!req.allowedTokenScope) {
+    res.status(403).json({
+      success: false,
+      message: `Access denied. Not available to ${tokenKind}.`,
+    });
+    return false;
+  }
+
+  if (!scopes.includes(req.allowedTokenScope)) {
+    res.status(403).json({
+      success: false,
+      message: `Access denied. Scope ${req.allowedTokenScope} required.`,
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Service clients get req.apiClient instead of req.user (not req.client,
+// which Node already defines as an alias of req.socket)
+const authClientToken = async (req, res, next, token) => {
+  const { decoded, client } = await authenticateClientToken(token);
+
+  if (!client || !client.grantTypes.includes("client_credentials")) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid token. Client not found.",
+    });
+  }
+
+  const scopes = parseScopes(decoded.scope);
+  if (!checkTokenScope(req, res, scopes, "API clients")) return;
+
+  req.apiClient = client;
+  req.scopes = scopes;
+  req.tokenPayload = decoded;
+  next();
+};
+
+// Personal access tokens act as their user, limited to the token's scopes.
+// They are not tied to a session and carry no JWT payload.
+const authPersonalToken = async (req, res, next, token) => {
+  const { personalToken, user } = await authenticatePersonalToken(
+    token,
+    getClientIp(req)
+  );
+
+  if (!personalToken) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid token.",
+    });
+  }
+
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid token. User not found.",
+    });
+  }
+  assertAccountActive(user);
+
+  if (
+    !checkTokenScope(req, res, personalToken.scopes, "personal access tokens")
+  ) {
+    return;
+  }
+
+  req.user = user;
+  req.personalToken = personalToken;
+  req.scopes = personalToken.scopes;
+  req.sessionId = null;
+  req.organizationId = null;
+  req.tokenPayload = null;
+  next();
+};
 
 const auth = async (req, res, next) => {
   try {
@@ -15,10 +150,15 @@ const auth = async (req, res, next) => {
 
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
-    const decoded = verifyAccessToken(token);
-    const user = await User.findById(decoded.id).select(
-      "-password -refreshTokens"
-    );
+    if (isClientAccessToken(token)) {
+      return await authClientToken(req, res, next, token);
+    }
+
+    if (isPersonalAccessToken(token)) {
+      return await authPersonalToken(req, res, next, token);
+    }
+
+    const { decoded, user } = await authenticateAccessToken(token);
 
     if (!user) {
       return res.status(401).json({
@@ -28,6 +168,11 @@ const auth = async (req, res, next) => {
     }
 
     req.user = user;
+    // Session (refresh token entry) the access token was issued for
+    req.sessionId = decoded.sid || null;
+    // Organization the session is switched to, if any
+    req.organizationId = decoded.org || null;
+    req.tokenPayload = decoded;
     
     // Auto cleanup expired tokens for current user
     autoCleanupMiddleware(req, res, () => {});
@@ -48,6 +193,20 @@ const auth = async (req, res, next) => {
       });
     }
 
+    if (error.name === "TokenRevokedError") {
+      return res.status(401).json({
+        success: false,
+        message: "Token revoked.",
+      });
+    }
+
+    if (error.name === "AccountStatusError") {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error("Auth middleware error:", error);
     return res.status(500).json({
       success: false,
@@ -56,14 +215,95 @@ const auth = async (req, res, next) => {
   }
 };
 
-const adminAuth = async (req, res, next) => {
-  if (req.user.role !== "admin") {
+// Let scoped tokens holding `scope` through the `auth` that follows
+const allowScopedTokens = (scope) => (req, res, next) => {
+  req.allowedTokenScope = scope;
+  next();
+};
+
+// Require a permission granted by one of the user's roles. Service clients
+// were already checked against the route's scope by `auth`.
+const requirePermission = (permission) => async (req, res, next) => {
+  if (req.apiClient) return next();
+
+  try {
+    if (!(await hasPermission(req, permission))) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Permission ${permission} required.`,
+      });
+    }
+    next();
+  } catch (error) {
+    console.error("Permission check error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Like requirePermission, but inside an organization (req.organizationId)
+// the user's roles there count as well. Handlers must then limit what they
+// return to that organization.
+const requireOrgPermission = (permission) => async (req, res, next) => {
+  if (req.apiClient) return next();
+
+  try {
+    const allowed =
+      (await hasActiveOrgPermission(req, permission)) ||
+      (await hasPermission(req, permission));
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Permission ${permission} required.`,
+      });
+    }
+    next();
+  } catch (error) {
+    console.error("Permission check error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Block users with an unverified email unless the policy is "off"
+const requireVerifiedEmail = async (req, res, next) => {
+  if (req.apiClient) return next();
+
+  if (getVerificationPolicy() !== "off" && !req.user.isEmailVerified) {
     return res.status(403).json({
       success: false,
-      message: "Access denied. Admin role required.",
+      message: "Access denied. Please verify your email address.",
     });
   }
   next();
 };
 
-module.exports = { auth, adminAuth };
+// Authentication plus the email verification policy, for routes that
+// unverified users should not reach
+const verifiedAuth = [auth, requireVerifiedEmail];
+
+// Route requiring `permission` that service clients holding the scope of
+// the same name may also call. Personal tokens need the scope and an owner
+// with the permission. With orgScoped, organization roles grant it too
+// (see requireOrgPermission).
+const permissionOrScopedAuth = (permission, { orgScoped = false } = {}) => [
+  allowScopedTokens(permission),
+  ...verifiedAuth,
+  orgScoped ? requireOrgPermission(permission) : requirePermission(permission),
+];
+
+module.exports = {
+  auth,
+  requirePermission,
+  requireOrgPermission,
+  requireVerifiedEmail,
+  verifiedAuth,
+  allowScopedTokens,
+  permissionOrScopedAuth,
+  authenticateAccessToken,
+};
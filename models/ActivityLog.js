@@ -2,10 +2,11 @@ const mongoose = require("mongoose");
 
 const activityLogSchema = new mongoose.Schema(
   {
+    // Null for events without a known account (e.g. login with unknown email)
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      default: null,
     },
     action: {
       type: String,
@@ -18,9 +19,62 @@ const activityLogSchema = new mongoose.Schema(
         "profile_update",
         "token_refresh",
         "google_login",
+        "social_login",
+        "identity_linked",
+        "identity_unlinked",
         "password_change",
+        "email_verification_sent",
+        "email_verified",
+        "mfa_enabled",
+        "mfa_disabled",
+        "mfa_verify",
+        "mfa_recovery_codes_generated",
+        "passkey_registered",
+        "passkey_removed",
+        "refresh_token_reuse",
+        "session_revoked",
+        "login_locked",
+        "account_locked",
+        "lockout_cleared",
+        "oauth_consent_granted",
+        "oauth_consent_denied",
+        "oauth_token_issued",
+        "oauth_client_created",
+        "oauth_client_updated",
+        "oauth_client_secret_rotated",
+        "oauth_client_deleted",
+        "personal_token_created",
+        "personal_token_revoked",
+        "magic_link_sent",
+        "role_created",
+        "role_updated",
+        "role_deleted",
+        "roles_assigned",
+        "organization_created",
+        "organization_updated",
+        "organization_deleted",
+        "organization_switched",
+        "member_updated",
+        "member_removed",
+        "invitation_sent",
+        "invitation_resent",
+        "invitation_revoked",
+        "invitation_accepted",
+        "account_suspended",
+        "account_disabled",
+        "account_reactivated",
+        "user_deleted",
+        "user_restored",
+        "user_purged",
       ],
     },
+    // Organization the action happened in: the one the details name, or
+    // else the one the session was switched to
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
     ipAddress: {
       type: String,
       default: null,
@@ -50,5 +104,6 @@ const activityLogSchema = new mongoose.Schema(
 // Index untuk query performance
 activityLogSchema.index({ userId: 1, timestamp: -1 });
 activityLogSchema.index({ action: 1, timestamp: -1 });
+activityLogSchema.index({ organizationId: 1, timestamp: -1 });
 
 module.exports = mongoose.model("ActivityLog", activityLogSchema);
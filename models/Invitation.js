@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+const { DEFAULT_ROLE } = require("../config/permissions");
+
+// Invitation to create an account with preset roles, or for an existing
+// account to join an organization. The link is a signed token; tokenId
+// holds the jti of the latest one sent, so resending invalidates earlier
+// links. Kept after acceptance or revocation as a record of who invited
+// whom.
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      "Please enter a valid email",
+    ],
+  },
+  roles: {
+    type: [String],
+    default: [DEFAULT_ROLE],
+  },
+  // Set for organization invitations, which the existing account with
+  // this email accepts to become a member with orgRoles
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+    default: null,
+    index: true,
+  },
+  orgRoles: {
+    type: [String],
+    default: [],
+  },
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now,
+  },
+  sendCount: {
+    type: Number,
+    default: 1,
+  },
+  acceptedAt: {
+    type: Date,
+    default: null,
+  },
+  // Account created from the invitation, or that joined the organization
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// pending, accepted, revoked or expired
+invitationSchema.methods.getStatus = function () {
+  if (this.acceptedAt) return "accepted";
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt <= new Date()) return "expired";
+  return "pending";
+};
+
+module.exports = mongoose.model("Invitation", invitationSchema);
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// An external account (Google, GitHub, an OIDC provider...) a user signs in
+// with, identified by the provider's stable subject id
+const linkedIdentitySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  subject: {
+    type: String,
+    required: true,
+  },
+  // Profile details as last reported by the provider
+  email: {
+    type: String,
+    default: null,
+  },
+  name: {
+    type: String,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+linkedIdentitySchema.index({ provider: 1, subject: 1 }, { unique: true });
+
+module.exports = mongoose.model("LinkedIdentity", linkedIdentitySchema);
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+// Failed login bookkeeping per account (email) and per client IP
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ["account", "ip"],
+    },
+    // Failures since the last lockout
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    // Number of lockouts so far; each one doubles the next lockout
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lastFailureAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB forget idle records
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginThrottleSchema.index({ lockedUntil: -1 });
+
+module.exports = mongoose.model("LoginThrottle", loginThrottleSchema);
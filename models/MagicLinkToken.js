@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// Outstanding magic login link. The link itself is a signed token; this
+// document makes it single-use and holds the optional device binding.
+const magicLinkTokenSchema = new mongoose.Schema({
+  // jti of the signed link
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Hash of the device token returned to the requester, when the link is
+  // bound to the device that asked for it
+  deviceHash: {
+    type: String,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Let MongoDB remove links that were never used
+magicLinkTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("MagicLinkToken", magicLinkTokenSchema);
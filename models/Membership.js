@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+const { ORG_ROLES, DEFAULT_ORG_ROLE } = require("../config/permissions");
+
+// A user's membership in an organization, with their roles there
+const membershipSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+    required: true,
+    index: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  roles: {
+    type: [String],
+    default: [DEFAULT_ORG_ROLE],
+    validate: {
+      validator: (roles) =>
+        roles.every((role) => Object.hasOwn(ORG_ROLES, role)),
+      message: "Unknown organization role",
+    },
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+membershipSchema.index({ organizationId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model("Membership", membershipSchema);
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// Single-use authorization code issued by /oauth/authorize and redeemed at
+// /oauth/token. Only the code's hash is stored.
+const oauthAuthorizationCodeSchema = new mongoose.Schema({
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  clientId: {
+    type: String,
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  redirectUri: {
+    type: String,
+    required: true,
+  },
+  scopes: {
+    type: [String],
+    default: [],
+  },
+  // PKCE (S256 only)
+  codeChallenge: {
+    type: String,
+    required: true,
+  },
+  nonce: {
+    type: String,
+    default: null,
+  },
+  // When the user signed in (seconds), echoed as the ID token's auth_time
+  authTime: {
+    type: Number,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Let MongoDB remove codes that were never redeemed
+oauthAuthorizationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model(
+  "OAuthAuthorizationCode",
+  oauthAuthorizationCodeSchema
+);
@@ -0,0 +1,110 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// Application registered with our OAuth 2.0 / OpenID Connect provider:
+// either an app signing users in (authorization_code) or a service calling
+// the API as itself (client_credentials)
+const oauthClientSchema = new mongoose.Schema({
+  clientId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Only confidential clients have a secret; it is stored as a hash
+  clientSecretHash: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  name: {
+    type: String,
+    required: [true, "Name is required"],
+    trim: true,
+    maxlength: [100, "Name cannot be more than 100 characters"],
+  },
+  // Public clients (SPAs, native apps) cannot keep a secret and rely on PKCE
+  type: {
+    type: String,
+    enum: ["confidential", "public"],
+    default: "confidential",
+  },
+  grantTypes: {
+    type: [
+      {
+        type: String,
+        enum: ["authorization_code", "client_credentials"],
+      },
+    ],
+    default: ["authorization_code"],
+  },
+  // Exact-match allow list for redirect_uri
+  redirectUris: {
+    type: [String],
+    default: [],
+  },
+  // OIDC scopes for sign-in, API scopes (config/scopes.js) for services
+  scopes: {
+    type: [String],
+    default: ["openid", "profile", "email"],
+  },
+  // First-party apps may skip the consent screen
+  skipConsent: {
+    type: Boolean,
+    default: false,
+  },
+  // Client tokens issued before this are rejected (set on secret rotation)
+  tokensValidAfter: {
+    type: Date,
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+oauthClientSchema.statics.hashSecret = function (secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+};
+
+// Replace the secret of a confidential client. The secret is returned once
+// and only its hash is kept.
+oauthClientSchema.methods.rotateSecret = function () {
+  const clientSecret = crypto.randomBytes(32).toString("base64url");
+  this.clientSecretHash = this.constructor.hashSecret(clientSecret);
+  return clientSecret;
+};
+
+// Generate a client id (and a secret for confidential clients)
+oauthClientSchema.methods.generateCredentials = function () {
+  this.clientId = crypto.randomBytes(16).toString("hex");
+
+  if (this.type !== "confidential") {
+    this.clientSecretHash = null;
+    return { clientId: this.clientId, clientSecret: null };
+  }
+
+  return { clientId: this.clientId, clientSecret: this.rotateSecret() };
+};
+
+// Requires clientSecretHash to be selected
+oauthClientSchema.methods.verifySecret = function (secret) {
+  if (!this.clientSecretHash || typeof secret !== "string") return false;
+
+  const expected = Buffer.from(this.clientSecretHash, "hex");
+  const actual = Buffer.from(this.constructor.hashSecret(secret), "hex");
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+oauthClientSchema.methods.toJSON = function () {
+  const client = this.toObject();
+  delete client.clientSecretHash;
+  return client;
+};
+
+module.exports = mongoose.model("OAuthClient", oauthClientSchema);
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// Scopes a user has allowed a client, so the consent screen is only shown
+// again when the client asks for more
+const oauthConsentSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    clientId: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+oauthConsentSchema.index({ userId: 1, clientId: 1 }, { unique: true });
+
+module.exports = mongoose.model("OAuthConsent", oauthConsentSchema);
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// Tenant workspace. Users belong to organizations through memberships.
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    match: [
+      /^[a-z0-9][a-z0-9-]{1,48}[a-z0-9]$/,
+      "Slugs are 3-50 lowercase letters, digits or -",
+    ],
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model("Organization", organizationSchema);
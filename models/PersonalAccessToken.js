@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+// Long-lived, scoped token a user creates for scripts and CI. Only a hash
+// of the secret is stored; it is shown to the user once.
+const personalAccessTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: [true, "Name is required"],
+    trim: true,
+    maxlength: [100, "Name cannot be more than 100 characters"],
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  // First characters of the token, so users can tell their tokens apart
+  tokenPrefix: {
+    type: String,
+    required: true,
+  },
+  scopes: {
+    type: [String],
+    default: [],
+  },
+  // Null for tokens that never expire
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+  lastUsedIp: {
+    type: String,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Let MongoDB remove tokens once they expire (tokens without expiry stay)
+personalAccessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+personalAccessTokenSchema.methods.toJSON = function () {
+  const token = this.toObject();
+  delete token.tokenHash;
+  return token;
+};
+
+module.exports = mongoose.model(
+  "PersonalAccessToken",
+  personalAccessTokenSchema
+);
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// Shared rate limit state for multi-instance deployments
+const rateLimitBucketSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Fixed window: requests counted in the current window
+  count: {
+    type: Number,
+    default: 0,
+  },
+  // Token bucket: tokens left and when they were last refilled (ms)
+  tokens: {
+    type: Number,
+    default: null,
+  },
+  refilledAt: {
+    type: Number,
+    default: null,
+  },
+  // Whether the last request got a token
+  allowed: {
+    type: Boolean,
+    default: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Let MongoDB remove buckets once their window has passed
+rateLimitBucketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimitBucket", rateLimitBucketSchema);
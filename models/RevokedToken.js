@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Denylisted access token ids (jti) and session ids (sid), kept only until
+// the access tokens they cover would have expired anyway
+const revokedTokenSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB remove entries once they no longer matter
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RevokedToken", revokedTokenSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+const { PERMISSIONS } = require("../config/permissions");
+
+// Named set of permissions. Users reference roles by name.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    match: [
+      /^[a-z][a-z0-9_-]{1,31}$/,
+      "Role names are 2-32 lowercase letters, digits, - or _",
+    ],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: "",
+  },
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (permissions) =>
+        permissions.every((permission) =>
+          Object.hasOwn(PERMISSIONS, permission)
+        ),
+      message: "Unknown permission",
+    },
+  },
+  builtIn: {
+    type: Boolean,
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model("Role", roleSchema);
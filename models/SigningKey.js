@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// Asymmetric key pair used to sign access tokens, identified by `kid`
+const signingKeySchema = new mongoose.Schema({
+  kid: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  alg: {
+    type: String,
+    enum: ["RS256", "ES256"],
+    required: true,
+  },
+  publicJwk: {
+    type: Object,
+    required: true,
+  },
+  // PKCS#8 PEM encrypted with SIGNING_KEY_ENCRYPTION_KEY (see
+  // utils/signingKeys.js); never returned unless explicitly selected
+  privateKey: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  activatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Set when a newer key takes over signing; the key still verifies (and
+  // stays in the JWKS) until expiresAt
+  retiredAt: {
+    type: Date,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+// Let MongoDB remove keys once their grace window has passed
+signingKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("SigningKey", signingKeySchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// Single-use code handed to the frontend after a social login and redeemed
+// at POST /auth/:provider/exchange. Only the code's hash is stored.
+const socialLoginCodeSchema = new mongoose.Schema({
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Let MongoDB remove codes that were never redeemed
+socialLoginCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("SocialLoginCode", socialLoginCodeSchema);
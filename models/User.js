@@ -1,5 +1,10 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+const { verifyCode } = require("../utils/totp");
+const { hashRefreshToken, describeRefreshToken } = require("../utils/jwt");
+const { DEFAULT_ROLE } = require("../config/permissions");
+const { ACCOUNT_STATUSES } = require("../utils/accountStatus");
 
 // User model with refresh token management
 const userSchema = new mongoose.Schema(
@@ -24,10 +29,12 @@ const userSchema = new mongoose.Schema(
       type: String,
       minlength: 6,
     },
-    role: {
-      type: String,
-      enum: ["user", "admin"],
-      default: "user",
+    // Role names (see models/Role.js); permissions are the union of the
+    // roles' permissions
+    roles: {
+      type: [String],
+      default: [DEFAULT_ROLE],
+      index: true,
     },
     avatar: {
       type: String,
@@ -37,13 +44,188 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
-    googleId: {
+    // Suspended and disabled accounts can't sign in or use their tokens
+    // (see utils/accountStatus.js)
+    status: {
+      type: String,
+      enum: ACCOUNT_STATUSES,
+      default: "active",
+      index: true,
+    },
+    statusReason: {
+      type: String,
+      default: null,
+    },
+    // Suspensions end on their own at this time, if set
+    statusExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Who last changed the status, and when
+    statusChangedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    statusChangedAt: {
+      type: Date,
+      default: null,
+    },
+    // Last time a session was started (refreshes don't count)
+    lastLoginAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    // Soft deletion: the account is hidden from queries (see below) until
+    // it is restored or purged by utils/userDeletion.js
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Access tokens issued before this moment are rejected
+    tokensValidAfter: {
+      type: Date,
+      default: null,
+    },
+    passwordResetToken: {
       type: String,
       default: null,
     },
+    passwordResetExpires: {
+      type: Date,
+      default: null,
+    },
+    mfa: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        default: null,
+      },
+      // Secret awaiting confirmation during enrollment
+      pendingSecret: {
+        type: String,
+        default: null,
+      },
+      // Last accepted TOTP time step, to prevent code reuse
+      lastUsedStep: {
+        type: Number,
+        default: null,
+      },
+      recoveryCodes: [
+        {
+          codeHash: String,
+          usedAt: {
+            type: Date,
+            default: null,
+          },
+        },
+      ],
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    passkeys: [
+      {
+        // base64url credential ID and COSE public key
+        credentialId: {
+          type: String,
+          required: true,
+        },
+        publicKey: {
+          type: String,
+          required: true,
+        },
+        counter: {
+          type: Number,
+          default: 0,
+        },
+        transports: [String],
+        deviceType: {
+          type: String,
+          default: null,
+        },
+        backedUp: {
+          type: Boolean,
+          default: false,
+        },
+        name: {
+          type: String,
+          trim: true,
+          maxlength: 50,
+          default: "Passkey",
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+        lastUsedAt: {
+          type: Date,
+          default: null,
+        },
+      },
+    ],
     refreshTokens: [
       {
-        token: String,
+        // Opaque identifier (the token's jti) and keyed hash; the raw
+        // token is never stored
+        tokenId: String,
+        tokenHash: String,
+        expiresAt: {
+          type: Date,
+          default: null,
+        },
+        // Rotation family: all tokens descended from one login
+        family: {
+          type: String,
+          default: null,
+        },
+        // Device the session belongs to
+        deviceName: {
+          type: String,
+          default: null,
+        },
+        userAgent: {
+          type: String,
+          default: null,
+        },
+        browser: {
+          type: String,
+          default: null,
+        },
+        os: {
+          type: String,
+          default: null,
+        },
+        deviceType: {
+          type: String,
+          default: null,
+        },
+        ipAddress: {
+          type: String,
+          default: null,
+        },
+        // Organization the session is switched to (POST /orgs/switch);
+        // kept across refresh token rotation
+        organizationId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Organization",
+          default: null,
+        },
+        lastUsedAt: {
+          type: Date,
+          default: Date.now,
+        },
         createdAt: {
           type: Date,
           default: Date.now,
@@ -56,6 +238,34 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+userSchema.index({ "passkeys.credentialId": 1 });
+userSchema.index({ "refreshTokens.tokenId": 1 });
+
+// Soft-deleted users are left out of every query, so they can't sign in,
+// be found or be listed, unless the query filters on deletedAt itself or
+// opts in with .withDeleted()
+userSchema.pre(
+  [
+    "find",
+    "findOne",
+    "findOneAndUpdate",
+    "findOneAndDelete",
+    "countDocuments",
+    "distinct",
+    "updateOne",
+    "updateMany",
+  ],
+  function () {
+    if (this.getOptions().withDeleted) return;
+    if (this.getFilter().deletedAt !== undefined) return;
+    this.where({ deletedAt: null });
+  }
+);
+
+userSchema.query.withDeleted = function () {
+  return this.setOptions({ withDeleted: true });
+};
+
 // Hash password before saving
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
@@ -80,12 +290,25 @@ userSchema.methods.toJSON = function () {
   const userObject = this.toObject();
   delete userObject.password;
   delete userObject.refreshTokens;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.passkeys;
+  userObject.mfa = { enabled: !!(userObject.mfa && userObject.mfa.enabled) };
   return userObject;
 };
 
-// Add refresh token
-userSchema.methods.addRefreshToken = async function (token) {
-  this.refreshTokens.push({ token });
+// Add refresh token, returning the stored session entry
+userSchema.methods.addRefreshToken = async function (
+  token,
+  family = null,
+  deviceInfo = {}
+) {
+  this.refreshTokens.push({
+    ...deviceInfo,
+    ...describeRefreshToken(token),
+    family,
+  });
+  const entry = this.refreshTokens[this.refreshTokens.length - 1];
 
   // Keep only last 5 refresh tokens
   if (this.refreshTokens.length > 5) {
@@ -93,12 +316,210 @@ userSchema.methods.addRefreshToken = async function (token) {
   }
 
   await this.save();
+  return entry;
+};
+
+// Find the stored entry for a raw refresh token
+userSchema.methods.findRefreshToken = function (token) {
+  if (!token) return null;
+
+  const tokenHash = Buffer.from(hashRefreshToken(token));
+  return (
+    this.refreshTokens.find(
+      (t) =>
+        t.tokenHash &&
+        t.tokenHash.length === tokenHash.length &&
+        crypto.timingSafeEqual(Buffer.from(t.tokenHash), tokenHash)
+    ) || null
+  );
 };
 
 // Remove refresh token
 userSchema.methods.removeRefreshToken = async function (token) {
-  this.refreshTokens = this.refreshTokens.filter((t) => t.token !== token);
+  const entry = this.findRefreshToken(token);
+  if (entry) {
+    this.refreshTokens = this.refreshTokens.filter(
+      (t) => t.tokenId !== entry.tokenId
+    );
+  }
+  await this.save();
+};
+
+// Revoke every refresh token in a rotation family
+userSchema.methods.revokeRefreshTokenFamily = async function (family) {
+  const before = this.refreshTokens.length;
+  this.refreshTokens = this.refreshTokens.filter((t) => t.family !== family);
+  await this.save();
+  return before - this.refreshTokens.length;
+};
+
+// Atomically replace a refresh token with its successor. Returns false if
+// the old token is no longer stored (already rotated or revoked).
+// The session (entry _id) stays the same; the token, usage and device
+// details change (the device name only when deviceInfo has one).
+userSchema.statics.rotateRefreshToken = async function (
+  userId,
+  oldTokenId,
+  newToken,
+  family,
+  deviceInfo = {}
+) {
+  const { tokenId, tokenHash, expiresAt } = describeRefreshToken(newToken);
+  const result = await this.updateOne(
+    { _id: userId, "refreshTokens.tokenId": oldTokenId },
+    {
+      $set: {
+        "refreshTokens.$.tokenId": tokenId,
+        "refreshTokens.$.tokenHash": tokenHash,
+        "refreshTokens.$.expiresAt": expiresAt,
+        "refreshTokens.$.family": family,
+        "refreshTokens.$.userAgent": deviceInfo.userAgent || null,
+        "refreshTokens.$.browser": deviceInfo.browser || null,
+        "refreshTokens.$.os": deviceInfo.os || null,
+        "refreshTokens.$.deviceType": deviceInfo.deviceType || null,
+        "refreshTokens.$.ipAddress": deviceInfo.ipAddress || null,
+        "refreshTokens.$.lastUsedAt": new Date(),
+        ...(deviceInfo.deviceName && {
+          "refreshTokens.$.deviceName": deviceInfo.deviceName,
+        }),
+      },
+    }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Hash a password reset token for storage and lookup
+userSchema.statics.hashResetToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Create a single-use password reset token, storing only its hash
+userSchema.methods.createPasswordResetToken = async function () {
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresInMinutes =
+    parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+  this.passwordResetToken = this.constructor.hashResetToken(token);
+  this.passwordResetExpires = new Date(
+    Date.now() + expiresInMinutes * 60 * 1000
+  );
   await this.save();
+
+  return token;
+};
+
+// Hash an MFA recovery code for storage and lookup
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.replace(/-/g, "").toLowerCase())
+    .digest("hex");
+
+// Verify a TOTP code against the active (or pending) MFA secret.
+// Marks the time step as used; caller is responsible for saving.
+userSchema.methods.verifyMfaCode = function (code, { pending = false } = {}) {
+  const secret = pending ? this.mfa.pendingSecret : this.mfa.secret;
+  const step = verifyCode(secret, code, {
+    lastUsedStep: pending ? null : this.mfa.lastUsedStep,
+  });
+
+  if (step === null) return false;
+
+  this.mfa.lastUsedStep = step;
+  return true;
+};
+
+// Replace recovery codes with a fresh set, storing only their hashes.
+// Returns the plaintext codes, which are shown to the user once.
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString("hex");
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  this.mfa.recoveryCodes = codes.map((code) => ({
+    codeHash: hashRecoveryCode(code),
+  }));
+
+  return codes;
+};
+
+// Consume an unused recovery code. Caller is responsible for saving.
+userSchema.methods.useRecoveryCode = function (code) {
+  if (typeof code !== "string") return false;
+
+  const codeHash = hashRecoveryCode(code);
+  const entry = this.mfa.recoveryCodes.find(
+    (c) => c.codeHash === codeHash && !c.usedAt
+  );
+
+  if (!entry) return false;
+
+  entry.usedAt = new Date();
+  return true;
+};
+
+// Check a TOTP code or, failing that, a one-time recovery code.
+// Returns the method that matched, or null. Caller is responsible for saving.
+userSchema.methods.verifySecondFactor = function ({ code, recoveryCode }) {
+  if (code && this.verifyMfaCode(code)) return "totp";
+  if (recoveryCode && this.useRecoveryCode(recoveryCode)) {
+    return "recovery_code";
+  }
+  return null;
+};
+
+// Check a TOTP code or, failing that, a recovery code, and use it up in a
+// conditional update: of concurrent logins with the same time step or
+// recovery code only one matches. Returns the method that matched, or null.
+userSchema.methods.consumeSecondFactor = async function ({
+  code,
+  recoveryCode,
+}) {
+  const User = this.constructor;
+
+  const step = verifyCode(this.mfa.secret, code, {
+    lastUsedStep: this.mfa.lastUsedStep,
+  });
+  if (step !== null) {
+    const { matchedCount } = await User.updateOne(
+      {
+        _id: this._id,
+        $or: [
+          { "mfa.lastUsedStep": null },
+          { "mfa.lastUsedStep": { $lt: step } },
+        ],
+      },
+      { $set: { "mfa.lastUsedStep": step } }
+    );
+    if (matchedCount > 0) {
+      // Already stored; keep a later save() from writing it again
+      this.mfa.lastUsedStep = step;
+      this.unmarkModified("mfa.lastUsedStep");
+      return "totp";
+    }
+  }
+
+  if (typeof recoveryCode === "string") {
+    const codeHash = hashRecoveryCode(recoveryCode);
+    const { matchedCount } = await User.updateOne(
+      {
+        _id: this._id,
+        "mfa.recoveryCodes": { $elemMatch: { codeHash, usedAt: null } },
+      },
+      { $pull: { "mfa.recoveryCodes": { codeHash } } }
+    );
+    if (matchedCount > 0) {
+      this.mfa.recoveryCodes = this.mfa.recoveryCodes.filter(
+        (c) => c.codeHash !== codeHash
+      );
+      this.unmarkModified("mfa.recoveryCodes");
+      return "recovery_code";
+    }
+  }
+
+  return null;
 };
 
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// Outstanding WebAuthn ceremony challenges. Each challenge is single-use and
+// removed automatically by MongoDB once it expires.
+const webAuthnChallengeSchema = new mongoose.Schema(
+  {
+    challenge: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ["registration", "authentication"],
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB remove expired challenges
+webAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("WebAuthnChallenge", webAuthnChallengeSchema);
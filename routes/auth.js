@@ -1,21 +1,53 @@
 const express = require("express");
 const User = require("../models/User");
 const {
-  generateAccessToken,
-  generateRefreshToken,
   verifyRefreshToken,
+  verifyEmailVerificationToken,
+  generateMfaChallengeToken,
 } = require("../utils/jwt");
-const { auth } = require("../middleware/auth");
+const {
+  auth,
+  allowScopedTokens,
+  authenticateAccessToken,
+} = require("../middleware/auth");
 const { logActivity, activityLogger } = require("../utils/activityLogger");
+const {
+  issueAuthTokens,
+  issueAccessToken,
+  rotateAuthTokens,
+} = require("../utils/authTokens");
+const {
+  revokeAccessToken,
+  revokeSessionAccessTokens,
+} = require("../utils/tokenRevocation");
+const {
+  getVerificationPolicy,
+  sendVerificationEmail,
+} = require("../utils/emailVerification");
+const { sendPasswordResetEmail } = require("../utils/passwordReset");
+const { validatePassword } = require("../utils/password");
+const { getClientIp } = require("../utils/requestInfo");
+const {
+  checkLoginThrottle,
+  recordLoginFailure,
+  resetAccountThrottle,
+} = require("../utils/loginThrottle");
+const { hasPermission, canManageAccount } = require("../utils/permissions");
+const {
+  assertAccountActive,
+  rejectInactiveAccount,
+} = require("../utils/accountStatus");
 
 const router = express.Router();
 
+const readProfileAuth = [allowScopedTokens("profile:read"), auth];
+
 // @route   POST /auth/register
 // @desc    Register new user
 // @access  Public
 router.post("/register", async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password } = req.body;
 
     // Validation
     if (!name || !email || !password) {
@@ -25,15 +57,17 @@ router.post("/register", async (req, res) => {
       });
     }
 
-    if (password.length < 6) {
+    const passwordError = validatePassword(password);
+    if (passwordError) {
       return res.status(400).json({
         success: false,
-        message: "Password must be at least 6 characters long",
+        message: passwordError,
       });
     }
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
+    // Check if user already exists; deleted accounts keep their email
+    // until they are purged
+    const existingUser = await User.findOne({ email }).withDeleted();
     if (existingUser) {
       return res.status(400).json({
         success: false,
@@ -41,26 +75,41 @@ router.post("/register", async (req, res) => {
       });
     }
 
-    // Create new user
+    // Create new user; roles beyond the default are assigned by users with
+    // roles:manage
     const user = new User({
       name,
       email,
       password,
-      role: role === "admin" ? "admin" : "user", // Only allow admin if explicitly set
     });
 
     await user.save();
 
-    // Generate tokens
-    const accessToken = generateAccessToken({
-      id: user._id,
-      email: user.email,
-      role: user.role,
-    });
-    const refreshToken = generateRefreshToken({ id: user._id });
+    // Send email verification link
+    try {
+      await sendVerificationEmail(user);
+      await logActivity(user._id, "email_verification_sent", req, true, {
+        trigger: "register",
+      });
+    } catch (error) {
+      console.error("Send verification email error:", error);
+    }
+
+    // Unverified users cannot log in, so don't issue tokens yet
+    if (getVerificationPolicy() === "block_login") {
+      return res.status(201).json({
+        success: true,
+        message:
+          "User registered successfully. Please verify your email before logging in.",
+        data: {
+          user,
+          emailVerificationRequired: true,
+        },
+      });
+    }
 
-    // Save refresh token to user
-    await user.addRefreshToken(refreshToken);
+    // Generate tokens and save refresh token to user
+    const { accessToken, refreshToken } = await issueAuthTokens(user, req);
 
     // Log login activity
     await logActivity(user._id, "login", req, true, {
@@ -93,41 +142,97 @@ router.post("/login", async (req, res) => {
     const { email, password } = req.body;
 
     // Validation
-    if (!email || !password) {
+    if (
+      !email ||
+      !password ||
+      typeof email !== "string" ||
+      typeof password !== "string"
+    ) {
       return res.status(400).json({
         success: false,
         message: "Please provide email and password",
       });
     }
 
-    // Check if user exists
     const user = await User.findOne({ email });
-    if (!user) {
+    const userId = user ? user._id : null;
+    const ipAddress = getClientIp(req);
+
+    // Locked out (account or IP): same response as a wrong password, and
+    // the password is not even checked
+    const lockout = await checkLoginThrottle(email, ipAddress);
+    if (lockout.locked) {
+      await logActivity(userId, "login_locked", req, false, {
+        loginMethod: "email_password",
+        email,
+        scopes: lockout.scopes,
+        lockedUntil: lockout.lockedUntil,
+      });
+
       return res.status(401).json({
         success: false,
         message: "Invalid credentials",
       });
     }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
+    // Check if user exists and password is valid
+    const isPasswordValid = user && (await user.comparePassword(password));
     if (!isPasswordValid) {
+      const failure = await recordLoginFailure(email, ipAddress);
+
+      await logActivity(userId, "login", req, false, {
+        loginMethod: "email_password",
+        email,
+        reason: user ? "invalid_password" : "unknown_email",
+      });
+
+      if (failure.lockedScopes.length > 0) {
+        await logActivity(userId, "account_locked", req, false, {
+          email,
+          scopes: failure.lockedScopes,
+          lockedUntil: failure.lockedUntil,
+        });
+      }
+
       return res.status(401).json({
         success: false,
         message: "Invalid credentials",
       });
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken({
-      id: user._id,
-      email: user.email,
-      role: user.role,
-    });
-    const refreshToken = generateRefreshToken({ id: user._id });
+    // Suspended and disabled accounts only learn so with the right password
+    if (
+      await rejectInactiveAccount(user, req, res, {
+        loginMethod: "email_password",
+      })
+    ) {
+      return;
+    }
+
+    // Enforce email verification policy
+    if (getVerificationPolicy() === "block_login" && !user.isEmailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: "Please verify your email address before logging in",
+      });
+    }
+
+    // Second factor required: return a short-lived challenge instead of tokens
+    if (user.mfa && user.mfa.enabled) {
+      return res.json({
+        success: true,
+        message: "Two-factor authentication required",
+        data: {
+          mfaRequired: true,
+          mfaToken: generateMfaChallengeToken({ id: user._id }),
+        },
+      });
+    }
 
-    // Save refresh token to user
-    await user.addRefreshToken(refreshToken);
+    await resetAccountThrottle(email);
+
+    // Generate tokens and save refresh token to user
+    const { accessToken, refreshToken } = await issueAuthTokens(user, req);
 
     // Log login activity
     await logActivity(user._id, "login", req, true, {
@@ -152,19 +257,208 @@ router.post("/login", async (req, res) => {
   }
 });
 
-// @route   GET /auth/me
-// @desc    Get current user
-// @access  Private
-router.get("/me", auth, activityLogger("profile_access"), async (req, res) => {
+// @route   POST /auth/verify-email
+// @desc    Verify email address with token from verification email
+// @access  Public
+router.post("/verify-email", async (req, res) => {
   try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification token required",
+      });
+    }
+
+    const decoded = verifyEmailVerificationToken(token);
+
+    // Token is only valid for the address it was issued to
+    const user = await User.findById(decoded.id);
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired verification token",
+      });
+    }
+
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      await user.save();
+
+      await logActivity(user._id, "email_verified", req, true, {
+        email: user.email,
+      });
+    }
+
     res.json({
       success: true,
+      message: "Email verified successfully",
       data: {
-        user: req.user,
+        user,
       },
     });
   } catch (error) {
-    console.error("Get me error:", error);
+    if (
+      error.name === "JsonWebTokenError" ||
+      error.name === "TokenExpiredError"
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired verification token",
+      });
+    }
+
+    console.error("Verify email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /auth/resend-verification
+// @desc    Resend email verification link
+// @access  Public
+router.post("/resend-verification", async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide email",
+      });
+    }
+
+    // Same response, in the same time, whether or not the account exists
+    // or is verified: the email is sent in the background
+    const user = await User.findOne({ email });
+    if (user && !user.isEmailVerified) {
+      sendVerificationEmail(user)
+        .then(() =>
+          logActivity(user._id, "email_verification_sent", req, true, {
+            trigger: "resend",
+          })
+        )
+        .catch((error) => {
+          console.error("Send verification email error:", error);
+        });
+    }
+
+    res.json({
+      success: true,
+      message:
+        "If an unverified account exists for this email, a verification link has been sent",
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /auth/forgot-password
+// @desc    Send password reset link
+// @access  Public
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide email",
+      });
+    }
+
+    // Same response, in the same time, whether or not the account exists:
+    // the email is sent in the background
+    const user = await User.findOne({ email });
+    if (user) {
+      sendPasswordResetEmail(user).catch((error) => {
+        console.error("Send password reset email error:", error);
+      });
+    }
+
+    res.json({
+      success: true,
+      message:
+        "If an account exists for this email, a password reset link has been sent",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /auth/reset-password
+// @desc    Reset password with token from reset email
+// @access  Public
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (
+      !token ||
+      !password ||
+      typeof token !== "string" ||
+      typeof password !== "string"
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide token and password",
+      });
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError,
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashResetToken(token),
+      passwordResetExpires: { $gt: new Date() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired reset token",
+      });
+    }
+
+    // Consume the token and sign out every session
+    const tokensRevoked = user.refreshTokens.length;
+    user.password = password;
+    user.passwordResetToken = null;
+    user.passwordResetExpires = null;
+    user.refreshTokens = [];
+    user.tokensValidAfter = new Date();
+    // Receiving the reset email proves ownership of the address
+    user.isEmailVerified = true;
+    await user.save();
+
+    await logActivity(user._id, "password_change", req, true, {
+      method: "reset",
+      tokensRevoked,
+    });
+
+    res.json({
+      success: true,
+      message:
+        "Password reset successful. Please log in with your new password.",
+    });
+  } catch (error) {
+    console.error("Reset password error:", error);
     res.status(500).json({
       success: false,
       message: "Internal server error",
@@ -172,6 +466,31 @@ router.get("/me", auth, activityLogger("profile_access"), async (req, res) => {
   }
 });
 
+// @route   GET /auth/me
+// @desc    Get current user
+// @access  Private (or personal token with profile:read)
+router.get(
+  "/me",
+  readProfileAuth,
+  activityLogger("profile_access"),
+  async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: {
+          user: req.user,
+        },
+      });
+    } catch (error) {
+      console.error("Get me error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
 // @route   GET /auth/me-query
 // @desc    Get current user (alternative with query parameter support)
 // @access  Public (token via query param)
@@ -186,11 +505,7 @@ router.get("/me-query", async (req, res) => {
       });
     }
 
-    const { verifyAccessToken } = require("../utils/jwt");
-    const decoded = verifyAccessToken(token);
-    const user = await User.findById(decoded.id).select(
-      "-password -refreshTokens"
-    );
+    const { user } = await authenticateAccessToken(token);
 
     if (!user) {
       return res.status(401).json({
@@ -220,6 +535,20 @@ router.get("/me-query", async (req, res) => {
       });
     }
 
+    if (error.name === "TokenRevokedError") {
+      return res.status(401).json({
+        success: false,
+        message: "Token revoked.",
+      });
+    }
+
+    if (error.name === "AccountStatusError") {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error("Auth me-query error:", error);
     res.status(500).json({
       success: false,
@@ -229,7 +558,7 @@ router.get("/me-query", async (req, res) => {
 });
 
 // @route   POST /auth/refresh
-// @desc    Refresh access token
+// @desc    Rotate refresh token and issue new access token
 // @access  Public
 router.post("/refresh", async (req, res) => {
   try {
@@ -254,27 +583,62 @@ router.post("/refresh", async (req, res) => {
       });
     }
 
-    const tokenExists = user.refreshTokens.some(
-      (t) => t.token === refreshToken
-    );
-    if (!tokenExists) {
+    // Suspending an account drops its refresh tokens, so this only catches
+    // a status set without going through PUT /users/:id/status
+    try {
+      assertAccountActive(user);
+    } catch (error) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const tokenEntry = user.findRefreshToken(refreshToken);
+
+    // Rotate the token. Losing the race to a concurrent rotation counts as
+    // reuse, just like presenting an already-rotated token.
+    const rotated =
+      tokenEntry && (await rotateAuthTokens(user, tokenEntry, req));
+
+    if (!rotated) {
+      // A validly signed token that is no longer stored while its family is
+      // still active has already been rotated: assume it was stolen and
+      // revoke the whole family
+      const family = (tokenEntry && tokenEntry.family) || decoded.family;
+      const current = tokenEntry ? await User.findById(user._id) : user;
+      if (family && current.refreshTokens.some((t) => t.family === family)) {
+        await revokeSessionAccessTokens(
+          current.refreshTokens
+            .filter((t) => t.family === family)
+            .map((t) => t._id)
+        );
+        const tokensRevoked = await current.revokeRefreshTokenFamily(family);
+
+        await logActivity(user._id, "refresh_token_reuse", req, false, {
+          family,
+          tokensRevoked,
+        });
+        console.warn(
+          `🚨 Refresh token reuse detected for user ${user._id}, family ${family} revoked`
+        );
+      }
+
       return res.status(401).json({
         success: false,
         message: "Invalid refresh token",
       });
     }
 
-    // Generate new access token
-    const newAccessToken = generateAccessToken({
-      id: user._id,
-      email: user.email,
-      role: user.role,
+    await logActivity(user._id, "token_refresh", req, true, {
+      family: rotated.family,
     });
 
     res.json({
       success: true,
       data: {
-        accessToken: newAccessToken,
+        accessToken: rotated.accessToken,
+        refreshToken: rotated.refreshToken,
       },
     });
   } catch (error) {
@@ -303,13 +667,27 @@ router.post("/logout", auth, async (req, res) => {
   try {
     const { refreshToken } = req.body;
 
+    if (refreshToken !== undefined && typeof refreshToken !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "refreshToken must be a string",
+      });
+    }
+
     if (refreshToken) {
-      // Remove specific refresh token
-      await req.user.removeRefreshToken(refreshToken);
+      // Remove specific refresh token (req.user is loaded without them)
+      const user = await User.findById(req.user._id);
+      const session = user.findRefreshToken(refreshToken);
+      await user.removeRefreshToken(refreshToken);
+
+      // End the session's access tokens, and this one in any case
+      await revokeSessionAccessTokens(session ? session._id : req.sessionId);
+      await revokeAccessToken(req.tokenPayload);
       console.log(`🗑️ Removed specific refresh token for user ${req.user._id}`);
     } else {
       // If no refresh token provided, remove all refresh tokens (logout all)
       req.user.refreshTokens = [];
+      req.user.tokensValidAfter = new Date();
       await req.user.save();
       console.log(`🗑️ Removed ALL refresh tokens for user ${req.user._id}`);
     }
@@ -338,8 +716,9 @@ router.post("/logout", auth, async (req, res) => {
 // @access  Private
 router.post("/logout-all", auth, async (req, res) => {
   try {
-    // Clear all refresh tokens
+    // Clear all refresh tokens and invalidate issued access tokens
     req.user.refreshTokens = [];
+    req.user.tokensValidAfter = new Date();
     await req.user.save();
 
     // Log logout all activity
@@ -360,18 +739,135 @@ router.post("/logout-all", auth, async (req, res) => {
   }
 });
 
+// @route   POST /auth/change-password
+// @desc    Change password (or set a first password for social-login accounts)
+// @access  Private
+router.post("/change-password", auth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword, signOutOtherSessions, refreshToken } =
+      req.body;
+
+    if (!newPassword || typeof newPassword !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide new password",
+      });
+    }
+
+    if (
+      (currentPassword !== undefined && typeof currentPassword !== "string") ||
+      (refreshToken !== undefined && typeof refreshToken !== "string")
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "currentPassword and refreshToken must be strings",
+      });
+    }
+
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError,
+      });
+    }
+
+    // req.user is loaded without password and refresh tokens
+    const user = await User.findById(req.user._id);
+    const isFirstPassword = !user.password;
+
+    if (!isFirstPassword) {
+      if (!currentPassword) {
+        return res.status(400).json({
+          success: false,
+          message: "Please provide current password",
+        });
+      }
+
+      const isPasswordValid = await user.comparePassword(currentPassword);
+      if (!isPasswordValid) {
+        await logActivity(user._id, "password_change", req, false, {
+          method: "change",
+          reason: "invalid_current_password",
+        });
+
+        return res.status(401).json({
+          success: false,
+          message: "Current password is incorrect",
+        });
+      }
+
+      if (await user.comparePassword(newPassword)) {
+        return res.status(400).json({
+          success: false,
+          message: "New password must be different from current password",
+        });
+      }
+    }
+
+    user.password = newPassword;
+
+    // Keep only the current session: the one identified by the provided
+    // refresh token, or else the one this access token was issued for
+    const current =
+      user.findRefreshToken(refreshToken) ||
+      (req.sessionId && user.refreshTokens.id(req.sessionId));
+    let sessionsRevoked = 0;
+    if (signOutOtherSessions) {
+      const remaining = user.refreshTokens.filter(
+        (t) => current && t.tokenId === current.tokenId
+      );
+      sessionsRevoked = user.refreshTokens.length - remaining.length;
+      user.refreshTokens = remaining;
+    }
+
+    // Invalidate every access token issued so far; the caller gets a fresh
+    // one below, other sessions have to refresh
+    user.tokensValidAfter = new Date();
+    await user.save();
+
+    await logActivity(user._id, "password_change", req, true, {
+      method: "change",
+      firstPassword: isFirstPassword,
+      sessionsRevoked,
+    });
+
+    res.json({
+      success: true,
+      message: isFirstPassword
+        ? "Password set successfully"
+        : "Password changed successfully",
+      data: {
+        accessToken: await issueAccessToken(
+          user,
+          current ? current._id : req.sessionId,
+          req.organizationId
+        ),
+        sessionsRevoked,
+      },
+    });
+  } catch (error) {
+    console.error("Change password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
 // @route   POST /auth/cleanup-tokens
 // @desc    Manual cleanup expired refresh tokens
-// @access  Private (Admin or self)
+// @access  Private (self, or anyone with sessions:manage)
 router.post("/cleanup-tokens", auth, async (req, res) => {
   try {
     const { userId, scope } = req.body;
     const { cleanupUserRefreshTokens, cleanupAllExpiredTokens, cleanupOldTokens } = require('../utils/tokenCleanup');
     
     let result = {};
+    const canManage = await hasPermission(req, "sessions:manage");
     
-    if (scope === 'all' && req.user.role === 'admin') {
-      // Admin can cleanup all users
+    if (scope === 'all' && canManage) {
+      // Session managers can cleanup all users
       const globalResult = await cleanupAllExpiredTokens();
       const oldTokensResult = await cleanupOldTokens(30);
       
@@ -382,8 +878,8 @@ router.post("/cleanup-tokens", auth, async (req, res) => {
         oldTokensCleaned: oldTokensResult
       };
       
-    } else if (userId && req.user.role === 'admin') {
-      // Admin can cleanup specific user
+    } else if (userId && canManage) {
+      // Session managers can cleanup a specific user
       const cleaned = await cleanupUserRefreshTokens(userId);
       result = {
         scope: 'user',
@@ -421,13 +917,13 @@ router.post("/cleanup-tokens", auth, async (req, res) => {
 
 // @route   GET /auth/token-stats
 // @desc    Get refresh token statistics
-// @access  Private (Admin or self)
+// @access  Private (self, or global with sessions:manage)
 router.get("/token-stats", auth, async (req, res) => {
   try {
     const { getCleanupStats } = require('../utils/tokenCleanup');
     
-    if (req.user.role === 'admin') {
-      // Admin gets global stats
+    if (await hasPermission(req, "sessions:manage")) {
+      // Session managers get global stats
       const globalStats = await getCleanupStats();
       
       res.json({
@@ -441,17 +937,16 @@ router.get("/token-stats", auth, async (req, res) => {
     } else {
       // User gets their own stats
       const user = await User.findById(req.user._id);
-      const { verifyRefreshToken } = require('../utils/jwt');
+      const { isRefreshTokenExpired } = require('../utils/tokenCleanup');
       
       let validTokens = 0;
       let expiredTokens = 0;
       
       for (const tokenObj of user.refreshTokens) {
-        try {
-          verifyRefreshToken(tokenObj.token);
-          validTokens++;
-        } catch (error) {
+        if (isRefreshTokenExpired(tokenObj)) {
           expiredTokens++;
+        } else {
+          validTokens++;
         }
       }
       
@@ -478,14 +973,19 @@ router.get("/token-stats", auth, async (req, res) => {
 });
 
 // @route   POST /auth/clear-tokens
-// @desc    Force clear all refresh tokens (admin or self)
+// @desc    Force clear all refresh tokens (self, or any user's with
+//          sessions:manage)
 // @access  Private
 router.post("/clear-tokens", auth, async (req, res) => {
   try {
     const { userId } = req.body;
     
-    // Allow admin to clear any user's tokens, or user to clear their own
-    if (userId && req.user.role !== 'admin' && userId !== req.user._id.toString()) {
+    // Session managers can clear any user's tokens, users their own
+    if (
+      userId &&
+      userId !== req.user._id.toString() &&
+      !(await hasPermission(req, "sessions:manage"))
+    ) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to clear other user's tokens"
@@ -501,9 +1001,18 @@ router.post("/clear-tokens", auth, async (req, res) => {
         message: "User not found"
       });
     }
+
+    if (!(await canManageAccount(req, user))) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Access denied. Clearing the tokens of a user with permissions you don't hold requires roles:manage.",
+      });
+    }
     
     const tokenCount = user.refreshTokens.length;
     user.refreshTokens = [];
+    user.tokensValidAfter = new Date();
     await user.save();
     
     // Log activity
@@ -545,8 +1054,10 @@ router.get("/tokens", auth, async (req, res) => {
         totalRefreshTokens: user.refreshTokens.length,
         tokens: user.refreshTokens.map(t => ({
           id: t._id,
+          tokenId: t.tokenId,
+          family: t.family,
           createdAt: t.createdAt,
-          tokenPreview: t.token.substring(0, 20) + "..."
+          expiresAt: t.expiresAt
         }))
       }
     });
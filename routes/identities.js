@@ -0,0 +1,349 @@
+const express = require("express");
+const User = require("../models/User");
+const LinkedIdentity = require("../models/LinkedIdentity");
+const { auth } = require("../middleware/auth");
+const { logActivity } = require("../utils/activityLogger");
+const { issueAuthTokens } = require("../utils/authTokens");
+const { rejectInactiveAccount } = require("../utils/accountStatus");
+const { verifyIdentityLinkToken } = require("../utils/jwt");
+const {
+  linkIdentity,
+  countLoginMethods,
+} = require("../utils/linkedIdentities");
+const { getVerificationPolicy } = require("../utils/emailVerification");
+const {
+  getSocialProvider,
+  getSocialProviders,
+} = require("../config/socialProviders");
+const { getClientIp } = require("../utils/requestInfo");
+const {
+  checkLoginThrottle,
+  recordLoginFailure,
+  resetAccountThrottle,
+} = require("../utils/loginThrottle");
+
+const router = express.Router();
+
+// How long a link started from a signed-in account waits for the provider
+// sign-in
+const LINK_REQUEST_TTL_MS = 5 * 60 * 1000;
+
+const formatIdentity = (identity) => ({
+  id: identity._id,
+  provider: identity.provider,
+  email: identity.email,
+  name: identity.name,
+  createdAt: identity.createdAt,
+  lastLoginAt: identity.lastLoginAt,
+});
+
+// @route   GET /auth/identities
+// @desc    List linked external identities and the user's login methods
+// @access  Private
+router.get("/identities", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const identities = await LinkedIdentity.find({ userId: user._id }).sort({
+      createdAt: 1,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        identities: identities.map(formatIdentity),
+        providers: getSocialProviders().map(({ name, label }) => ({
+          name,
+          label,
+          linked: identities.some((identity) => identity.provider === name),
+        })),
+        hasPassword: !!user.password,
+        passkeys: user.passkeys.length,
+      },
+    });
+  } catch (error) {
+    console.error("Get identities error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /auth/identities/confirm
+// @desc    Confirm linking an external identity to an existing account with
+//          that account's password (and second factor), then sign in
+// @access  Public
+router.post("/identities/confirm", async (req, res) => {
+  try {
+    const { linkToken, password, code, recoveryCode } = req.body;
+
+    if (
+      !linkToken ||
+      !password ||
+      typeof linkToken !== "string" ||
+      typeof password !== "string"
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide linkToken and password",
+      });
+    }
+
+    if (
+      (code !== undefined && typeof code !== "string") ||
+      (recoveryCode !== undefined && typeof recoveryCode !== "string")
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "code and recoveryCode must be strings",
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyIdentityLinkToken(linkToken);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired link token",
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired link token",
+      });
+    }
+
+    if (!user.password) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "This account has no password. Sign in with one of its login methods and link the account from there.",
+      });
+    }
+
+    // Same brute-force protection as the password login
+    const ipAddress = getClientIp(req);
+    const lockout = await checkLoginThrottle(user.email, ipAddress);
+    if (lockout.locked) {
+      await logActivity(user._id, "login_locked", req, false, {
+        loginMethod: "email_password",
+        context: "identity_link",
+        scopes: lockout.scopes,
+        lockedUntil: lockout.lockedUntil,
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid credentials",
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (isPasswordValid && user.mfa.enabled && !code && !recoveryCode) {
+      return res.status(401).json({
+        success: false,
+        message: "Two-factor authentication code required",
+        data: {
+          mfaRequired: true,
+        },
+      });
+    }
+
+    const secondFactor =
+      isPasswordValid &&
+      (!user.mfa.enabled || user.verifySecondFactor({ code, recoveryCode }));
+
+    if (!secondFactor) {
+      const failure = await recordLoginFailure(user.email, ipAddress);
+
+      await logActivity(user._id, "identity_linked", req, false, {
+        provider: decoded.provider,
+        reason: isPasswordValid ? "invalid_mfa_code" : "invalid_password",
+      });
+
+      if (failure.lockedScopes.length > 0) {
+        await logActivity(user._id, "account_locked", req, false, {
+          email: user.email,
+          context: "identity_link",
+          scopes: failure.lockedScopes,
+          lockedUntil: failure.lockedUntil,
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: isPasswordValid
+          ? "Invalid verification code"
+          : "Invalid credentials",
+      });
+    }
+
+    if (
+      await rejectInactiveAccount(
+        user,
+        req,
+        res,
+        { provider: decoded.provider },
+        "social_login"
+      )
+    ) {
+      return;
+    }
+
+    if (getVerificationPolicy() === "block_login" && !user.isEmailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: "Please verify your email address before logging in",
+      });
+    }
+
+    await resetAccountThrottle(user.email);
+    if (user.mfa.enabled) {
+      // Persist the used TOTP step or recovery code
+      await user.save();
+    }
+
+    try {
+      await linkIdentity(user._id, decoded.provider, {
+        subject: decoded.subject,
+        email: decoded.email,
+        name: decoded.name,
+      });
+    } catch (error) {
+      if (error.name !== "IdentityLinkError") throw error;
+
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    await logActivity(user._id, "identity_linked", req, true, {
+      provider: decoded.provider,
+      confirmedBy: "password",
+    });
+
+    const { accessToken, refreshToken } = await issueAuthTokens(user, req);
+
+    await logActivity(user._id, "social_login", req, true, {
+      provider: decoded.provider,
+    });
+
+    res.json({
+      success: true,
+      message: "Account linked",
+      data: {
+        user,
+        accessToken,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    console.error("Confirm identity link error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /auth/identities/:provider/link
+// @desc    Start linking a provider account; open the returned URL in the
+//          same browser (the request must carry its session cookie) to
+//          sign in with the provider
+// @access  Private
+router.post("/identities/:provider/link", auth, async (req, res) => {
+  try {
+    const provider = getSocialProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: "Provider not found",
+      });
+    }
+
+    const linked = await LinkedIdentity.exists({
+      userId: req.user._id,
+      provider: provider.name,
+    });
+    if (linked) {
+      return res.status(409).json({
+        success: false,
+        message: `A ${provider.label} account is already linked`,
+      });
+    }
+
+    // Kept server-side in this browser's session, so the provider sign-in
+    // can only complete the link from the session that asked for it
+    req.session.socialLink = {
+      userId: String(req.user._id),
+      provider: provider.name,
+      expiresAt: Date.now() + LINK_REQUEST_TTL_MS,
+    };
+
+    res.json({
+      success: true,
+      data: {
+        url: `/auth/${provider.name}?link=1`,
+      },
+    });
+  } catch (error) {
+    console.error("Link identity error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /auth/identities/:provider/unlink
+// @desc    Unlink a provider account, unless it is the last login method
+// @access  Private
+router.post("/identities/:provider/unlink", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const identity = await LinkedIdentity.findOne({
+      userId: user._id,
+      provider: req.params.provider,
+    });
+
+    if (!identity) {
+      return res.status(404).json({
+        success: false,
+        message: "Linked account not found",
+      });
+    }
+
+    if ((await countLoginMethods(user)) <= 1) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Cannot remove your last login method. Set a password or add a passkey first.",
+      });
+    }
+
+    await identity.deleteOne();
+
+    await logActivity(user._id, "identity_unlinked", req, true, {
+      provider: identity.provider,
+    });
+
+    res.json({
+      success: true,
+      message: "Account unlinked",
+    });
+  } catch (error) {
+    console.error("Unlink identity error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+module.exports = router;
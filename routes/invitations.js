@@ -0,0 +1,423 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Invitation = require("../models/Invitation");
+const User = require("../models/User");
+const { verifiedAuth, requirePermission } = require("../middleware/auth");
+const { logActivity } = require("../utils/activityLogger");
+const { issueAuthTokens } = require("../utils/authTokens");
+const { validatePassword } = require("../utils/password");
+const { hasPermission, findUnknownRoles } = require("../utils/permissions");
+const {
+  InvitationError,
+  sendInvitationEmail,
+  findPendingInvitation,
+  claimInvitation,
+} = require("../utils/invitations");
+const { DEFAULT_ROLE } = require("../config/permissions");
+
+const router = express.Router();
+
+const inviteAuth = [...verifiedAuth, requirePermission("users:invite")];
+
+const STATUSES = ["pending", "accepted", "revoked", "expired"];
+
+const formatInvitation = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  roles: invitation.roles,
+  status: invitation.getStatus(),
+  invitedBy: invitation.invitedBy,
+  expiresAt: invitation.expiresAt,
+  sentAt: invitation.sentAt,
+  sendCount: invitation.sendCount,
+  acceptedAt: invitation.acceptedAt,
+  acceptedBy: invitation.acceptedBy,
+  revokedAt: invitation.revokedAt,
+  createdAt: invitation.createdAt,
+});
+
+// Query for invitations in a given status
+const statusFilter = (status) => {
+  const now = new Date();
+  switch (status) {
+    case "pending":
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+    case "accepted":
+      return { acceptedAt: { $ne: null } };
+    case "revoked":
+      return { acceptedAt: null, revokedAt: { $ne: null } };
+    case "expired":
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+    default:
+      return {};
+  }
+};
+
+// Account invitation in :id that can still be resent or revoked; sends the
+// error response and returns null otherwise
+const findOpenInvitation = async (req, res) => {
+  const invitation = mongoose.isValidObjectId(req.params.id)
+    ? await Invitation.findOne({ _id: req.params.id, organizationId: null })
+    : null;
+
+  if (!invitation) {
+    res.status(404).json({
+      success: false,
+      message: "Invitation not found",
+    });
+    return null;
+  }
+
+  const status = invitation.getStatus();
+  if (status === "accepted" || status === "revoked") {
+    res.status(400).json({
+      success: false,
+      message: `Invitation has already been ${status}`,
+    });
+    return null;
+  }
+
+  return invitation;
+};
+
+// @route   POST /users/invitations
+// @desc    Invite someone to create an account with preset roles
+// @access  Private (users:invite permission; roles other than the default
+//          also need roles:manage)
+router.post("/", inviteAuth, async (req, res) => {
+  try {
+    const { email, roles = [DEFAULT_ROLE] } = req.body;
+
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide email",
+      });
+    }
+
+    if (
+      !Array.isArray(roles) ||
+      roles.length === 0 ||
+      roles.some((role) => typeof role !== "string")
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "roles must be a non-empty array of role names",
+      });
+    }
+
+    const names = [...new Set(roles.map((role) => role.toLowerCase()))];
+    const unknown = await findUnknownRoles(names);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown roles: ${unknown.join(", ")}`,
+      });
+    }
+
+    // Inviting with a role is granting it
+    if (
+      names.some((name) => name !== DEFAULT_ROLE) &&
+      !(await hasPermission(req, "roles:manage"))
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Inviting with roles other than ${DEFAULT_ROLE} requires roles:manage.`,
+      });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+
+    if (await User.exists({ email: normalizedEmail }).withDeleted()) {
+      return res.status(409).json({
+        success: false,
+        message: "An account already exists for this email",
+      });
+    }
+
+    const pending = await Invitation.exists({
+      email: normalizedEmail,
+      organizationId: null,
+      ...statusFilter("pending"),
+    });
+    if (pending) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "A pending invitation already exists for this email; resend it instead",
+      });
+    }
+
+    const invitation = new Invitation({
+      email: normalizedEmail,
+      roles: names,
+      invitedBy: req.user._id,
+    });
+    await sendInvitationEmail(invitation, req.user);
+
+    await logActivity(req.user._id, "invitation_sent", req, true, {
+      invitationId: invitation._id,
+      email: invitation.email,
+      roles: invitation.roles,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation sent",
+      data: {
+        invitation: formatInvitation(invitation),
+      },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      });
+    }
+
+    console.error("Create invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   GET /users/invitations
+// @desc    List account invitations
+//          (?status=pending|accepted|revoked|expired)
+// @access  Private (users:invite permission)
+router.get("/", inviteAuth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { status } = req.query;
+
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${STATUSES.join(", ")}`,
+      });
+    }
+
+    // Organization invitations belong to their organization's admins
+    const filter = { organizationId: null, ...statusFilter(status) };
+    const invitations = await Invitation.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Invitation.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        invitations: invitations.map(formatInvitation),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get invitations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /users/invitations/accept
+// @desc    Accept an invitation: create the account with the invitation's
+//          roles, then sign in
+// @access  Public
+router.post("/accept", async (req, res) => {
+  try {
+    const { token, name, password } = req.body;
+
+    if (!token || !name || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide token, name, and password",
+      });
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError,
+      });
+    }
+
+    let invitation;
+    try {
+      invitation = await findPendingInvitation(token);
+
+      // Accepted by the signed-in account at POST /orgs/invitations/accept
+      if (invitation.organizationId) {
+        throw new InvitationError("organization_invitation");
+      }
+
+      if (await User.exists({ email: invitation.email }).withDeleted()) {
+        throw new InvitationError(
+          "account_exists",
+          "An account already exists for this email"
+        );
+      }
+
+      // Lost a race with another accept, a revoke or a resend
+      invitation = await claimInvitation(invitation);
+      if (!invitation) {
+        throw new InvitationError("already_accepted");
+      }
+    } catch (error) {
+      if (error.name !== "InvitationError") throw error;
+
+      await logActivity(null, "invitation_accepted", req, false, {
+        reason: error.reason,
+      });
+
+      return res.status(error.reason === "account_exists" ? 409 : 400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    // The invitation link was mailed to the address, so it is verified
+    const user = new User({
+      name,
+      email: invitation.email,
+      password,
+      roles: invitation.roles,
+      isEmailVerified: true,
+    });
+
+    try {
+      await user.save();
+    } catch (error) {
+      // Leave the invitation usable if the account could not be created
+      invitation.acceptedAt = null;
+      await invitation.save();
+      throw error;
+    }
+
+    invitation.acceptedBy = user._id;
+    await invitation.save();
+
+    await logActivity(user._id, "invitation_accepted", req, true, {
+      invitationId: invitation._id,
+      invitedBy: invitation.invitedBy,
+      roles: invitation.roles,
+    });
+
+    // Generate tokens and save refresh token to user
+    const { accessToken, refreshToken } = await issueAuthTokens(user, req);
+
+    await logActivity(user._id, "login", req, true, {
+      loginMethod: "invitation",
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Account created",
+      data: {
+        user,
+        accessToken,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      });
+    }
+
+    console.error("Accept invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /users/invitations/:id/resend
+// @desc    Send a new invitation link, invalidating the previous one and
+//          restarting the expiry
+// @access  Private (users:invite permission)
+router.post("/:id/resend", inviteAuth, async (req, res) => {
+  try {
+    const invitation = await findOpenInvitation(req, res);
+    if (!invitation) return;
+
+    if (await User.exists({ email: invitation.email }).withDeleted()) {
+      return res.status(409).json({
+        success: false,
+        message: "An account already exists for this email",
+      });
+    }
+
+    await sendInvitationEmail(invitation, req.user);
+
+    await logActivity(req.user._id, "invitation_resent", req, true, {
+      invitationId: invitation._id,
+      email: invitation.email,
+      sendCount: invitation.sendCount,
+    });
+
+    res.json({
+      success: true,
+      message: "Invitation resent",
+      data: {
+        invitation: formatInvitation(invitation),
+      },
+    });
+  } catch (error) {
+    console.error("Resend invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   DELETE /users/invitations/:id
+// @desc    Revoke an invitation so its link stops working
+// @access  Private (users:invite permission)
+router.delete("/:id", inviteAuth, async (req, res) => {
+  try {
+    const invitation = await findOpenInvitation(req, res);
+    if (!invitation) return;
+
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    await logActivity(req.user._id, "invitation_revoked", req, true, {
+      invitationId: invitation._id,
+      email: invitation.email,
+    });
+
+    res.json({
+      success: true,
+      message: "Invitation revoked",
+      data: {
+        invitation: formatInvitation(invitation),
+      },
+    });
+  } catch (error) {
+    console.error("Revoke invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+module.exports = router;
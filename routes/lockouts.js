@@ -0,0 +1,99 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const LoginThrottle = require("../models/LoginThrottle");
+const { verifiedAuth, requirePermission } = require("../middleware/auth");
+const { logActivity } = require("../utils/activityLogger");
+
+const router = express.Router();
+
+const manageLockoutsAuth = [
+  ...verifiedAuth,
+  requirePermission("lockouts:manage"),
+];
+
+// @route   GET /auth/lockouts
+// @desc    List login lockouts (?all=true includes failure counters)
+// @access  Private (lockouts:manage permission)
+router.get("/lockouts", manageLockoutsAuth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.all !== "true") {
+      filter.lockedUntil = { $gt: new Date() };
+    }
+    if (req.query.type) filter.type = req.query.type;
+
+    const lockouts = await LoginThrottle.find(filter)
+      .sort({ lockedUntil: -1, lastFailureAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await LoginThrottle.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        lockouts,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get lockouts error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   DELETE /auth/lockouts/:id
+// @desc    Clear a lockout and its failure counter
+// @access  Private (lockouts:manage permission)
+router.delete("/lockouts/:id", manageLockoutsAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({
+        success: false,
+        message: "Lockout not found",
+      });
+    }
+
+    const lockout = await LoginThrottle.findByIdAndDelete(id);
+
+    if (!lockout) {
+      return res.status(404).json({
+        success: false,
+        message: "Lockout not found",
+      });
+    }
+
+    await logActivity(req.user._id, "lockout_cleared", req, true, {
+      key: lockout.key,
+      type: lockout.type,
+      lockedUntil: lockout.lockedUntil,
+    });
+
+    res.json({
+      success: true,
+      message: "Lockout cleared",
+    });
+  } catch (error) {
+    console.error("Clear lockout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,23 @@
 const express = require("express");
 const ActivityLog = require("../models/ActivityLog");
-const { auth, adminAuth } = require("../middleware/auth");
+const {
+  verifiedAuth,
+  allowScopedTokens,
+  permissionOrScopedAuth,
+} = require("../middleware/auth");
 
 const router = express.Router();
 
+const readLogsAuth = permissionOrScopedAuth("logs:read");
+const readOrgLogsAuth = permissionOrScopedAuth("logs:read", {
+  orgScoped: true,
+});
+const readOwnLogsAuth = [allowScopedTokens("activity:read"), ...verifiedAuth];
+
 // @route   GET /logs/my-activity
 // @desc    Get current user's activity logs
-// @access  Private
-router.get("/my-activity", auth, async (req, res) => {
+// @access  Private (or personal token with activity:read)
+router.get("/my-activity", readOwnLogsAuth, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -42,9 +52,11 @@ router.get("/my-activity", auth, async (req, res) => {
 });
 
 // @route   GET /logs/all-activity
-// @desc    Get all users activity logs (admin only)
-// @access  Private (Admin)
-router.get("/all-activity", auth, adminAuth, async (req, res) => {
+// @desc    Get all users activity logs, or only the activity recorded in
+//          the active organization
+// @access  Private (logs:read permission or organization role, or scoped
+//          token with logs:read)
+router.get("/all-activity", readOrgLogsAuth, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
@@ -56,9 +68,10 @@ router.get("/all-activity", auth, adminAuth, async (req, res) => {
     const filter = {};
     if (action) filter.action = action;
     if (userId) filter.userId = userId;
+    if (req.organizationId) filter.organizationId = req.organizationId;
 
     const logs = await ActivityLog.find(filter)
-      .populate("userId", "name email role")
+      .populate("userId", "name email roles")
       .sort({ timestamp: -1 })
       .skip(skip)
       .limit(limit);
@@ -78,6 +91,7 @@ router.get("/all-activity", auth, adminAuth, async (req, res) => {
         filters: {
           action,
           userId,
+          organizationId: req.organizationId,
         },
       },
     });
@@ -91,9 +105,9 @@ router.get("/all-activity", auth, adminAuth, async (req, res) => {
 });
 
 // @route   GET /logs/stats
-// @desc    Get activity statistics (admin only)
-// @access  Private (Admin)
-router.get("/stats", auth, adminAuth, async (req, res) => {
+// @desc    Get activity statistics
+// @access  Private (logs:read permission, or scoped token with logs:read)
+router.get("/stats", readLogsAuth, async (req, res) => {
   try {
     const now = new Date();
     const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
@@ -0,0 +1,166 @@
+const express = require("express");
+const User = require("../models/User");
+const { generateMfaChallengeToken } = require("../utils/jwt");
+const { logActivity } = require("../utils/activityLogger");
+const { issueAuthTokens } = require("../utils/authTokens");
+const {
+  getAccountStatus,
+  rejectInactiveAccount,
+} = require("../utils/accountStatus");
+const {
+  generateDeviceToken,
+  sendMagicLinkEmail,
+  redeemMagicLink,
+} = require("../utils/magicLink");
+
+const router = express.Router();
+
+// @route   POST /auth/magic-link
+// @desc    Email a single-use login link (optionally bound to this device)
+// @access  Public
+router.post("/magic-link", async (req, res) => {
+  try {
+    const { email, sameDevice } = req.body;
+
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide email",
+      });
+    }
+
+    // Handed out whether or not the account exists, so the response does
+    // not reveal it
+    const deviceToken = sameDevice ? generateDeviceToken() : null;
+
+    // Blocked accounts get the same response but no link. The link is sent
+    // in the background so the response time doesn't tell either.
+    const user = await User.findOne({ email });
+    if (user && getAccountStatus(user) === "active") {
+      sendMagicLinkEmail(user, { deviceToken })
+        .then(() =>
+          logActivity(user._id, "magic_link_sent", req, true, {
+            sameDevice: !!deviceToken,
+          })
+        )
+        .catch((error) => {
+          console.error("Send magic link email error:", error);
+        });
+    }
+
+    res.json({
+      success: true,
+      message:
+        "If an account exists for this email, a login link has been sent",
+      ...(deviceToken && { data: { deviceToken } }),
+    });
+  } catch (error) {
+    console.error("Magic link error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /auth/magic-link/verify
+// @desc    Log in with a magic link token
+// @access  Public
+router.post("/magic-link/verify", async (req, res) => {
+  try {
+    const { token, deviceToken } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide token",
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = await redeemMagicLink(token, deviceToken);
+    } catch (error) {
+      if (error.name !== "MagicLinkError") throw error;
+
+      await logActivity(null, "login", req, false, {
+        loginMethod: "magic_link",
+        reason: error.reason,
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    // Link is only valid for the address it was sent to
+    const user = await User.findById(decoded.id);
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired login link",
+      });
+    }
+
+    if (
+      await rejectInactiveAccount(user, req, res, {
+        loginMethod: "magic_link",
+      })
+    ) {
+      return;
+    }
+
+    // Opening the link proves ownership of the address
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      await user.save();
+
+      await logActivity(user._id, "email_verified", req, true, {
+        email: user.email,
+        trigger: "magic_link",
+      });
+    }
+
+    // Second factor required: return a short-lived challenge instead of tokens
+    if (user.mfa && user.mfa.enabled) {
+      return res.json({
+        success: true,
+        message: "Two-factor authentication required",
+        data: {
+          mfaRequired: true,
+          mfaToken: generateMfaChallengeToken({
+            id: user._id,
+            loginMethod: "magic_link",
+          }),
+        },
+      });
+    }
+
+    // Generate tokens and save refresh token to user
+    const { accessToken, refreshToken } = await issueAuthTokens(user, req);
+
+    // Log login activity
+    await logActivity(user._id, "login", req, true, {
+      loginMethod: "magic_link",
+    });
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      data: {
+        user,
+        accessToken,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    console.error("Magic link verify error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+module.exports = router;
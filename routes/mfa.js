@@ -0,0 +1,393 @@
+const express = require("express");
+const User = require("../models/User");
+const { verifyMfaChallengeToken } = require("../utils/jwt");
+const { auth } = require("../middleware/auth");
+const { logActivity } = require("../utils/activityLogger");
+const { issueAuthTokens } = require("../utils/authTokens");
+const { rejectInactiveAccount } = require("../utils/accountStatus");
+const { generateSecret, buildOtpAuthUri } = require("../utils/totp");
+const { getClientIp } = require("../utils/requestInfo");
+const { claimTokenUse, isTokenUsed } = require("../utils/tokenRevocation");
+const {
+  checkLoginThrottle,
+  recordLoginFailure,
+  resetAccountThrottle,
+} = require("../utils/loginThrottle");
+
+const router = express.Router();
+
+// Count a wrong password or code towards the login lockout, so a stolen
+// access token can't be used to guess them either
+const recordGuessFailure = async (user, req, context) => {
+  const failure = await recordLoginFailure(user.email, getClientIp(req));
+
+  if (failure.lockedScopes.length > 0) {
+    await logActivity(user._id, "account_locked", req, false, {
+      email: user.email,
+      context,
+      scopes: failure.lockedScopes,
+      lockedUntil: failure.lockedUntil,
+    });
+  }
+};
+
+// Sends the 401 and returns true while the account or IP is locked out
+const rejectLockedOut = async (user, req, res, context) => {
+  const lockout = await checkLoginThrottle(user.email, getClientIp(req));
+  if (!lockout.locked) return false;
+
+  await logActivity(user._id, "login_locked", req, false, {
+    context,
+    scopes: lockout.scopes,
+    lockedUntil: lockout.lockedUntil,
+  });
+
+  res.status(401).json({
+    success: false,
+    message: "Invalid credentials",
+  });
+  return true;
+};
+
+// @route   POST /auth/mfa/setup
+// @desc    Start TOTP enrollment (returns secret and otpauth URI)
+// @access  Private
+router.post("/mfa/setup", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.mfa.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const secret = generateSecret();
+    user.mfa.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Scan the QR code and confirm with a code from your app",
+      data: {
+        secret,
+        otpauthUri: buildOtpAuthUri({
+          secret,
+          accountName: user.email,
+          issuer: process.env.MFA_ISSUER || "Node Auth API",
+        }),
+      },
+    });
+  } catch (error) {
+    console.error("MFA setup error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /auth/mfa/confirm
+// @desc    Confirm TOTP enrollment and receive recovery codes
+// @access  Private
+router.post("/mfa/confirm", auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide code",
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.mfa.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "No pending two-factor enrollment. Call /auth/mfa/setup first",
+      });
+    }
+
+    if (!user.verifyMfaCode(code, { pending: true })) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid verification code",
+      });
+    }
+
+    user.mfa.secret = user.mfa.pendingSecret;
+    user.mfa.pendingSecret = null;
+    user.mfa.enabled = true;
+    user.mfa.enabledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    await logActivity(user._id, "mfa_enabled", req, true, {
+      method: "totp",
+    });
+
+    res.json({
+      success: true,
+      message:
+        "Two-factor authentication enabled. Store these recovery codes safely; they will not be shown again.",
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    console.error("MFA confirm error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /auth/mfa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post("/mfa/disable", auth, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id);
+
+    if (!user.mfa.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (await rejectLockedOut(user, req, res, "mfa_disable")) return;
+
+    // Require the password too, unless the account has none (Google-only)
+    if (
+      user.password &&
+      !(await user.comparePassword(
+        typeof password === "string" ? password : ""
+      ))
+    ) {
+      await recordGuessFailure(user, req, "mfa_disable");
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid credentials",
+      });
+    }
+
+    const method = user.verifySecondFactor({ code, recoveryCode });
+    if (!method) {
+      await recordGuessFailure(user, req, "mfa_disable");
+      await logActivity(user._id, "mfa_verify", req, false, {
+        context: "disable",
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid verification code",
+      });
+    }
+
+    await resetAccountThrottle(user.email);
+
+    user.mfa.enabled = false;
+    user.mfa.secret = null;
+    user.mfa.pendingSecret = null;
+    user.mfa.lastUsedStep = null;
+    user.mfa.recoveryCodes = [];
+    user.mfa.enabledAt = null;
+    await user.save();
+
+    await logActivity(user._id, "mfa_disabled", req, true, { method });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    console.error("MFA disable error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /auth/mfa/recovery-codes
+// @desc    Regenerate recovery codes (invalidates the previous set)
+// @access  Private
+router.post("/mfa/recovery-codes", auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id);
+
+    if (!user.mfa.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (await rejectLockedOut(user, req, res, "mfa_recovery_codes")) return;
+
+    if (!code || !user.verifyMfaCode(code)) {
+      await logActivity(user._id, "mfa_verify", req, false, {
+        context: "recovery_codes",
+      });
+      await recordGuessFailure(user, req, "mfa_recovery_codes");
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid verification code",
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+    await resetAccountThrottle(user.email);
+
+    await logActivity(user._id, "mfa_recovery_codes_generated", req, true, {
+      count: recoveryCodes.length,
+    });
+
+    res.json({
+      success: true,
+      message: "New recovery codes generated",
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    console.error("MFA recovery codes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /auth/login/mfa
+// @desc    Complete login with MFA challenge token and second factor
+// @access  Public
+router.post("/login/mfa", async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide mfaToken and code or recoveryCode",
+      });
+    }
+
+    const decoded = verifyMfaChallengeToken(mfaToken);
+    if (await isTokenUsed(decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired MFA challenge",
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+    // First step of the login (password, magic link or social login)
+    const loginMethod = decoded.loginMethod || "email_password";
+
+    if (!user || !user.mfa.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid MFA challenge",
+      });
+    }
+
+    // Second-factor guesses count towards the same lockout as passwords
+    const ipAddress = getClientIp(req);
+    const lockout = await checkLoginThrottle(user.email, ipAddress);
+    if (lockout.locked) {
+      await logActivity(user._id, "login_locked", req, false, {
+        loginMethod,
+        context: "mfa",
+        scopes: lockout.scopes,
+        lockedUntil: lockout.lockedUntil,
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid verification code",
+      });
+    }
+
+    const method = await user.consumeSecondFactor({ code, recoveryCode });
+    if (!method) {
+      await logActivity(user._id, "mfa_verify", req, false, {
+        context: "login",
+      });
+      await recordGuessFailure(user, req, "mfa");
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid verification code",
+      });
+    }
+
+    // Use up the challenge; of concurrent requests with it only one wins
+    if (!(await claimTokenUse(decoded))) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired MFA challenge",
+      });
+    }
+
+    await resetAccountThrottle(user.email);
+
+    await logActivity(user._id, "mfa_verify", req, true, {
+      context: "login",
+      method,
+    });
+
+    // Suspended after the challenge was issued
+    if (await rejectInactiveAccount(user, req, res, { loginMethod })) return;
+
+    // Generate tokens and save refresh token to user
+    const { accessToken, refreshToken } = await issueAuthTokens(user, req);
+
+    // Log login activity
+    await logActivity(user._id, "login", req, true, {
+      loginMethod,
+      ...(decoded.provider && { provider: decoded.provider }),
+      mfaMethod: method,
+    });
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      data: {
+        user,
+        accessToken,
+        refreshToken,
+        remainingRecoveryCodes: user.mfa.recoveryCodes.filter((c) => !c.usedAt)
+          .length,
+      },
+    });
+  } catch (error) {
+    if (
+      error.name === "JsonWebTokenError" ||
+      error.name === "TokenExpiredError"
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired MFA challenge",
+      });
+    }
+
+    console.error("MFA login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+module.exports = router;
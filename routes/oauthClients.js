@@ -0,0 +1,416 @@
+const express = require("express");
+const OAuthClient = require("../models/OAuthClient");
+const OAuthConsent = require("../models/OAuthConsent");
+const OAuthAuthorizationCode = require("../models/OAuthAuthorizationCode");
+const { verifiedAuth, requirePermission } = require("../middleware/auth");
+const { logActivity } = require("../utils/activityLogger");
+const { SUPPORTED_SCOPES } = require("../utils/oidc");
+const { API_SCOPES } = require("../config/scopes");
+
+const router = express.Router();
+
+const manageClientsAuth = [
+  ...verifiedAuth,
+  requirePermission("clients:manage"),
+];
+
+const GRANT_TYPES = ["authorization_code", "client_credentials"];
+
+// Check a client's settings; returns an error message or null
+const validateClientSettings = ({ type, grantTypes, redirectUris, scopes }) => {
+  if (
+    !Array.isArray(grantTypes) ||
+    grantTypes.length === 0 ||
+    grantTypes.some((grantType) => !GRANT_TYPES.includes(grantType))
+  ) {
+    return `grantTypes must list one or more of: ${GRANT_TYPES.join(", ")}`;
+  }
+
+  if (
+    !Array.isArray(scopes) ||
+    scopes.some((scope) => typeof scope !== "string")
+  ) {
+    return "scopes must be an array of strings";
+  }
+
+  // Sign-in clients get OIDC scopes, service clients API scopes
+  const allowedScopes = [
+    ...(grantTypes.includes("authorization_code") ? SUPPORTED_SCOPES : []),
+    ...(grantTypes.includes("client_credentials")
+      ? Object.keys(API_SCOPES)
+      : []),
+  ];
+  const unknown = scopes.filter((scope) => !allowedScopes.includes(scope));
+  if (unknown.length > 0) {
+    return `Unknown scopes for these grant types: ${unknown.join(", ")}`;
+  }
+
+  if (grantTypes.includes("client_credentials") && type !== "confidential") {
+    return "client_credentials requires a confidential client";
+  }
+
+  if (grantTypes.includes("authorization_code")) {
+    if (!Array.isArray(redirectUris) || redirectUris.length === 0) {
+      return "authorization_code requires at least one redirect URI";
+    }
+
+    for (const uri of redirectUris) {
+      let url;
+      try {
+        url = new URL(uri);
+      } catch (error) {
+        return `Invalid redirect URI: ${uri}`;
+      }
+      if (url.hash) {
+        return `Redirect URIs must not contain a fragment: ${uri}`;
+      }
+    }
+  }
+
+  return null;
+};
+
+// API scopes the actor lacks the permission for. A service client acts with
+// its scopes, so granting one needs the permission it stands in for.
+// req.permissions was loaded by requirePermission("clients:manage").
+const findMissingScopePermissions = (req, scopes) =>
+  scopes.filter(
+    (scope) => API_SCOPES[scope] && !req.permissions.includes(scope)
+  );
+
+const missingScopePermissionsMessage = (missing) =>
+  `Missing permissions for the requested scopes: ${missing.join(", ")}`;
+
+const findClient = (clientId) => OAuthClient.findOne({ clientId });
+
+// @route   GET /oauth/clients
+// @desc    List registered clients
+// @access  Private (clients:manage permission)
+router.get("/", manageClientsAuth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.grantType) filter.grantTypes = req.query.grantType;
+
+    const clients = await OAuthClient.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await OAuthClient.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        clients,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("List OAuth clients error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /oauth/clients
+// @desc    Register a client; the secret is only returned here
+// @access  Private (clients:manage permission)
+router.post("/", manageClientsAuth, async (req, res) => {
+  try {
+    const { name, skipConsent } = req.body;
+    const type = req.body.type || "confidential";
+    const grantTypes = req.body.grantTypes || ["authorization_code"];
+    const redirectUris = req.body.redirectUris || [];
+    const scopes =
+      req.body.scopes ||
+      (Array.isArray(grantTypes) && grantTypes.includes("authorization_code")
+        ? SUPPORTED_SCOPES
+        : []);
+
+    if (!["confidential", "public"].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: "type must be confidential or public",
+      });
+    }
+
+    const settingsError = validateClientSettings({
+      type,
+      grantTypes,
+      redirectUris,
+      scopes,
+    });
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError,
+      });
+    }
+
+    const missing = findMissingScopePermissions(req, scopes);
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: missingScopePermissionsMessage(missing),
+      });
+    }
+
+    const client = new OAuthClient({
+      name,
+      type,
+      grantTypes,
+      redirectUris,
+      scopes,
+      skipConsent: !!skipConsent,
+      createdBy: req.user._id,
+    });
+    const { clientSecret } = client.generateCredentials();
+    await client.save();
+
+    await logActivity(req.user._id, "oauth_client_created", req, true, {
+      clientId: client.clientId,
+      grantTypes,
+      scopes,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: clientSecret
+        ? "Client created. Store the secret now, it will not be shown again."
+        : "Client created",
+      data: {
+        client,
+        clientSecret,
+      },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      });
+    }
+
+    console.error("Create OAuth client error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   GET /oauth/clients/:clientId
+// @desc    Get a client
+// @access  Private (clients:manage permission)
+router.get("/:clientId", manageClientsAuth, async (req, res) => {
+  try {
+    const client = await findClient(req.params.clientId);
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: "Client not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        client,
+      },
+    });
+  } catch (error) {
+    console.error("Get OAuth client error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   PUT /oauth/clients/:clientId
+// @desc    Update a client's name, grant types, redirect URIs, scopes or
+//          consent setting (the type cannot change)
+// @access  Private (clients:manage permission)
+router.put("/:clientId", manageClientsAuth, async (req, res) => {
+  try {
+    const client = await findClient(req.params.clientId);
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: "Client not found",
+      });
+    }
+
+    const { name, grantTypes, redirectUris, scopes, skipConsent } = req.body;
+    const settings = {
+      type: client.type,
+      grantTypes: grantTypes || client.grantTypes,
+      redirectUris: redirectUris || client.redirectUris,
+      scopes: scopes || client.scopes,
+    };
+
+    const settingsError = validateClientSettings(settings);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError,
+      });
+    }
+
+    if (scopes) {
+      const missing = findMissingScopePermissions(req, scopes);
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: missingScopePermissionsMessage(missing),
+        });
+      }
+    }
+
+    if (name !== undefined) client.name = name;
+    if (skipConsent !== undefined) client.skipConsent = !!skipConsent;
+    client.grantTypes = settings.grantTypes;
+    client.redirectUris = settings.redirectUris;
+    client.scopes = settings.scopes;
+    // Outstanding service tokens may carry scopes that were just removed
+    client.tokensValidAfter = new Date();
+    await client.save();
+
+    await logActivity(req.user._id, "oauth_client_updated", req, true, {
+      clientId: client.clientId,
+      grantTypes: client.grantTypes,
+      scopes: client.scopes,
+    });
+
+    res.json({
+      success: true,
+      message: "Client updated",
+      data: {
+        client,
+      },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      });
+    }
+
+    console.error("Update OAuth client error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /oauth/clients/:clientId/secret
+// @desc    Issue a new secret; the old one and tokens issued with it stop
+//          working immediately
+// @access  Private (clients:manage permission, plus the permissions named
+//          by the client's scopes)
+router.post("/:clientId/secret", manageClientsAuth, async (req, res) => {
+  try {
+    const client = await findClient(req.params.clientId);
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: "Client not found",
+      });
+    }
+
+    if (client.type !== "confidential") {
+      return res.status(400).json({
+        success: false,
+        message: "Public clients have no secret",
+      });
+    }
+
+    // Whoever holds the new secret can act with the client's scopes
+    const missing = findMissingScopePermissions(req, client.scopes);
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: missingScopePermissionsMessage(missing),
+      });
+    }
+
+    const clientSecret = client.rotateSecret();
+    client.tokensValidAfter = new Date();
+    await client.save();
+
+    await logActivity(req.user._id, "oauth_client_secret_rotated", req, true, {
+      clientId: client.clientId,
+    });
+
+    res.json({
+      success: true,
+      message: "Secret rotated. Store it now, it will not be shown again.",
+      data: {
+        clientSecret,
+      },
+    });
+  } catch (error) {
+    console.error("Rotate OAuth client secret error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   DELETE /oauth/clients/:clientId
+// @desc    Delete a client; its tokens are rejected from then on
+// @access  Private (clients:manage permission)
+router.delete("/:clientId", manageClientsAuth, async (req, res) => {
+  try {
+    const client = await OAuthClient.findOneAndDelete({
+      clientId: req.params.clientId,
+    });
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: "Client not found",
+      });
+    }
+
+    await Promise.all([
+      OAuthConsent.deleteMany({ clientId: client.clientId }),
+      OAuthAuthorizationCode.deleteMany({ clientId: client.clientId }),
+    ]);
+
+    await logActivity(req.user._id, "oauth_client_deleted", req, true, {
+      clientId: client.clientId,
+      name: client.name,
+    });
+
+    res.json({
+      success: true,
+      message: "Client deleted",
+    });
+  } catch (error) {
+    console.error("Delete OAuth client error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+module.exports = router;
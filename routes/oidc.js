@@ -0,0 +1,618 @@
+const express = require("express");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const OAuthClient = require("../models/OAuthClient");
+const { auth } = require("../middleware/auth");
+const { loadAccessTokenKey } = require("../utils/jwt");
+const { logActivity } = require("../utils/activityLogger");
+const { getVerificationPolicy } = require("../utils/emailVerification");
+const { getAccountStatus } = require("../utils/accountStatus");
+const { escapeHtml } = require("../utils/html");
+const {
+  assertTokenNotDenylisted,
+  assertTokenIssuedAfterCutoff,
+} = require("../utils/tokenRevocation");
+const {
+  SUPPORTED_SCOPES,
+  OAuthError,
+  getIssuer,
+  parseScopes,
+  getUserClaims,
+  hasConsent,
+  grantConsent,
+  createAuthorizationCode,
+  redeemAuthorizationCode,
+  authenticateClient,
+  generateOidcAccessToken,
+  verifyOidcAccessToken,
+  generateClientAccessToken,
+  generateIdToken,
+} = require("../utils/oidc");
+
+const router = express.Router();
+
+const SCOPE_DESCRIPTIONS = {
+  openid: "Sign you in with your account",
+  profile: "See your name and profile picture",
+  email: "See your email address",
+};
+
+const renderErrorPage = (res, status, message) => {
+  res.status(status).send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Authorization Failed</title>
+      <style>
+        body { font-family: Arial, sans-serif; text-align: center; padding: 50px; }
+        .error { color: #d32f2f; }
+      </style>
+    </head>
+    <body>
+      <h1 class="error">Authorization Failed</h1>
+      <p>${escapeHtml(message)}</p>
+      <button onclick="window.close()">Close Window</button>
+    </body>
+    </html>
+  `);
+};
+
+const renderConsentPage = (res, { client, user, scopes, requestId }) => {
+  const clientName = escapeHtml(client.name);
+  const scopeItems = scopes
+    .map((scope) => `<li>${escapeHtml(SCOPE_DESCRIPTIONS[scope])}</li>`)
+    .join("");
+
+  // The page grants access with one click, so it must never be framed
+  res.set({
+    "X-Frame-Options": "DENY",
+    "Content-Security-Policy": "frame-ancestors 'none'",
+  });
+
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Authorize ${clientName}</title>
+      <style>
+        body { font-family: Arial, sans-serif; text-align: center; padding: 50px; }
+        .scope-box {
+          background: #f5f5f5;
+          padding: 20px 40px;
+          border-radius: 8px;
+          margin: 20px auto;
+          max-width: 400px;
+          text-align: left;
+        }
+        button {
+          background: #1976d2;
+          color: white;
+          border: none;
+          padding: 10px 20px;
+          border-radius: 4px;
+          cursor: pointer;
+          margin: 5px;
+        }
+        button.deny { background: #757575; }
+      </style>
+    </head>
+    <body>
+      <h1>Authorize ${clientName}</h1>
+      <p><strong>${clientName}</strong> wants to access your account <strong>${escapeHtml(
+    user.email
+  )}</strong>.</p>
+
+      <ul class="scope-box">${scopeItems}</ul>
+
+      <form method="POST" action="/oauth/authorize">
+        <input type="hidden" name="request_id" value="${requestId}">
+        <button type="submit" name="decision" value="allow">Allow</button>
+        <button type="submit" name="decision" value="deny" class="deny">Deny</button>
+      </form>
+    </body>
+    </html>
+  `);
+};
+
+// Send the user back to the client, naming ourselves as issuer (RFC 9207)
+const redirectToClient = (res, redirectUri, params) => {
+  const url = new URL(redirectUri);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(key, value);
+    }
+  }
+  url.searchParams.set("iss", getIssuer());
+  res.redirect(url.toString());
+};
+
+// The frontend's login page, told to come back here afterwards
+const buildLoginUrl = (req) => {
+  const url = new URL(
+    process.env.OIDC_LOGIN_URL ||
+      `${process.env.FRONTEND_URL || "http://localhost:3000"}/login`
+  );
+  url.searchParams.set("return_to", `${getIssuer()}${req.originalUrl}`);
+  return url.toString();
+};
+
+const asString = (value) => (typeof value === "string" ? value : undefined);
+
+// Validate an authorization request. Problems with the client or
+// redirect_uri are shown to the user (`fatal`); anything else is reported
+// back to the client (`error`).
+const parseAuthorizationRequest = async (query) => {
+  const clientId = asString(query.client_id);
+  const redirectUri = asString(query.redirect_uri);
+
+  const client = clientId && (await OAuthClient.findOne({ clientId }));
+  if (!client || !client.grantTypes.includes("authorization_code")) {
+    return { fatal: "Unknown application." };
+  }
+  if (!redirectUri || !client.redirectUris.includes(redirectUri)) {
+    return { fatal: "The application sent an invalid redirect URI." };
+  }
+
+  const request = {
+    clientId,
+    redirectUri,
+    scopes: parseScopes(asString(query.scope)),
+    state: asString(query.state),
+    nonce: asString(query.nonce),
+    codeChallenge: asString(query.code_challenge),
+    prompt: asString(query.prompt),
+  };
+
+  if (query.response_type !== "code") {
+    return {
+      client,
+      request,
+      error: [
+        "unsupported_response_type",
+        "Only response_type=code is supported",
+      ],
+    };
+  }
+
+  if (!request.scopes.includes("openid")) {
+    return {
+      client,
+      request,
+      error: ["invalid_scope", "The openid scope is required"],
+    };
+  }
+
+  const unsupported = request.scopes.filter(
+    (scope) =>
+      !SUPPORTED_SCOPES.includes(scope) || !client.scopes.includes(scope)
+  );
+  if (unsupported.length > 0) {
+    return {
+      client,
+      request,
+      error: ["invalid_scope", `Scope not allowed: ${unsupported.join(" ")}`],
+    };
+  }
+
+  if (!request.codeChallenge || query.code_challenge_method !== "S256") {
+    return {
+      client,
+      request,
+      error: [
+        "invalid_request",
+        "PKCE with code_challenge_method=S256 is required",
+      ],
+    };
+  }
+
+  return { client, request };
+};
+
+// The user signed in to the browser session, or null. The sign-in ends
+// with the session it was started from (logout, session revocation, refresh
+// token reuse) and with a cut-off of every earlier token (logout everywhere,
+// password change or reset), and is then cleared.
+const loadSignedInUser = async (req) => {
+  const signedIn = req.session.oidcUser;
+  if (!signedIn) return null;
+
+  const user = await User.findById(signedIn.id).select("-password");
+  const signedInAt = signedIn.signedInAt ?? signedIn.authTime * 1000;
+  const valid =
+    user &&
+    (!signedIn.sessionId ||
+      user.refreshTokens.some(
+        (session) => String(session._id) === signedIn.sessionId
+      )) &&
+    !(user.tokensValidAfter && signedInAt < user.tokensValidAfter.getTime());
+
+  if (!valid) {
+    delete req.session.oidcUser;
+    return null;
+  }
+  return user;
+};
+
+const issueCodeAndRedirect = async (res, request, userId, authTime) => {
+  const code = await createAuthorizationCode({
+    clientId: request.clientId,
+    userId,
+    redirectUri: request.redirectUri,
+    scopes: request.scopes,
+    codeChallenge: request.codeChallenge,
+    nonce: request.nonce,
+    authTime,
+  });
+
+  redirectToClient(res, request.redirectUri, { code, state: request.state });
+};
+
+// @route   POST /oauth/session
+// @desc    Start a browser sign-in session for /oauth/authorize from an
+//          access token (called by the frontend after login)
+// @access  Private
+router.post("/session", auth, (req, res) => {
+  // New session id, so a planted session cookie cannot be signed in
+  req.session.regenerate((error) => {
+    if (error) {
+      console.error("OIDC session error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+
+    const signedInAt = Date.now();
+    req.session.oidcUser = {
+      id: String(req.user._id),
+      sessionId: req.sessionId ? String(req.sessionId) : null,
+      signedInAt,
+      authTime: Math.floor(signedInAt / 1000),
+    };
+
+    res.json({
+      success: true,
+      message: "Sign-in session started",
+    });
+  });
+});
+
+// @route   DELETE /oauth/session
+// @desc    End the browser sign-in session
+// @access  Public
+router.delete("/session", (req, res) => {
+  req.session.destroy((error) => {
+    if (error) {
+      console.error("OIDC session error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Sign-in session ended",
+    });
+  });
+});
+
+// @route   GET /oauth/authorize
+// @desc    Authorization endpoint (code flow with PKCE)
+// @access  Public (browser sign-in session)
+router.get("/authorize", async (req, res) => {
+  try {
+    const { fatal, error, request, client } = await parseAuthorizationRequest(
+      req.query
+    );
+
+    if (fatal) {
+      return renderErrorPage(res, 400, fatal);
+    }
+    if (error) {
+      return redirectToClient(res, request.redirectUri, {
+        error: error[0],
+        error_description: error[1],
+        state: request.state,
+      });
+    }
+
+    const signedIn = req.session.oidcUser;
+    const user = await loadSignedInUser(req);
+
+    if (!user) {
+      if (request.prompt === "none") {
+        return redirectToClient(res, request.redirectUri, {
+          error: "login_required",
+          state: request.state,
+        });
+      }
+      return res.redirect(buildLoginUrl(req));
+    }
+
+    if (getVerificationPolicy() !== "off" && !user.isEmailVerified) {
+      return redirectToClient(res, request.redirectUri, {
+        error: "access_denied",
+        error_description: "Email address not verified",
+        state: request.state,
+      });
+    }
+
+    if (getAccountStatus(user) !== "active") {
+      return redirectToClient(res, request.redirectUri, {
+        error: "access_denied",
+        error_description: "Account is not active",
+        state: request.state,
+      });
+    }
+
+    if (
+      client.skipConsent ||
+      (await hasConsent(user._id, client.clientId, request.scopes))
+    ) {
+      return issueCodeAndRedirect(res, request, user._id, signedIn.authTime);
+    }
+
+    if (request.prompt === "none") {
+      return redirectToClient(res, request.redirectUri, {
+        error: "consent_required",
+        state: request.state,
+      });
+    }
+
+    // Remember the request until the user answers the consent form; the
+    // random id doubles as the form's CSRF token
+    const requestId = crypto.randomBytes(16).toString("hex");
+    req.session.oidcPending = { ...request, requestId };
+
+    renderConsentPage(res, { client, user, scopes: request.scopes, requestId });
+  } catch (error) {
+    console.error("OIDC authorize error:", error);
+    renderErrorPage(res, 500, "Something went wrong. Please try again.");
+  }
+});
+
+// @route   POST /oauth/authorize
+// @desc    Consent form submission
+// @access  Public (browser sign-in session)
+router.post("/authorize", async (req, res) => {
+  try {
+    const pending = req.session.oidcPending;
+    const signedIn = req.session.oidcUser;
+
+    if (
+      !pending ||
+      !(await loadSignedInUser(req)) ||
+      typeof req.body.request_id !== "string" ||
+      req.body.request_id !== pending.requestId
+    ) {
+      return renderErrorPage(
+        res,
+        400,
+        "This authorization request has expired. Please start again."
+      );
+    }
+    delete req.session.oidcPending;
+
+    if (req.body.decision !== "allow") {
+      await logActivity(signedIn.id, "oauth_consent_denied", req, true, {
+        clientId: pending.clientId,
+        scopes: pending.scopes,
+      });
+
+      return redirectToClient(res, pending.redirectUri, {
+        error: "access_denied",
+        state: pending.state,
+      });
+    }
+
+    await grantConsent(signedIn.id, pending.clientId, pending.scopes);
+    await logActivity(signedIn.id, "oauth_consent_granted", req, true, {
+      clientId: pending.clientId,
+      scopes: pending.scopes,
+    });
+
+    await issueCodeAndRedirect(res, pending, signedIn.id, signedIn.authTime);
+  } catch (error) {
+    console.error("OIDC consent error:", error);
+    renderErrorPage(res, 500, "Something went wrong. Please try again.");
+  }
+});
+
+const expiresIn = (token) =>
+  jwt.decode(token).exp - Math.floor(Date.now() / 1000);
+
+// authorization_code grant: access token and ID token for the user
+const exchangeAuthorizationCode = async (req, client) => {
+  const entry = await redeemAuthorizationCode({
+    code: req.body.code,
+    client,
+    redirectUri: req.body.redirect_uri,
+    codeVerifier: req.body.code_verifier,
+  });
+
+  const user = await User.findById(entry.userId);
+  if (!user) {
+    throw new OAuthError("invalid_grant", "User no longer exists");
+  }
+  if (getAccountStatus(user) !== "active") {
+    throw new OAuthError("invalid_grant", "Account is not active");
+  }
+
+  const accessToken = generateOidcAccessToken(
+    user,
+    client.clientId,
+    entry.scopes
+  );
+  const idToken = generateIdToken(user, client.clientId, {
+    scopes: entry.scopes,
+    nonce: entry.nonce,
+    authTime: entry.authTime,
+    accessToken,
+  });
+
+  await logActivity(user._id, "oauth_token_issued", req, true, {
+    clientId: client.clientId,
+    grantType: "authorization_code",
+    scopes: entry.scopes,
+  });
+
+  return {
+    access_token: accessToken,
+    token_type: "Bearer",
+    expires_in: expiresIn(accessToken),
+    id_token: idToken,
+    scope: entry.scopes.join(" "),
+  };
+};
+
+// client_credentials grant: a token for the service itself, limited to the
+// requested scopes (all of the client's scopes by default)
+const issueClientCredentialsToken = async (req, client) => {
+  if (client.type !== "confidential") {
+    throw new OAuthError(
+      "unauthorized_client",
+      "Public clients cannot use client_credentials"
+    );
+  }
+
+  const requested = parseScopes(asString(req.body.scope));
+  const scopes = requested.length > 0 ? requested : client.scopes;
+  const notAllowed = scopes.filter((scope) => !client.scopes.includes(scope));
+  if (notAllowed.length > 0) {
+    throw new OAuthError(
+      "invalid_scope",
+      `Scope not allowed: ${notAllowed.join(" ")}`
+    );
+  }
+
+  const accessToken = generateClientAccessToken(client.clientId, scopes);
+
+  await logActivity(null, "oauth_token_issued", req, true, {
+    clientId: client.clientId,
+    grantType: "client_credentials",
+    scopes,
+  });
+
+  return {
+    access_token: accessToken,
+    token_type: "Bearer",
+    expires_in: expiresIn(accessToken),
+    scope: scopes.join(" "),
+  };
+};
+
+const grantHandlers = {
+  authorization_code: exchangeAuthorizationCode,
+  client_credentials: issueClientCredentialsToken,
+};
+
+// @route   POST /oauth/token
+// @desc    Token endpoint (authorization_code, client_credentials).
+//          Responds in the OAuth 2.0 format, not the usual
+//          { success, message, data } envelope.
+// @access  Public (client authentication)
+router.post("/token", async (req, res) => {
+  res.set({ "Cache-Control": "no-store", Pragma: "no-cache" });
+
+  try {
+    const client = await authenticateClient(req);
+    const grantType = req.body.grant_type;
+
+    if (!Object.prototype.hasOwnProperty.call(grantHandlers, grantType)) {
+      throw new OAuthError(
+        "unsupported_grant_type",
+        "grant_type must be authorization_code or client_credentials"
+      );
+    }
+    if (!client.grantTypes.includes(grantType)) {
+      throw new OAuthError(
+        "unauthorized_client",
+        `Client is not allowed to use ${grantType}`
+      );
+    }
+
+    res.json(await grantHandlers[grantType](req, client));
+  } catch (error) {
+    if (error.name === "OAuthError") {
+      if (error.status === 401) {
+        res.set("WWW-Authenticate", 'Basic realm="oauth"');
+      }
+      return res.status(error.status).json({
+        error: error.error,
+        error_description: error.message,
+      });
+    }
+
+    console.error("OIDC token error:", error);
+    res.status(500).json({
+      error: "server_error",
+      error_description: "Internal server error",
+    });
+  }
+});
+
+// @route   GET|POST /oauth/userinfo
+// @desc    Claims about the signed-in user, limited by the granted scopes
+// @access  Private (OIDC access token)
+const userInfo = async (req, res) => {
+  const rejectToken = (description) => {
+    res.set(
+      "WWW-Authenticate",
+      `Bearer error="invalid_token", error_description="${description}"`
+    );
+    return res.status(401).json({
+      error: "invalid_token",
+      error_description: description,
+    });
+  };
+
+  try {
+    const authHeader = req.header("Authorization");
+    if (!authHeader || !authHeader.startsWith("Bearer ")) {
+      res.set("WWW-Authenticate", "Bearer");
+      return res.status(401).json({
+        error: "invalid_request",
+        error_description: "No access token provided",
+      });
+    }
+
+    const token = authHeader.substring(7);
+    await loadAccessTokenKey(token);
+    const decoded = verifyOidcAccessToken(token);
+    await assertTokenNotDenylisted(decoded);
+
+    const user = await User.findById(decoded.sub).select(
+      "-password -refreshTokens"
+    );
+    if (!user) {
+      return rejectToken("User not found");
+    }
+    if (getAccountStatus(user) !== "active") {
+      return rejectToken("Account is not active");
+    }
+    assertTokenIssuedAfterCutoff(decoded, user);
+
+    res.json(getUserClaims(user, parseScopes(decoded.scope)));
+  } catch (error) {
+    if (
+      ["JsonWebTokenError", "TokenExpiredError", "TokenRevokedError"].includes(
+        error.name
+      )
+    ) {
+      return rejectToken("Invalid or expired access token");
+    }
+
+    console.error("OIDC userinfo error:", error);
+    res.status(500).json({
+      error: "server_error",
+      error_description: "Internal server error",
+    });
+  }
+};
+
+router.get("/userinfo", userInfo);
+router.post("/userinfo", userInfo);
+
+module.exports = router;
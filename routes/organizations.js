@@ -0,0 +1,765 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Organization = require("../models/Organization");
+const Membership = require("../models/Membership");
+const Invitation = require("../models/Invitation");
+const User = require("../models/User");
+const { verifiedAuth, requirePermission } = require("../middleware/auth");
+const { logActivity } = require("../utils/activityLogger");
+const { hasPermission } = require("../utils/permissions");
+const { issueAccessToken } = require("../utils/authTokens");
+const {
+  findMembership,
+  getMembershipPermissions,
+} = require("../utils/organizations");
+const {
+  InvitationError,
+  sendOrganizationInvitation,
+  findPendingInvitation,
+  claimInvitation,
+} = require("../utils/invitations");
+const {
+  ORG_ROLES,
+  ORG_ADMIN_ROLE,
+  DEFAULT_ORG_ROLE,
+} = require("../config/permissions");
+
+const router = express.Router();
+
+const manageOrgsAuth = [...verifiedAuth, requirePermission("orgs:manage")];
+
+// Load the organization in :id and require `permission` there, from the
+// user's membership or from orgs:manage. Without a permission any member
+// passes.
+const orgAccess = (permission) => [
+  ...verifiedAuth,
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const organization = mongoose.isValidObjectId(id)
+        ? await Organization.findById(id)
+        : null;
+
+      if (!organization) {
+        return res.status(404).json({
+          success: false,
+          message: "Organization not found",
+        });
+      }
+
+      const membership = await findMembership(req.user._id, organization._id);
+      const allowed = permission
+        ? getMembershipPermissions(membership).includes(permission)
+        : !!membership;
+
+      if (!allowed && !(await hasPermission(req, "orgs:manage"))) {
+        // Non-members don't learn that the organization exists
+        return res.status(membership ? 403 : 404).json({
+          success: false,
+          message: membership
+            ? `Access denied. Organization permission ${permission} required.`
+            : "Organization not found",
+        });
+      }
+
+      req.organization = organization;
+      next();
+    } catch (error) {
+      console.error("Organization access error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+];
+
+// Check a membership's role list; returns an error message or null
+const validateOrgRoles = (roles) => {
+  if (
+    !Array.isArray(roles) ||
+    roles.length === 0 ||
+    roles.some((role) => typeof role !== "string")
+  ) {
+    return "roles must be a non-empty array of strings";
+  }
+
+  const unknown = roles.filter((role) => !Object.hasOwn(ORG_ROLES, role));
+  if (unknown.length > 0) {
+    return `Unknown organization roles: ${unknown.join(", ")}`;
+  }
+
+  return null;
+};
+
+// Whether taking `membership` out of the admin role would leave its
+// organization without one
+const isLastOrgAdmin = async (membership) => {
+  if (!membership.roles.includes(ORG_ADMIN_ROLE)) return false;
+
+  const admins = await Membership.countDocuments({
+    organizationId: membership.organizationId,
+    roles: ORG_ADMIN_ROLE,
+  });
+  return admins <= 1;
+};
+
+const formatOrganization = (organization, membership) => ({
+  id: organization._id,
+  name: organization.name,
+  slug: organization.slug,
+  createdAt: organization.createdAt,
+  ...(membership !== undefined && {
+    roles: membership ? membership.roles : [],
+  }),
+});
+
+const formatMember = (membership) => ({
+  userId: membership.userId._id,
+  name: membership.userId.name,
+  email: membership.userId.email,
+  roles: membership.roles,
+  joinedAt: membership.createdAt,
+});
+
+const findMember = (organization, userId) =>
+  mongoose.isValidObjectId(userId)
+    ? Membership.findOne({ organizationId: organization._id, userId })
+    : null;
+
+// @route   GET /orgs
+// @desc    List the user's organizations (?all=true lists every
+//          organization, with orgs:manage)
+// @access  Private
+router.get("/", verifiedAuth, async (req, res) => {
+  try {
+    if (req.query.all === "true") {
+      if (!(await hasPermission(req, "orgs:manage"))) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied. Permission orgs:manage required.",
+        });
+      }
+
+      const organizations = await Organization.find().sort({ name: 1 });
+      return res.json({
+        success: true,
+        data: {
+          organizations: organizations.map((organization) =>
+            formatOrganization(organization)
+          ),
+        },
+      });
+    }
+
+    const memberships = await Membership.find({
+      userId: req.user._id,
+    }).populate("organizationId");
+
+    res.json({
+      success: true,
+      data: {
+        organizations: memberships
+          .filter((membership) => membership.organizationId)
+          .map((membership) =>
+            formatOrganization(membership.organizationId, membership)
+          ),
+        activeOrganizationId: req.organizationId,
+      },
+    });
+  } catch (error) {
+    console.error("Get organizations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /orgs
+// @desc    Create an organization; the creator becomes its admin
+// @access  Private (orgs:manage permission)
+router.post("/", manageOrgsAuth, async (req, res) => {
+  try {
+    const { name, slug } = req.body;
+
+    if (!name || !slug) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide name and slug",
+      });
+    }
+
+    const organization = await Organization.create({
+      name,
+      slug,
+      createdBy: req.user._id,
+    });
+    const membership = await Membership.create({
+      organizationId: organization._id,
+      userId: req.user._id,
+      roles: [ORG_ADMIN_ROLE],
+    });
+
+    await logActivity(req.user._id, "organization_created", req, true, {
+      organizationId: organization._id,
+      slug: organization.slug,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Organization created",
+      data: {
+        organization: formatOrganization(organization, membership),
+      },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "An organization with this slug already exists",
+      });
+    }
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      });
+    }
+
+    console.error("Create organization error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /orgs/switch
+// @desc    Switch the current session to an organization (or back out of
+//          it with organizationId: null) and get an access token for it
+// @access  Private
+router.post("/switch", verifiedAuth, async (req, res) => {
+  try {
+    const { organizationId = null } = req.body;
+
+    if (!req.sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: "Switching organizations requires a session access token",
+      });
+    }
+
+    let organization = null;
+    let membership = null;
+    if (organizationId !== null) {
+      organization = mongoose.isValidObjectId(organizationId)
+        ? await Organization.findById(organizationId)
+        : null;
+      membership =
+        organization && (await findMembership(req.user._id, organization._id));
+
+      if (
+        !organization ||
+        (!membership && !(await hasPermission(req, "orgs:manage")))
+      ) {
+        return res.status(404).json({
+          success: false,
+          message: "Organization not found",
+        });
+      }
+    }
+
+    // Stored on the session so refreshed access tokens stay in it
+    const result = await User.updateOne(
+      { _id: req.user._id, "refreshTokens._id": req.sessionId },
+      {
+        $set: {
+          "refreshTokens.$.organizationId": organization
+            ? organization._id
+            : null,
+        },
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(401).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    const accessToken = await issueAccessToken(
+      req.user,
+      req.sessionId,
+      organization ? organization._id : null
+    );
+
+    await logActivity(req.user._id, "organization_switched", req, true, {
+      organizationId: organization ? organization._id : null,
+    });
+
+    res.json({
+      success: true,
+      message: organization
+        ? `Switched to ${organization.name}`
+        : "Left organization context",
+      data: {
+        accessToken,
+        organization: organization
+          ? formatOrganization(organization, membership)
+          : null,
+      },
+    });
+  } catch (error) {
+    console.error("Switch organization error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /orgs/invitations/accept
+// @desc    Accept an organization invitation sent to your email address
+//          and join the organization
+// @access  Private
+router.post("/invitations/accept", verifiedAuth, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide token",
+      });
+    }
+
+    let invitation;
+    let organization;
+    try {
+      invitation = await findPendingInvitation(token);
+
+      // Account invitations are accepted at POST /users/invitations/accept
+      if (!invitation.organizationId) {
+        throw new InvitationError("account_invitation");
+      }
+
+      // The link only proves access to the address it was mailed to
+      if (invitation.email !== req.user.email) {
+        throw new InvitationError(
+          "email_mismatch",
+          "This invitation was sent to another email address"
+        );
+      }
+
+      organization = await Organization.findById(invitation.organizationId);
+      if (!organization) {
+        throw new InvitationError("organization_deleted");
+      }
+
+      if (await findMembership(req.user._id, organization._id)) {
+        throw new InvitationError(
+          "already_member",
+          "You are already a member of this organization"
+        );
+      }
+
+      // Lost a race with another accept, a revoke or a resend
+      invitation = await claimInvitation(invitation);
+      if (!invitation) {
+        throw new InvitationError("already_accepted");
+      }
+    } catch (error) {
+      if (error.name !== "InvitationError") throw error;
+
+      await logActivity(req.user._id, "invitation_accepted", req, false, {
+        reason: error.reason,
+      });
+
+      const status = { email_mismatch: 403, already_member: 409 };
+      return res.status(status[error.reason] || 400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    let membership;
+    try {
+      membership = await Membership.create({
+        organizationId: organization._id,
+        userId: req.user._id,
+        roles: invitation.orgRoles,
+      });
+    } catch (error) {
+      // Leave the invitation usable if the membership could not be created
+      invitation.acceptedAt = null;
+      await invitation.save();
+      throw error;
+    }
+
+    invitation.acceptedBy = req.user._id;
+    await invitation.save();
+
+    await logActivity(req.user._id, "invitation_accepted", req, true, {
+      invitationId: invitation._id,
+      organizationId: organization._id,
+      invitedBy: invitation.invitedBy,
+      roles: membership.roles,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Joined organization",
+      data: {
+        organization: formatOrganization(organization, membership),
+      },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "You are already a member of this organization",
+      });
+    }
+
+    console.error("Accept organization invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   GET /orgs/:id
+// @desc    Get an organization
+// @access  Private (members, or orgs:manage permission)
+router.get("/:id", orgAccess(null), async (req, res) => {
+  try {
+    const membership = await findMembership(req.user._id, req.organization._id);
+    const members = await Membership.countDocuments({
+      organizationId: req.organization._id,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        organization: {
+          ...formatOrganization(req.organization, membership),
+          members,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get organization error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   PUT /orgs/:id
+// @desc    Rename an organization
+// @access  Private (org:update in the organization, or orgs:manage)
+router.put("/:id", orgAccess("org:update"), async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide name",
+      });
+    }
+
+    req.organization.name = name;
+    await req.organization.save();
+
+    await logActivity(req.user._id, "organization_updated", req, true, {
+      organizationId: req.organization._id,
+      name: req.organization.name,
+    });
+
+    res.json({
+      success: true,
+      message: "Organization updated",
+      data: {
+        organization: formatOrganization(req.organization),
+      },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      });
+    }
+
+    console.error("Update organization error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   DELETE /orgs/:id
+// @desc    Delete an organization and its memberships
+// @access  Private (orgs:manage permission)
+router.delete("/:id", manageOrgsAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const organization = mongoose.isValidObjectId(id)
+      ? await Organization.findByIdAndDelete(id)
+      : null;
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: "Organization not found",
+      });
+    }
+
+    await Membership.deleteMany({ organizationId: organization._id });
+    await Invitation.updateMany(
+      { organizationId: organization._id, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    await logActivity(req.user._id, "organization_deleted", req, true, {
+      organizationId: organization._id,
+      slug: organization.slug,
+    });
+
+    res.json({
+      success: true,
+      message: "Organization deleted",
+    });
+  } catch (error) {
+    console.error("Delete organization error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   GET /orgs/:id/members
+// @desc    List an organization's members and their roles
+// @access  Private (users:read in the organization, or orgs:manage)
+router.get("/:id/members", orgAccess("users:read"), async (req, res) => {
+  try {
+    const memberships = await Membership.find({
+      organizationId: req.organization._id,
+    })
+      .populate("userId", "name email")
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        members: memberships
+          .filter((membership) => membership.userId)
+          .map(formatMember),
+        roles: Object.entries(ORG_ROLES).map(([name, role]) => ({
+          name,
+          ...role,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Get members error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /orgs/:id/members
+// @desc    Invite an existing user to the organization by email; they
+//          join once they accept. The response doesn't reveal whether the
+//          account exists.
+// @access  Private (members:manage in the organization, or orgs:manage)
+router.post("/:id/members", orgAccess("members:manage"), async (req, res) => {
+  try {
+    const { email, roles = [DEFAULT_ORG_ROLE] } = req.body;
+
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide email",
+      });
+    }
+
+    const rolesError = validateOrgRoles(roles);
+    if (rolesError) {
+      return res.status(400).json({
+        success: false,
+        message: rolesError,
+      });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const orgRoles = [...new Set(roles)];
+    const user = await User.findOne({ email: normalizedEmail });
+
+    // Members are listed to the organization's admins anyway. Looked up
+    // for unknown emails too, to take the same time.
+    const membership = await findMembership(
+      user ? user._id : null,
+      req.organization._id
+    );
+    if (membership) {
+      return res.status(409).json({
+        success: false,
+        message: "User is already a member of this organization",
+      });
+    }
+
+    // Sent in the background, so the response time doesn't tell whether
+    // the account exists
+    if (user) {
+      sendOrganizationInvitation(
+        normalizedEmail,
+        req.organization,
+        orgRoles,
+        req.user
+      ).catch((error) => {
+        console.error("Send organization invitation error:", error);
+      });
+    }
+
+    // Logged the same way whether or not anything was sent
+    await logActivity(req.user._id, "invitation_sent", req, true, {
+      organizationId: req.organization._id,
+      email: normalizedEmail,
+      roles: orgRoles,
+    });
+
+    res.json({
+      success: true,
+      message:
+        "If an account exists for this email, an invitation to join has been sent",
+    });
+  } catch (error) {
+    console.error("Invite member error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   PUT /orgs/:id/members/:userId
+// @desc    Replace a member's roles in the organization
+// @access  Private (members:manage in the organization, or orgs:manage)
+router.put(
+  "/:id/members/:userId",
+  orgAccess("members:manage"),
+  async (req, res) => {
+    try {
+      const { roles } = req.body;
+
+      const rolesError = validateOrgRoles(roles);
+      if (rolesError) {
+        return res.status(400).json({
+          success: false,
+          message: rolesError,
+        });
+      }
+
+      const membership = await findMember(req.organization, req.params.userId);
+      // Deleted users keep their memberships until they are purged
+      if (!membership || !(await User.exists({ _id: membership.userId }))) {
+        return res.status(404).json({
+          success: false,
+          message: "Member not found",
+        });
+      }
+
+      if (
+        !roles.includes(ORG_ADMIN_ROLE) &&
+        (await isLastOrgAdmin(membership))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Cannot remove the admin role from the organization's last admin",
+        });
+      }
+
+      membership.roles = [...new Set(roles)];
+      await membership.save();
+      await membership.populate("userId", "name email");
+
+      await logActivity(req.user._id, "member_updated", req, true, {
+        organizationId: req.organization._id,
+        memberId: membership.userId._id,
+        roles: membership.roles,
+      });
+
+      res.json({
+        success: true,
+        message: "Member updated",
+        data: {
+          member: formatMember(membership),
+        },
+      });
+    } catch (error) {
+      console.error("Update member error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// @route   DELETE /orgs/:id/members/:userId
+// @desc    Remove a member from the organization
+// @access  Private (members:manage in the organization, or orgs:manage)
+router.delete(
+  "/:id/members/:userId",
+  orgAccess("members:manage"),
+  async (req, res) => {
+    try {
+      const membership = await findMember(req.organization, req.params.userId);
+      if (!membership) {
+        return res.status(404).json({
+          success: false,
+          message: "Member not found",
+        });
+      }
+
+      if (await isLastOrgAdmin(membership)) {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot remove the organization's last admin",
+        });
+      }
+
+      await membership.deleteOne();
+
+      await logActivity(req.user._id, "member_removed", req, true, {
+        organizationId: req.organization._id,
+        memberId: membership.userId,
+      });
+
+      res.json({
+        success: true,
+        message: "Member removed",
+      });
+    } catch (error) {
+      console.error("Remove member error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,437 @@
+const express = require("express");
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+} = require("@simplewebauthn/server");
+const User = require("../models/User");
+const { auth } = require("../middleware/auth");
+const { logActivity } = require("../utils/activityLogger");
+const { issueAuthTokens } = require("../utils/authTokens");
+const { rejectInactiveAccount } = require("../utils/accountStatus");
+const { getVerificationPolicy } = require("../utils/emailVerification");
+const { countLoginMethods } = require("../utils/linkedIdentities");
+const {
+  getRelyingParty,
+  saveChallenge,
+  consumeChallenge,
+} = require("../utils/webauthn");
+
+const router = express.Router();
+
+const formatPasskey = (passkey) => ({
+  id: passkey._id,
+  name: passkey.name,
+  deviceType: passkey.deviceType,
+  backedUp: passkey.backedUp,
+  transports: passkey.transports,
+  createdAt: passkey.createdAt,
+  lastUsedAt: passkey.lastUsedAt,
+});
+
+// @route   POST /auth/passkeys/register/options
+// @desc    Start passkey registration ceremony
+// @access  Private
+router.post("/passkeys/register/options", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const { rpID, rpName } = getRelyingParty();
+
+    const options = await generateRegistrationOptions({
+      rpName,
+      rpID,
+      userName: user.email,
+      userDisplayName: user.name,
+      userID: Buffer.from(user._id.toString()),
+      attestationType: "none",
+      // Don't register the same authenticator twice
+      excludeCredentials: user.passkeys.map((p) => ({
+        id: p.credentialId,
+        transports: p.transports,
+      })),
+      authenticatorSelection: {
+        residentKey: "required",
+        userVerification: "required",
+      },
+    });
+
+    await saveChallenge(options.challenge, "registration", user._id);
+
+    res.json({
+      success: true,
+      data: {
+        options,
+      },
+    });
+  } catch (error) {
+    console.error("Passkey registration options error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /auth/passkeys/register/verify
+// @desc    Complete passkey registration ceremony
+// @access  Private
+router.post("/passkeys/register/verify", auth, async (req, res) => {
+  try {
+    const { credential, name } = req.body;
+
+    if (!credential || !credential.response) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide credential",
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const { rpID, origin } = getRelyingParty();
+
+    const expectedChallenge = await consumeChallenge(
+      credential,
+      "registration",
+      user._id
+    );
+    if (!expectedChallenge) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired registration challenge",
+      });
+    }
+
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response: credential,
+        expectedChallenge,
+        expectedOrigin: origin,
+        expectedRPID: rpID,
+      });
+    } catch (error) {
+      verification = { verified: false };
+    }
+
+    if (!verification.verified) {
+      return res.status(400).json({
+        success: false,
+        message: "Passkey registration could not be verified",
+      });
+    }
+
+    const {
+      credential: registered,
+      credentialDeviceType,
+      credentialBackedUp,
+    } = verification.registrationInfo;
+
+    const alreadyRegistered = await User.exists({
+      "passkeys.credentialId": registered.id,
+    });
+    if (alreadyRegistered) {
+      return res.status(400).json({
+        success: false,
+        message: "Passkey already registered",
+      });
+    }
+
+    user.passkeys.push({
+      credentialId: registered.id,
+      publicKey: Buffer.from(registered.publicKey).toString("base64url"),
+      counter: registered.counter,
+      transports: registered.transports || [],
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp,
+      name: name || undefined,
+    });
+    await user.save();
+
+    const passkey = user.passkeys[user.passkeys.length - 1];
+
+    await logActivity(user._id, "passkey_registered", req, true, {
+      passkeyId: passkey._id,
+      name: passkey.name,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Passkey registered successfully",
+      data: {
+        passkey: formatPasskey(passkey),
+      },
+    });
+  } catch (error) {
+    console.error("Passkey registration verify error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   GET /auth/passkeys
+// @desc    List current user's passkeys
+// @access  Private
+router.get("/passkeys", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        passkeys: user.passkeys.map(formatPasskey),
+      },
+    });
+  } catch (error) {
+    console.error("Get passkeys error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   PUT /auth/passkeys/:id
+// @desc    Rename a passkey
+// @access  Private
+router.put("/passkeys/:id", auth, async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide name",
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const passkey = user.passkeys.id(req.params.id);
+
+    if (!passkey) {
+      return res.status(404).json({
+        success: false,
+        message: "Passkey not found",
+      });
+    }
+
+    passkey.name = name;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Passkey renamed successfully",
+      data: {
+        passkey: formatPasskey(passkey),
+      },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid passkey name",
+      });
+    }
+
+    console.error("Rename passkey error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   DELETE /auth/passkeys/:id
+// @desc    Delete a passkey
+// @access  Private
+router.delete("/passkeys/:id", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const passkey = user.passkeys.id(req.params.id);
+
+    if (!passkey) {
+      return res.status(404).json({
+        success: false,
+        message: "Passkey not found",
+      });
+    }
+
+    if ((await countLoginMethods(user)) <= 1) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Cannot remove your last login method. Set a password or link an account first.",
+      });
+    }
+
+    passkey.deleteOne();
+    await user.save();
+
+    await logActivity(user._id, "passkey_removed", req, true, {
+      passkeyId: passkey._id,
+      name: passkey.name,
+    });
+
+    res.json({
+      success: true,
+      message: "Passkey deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete passkey error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /auth/passkeys/login/options
+// @desc    Start passwordless passkey login ceremony
+// @access  Public
+router.post("/passkeys/login/options", async (req, res) => {
+  try {
+    const { rpID } = getRelyingParty();
+
+    // Discoverable credentials: the authenticator picks the account
+    const options = await generateAuthenticationOptions({
+      rpID,
+      userVerification: "required",
+    });
+
+    await saveChallenge(options.challenge, "authentication");
+
+    res.json({
+      success: true,
+      data: {
+        options,
+      },
+    });
+  } catch (error) {
+    console.error("Passkey login options error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /auth/passkeys/login/verify
+// @desc    Complete passkey login and issue tokens
+// @access  Public
+router.post("/passkeys/login/verify", async (req, res) => {
+  try {
+    const { credential } = req.body;
+
+    if (!credential || !credential.id || !credential.response) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide credential",
+      });
+    }
+
+    const expectedChallenge = await consumeChallenge(
+      credential,
+      "authentication"
+    );
+    if (!expectedChallenge) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired login challenge",
+      });
+    }
+
+    const user = await User.findOne({
+      "passkeys.credentialId": credential.id,
+    });
+    const passkey =
+      user && user.passkeys.find((p) => p.credentialId === credential.id);
+
+    if (!passkey) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid credentials",
+      });
+    }
+
+    const { rpID, origin } = getRelyingParty();
+
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response: credential,
+        expectedChallenge,
+        expectedOrigin: origin,
+        expectedRPID: rpID,
+        credential: {
+          id: passkey.credentialId,
+          publicKey: Buffer.from(passkey.publicKey, "base64url"),
+          counter: passkey.counter,
+          transports: passkey.transports,
+        },
+      });
+    } catch (error) {
+      verification = { verified: false };
+    }
+
+    if (!verification.verified) {
+      await logActivity(user._id, "login", req, false, {
+        loginMethod: "passkey",
+        passkeyId: passkey._id,
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid credentials",
+      });
+    }
+
+    if (
+      await rejectInactiveAccount(user, req, res, {
+        loginMethod: "passkey",
+        passkeyId: passkey._id,
+      })
+    ) {
+      return;
+    }
+
+    if (getVerificationPolicy() === "block_login" && !user.isEmailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: "Please verify your email address before logging in",
+      });
+    }
+
+    passkey.counter = verification.authenticationInfo.newCounter;
+    passkey.backedUp = verification.authenticationInfo.credentialBackedUp;
+    passkey.lastUsedAt = new Date();
+
+    // Generate tokens and save refresh token to user
+    const { accessToken, refreshToken } = await issueAuthTokens(user, req);
+
+    // Log login activity
+    await logActivity(user._id, "login", req, true, {
+      loginMethod: "passkey",
+      passkeyId: passkey._id,
+    });
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      data: {
+        user,
+        accessToken,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    console.error("Passkey login verify error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+module.exports = router;
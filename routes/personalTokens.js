@@ -0,0 +1,189 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const PersonalAccessToken = require("../models/PersonalAccessToken");
+const { auth, verifiedAuth } = require("../middleware/auth");
+const { logActivity } = require("../utils/activityLogger");
+const { createPersonalToken } = require("../utils/personalTokens");
+const { API_SCOPES, PERSONAL_TOKEN_SCOPES } = require("../config/scopes");
+const { getUserPermissions } = require("../utils/permissions");
+
+const router = express.Router();
+
+const MAX_TOKENS_PER_USER = 50;
+const MAX_EXPIRY_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// @route   POST /auth/personal-tokens
+// @desc    Create a personal access token; the token is only returned here
+// @access  Private
+router.post("/personal-tokens", verifiedAuth, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Name is required",
+      });
+    }
+
+    if (
+      !Array.isArray(scopes) ||
+      scopes.length === 0 ||
+      scopes.some((scope) => !Object.hasOwn(PERSONAL_TOKEN_SCOPES, scope))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `scopes must list one or more of: ${Object.keys(
+          PERSONAL_TOKEN_SCOPES
+        ).join(", ")}`,
+      });
+    }
+
+    // API scopes are named after the permission they need
+    const permissions = await getUserPermissions(req.user);
+    const missing = scopes.filter(
+      (scope) => API_SCOPES[scope] && !permissions.includes(scope)
+    );
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Missing permissions for the requested scopes: ${missing.join(
+          ", "
+        )}`,
+      });
+    }
+
+    // Omit expiresInDays (or pass null) for a token that never expires
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      if (
+        !Number.isInteger(expiresInDays) ||
+        expiresInDays < 1 ||
+        expiresInDays > MAX_EXPIRY_DAYS
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `expiresInDays must be a whole number from 1 to ${MAX_EXPIRY_DAYS}`,
+        });
+      }
+      expiresAt = new Date(Date.now() + expiresInDays * DAY_MS);
+    }
+
+    const count = await PersonalAccessToken.countDocuments({
+      userId: req.user._id,
+    });
+    if (count >= MAX_TOKENS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_TOKENS_PER_USER} personal access tokens`,
+      });
+    }
+
+    const { token, personalToken } = await createPersonalToken(req.user._id, {
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      expiresAt,
+    });
+
+    await logActivity(req.user._id, "personal_token_created", req, true, {
+      tokenId: personalToken._id,
+      name: personalToken.name,
+      scopes: personalToken.scopes,
+      expiresAt,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Token created. Store it now, it will not be shown again.",
+      data: {
+        token,
+        personalToken,
+      },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      });
+    }
+
+    console.error("Create personal token error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   GET /auth/personal-tokens
+// @desc    List the current user's personal access tokens
+// @access  Private
+router.get("/personal-tokens", auth, async (req, res) => {
+  try {
+    const personalTokens = await PersonalAccessToken.find({
+      userId: req.user._id,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        personalTokens,
+      },
+    });
+  } catch (error) {
+    console.error("Get personal tokens error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   DELETE /auth/personal-tokens/:id
+// @desc    Revoke a personal access token; it stops working immediately
+// @access  Private
+router.delete("/personal-tokens/:id", auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({
+        success: false,
+        message: "Token not found",
+      });
+    }
+
+    const personalToken = await PersonalAccessToken.findOneAndDelete({
+      _id: id,
+      userId: req.user._id,
+    });
+
+    if (!personalToken) {
+      return res.status(404).json({
+        success: false,
+        message: "Token not found",
+      });
+    }
+
+    await logActivity(req.user._id, "personal_token_revoked", req, true, {
+      tokenId: personalToken._id,
+      name: personalToken.name,
+    });
+
+    res.json({
+      success: true,
+      message: "Token revoked",
+    });
+  } catch (error) {
+    console.error("Revoke personal token error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,235 @@
+const express = require("express");
+const Role = require("../models/Role");
+const User = require("../models/User");
+const { verifiedAuth, requirePermission } = require("../middleware/auth");
+const { logActivity } = require("../utils/activityLogger");
+const { PERMISSIONS, ADMIN_ROLE } = require("../config/permissions");
+
+const router = express.Router();
+
+const manageRolesAuth = [...verifiedAuth, requirePermission("roles:manage")];
+
+// Check a role's permission list; returns an error message or null
+const validatePermissions = (permissions) => {
+  if (
+    !Array.isArray(permissions) ||
+    permissions.some((permission) => typeof permission !== "string")
+  ) {
+    return "permissions must be an array of strings";
+  }
+
+  const unknown = permissions.filter(
+    (permission) => !Object.hasOwn(PERMISSIONS, permission)
+  );
+  if (unknown.length > 0) {
+    return `Unknown permissions: ${unknown.join(", ")}`;
+  }
+
+  return null;
+};
+
+const findRole = (name) => Role.findOne({ name: String(name).toLowerCase() });
+
+// @route   GET /roles
+// @desc    List roles and the permissions they can grant
+// @access  Private (roles:manage permission)
+router.get("/", manageRolesAuth, async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ builtIn: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        roles,
+        permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({
+          name,
+          description,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Get roles error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   POST /roles
+// @desc    Create a role
+// @access  Private (roles:manage permission)
+router.post("/", manageRolesAuth, async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    if (!name || typeof name !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Name is required",
+      });
+    }
+
+    const permissionsError = validatePermissions(permissions);
+    if (permissionsError) {
+      return res.status(400).json({
+        success: false,
+        message: permissionsError,
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+    });
+
+    await logActivity(req.user._id, "role_created", req, true, {
+      role: role.name,
+      permissions: role.permissions,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Role created",
+      data: {
+        role,
+      },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A role with this name already exists",
+      });
+    }
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      });
+    }
+
+    console.error("Create role error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   PUT /roles/:name
+// @desc    Update a role's description or permissions
+// @access  Private (roles:manage permission)
+router.put("/:name", manageRolesAuth, async (req, res) => {
+  try {
+    const role = await findRole(req.params.name);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    const { description, permissions } = req.body;
+
+    if (permissions !== undefined) {
+      if (role.name === ADMIN_ROLE) {
+        return res.status(400).json({
+          success: false,
+          message: "The admin role always holds every permission",
+        });
+      }
+
+      const permissionsError = validatePermissions(permissions);
+      if (permissionsError) {
+        return res.status(400).json({
+          success: false,
+          message: permissionsError,
+        });
+      }
+      role.permissions = [...new Set(permissions)];
+    }
+
+    if (description !== undefined) role.description = description;
+    await role.save();
+
+    await logActivity(req.user._id, "role_updated", req, true, {
+      role: role.name,
+      permissions: role.permissions,
+    });
+
+    res.json({
+      success: true,
+      message: "Role updated",
+      data: {
+        role,
+      },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      });
+    }
+
+    console.error("Update role error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   DELETE /roles/:name
+// @desc    Delete a role that is no longer assigned to anyone
+// @access  Private (roles:manage permission)
+router.delete("/:name", manageRolesAuth, async (req, res) => {
+  try {
+    const role = await findRole(req.params.name);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    if (role.builtIn) {
+      return res.status(400).json({
+        success: false,
+        message: "Built-in roles cannot be deleted",
+      });
+    }
+
+    const assigned = await User.countDocuments({ roles: role.name });
+    if (assigned > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role is assigned to ${assigned} user(s); unassign it first`,
+      });
+    }
+
+    await role.deleteOne();
+
+    await logActivity(req.user._id, "role_deleted", req, true, {
+      role: role.name,
+    });
+
+    res.json({
+      success: true,
+      message: "Role deleted",
+    });
+  } catch (error) {
+    console.error("Delete role error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,153 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { auth } = require("../middleware/auth");
+const { logActivity } = require("../utils/activityLogger");
+const { isRefreshTokenExpired } = require("../utils/tokenCleanup");
+const { revokeSessionAccessTokens } = require("../utils/tokenRevocation");
+const { hasPermission, canManageAccount } = require("../utils/permissions");
+
+const router = express.Router();
+
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  deviceName: session.deviceName,
+  browser: session.browser,
+  os: session.os,
+  deviceType: session.deviceType,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current:
+    !!currentSessionId &&
+    session._id.toString() === currentSessionId.toString(),
+});
+
+// @route   GET /auth/sessions
+// @desc    List active device sessions (?userId= with sessions:manage)
+// @access  Private
+router.get("/sessions", auth, async (req, res) => {
+  try {
+    const { userId } = req.query;
+
+    if (
+      userId &&
+      userId !== req.user._id.toString() &&
+      !(await hasPermission(req, "sessions:manage"))
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view other user's sessions",
+      });
+    }
+
+    const targetUserId = userId || req.user._id;
+    if (!mongoose.Types.ObjectId.isValid(targetUserId)) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const user = await User.findById(targetUserId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Only the caller's own session can be "current"
+    const currentSessionId = user._id.equals(req.user._id)
+      ? req.sessionId
+      : null;
+
+    const sessions = user.refreshTokens
+      .filter((t) => !isRefreshTokenExpired(t))
+      .map((t) => formatSession(t, currentSessionId))
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+
+    res.json({
+      success: true,
+      data: {
+        userId: user._id,
+        sessions,
+      },
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   DELETE /auth/sessions/:id
+// @desc    Revoke a single device session (any user's with sessions:manage)
+// @access  Private
+router.delete("/sessions/:id", auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    const filter = { "refreshTokens._id": id };
+    // Without sessions:manage users can only revoke their own sessions
+    if (!(await hasPermission(req, "sessions:manage"))) {
+      filter._id = req.user._id;
+    }
+
+    const user = await User.findOne(filter);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    if (!(await canManageAccount(req, user))) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Access denied. Revoking the sessions of a user with permissions you don't hold requires roles:manage.",
+      });
+    }
+
+    const session = user.refreshTokens.id(id);
+    const deviceName = session.deviceName;
+    session.deleteOne();
+    await user.save();
+    await revokeSessionAccessTokens(id);
+
+    await logActivity(req.user._id, "session_revoked", req, true, {
+      sessionId: id,
+      targetUserId: user._id,
+      deviceName,
+      current: !!req.sessionId && req.sessionId.toString() === id,
+    });
+
+    res.json({
+      success: true,
+      message: "Session revoked",
+      data: {
+        sessionId: id,
+        userId: user._id,
+      },
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,302 @@
+const express = require("express");
+const passport = require("passport");
+const User = require("../models/User");
+const { issueAuthTokens } = require("../utils/authTokens");
+const {
+  getAccountStatus,
+  rejectInactiveAccount,
+} = require("../utils/accountStatus");
+const { logActivity } = require("../utils/activityLogger");
+const { getVerificationPolicy } = require("../utils/emailVerification");
+const { getSocialProviders } = require("../config/socialProviders");
+const {
+  loadSocialStrategy,
+  createLoginCode,
+  redeemLoginCode,
+} = require("../utils/socialAuth");
+const {
+  resolveSocialLogin,
+  linkIdentity,
+} = require("../utils/linkedIdentities");
+const {
+  generateIdentityLinkToken,
+  generateMfaChallengeToken,
+} = require("../utils/jwt");
+
+const router = express.Router();
+
+const MAX_STATE_LENGTH = 512;
+
+// Frontend page that finishes a social login. It receives `provider` and
+// either `code` (exchange it at POST /auth/:provider/exchange), `linked`,
+// or `error` (plus `link_token` for account_exists; email_not_verified when
+// no account exists for an unverified provider email), and the `state` it
+// passed to GET /auth/:provider. Tokens never appear in URLs.
+const getRedirectUrl = () =>
+  process.env.SOCIAL_LOGIN_REDIRECT_URL ||
+  `${process.env.FRONTEND_URL || "http://localhost:3000"}/auth/callback`;
+
+const redirectToFrontend = (provider, req, res, params) => {
+  const url = new URL(getRedirectUrl());
+  url.searchParams.set("provider", provider.name);
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  if (req.session.socialState) {
+    url.searchParams.set("state", req.session.socialState);
+  }
+
+  delete req.session.socialState;
+  delete req.session.socialLink;
+  res.redirect(url.toString());
+};
+
+// Register the provider's passport strategy before authenticating with it
+const withStrategy = (provider) => async (req, res, next) => {
+  try {
+    await loadSocialStrategy(provider);
+    next();
+  } catch (error) {
+    console.error(`${provider.label} setup error:`, error);
+    redirectToFrontend(provider, req, res, { error: "auth_failed" });
+  }
+};
+
+// Remember the frontend's state. `?link=1` continues a link this session
+// started from a signed-in account (POST /auth/identities/:provider/link);
+// any other login drops a pending link.
+const startLogin = (provider) => (req, res, next) => {
+  const { state, link } = req.query;
+  req.session.socialState =
+    typeof state === "string" ? state.slice(0, MAX_STATE_LENGTH) : null;
+
+  if (!link) {
+    delete req.session.socialLink;
+    return next();
+  }
+
+  const linkRequest = req.session.socialLink;
+  if (
+    !linkRequest ||
+    linkRequest.provider !== provider.name ||
+    linkRequest.expiresAt <= Date.now()
+  ) {
+    return redirectToFrontend(provider, req, res, {
+      error: "invalid_link_request",
+    });
+  }
+
+  next();
+};
+
+// Run the provider's strategy; the identity ends up in req.socialIdentity
+const authenticateCallback = (provider) => (req, res, next) => {
+  passport.authenticate(
+    provider.name,
+    { session: false },
+    (error, identity) => {
+      if (error || !identity) {
+        if (error) console.error(`${provider.label} login error:`, error);
+        return redirectToFrontend(provider, req, res, {
+          error: "auth_failed",
+        });
+      }
+
+      req.socialIdentity = identity;
+      next();
+    }
+  )(req, res, next);
+};
+
+// Finish linking an identity to the account that requested it
+const completeLinkRequest = async (provider, req, res, userId) => {
+  try {
+    await linkIdentity(userId, provider.name, req.socialIdentity);
+  } catch (error) {
+    if (error.name !== "IdentityLinkError") throw error;
+
+    await logActivity(userId, "identity_linked", req, false, {
+      provider: provider.name,
+      reason: error.code,
+    });
+    return redirectToFrontend(provider, req, res, { error: error.code });
+  }
+
+  await logActivity(userId, "identity_linked", req, true, {
+    provider: provider.name,
+    confirmedBy: "session",
+  });
+  redirectToFrontend(provider, req, res, { linked: "1" });
+};
+
+// Same routes for every configured provider (see config/socialProviders.js)
+for (const provider of getSocialProviders()) {
+  // @route   GET /auth/:provider
+  // @desc    Start login with an external provider (optional ?state= is
+  //          echoed back to the frontend)
+  // @access  Public
+  router.get(
+    `/${provider.name}`,
+    withStrategy(provider),
+    startLogin(provider),
+    passport.authenticate(provider.name)
+  );
+
+  // @route   GET /auth/:provider/callback
+  // @desc    External provider callback: hand a one-time code to the
+  //          frontend, or link the identity
+  // @access  Public
+  router.get(
+    `/${provider.name}/callback`,
+    withStrategy(provider),
+    authenticateCallback(provider),
+    async (req, res) => {
+      try {
+        const linkRequest = req.session.socialLink;
+
+        if (linkRequest && linkRequest.provider === provider.name) {
+          return await completeLinkRequest(
+            provider,
+            req,
+            res,
+            linkRequest.userId
+          );
+        }
+
+        const { user, existingUser, unverifiedEmail } =
+          await resolveSocialLogin(provider.name, req.socialIdentity);
+
+        if (existingUser) {
+          const { subject, email, name } = req.socialIdentity;
+          return redirectToFrontend(provider, req, res, {
+            error: "account_exists",
+            link_token: generateIdentityLinkToken({
+              userId: existingUser._id,
+              provider: provider.name,
+              subject,
+              email,
+              name,
+            }),
+          });
+        }
+
+        if (unverifiedEmail) {
+          return redirectToFrontend(provider, req, res, {
+            error: "email_not_verified",
+          });
+        }
+
+        if (!user) {
+          return redirectToFrontend(provider, req, res, {
+            error: "auth_failed",
+          });
+        }
+
+        const status = getAccountStatus(user);
+        if (status !== "active") {
+          await logActivity(user._id, "social_login", req, false, {
+            provider: provider.name,
+            reason: `account_${status}`,
+          });
+          return redirectToFrontend(provider, req, res, {
+            error: `account_${status}`,
+          });
+        }
+
+        const code = await createLoginCode(user._id, provider.name);
+        redirectToFrontend(provider, req, res, { code });
+      } catch (error) {
+        console.error(`${provider.label} callback error:`, error);
+        redirectToFrontend(provider, req, res, { error: "auth_failed" });
+      }
+    }
+  );
+
+  // @route   POST /auth/:provider/exchange
+  // @desc    Exchange the one-time code from the callback for tokens
+  // @access  Public
+  router.post(`/${provider.name}/exchange`, async (req, res) => {
+    try {
+      const { code } = req.body;
+
+      if (!code || typeof code !== "string") {
+        return res.status(400).json({
+          success: false,
+          message: "Code is required",
+        });
+      }
+
+      const entry = await redeemLoginCode(code, provider.name);
+      const user = entry && (await User.findById(entry.userId));
+
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid or expired code",
+        });
+      }
+
+      // Suspended between the callback and the exchange
+      if (
+        await rejectInactiveAccount(
+          user,
+          req,
+          res,
+          { provider: provider.name },
+          "social_login"
+        )
+      ) {
+        return;
+      }
+
+      if (getVerificationPolicy() === "block_login" && !user.isEmailVerified) {
+        return res.status(403).json({
+          success: false,
+          message: "Please verify your email address before logging in",
+        });
+      }
+
+      // Second factor required: return a short-lived challenge instead of
+      // tokens, completed at POST /auth/login/mfa
+      if (user.mfa && user.mfa.enabled) {
+        return res.json({
+          success: true,
+          message: "Two-factor authentication required",
+          data: {
+            mfaRequired: true,
+            mfaToken: generateMfaChallengeToken({
+              id: user._id,
+              loginMethod: "social",
+              provider: provider.name,
+            }),
+          },
+        });
+      }
+
+      // Generate tokens and save refresh token to user
+      const { accessToken, refreshToken } = await issueAuthTokens(user, req);
+
+      await logActivity(user._id, "social_login", req, true, {
+        provider: provider.name,
+      });
+
+      res.json({
+        success: true,
+        message: "Login successful",
+        data: {
+          user,
+          accessToken,
+          refreshToken,
+        },
+      });
+    } catch (error) {
+      console.error(`${provider.label} code exchange error:`, error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  });
+}
+
+module.exports = router;
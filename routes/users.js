@@ -1,36 +1,87 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const User = require("../models/User");
-const { auth, adminAuth } = require("../middleware/auth");
+const {
+  auth,
+  verifiedAuth,
+  allowScopedTokens,
+  requirePermission,
+  permissionOrScopedAuth,
+} = require("../middleware/auth");
+const { logActivity } = require("../utils/activityLogger");
+const { sendVerificationEmail } = require("../utils/emailVerification");
+const {
+  hasPermission,
+  canManageAccount,
+  findUnknownRoles,
+} = require("../utils/permissions");
+const { getMemberIds } = require("../utils/organizations");
+const {
+  ACCOUNT_STATUSES,
+  getAccountStatus,
+  setAccountStatus,
+} = require("../utils/accountStatus");
+const {
+  getPurgeDate,
+  softDeleteUser,
+  restoreUser,
+} = require("../utils/userDeletion");
+const {
+  parseDirectoryQuery,
+  findDirectoryUsers,
+} = require("../utils/userDirectory");
+const { ADMIN_ROLE } = require("../config/permissions");
 
 const router = express.Router();
 
+const MAX_STATUS_REASON_LENGTH = 500;
+
+const STATUS_ACTIONS = {
+  active: "account_reactivated",
+  suspended: "account_suspended",
+  disabled: "account_disabled",
+};
+
+const readUsersAuth = permissionOrScopedAuth("users:read", {
+  orgScoped: true,
+});
+
 // @route   GET /users
-// @desc    Get all users (admin only)
-// @access  Private (Admin)
-router.get("/", auth, adminAuth, async (req, res) => {
+// @desc    Search, filter and sort users, or the active organization's
+//          members (query parameters in utils/userDirectory.js)
+// @access  Private (users:read permission or organization role, or scoped
+//          token with users:read)
+router.get("/", readUsersAuth, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const { errors, options } = parseDirectoryQuery(req.query);
 
-    const users = await User.find()
-      .select("-password -refreshTokens")
-      .skip(skip)
-      .limit(limit)
-      .sort({ createdAt: -1 });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid query parameters",
+        errors,
+      });
+    }
 
-    const total = await User.countDocuments();
+    const { users, nextCursor, total } = await findDirectoryUsers(options, {
+      userIds: req.organizationId
+        ? await getMemberIds(req.organizationId)
+        : null,
+    });
 
     res.json({
       success: true,
       data: {
         users,
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: Math.ceil(total / limit),
-        },
+        pagination: options.cursor
+          ? { limit: options.limit, nextCursor }
+          : {
+              page: options.page,
+              limit: options.limit,
+              total,
+              pages: Math.ceil(total / options.limit),
+              nextCursor,
+            },
       },
     });
   } catch (error) {
@@ -44,13 +95,17 @@ router.get("/", auth, adminAuth, async (req, res) => {
 
 // @route   GET /users/:id
 // @desc    Get user by ID
-// @access  Private
-router.get("/:id", auth, async (req, res) => {
+// @access  Private (or scoped token with users:read)
+router.get("/:id", allowScopedTokens("users:read"), auth, async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Users can only view their own profile unless they're admin
-    if (req.user.role !== "admin" && req.user._id.toString() !== id) {
+    // Users can only view their own profile without users:read
+    if (
+      !req.apiClient &&
+      req.user._id.toString() !== id &&
+      !(await hasPermission(req, "users:read"))
+    ) {
       return res.status(403).json({
         success: false,
         message: "Access denied",
@@ -87,20 +142,47 @@ router.get("/:id", auth, async (req, res) => {
 router.put("/:id", auth, async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, email, role } = req.body;
+    const { name, email } = req.body;
 
-    // Users can only update their own profile unless they're admin
-    if (req.user.role !== "admin" && req.user._id.toString() !== id) {
+    // Users can only update their own profile without users:update
+    if (
+      req.user._id.toString() !== id &&
+      !(await hasPermission(req, "users:update"))
+    ) {
       return res.status(403).json({
         success: false,
         message: "Access denied",
       });
     }
 
-    // Only admin can change roles
+    if (
+      (name !== undefined && typeof name !== "string") ||
+      (email !== undefined && typeof email !== "string")
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "name and email must be strings",
+      });
+    }
+
+    // Roles are assigned with PUT /users/:id/roles
     const updateData = { name, email };
-    if (req.user.role === "admin" && role) {
-      updateData.role = role;
+
+    // A new email address has to be verified again
+    const currentUser = await User.findById(id).select("email roles");
+    const emailChanged =
+      currentUser && email && email.toLowerCase() !== currentUser.email;
+    if (emailChanged) {
+      // The address receives password resets and magic links
+      if (!(await canManageAccount(req, currentUser))) {
+        return res.status(403).json({
+          success: false,
+          message:
+            "Access denied. Changing the email of a user with permissions you don't hold requires roles:manage.",
+        });
+      }
+
+      updateData.isEmailVerified = false;
     }
 
     const user = await User.findByIdAndUpdate(id, updateData, {
@@ -115,6 +197,17 @@ router.put("/:id", auth, async (req, res) => {
       });
     }
 
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+        await logActivity(user._id, "email_verification_sent", req, true, {
+          trigger: "email_change",
+        });
+      } catch (error) {
+        console.error("Send verification email error:", error);
+      }
+    }
+
     res.json({
       success: true,
       message: "User updated successfully",
@@ -139,32 +232,328 @@ router.put("/:id", auth, async (req, res) => {
 });
 
 // @route   DELETE /users/:id
-// @desc    Delete user (admin only)
-// @access  Private (Admin)
-router.delete("/:id", auth, adminAuth, async (req, res) => {
-  try {
-    const { id } = req.params;
+// @desc    Delete user: hidden and signed out at once, restorable until the
+//          purge after USER_DELETION_RETENTION_DAYS
+// @access  Private (users:delete permission, or scoped token with users:delete)
+router.delete(
+  "/:id",
+  permissionOrScopedAuth("users:delete"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
 
-    const user = await User.findByIdAndDelete(id);
+      const user = mongoose.Types.ObjectId.isValid(id)
+        ? await User.findById(id)
+        : null;
 
-    if (!user) {
-      return res.status(404).json({
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (!(await canManageAccount(req, user))) {
+        return res.status(403).json({
+          success: false,
+          message:
+            "Access denied. Deleting a user with permissions you don't hold requires roles:manage.",
+        });
+      }
+
+      // Keep at least one admin so roles can still be managed
+      if (
+        user.roles.includes(ADMIN_ROLE) &&
+        (await User.countDocuments({ roles: ADMIN_ROLE })) <= 1
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot delete the last admin",
+        });
+      }
+
+      // Service clients have no user of their own
+      const actorId = req.user ? req.user._id : null;
+      await softDeleteUser(user, actorId);
+
+      await logActivity(actorId, "user_deleted", req, true, {
+        targetUserId: user._id,
+        purgeAfter: getPurgeDate(user),
+        ...(req.apiClient && { clientId: req.apiClient.clientId }),
+      });
+
+      res.json({
+        success: true,
+        message: "User deleted successfully",
+        data: {
+          purgeAfter: getPurgeDate(user),
+        },
+      });
+    } catch (error) {
+      console.error("Delete user error:", error);
+      res.status(500).json({
         success: false,
-        message: "User not found",
+        message: "Internal server error",
       });
     }
+  }
+);
 
-    res.json({
-      success: true,
-      message: "User deleted successfully",
-    });
-  } catch (error) {
-    console.error("Delete user error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error",
-    });
+// @route   POST /users/:id/restore
+// @desc    Restore a deleted user who has not been purged yet
+// @access  Private (users:delete permission, or scoped token with users:delete)
+router.post(
+  "/:id/restore",
+  permissionOrScopedAuth("users:delete"),
+  async (req, res) => {
+    try {
+      const user = mongoose.Types.ObjectId.isValid(req.params.id)
+        ? await User.findOne({
+            _id: req.params.id,
+            deletedAt: { $ne: null },
+          })
+        : null;
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "Deleted user not found",
+        });
+      }
+
+      if (!(await canManageAccount(req, user))) {
+        return res.status(403).json({
+          success: false,
+          message:
+            "Access denied. Restoring a user with permissions you don't hold requires roles:manage.",
+        });
+      }
+
+      const { deletedAt, deletedBy } = user;
+      await restoreUser(user);
+
+      await logActivity(
+        req.user ? req.user._id : null,
+        "user_restored",
+        req,
+        true,
+        {
+          targetUserId: user._id,
+          deletedAt,
+          deletedBy,
+          ...(req.apiClient && { clientId: req.apiClient.clientId }),
+        }
+      );
+
+      res.json({
+        success: true,
+        message: "User restored",
+        data: {
+          user,
+        },
+      });
+    } catch (error) {
+      console.error("Restore user error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
   }
-});
+);
+
+// @route   PUT /users/:id/roles
+// @desc    Replace a user's roles
+// @access  Private (roles:manage permission)
+router.put(
+  "/:id/roles",
+  verifiedAuth,
+  requirePermission("roles:manage"),
+  async (req, res) => {
+    try {
+      const { roles } = req.body;
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (
+        !Array.isArray(roles) ||
+        roles.some((role) => typeof role !== "string")
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "roles must be an array of role names",
+        });
+      }
+
+      const names = [...new Set(roles.map((role) => role.toLowerCase()))];
+      const unknown = await findUnknownRoles(names);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown roles: ${unknown.join(", ")}`,
+        });
+      }
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      // Keep at least one admin so roles can still be managed
+      if (
+        user.roles.includes(ADMIN_ROLE) &&
+        !names.includes(ADMIN_ROLE) &&
+        (await User.countDocuments({ roles: ADMIN_ROLE })) <= 1
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot remove the admin role from the last admin",
+        });
+      }
+
+      const previousRoles = [...user.roles];
+      user.roles = names;
+      await user.save();
+
+      await logActivity(req.user._id, "roles_assigned", req, true, {
+        targetUserId: user._id,
+        roles: names,
+        previousRoles,
+      });
+
+      res.json({
+        success: true,
+        message: "Roles updated",
+        data: {
+          user,
+        },
+      });
+    } catch (error) {
+      console.error("Assign roles error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// @route   PUT /users/:id/status
+// @desc    Suspend (optionally until expiresAt), disable or reactivate an
+//          account. Blocking signs the user out everywhere.
+// @access  Private (users:suspend permission; admins also need roles:manage)
+router.put(
+  "/:id/status",
+  verifiedAuth,
+  requirePermission("users:suspend"),
+  async (req, res) => {
+    try {
+      const { status, reason, expiresAt } = req.body;
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (!ACCOUNT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${ACCOUNT_STATUSES.join(", ")}`,
+        });
+      }
+
+      if (
+        status !== "active" &&
+        (typeof reason !== "string" ||
+          !reason.trim() ||
+          reason.length > MAX_STATUS_REASON_LENGTH)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `Please provide a reason (at most ${MAX_STATUS_REASON_LENGTH} characters)`,
+        });
+      }
+
+      let until = null;
+      if (expiresAt !== undefined && expiresAt !== null) {
+        until = new Date(expiresAt);
+        if (status !== "suspended") {
+          return res.status(400).json({
+            success: false,
+            message: "expiresAt only applies to suspensions",
+          });
+        }
+        if (isNaN(until) || until <= new Date()) {
+          return res.status(400).json({
+            success: false,
+            message: "expiresAt must be a date in the future",
+          });
+        }
+      }
+
+      if (req.params.id === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot change the status of your own account",
+        });
+      }
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (!(await canManageAccount(req, user))) {
+        return res.status(403).json({
+          success: false,
+          message:
+            "Access denied. Changing the status of a user with permissions you don't hold requires roles:manage.",
+        });
+      }
+
+      const previousStatus = getAccountStatus(user);
+      const sessionsRevoked = await setAccountStatus(user, status, {
+        reason: status === "active" ? null : reason.trim(),
+        expiresAt: until,
+        changedBy: req.user._id,
+      });
+
+      await logActivity(req.user._id, STATUS_ACTIONS[status], req, true, {
+        targetUserId: user._id,
+        reason: user.statusReason,
+        expiresAt: user.statusExpiresAt,
+        previousStatus,
+        sessionsRevoked,
+      });
+
+      res.json({
+        success: true,
+        message: "Account status updated",
+        data: {
+          user,
+        },
+      });
+    } catch (error) {
+      console.error("Update account status error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
 
 module.exports = router;
@@ -0,0 +1,37 @@
+const express = require("express");
+const { getJwks } = require("../utils/signingKeys");
+const { getDiscoveryDocument } = require("../utils/oidc");
+
+const router = express.Router();
+
+// Verifiers cache these documents; keys are published well before they sign
+const CACHE_MAX_AGE_SECONDS = 300;
+
+// @route   GET /.well-known/jwks.json
+// @desc    Public keys for verifying access tokens (plain JWK set, not
+//          wrapped in the usual response envelope)
+// @access  Public
+router.get("/jwks.json", async (req, res) => {
+  try {
+    const jwks = await getJwks();
+
+    res.set("Cache-Control", `public, max-age=${CACHE_MAX_AGE_SECONDS}`);
+    res.json(jwks);
+  } catch (error) {
+    console.error("JWKS error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// @route   GET /.well-known/openid-configuration
+// @desc    OpenID Connect provider metadata
+// @access  Public
+router.get("/openid-configuration", (req, res) => {
+  res.set("Cache-Control", `public, max-age=${CACHE_MAX_AGE_SECONDS}`);
+  res.json(getDiscoveryDocument());
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+// Give a user a role, e.g. to create the first admin.
+// Usage: npm run roles:assign -- --email admin@example.com [--role admin]
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Role = require("../models/Role");
+const { ensureBuiltInRoles } = require("../utils/permissions");
+const { ADMIN_ROLE } = require("../config/permissions");
+
+const parseArgs = (argv) => {
+  const options = { role: ADMIN_ROLE };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--email":
+        options.email = argv[++i];
+        break;
+      case "--role":
+        options.role = argv[++i];
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (!options.email) {
+    throw new Error("--email is required");
+  }
+  return options;
+};
+
+const run = async () => {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    await mongoose.connect(process.env.MONGODB_URI);
+    await ensureBuiltInRoles();
+
+    const role = await Role.findOne({ name: options.role.toLowerCase() });
+    if (!role) {
+      throw new Error(`Role not found: ${options.role}`);
+    }
+
+    const user = await User.findOneAndUpdate(
+      { email: options.email.toLowerCase() },
+      { $addToSet: { roles: role.name } },
+      { new: true }
+    );
+    if (!user) {
+      throw new Error(`User not found: ${options.email}`);
+    }
+
+    console.log(`✅ ${user.email} now has roles: ${user.roles.join(", ")}`);
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error("❌ Role assignment failed:", error.message || error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  run();
+}
@@ -0,0 +1,53 @@
+// One-off migration: fill in User.lastLoginAt from the activity log for
+// accounts that have not logged in since the field was added.
+// Usage: npm run migrate:last-login
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const ActivityLog = require("../models/ActivityLog");
+
+const backfillLastLogin = async () => {
+  const cursor = ActivityLog.aggregate([
+    {
+      $match: {
+        action: { $in: ["login", "social_login"] },
+        success: true,
+        userId: { $ne: null },
+      },
+    },
+    { $group: { _id: "$userId", lastLoginAt: { $max: "$timestamp" } } },
+  ]).cursor();
+
+  let usersUpdated = 0;
+
+  for await (const { _id: userId, lastLoginAt } of cursor) {
+    const result = await User.updateOne(
+      { _id: userId, lastLoginAt: null },
+      { $set: { lastLoginAt } }
+    );
+    usersUpdated += result.modifiedCount;
+  }
+
+  return { usersUpdated };
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("🕒 Backfilling last login times from the activity log...");
+
+    const result = await backfillLastLogin();
+
+    console.log(`✅ Migration completed: ${result.usersUpdated} users updated`);
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error("❌ Last login backfill failed:", error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { backfillLastLogin };
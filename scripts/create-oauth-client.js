@@ -0,0 +1,65 @@
+// Register an application with the OpenID Connect provider.
+// Usage: npm run oauth:create-client -- --name "Wiki" \
+//   --redirect-uri https://wiki.example.com/callback [--public] [--skip-consent]
+// The client secret is printed once; only its hash is stored.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const OAuthClient = require("../models/OAuthClient");
+
+const parseArgs = (argv) => {
+  const options = { redirectUris: [], public: false, skipConsent: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--name":
+        options.name = argv[++i];
+        break;
+      case "--redirect-uri":
+        options.redirectUris.push(argv[++i]);
+        break;
+      case "--public":
+        options.public = true;
+        break;
+      case "--skip-consent":
+        options.skipConsent = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (!options.name || options.redirectUris.length === 0) {
+    throw new Error("--name and at least one --redirect-uri are required");
+  }
+  return options;
+};
+
+const run = async () => {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const client = new OAuthClient({
+      name: options.name,
+      type: options.public ? "public" : "confidential",
+      redirectUris: options.redirectUris,
+      skipConsent: options.skipConsent,
+    });
+    const { clientId, clientSecret } = client.generateCredentials();
+    await client.save();
+
+    console.log(`✅ Registered ${client.type} client "${client.name}"`);
+    console.log(`client_id:     ${clientId}`);
+    if (clientSecret) {
+      console.log(`client_secret: ${clientSecret} (shown only once)`);
+    }
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error("❌ Client registration failed:", error.message || error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  run();
+}
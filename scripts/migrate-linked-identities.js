@@ -0,0 +1,66 @@
+// One-off migration: move User.googleId into the linked identities
+// collection.
+// Usage: npm run migrate:linked-identities
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const LinkedIdentity = require("../models/LinkedIdentity");
+
+const migrateLinkedIdentities = async () => {
+  // Work on raw documents: the schema no longer knows googleId
+  const cursor = User.collection.find({
+    googleId: { $exists: true },
+  });
+
+  let identitiesLinked = 0;
+  let usersMigrated = 0;
+
+  for await (const doc of cursor) {
+    if (doc.googleId) {
+      const result = await LinkedIdentity.updateOne(
+        { provider: "google", subject: doc.googleId },
+        {
+          $setOnInsert: {
+            userId: doc._id,
+            email: doc.email,
+            name: doc.name,
+            createdAt: new Date(),
+          },
+        },
+        { upsert: true }
+      );
+      identitiesLinked += result.upsertedCount;
+    }
+
+    await User.collection.updateOne(
+      { _id: doc._id },
+      { $unset: { googleId: "" } }
+    );
+    usersMigrated++;
+  }
+
+  return { identitiesLinked, usersMigrated };
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("🔗 Moving Google accounts to linked identities...");
+
+    const result = await migrateLinkedIdentities();
+
+    console.log(
+      `✅ Migration completed: ${result.identitiesLinked} identities linked, ${result.usersMigrated} users updated`
+    );
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error("❌ Linked identity migration failed:", error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { migrateLinkedIdentities };
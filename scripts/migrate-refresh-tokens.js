@@ -0,0 +1,76 @@
+// One-off migration: replace plaintext refresh tokens with keyed hashes.
+// Usage: npm run migrate:refresh-tokens
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { verifyRefreshToken, describeRefreshToken } = require("../utils/jwt");
+
+const migrateRefreshTokens = async () => {
+  // Work on raw documents: the schema no longer knows the plaintext field
+  const cursor = User.collection.find({
+    "refreshTokens.token": { $exists: true },
+  });
+
+  let usersMigrated = 0;
+  let tokensHashed = 0;
+  let tokensDropped = 0;
+
+  for await (const doc of cursor) {
+    const refreshTokens = [];
+
+    for (const entry of doc.refreshTokens) {
+      if (!entry.token) {
+        refreshTokens.push(entry);
+        continue;
+      }
+
+      const { token, ...rest } = entry;
+
+      try {
+        verifyRefreshToken(token);
+      } catch (error) {
+        // Expired or invalid tokens are dropped instead of migrated
+        tokensDropped++;
+        continue;
+      }
+
+      refreshTokens.push({
+        ...rest,
+        ...describeRefreshToken(token),
+        family: rest.family || null,
+      });
+      tokensHashed++;
+    }
+
+    await User.collection.updateOne(
+      { _id: doc._id },
+      { $set: { refreshTokens } }
+    );
+    usersMigrated++;
+  }
+
+  return { usersMigrated, tokensHashed, tokensDropped };
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("🔐 Hashing stored refresh tokens...");
+
+    const result = await migrateRefreshTokens();
+
+    console.log(
+      `✅ Migration completed: ${result.tokensHashed} tokens hashed, ${result.tokensDropped} expired tokens dropped, ${result.usersMigrated} users updated`
+    );
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error("❌ Refresh token migration failed:", error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { migrateRefreshTokens };
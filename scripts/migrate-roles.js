@@ -0,0 +1,58 @@
+// One-off migration: replace the User.role enum with User.roles and create
+// the built-in roles.
+// Usage: npm run migrate:roles
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { ensureBuiltInRoles } = require("../utils/permissions");
+const { DEFAULT_ROLE } = require("../config/permissions");
+
+const migrateRoles = async () => {
+  await ensureBuiltInRoles();
+
+  // Work on raw documents: the schema no longer knows role
+  const cursor = User.collection.find({
+    role: { $exists: true },
+  });
+
+  let usersMigrated = 0;
+
+  for await (const doc of cursor) {
+    // "user" and "admin" are both built-in roles
+    const roles = [...new Set([DEFAULT_ROLE, doc.role || DEFAULT_ROLE])];
+
+    await User.collection.updateOne(
+      { _id: doc._id },
+      {
+        $addToSet: { roles: { $each: roles } },
+        $unset: { role: "" },
+      }
+    );
+    usersMigrated++;
+  }
+
+  return { usersMigrated };
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("🛡️  Moving user roles to the roles collection...");
+
+    const result = await migrateRoles();
+
+    console.log(
+      `✅ Migration completed: ${result.usersMigrated} users updated`
+    );
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error("❌ Role migration failed:", error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { migrateRoles };
@@ -0,0 +1,32 @@
+// Hard-delete users whose deletion is older than
+// USER_DELETION_RETENTION_DAYS now instead of waiting for the daily purge
+// Usage: npm run users:purge
+require("dotenv").config();
+const mongoose = require("mongoose");
+const {
+  getDeletionConfig,
+  purgeDeletedUsers,
+} = require("../utils/userDeletion");
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const { retentionDays, activityLogs } = getDeletionConfig();
+    console.log(
+      `🗑️ Purging users deleted more than ${retentionDays} days ago (activity logs: ${activityLogs})...`
+    );
+
+    const { purged } = await purgeDeletedUsers();
+
+    console.log(`✅ Purge completed: ${purged} users removed`);
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error("❌ Purge failed:", error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  run();
+}
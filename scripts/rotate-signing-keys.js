@@ -0,0 +1,28 @@
+// Create a new access token signing key now instead of waiting for the
+// scheduled rotation. The current key keeps signing until the new one
+// activates, then verifies for JWT_KEY_GRACE_HOURS.
+// Usage: npm run rotate:signing-keys
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { rotateSigningKeys } = require("../utils/signingKeys");
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("🔑 Rotating access token signing key...");
+
+    const { kid, activatedAt } = await rotateSigningKeys({ force: true });
+
+    console.log(
+      `✅ Rotation completed: key ${kid} activates at ${activatedAt.toISOString()}`
+    );
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error("❌ Signing key rotation failed:", error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  run();
+}
@@ -0,0 +1,201 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createApp,
+  startServer,
+  createClient,
+  resetState,
+  memoryDb,
+} = require("./helpers/app");
+const User = require("../models/User");
+const Role = require("../models/Role");
+const { ensureBuiltInRoles } = require("../utils/permissions");
+
+const PASSWORD = "Password123!";
+const HOUR = 60 * 60 * 1000;
+
+describe("suspending and disabling accounts", () => {
+  let server;
+  let client;
+  let moderatorToken;
+  let alice;
+
+  before(async () => {
+    const app = createApp([
+      ["/auth", require("../routes/auth")],
+      ["/users", require("../routes/users")],
+    ]);
+    server = await startServer(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetState();
+    client = createClient(server.baseUrl);
+
+    await ensureBuiltInRoles();
+    await Role.create({ name: "moderator", permissions: ["users:suspend"] });
+    await User.create({
+      name: "Moderator",
+      email: "moderator@example.com",
+      password: PASSWORD,
+      isEmailVerified: true,
+      roles: ["user", "moderator"],
+    });
+    await User.create({
+      name: "Admin",
+      email: "admin@example.com",
+      password: PASSWORD,
+      isEmailVerified: true,
+      roles: ["user", "admin"],
+    });
+    alice = await User.create({
+      name: "Alice",
+      email: "alice@example.com",
+      password: PASSWORD,
+      isEmailVerified: true,
+    });
+
+    moderatorToken = (await login("moderator@example.com")).body.data
+      .accessToken;
+  });
+
+  const login = (email) =>
+    client.post("/auth/login", { body: { email, password: PASSWORD } });
+
+  const setStatus = (userId, body) =>
+    client.put(`/users/${userId}/status`, { token: moderatorToken, body });
+
+  it("signs a suspended user out everywhere and blocks login", async () => {
+    const { accessToken, refreshToken } = (await login("alice@example.com"))
+      .body.data;
+
+    const res = await setStatus(alice._id, {
+      status: "suspended",
+      reason: "Spam",
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.user.status, "suspended");
+
+    const me = await client.get("/auth/me", { token: accessToken });
+    assert.equal(me.status, 401);
+    const refreshed = await client.post("/auth/refresh", {
+      body: { refreshToken },
+    });
+    assert.equal(refreshed.status, 403);
+    const stored = memoryDb
+      .dump("users")
+      .find((user) => user.email === "alice@example.com");
+    assert.equal(stored.refreshTokens.length, 0);
+    assert.ok(stored.tokensValidAfter);
+
+    const blocked = await login("alice@example.com");
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.data.accountStatus, "suspended");
+    assert.equal(blocked.body.data.accessToken, undefined);
+
+    const [log] = memoryDb
+      .dump("activitylogs")
+      .filter((entry) => entry.action === "account_suspended");
+    assert.equal(log.details.reason, "Spam");
+    assert.equal(log.details.sessionsRevoked, 1);
+  });
+
+  it("blocks login for a disabled account", async () => {
+    await setStatus(alice._id, { status: "disabled", reason: "Closed" });
+
+    const blocked = await login("alice@example.com");
+
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.data.accountStatus, "disabled");
+  });
+
+  it("lets a reactivated user sign in again", async () => {
+    await setStatus(alice._id, { status: "suspended", reason: "Spam" });
+
+    const res = await setStatus(alice._id, { status: "active" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.user.statusReason, null);
+
+    assert.equal((await login("alice@example.com")).status, 200);
+  });
+
+  it("ends a suspension at its expiry", async () => {
+    const expiresAt = new Date(Date.now() + HOUR);
+    await setStatus(alice._id, {
+      status: "suspended",
+      reason: "Cooling off",
+      expiresAt: expiresAt.toISOString(),
+    });
+
+    const blocked = await login("alice@example.com");
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.data.suspendedUntil, expiresAt.toISOString());
+
+    await User.updateOne(
+      { _id: alice._id },
+      { $set: { statusExpiresAt: new Date(Date.now() - 1000) } }
+    );
+
+    assert.equal((await login("alice@example.com")).status, 200);
+  });
+
+  it("validates the reason and expiry", async () => {
+    const missingReason = await setStatus(alice._id, { status: "suspended" });
+    assert.equal(missingReason.status, 400);
+
+    const past = await setStatus(alice._id, {
+      status: "suspended",
+      reason: "Spam",
+      expiresAt: new Date(Date.now() - HOUR).toISOString(),
+    });
+    assert.equal(past.status, 400);
+
+    const disabledUntil = await setStatus(alice._id, {
+      status: "disabled",
+      reason: "Closed",
+      expiresAt: new Date(Date.now() + HOUR).toISOString(),
+    });
+    assert.equal(disabledUntil.status, 400);
+
+    const unknown = await setStatus(alice._id, { status: "banned" });
+    assert.equal(unknown.status, 400);
+  });
+
+  it("refuses to change the moderator's own status", async () => {
+    const moderator = await User.findOne({ email: "moderator@example.com" });
+
+    const res = await setStatus(moderator._id, {
+      status: "suspended",
+      reason: "Oops",
+    });
+
+    assert.equal(res.status, 400);
+  });
+
+  it("needs roles:manage to suspend an admin", async () => {
+    const admin = await User.findOne({ email: "admin@example.com" });
+
+    const res = await setStatus(admin._id, {
+      status: "suspended",
+      reason: "Spam",
+    });
+
+    assert.equal(res.status, 403);
+    assert.equal((await login("admin@example.com")).status, 200);
+  });
+
+  it("is closed to users without users:suspend", async () => {
+    const aliceToken = (await login("alice@example.com")).body.data
+      .accessToken;
+    const admin = await User.findOne({ email: "admin@example.com" });
+
+    const res = await client.put(`/users/${admin._id}/status`, {
+      token: aliceToken,
+      body: { status: "suspended", reason: "Spam" },
+    });
+
+    assert.equal(res.status, 403);
+  });
+});
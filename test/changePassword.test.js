@@ -0,0 +1,124 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createApp,
+  startServer,
+  createClient,
+  resetState,
+} = require("./helpers/app");
+const User = require("../models/User");
+
+const PASSWORD = "Password123!";
+const NEW_PASSWORD = "NewPassword123!";
+
+describe("changing the password", () => {
+  let server;
+  let client;
+
+  before(async () => {
+    const app = createApp([["/auth", require("../routes/auth")]]);
+    server = await startServer(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetState();
+    client = createClient(server.baseUrl);
+    await User.create({
+      name: "Alice",
+      email: "alice@example.com",
+      password: PASSWORD,
+      isEmailVerified: true,
+    });
+  });
+
+  const login = async (password = PASSWORD) => {
+    const res = await client.post("/auth/login", {
+      body: { email: "alice@example.com", password },
+    });
+    return res.body.data;
+  };
+
+  const changePassword = (accessToken, body) =>
+    client.post("/auth/change-password", { token: accessToken, body });
+
+  it("changes the password", async () => {
+    const { accessToken } = await login();
+
+    const res = await changePassword(accessToken, {
+      currentPassword: PASSWORD,
+      newPassword: NEW_PASSWORD,
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.message, "Password changed successfully");
+    assert.ok(await login(NEW_PASSWORD));
+  });
+
+  it("refuses a wrong current password", async () => {
+    const { accessToken } = await login();
+
+    const res = await changePassword(accessToken, {
+      currentPassword: "wrong-password",
+      newPassword: NEW_PASSWORD,
+    });
+
+    assert.equal(res.status, 401);
+    const user = await User.findOne({ email: "alice@example.com" });
+    assert.ok(await user.comparePassword(PASSWORD));
+  });
+
+  it("rejects input that isn't a string", async () => {
+    const { accessToken } = await login();
+
+    for (const body of [
+      { currentPassword: { $ne: null }, newPassword: NEW_PASSWORD },
+      { currentPassword: PASSWORD, newPassword: ["x", "y", "z", "1", "2", "3"] },
+      { currentPassword: PASSWORD, newPassword: NEW_PASSWORD, refreshToken: 1 },
+    ]) {
+      const res = await changePassword(accessToken, body);
+      assert.equal(res.status, 400);
+    }
+  });
+
+  it("sets a first password for an account without one", async () => {
+    const { accessToken } = await login();
+    // As for an account created through social login
+    await User.updateOne(
+      { email: "alice@example.com" },
+      { $unset: { password: 1 } }
+    );
+
+    const res = await changePassword(accessToken, {
+      newPassword: NEW_PASSWORD,
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.message, "Password set successfully");
+  });
+
+  it("signs out the other sessions when asked", async () => {
+    const other = await login();
+    const { accessToken, refreshToken } = await login();
+
+    const res = await changePassword(accessToken, {
+      currentPassword: PASSWORD,
+      newPassword: NEW_PASSWORD,
+      refreshToken,
+      signOutOtherSessions: true,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.sessionsRevoked, 1);
+
+    const otherRefresh = await client.post("/auth/refresh", {
+      body: { refreshToken: other.refreshToken },
+    });
+    assert.equal(otherRefresh.status, 401);
+
+    const ownRefresh = await client.post("/auth/refresh", {
+      body: { refreshToken },
+    });
+    assert.equal(ownRefresh.status, 200);
+  });
+});
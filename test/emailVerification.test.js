@@ -0,0 +1,165 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("node:timers/promises");
+const {
+  createApp,
+  startServer,
+  createClient,
+  resetState,
+  outbox,
+} = require("./helpers/app");
+const User = require("../models/User");
+
+const PASSWORD = "Password123!";
+
+describe("email verification", () => {
+  let server;
+  let client;
+
+  before(async () => {
+    const app = createApp([
+      ["/auth", require("../routes/auth")],
+      ["/auth", require("../routes/personalTokens")],
+    ]);
+    server = await startServer(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetState();
+    client = createClient(server.baseUrl);
+    delete process.env.EMAIL_VERIFICATION_POLICY;
+  });
+
+  const register = (email = "alice@example.com") =>
+    client.post("/auth/register", {
+      body: { name: "Alice", email, password: PASSWORD },
+    });
+
+  const login = () =>
+    client.post("/auth/login", {
+      body: { email: "alice@example.com", password: PASSWORD },
+    });
+
+  // The token from the newest verification email
+  const mailedToken = () =>
+    /verify-email: (\S+)$/.exec(outbox[outbox.length - 1].text)[1];
+
+  // Resent links are mailed after the response
+  const waitForMail = async (count) => {
+    for (let i = 0; i < 50 && outbox.length < count; i++) await sleep(10);
+  };
+
+  it("mails a link on registration that verifies the address", async () => {
+    const registered = await register();
+    assert.equal(registered.status, 201);
+    assert.equal(registered.body.data.user.isEmailVerified, false);
+    assert.deepEqual(
+      outbox.map((message) => message.to),
+      ["alice@example.com"]
+    );
+
+    const res = await client.post("/auth/verify-email", {
+      body: { token: mailedToken() },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.user.isEmailVerified, true);
+  });
+
+  it("rejects a token issued for the previous address", async () => {
+    await register();
+    const token = mailedToken();
+    await User.updateOne(
+      { email: "alice@example.com" },
+      { $set: { email: "alice@example.org" } }
+    );
+
+    const res = await client.post("/auth/verify-email", { body: { token } });
+
+    assert.equal(res.status, 400);
+    const user = await User.findOne({ email: "alice@example.org" });
+    assert.equal(user.isEmailVerified, false);
+  });
+
+  it("rejects a token that isn't a verification token", async () => {
+    const { accessToken } = (await register()).body.data;
+
+    const res = await client.post("/auth/verify-email", {
+      body: { token: accessToken },
+    });
+
+    assert.equal(res.status, 400);
+  });
+
+  it("resends the link only to unverified accounts", async () => {
+    await register();
+    await register("bob@example.com");
+    await User.updateOne(
+      { email: "bob@example.com" },
+      { $set: { isEmailVerified: true } }
+    );
+    outbox.length = 0;
+
+    for (const email of [
+      "alice@example.com",
+      "bob@example.com",
+      "nobody@example.com",
+    ]) {
+      const res = await client.post("/auth/resend-verification", {
+        body: { email },
+      });
+      assert.equal(res.status, 200);
+    }
+    await waitForMail(1);
+    await sleep(50);
+
+    assert.deepEqual(
+      outbox.map((message) => message.to),
+      ["alice@example.com"]
+    );
+  });
+
+  it("lets unverified users in by default", async () => {
+    await register();
+
+    const res = await login();
+    assert.equal(res.status, 200);
+
+    const created = await client.post("/auth/personal-tokens", {
+      token: res.body.data.accessToken,
+      body: { name: "CI", scopes: ["profile:read"] },
+    });
+    assert.equal(created.status, 201);
+  });
+
+  it("keeps unverified users from protected routes with restrict", async () => {
+    process.env.EMAIL_VERIFICATION_POLICY = "restrict";
+    await register();
+
+    const res = await login();
+    assert.equal(res.status, 200);
+
+    const created = await client.post("/auth/personal-tokens", {
+      token: res.body.data.accessToken,
+      body: { name: "CI", scopes: ["profile:read"] },
+    });
+    assert.equal(created.status, 403);
+  });
+
+  it("refuses to log unverified users in with block_login", async () => {
+    process.env.EMAIL_VERIFICATION_POLICY = "block_login";
+
+    const registered = await register();
+    assert.equal(registered.body.data.emailVerificationRequired, true);
+    assert.equal(registered.body.data.accessToken, undefined);
+
+    assert.equal((await login()).status, 403);
+
+    await client.post("/auth/verify-email", {
+      body: { token: mailedToken() },
+    });
+    assert.equal((await login()).status, 200);
+  });
+});
@@ -0,0 +1,131 @@
+const express = require("express");
+const session = require("express-session");
+const memoryDb = require("./memoryDb");
+
+// Secrets and settings the modules read at call time
+process.env.JWT_ACCESS_SECRET ||= "test-access-secret";
+process.env.JWT_REFRESH_SECRET ||= "test-refresh-secret";
+process.env.JWT_EMAIL_SECRET ||= "test-email-secret";
+process.env.REFRESH_TOKEN_HASH_SECRET ||= "test-refresh-hash-secret";
+process.env.SIGNING_KEY_ENCRYPTION_KEY ||= Buffer.alloc(32, 7).toString(
+  "base64"
+);
+process.env.TOKEN_REVOCATION_STORE ||= "memory";
+process.env.FRONTEND_URL ||= "http://localhost:3000";
+
+memoryDb.install();
+
+const passport = require("../../config/passport");
+const { setTransport } = require("../../utils/mailer");
+const { rotateSigningKeys } = require("../../utils/signingKeys");
+
+// Messages sent through the mailer, newest last
+const outbox = [];
+setTransport(async (message) => {
+  outbox.push(message);
+  return { transport: "test" };
+});
+
+// The app from app.js without the database connection, rate limits and
+// schedulers. `mounts` is a list of [path, router].
+const createApp = (mounts) => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use(
+    session({
+      secret: process.env.JWT_ACCESS_SECRET,
+      resave: false,
+      saveUninitialized: false,
+    })
+  );
+  app.use(passport.initialize());
+  app.use(passport.session());
+
+  for (const [path, router] of mounts) {
+    app.use(path, router);
+  }
+
+  app.use((error, req, res, next) => {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || "Internal server error",
+    });
+  });
+
+  return app;
+};
+
+// Listen on a random port. Returns { baseUrl, close }.
+const startServer = (app) =>
+  new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({
+        baseUrl: `http://127.0.0.1:${port}`,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+
+// fetch wrapper that keeps cookies between requests, like a browser would.
+// Returns { status, headers, body } with the body parsed when it is JSON.
+const createClient = (baseUrl) => {
+  const cookies = new Map();
+
+  const request = async (method, path, { body, token, headers = {} } = {}) => {
+    const response = await fetch(new URL(path, baseUrl), {
+      method,
+      redirect: "manual",
+      headers: {
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(cookies.size > 0 && {
+          Cookie: [...cookies]
+            .map(([name, value]) => `${name}=${value}`)
+            .join("; "),
+        }),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+    for (const cookie of response.headers.getSetCookie()) {
+      const [pair] = cookie.split(";");
+      const index = pair.indexOf("=");
+      cookies.set(pair.slice(0, index), pair.slice(index + 1));
+    }
+
+    const text = await response.text();
+    let parsed = text;
+    if ((response.headers.get("content-type") || "").includes("json")) {
+      parsed = JSON.parse(text);
+    }
+
+    return { status: response.status, headers: response.headers, body: parsed };
+  };
+
+  return {
+    get: (path, options) => request("GET", path, options),
+    post: (path, options) => request("POST", path, options),
+    put: (path, options) => request("PUT", path, options),
+    delete: (path, options) => request("DELETE", path, options),
+  };
+};
+
+// Clear the database and the outbox, and create a fresh signing key
+const resetState = async () => {
+  memoryDb.reset();
+  outbox.length = 0;
+  await rotateSigningKeys({ force: true });
+};
+
+module.exports = {
+  createApp,
+  startServer,
+  createClient,
+  resetState,
+  outbox,
+  memoryDb,
+};
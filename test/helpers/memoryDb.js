@@ -0,0 +1,638 @@
+const mongoose = require("mongoose");
+const sift = require("sift").default;
+
+// In-memory stand-in for the MongoDB collections used by the models, so the
+// routes can be exercised without a database server. It patches the driver
+// collection Mongoose talks to and covers the operations this codebase uses
+// (queries, updates with the common operators, unique indexes); anything
+// else throws instead of silently doing the wrong thing.
+
+const NativeCollection = mongoose.driver.get().Collection;
+const { ObjectId } = mongoose.Types;
+
+// collection name -> array of stored documents
+const collections = new Map();
+
+const getDocs = (name) => {
+  if (!collections.has(name)) collections.set(name, []);
+  return collections.get(name);
+};
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (value && value._bsontype === "Binary") return Buffer.from(value.buffer);
+  if (value && !value._bsontype && typeof value.toBSON === "function") {
+    return clone(value.toBSON());
+  }
+  if (isPlainObject(value)) {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item !== undefined) copy[key] = clone(item);
+    }
+    return copy;
+  }
+  return value;
+};
+
+const getPath = (doc, path) =>
+  path.split(".").reduce((value, key) => {
+    if (value == null) return undefined;
+    if (Array.isArray(value) && !/^\d+$/.test(key)) {
+      return value.map((item) => (item == null ? undefined : item[key]));
+    }
+    return value[key];
+  }, doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split(".");
+  let target = doc;
+  for (const key of keys.slice(0, -1)) {
+    if (target[key] == null) target[key] = {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split(".");
+  const parent = keys.slice(0, -1).reduce((value, key) => value?.[key], doc);
+  if (parent != null) delete parent[keys[keys.length - 1]];
+};
+
+// Values compared the way sift does (ObjectIds by hex, dates by time)
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof ObjectId) return value.toHexString();
+  return value;
+};
+
+const equals = (a, b) =>
+  JSON.stringify(clone(a), (key, value) => comparable(value)) ===
+  JSON.stringify(clone(b), (key, value) => comparable(value));
+
+const matcher = (filter) => sift(clone(filter || {}));
+
+const compareValues = (a, b) => {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x == null && y == null) return 0;
+  if (x == null) return -1;
+  if (y == null) return 1;
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+
+const sortDocs = (docs, sort) => {
+  if (!sort) return docs;
+  const entries = Array.isArray(sort) ? sort : Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of entries) {
+      const order = compareValues(getPath(a, path), getPath(b, path));
+      if (order !== 0)
+        return direction < 0 || direction === "desc" ? -order : order;
+    }
+    return 0;
+  });
+};
+
+const project = (doc, projection) => {
+  if (!projection || Object.keys(projection).length === 0) return clone(doc);
+
+  const fields = Object.entries(projection).filter(([key]) => key !== "_id");
+  const inclusive = fields.some(([, value]) => value);
+
+  if (!inclusive) {
+    const result = clone(doc);
+    for (const [path] of fields) unsetPath(result, path);
+    if (projection._id === 0 || projection._id === false) delete result._id;
+    return result;
+  }
+
+  const result = {};
+  if (projection._id !== 0 && projection._id !== false) result._id = doc._id;
+  for (const [path] of fields) {
+    const value = getPath(doc, path);
+    if (value !== undefined) setPath(result, path, clone(value));
+  }
+  return result;
+};
+
+const findDocs = (name, filter, options = {}) => {
+  const docs = sortDocs(getDocs(name).filter(matcher(filter)), options.sort);
+  const skip = options.skip || 0;
+  return options.limit
+    ? docs.slice(skip, skip + options.limit)
+    : docs.slice(skip);
+};
+
+// Unique indexes declared on the model that owns the collection
+const getUniqueIndexes = (name) => {
+  const model = Object.values(mongoose.models).find(
+    (candidate) => candidate.collection.collectionName === name
+  );
+  if (!model) return [];
+  return model.schema
+    .indexes()
+    .filter(([, options]) => options && options.unique)
+    .map(([fields, options]) => ({ fields: Object.keys(fields), options }));
+};
+
+const assertUnique = (name, doc) => {
+  for (const { fields, options } of getUniqueIndexes(name)) {
+    if (options.partialFilterExpression) {
+      if (!matcher(options.partialFilterExpression)(doc)) continue;
+    }
+    const values = fields.map((field) => getPath(doc, field));
+    if (options.sparse && values.every((value) => value === undefined)) {
+      continue;
+    }
+
+    const duplicate = getDocs(name).some(
+      (other) =>
+        other !== doc &&
+        !equals(other._id, doc._id) &&
+        (!options.partialFilterExpression ||
+          matcher(options.partialFilterExpression)(other)) &&
+        fields.every((field, i) => equals(getPath(other, field), values[i]))
+    );
+    if (duplicate) {
+      const keyPattern = Object.fromEntries(fields.map((field) => [field, 1]));
+      const keyValue = Object.fromEntries(
+        fields.map((field, i) => [field, values[i]])
+      );
+      throw Object.assign(
+        new Error(`E11000 duplicate key error collection: ${name}`),
+        { name: "MongoServerError", code: 11000, keyPattern, keyValue }
+      );
+    }
+  }
+};
+
+// Resolve "array.$.field" against the first array element the filter matched
+const resolvePositional = (doc, path, filter) => {
+  if (!path.includes(".$")) return path;
+  const [arrayPath] = path.split(".$");
+  const items = getPath(doc, arrayPath) || [];
+
+  const elementFilter = {};
+  for (const [key, condition] of Object.entries(filter || {})) {
+    if (key === arrayPath && condition && condition.$elemMatch) {
+      Object.assign(elementFilter, condition.$elemMatch);
+    } else if (key.startsWith(`${arrayPath}.`)) {
+      elementFilter[key.slice(arrayPath.length + 1)] = condition;
+    }
+  }
+
+  const index = items.findIndex(matcher(elementFilter));
+  if (index === -1) {
+    throw new Error(`No array element matched the positional path ${path}`);
+  }
+  return path.replace(".$", `.${index}`);
+};
+
+// Aggregation expressions used by pipeline updates, evaluated against the
+// document as it was before the stage
+const evaluate = (expression, doc) => {
+  if (typeof expression === "string" && expression.startsWith("$")) {
+    return clone(getPath(doc, expression.slice(1)));
+  }
+  if (Array.isArray(expression)) {
+    return expression.map((item) => evaluate(item, doc));
+  }
+  if (!isPlainObject(expression)) return clone(expression);
+
+  const [operator] = Object.keys(expression);
+  if (!operator?.startsWith("$")) {
+    const result = {};
+    for (const [key, value] of Object.entries(expression)) {
+      result[key] = evaluate(value, doc);
+    }
+    return result;
+  }
+  if (operator === "$literal") return clone(expression.$literal);
+
+  const args = []
+    .concat(expression[operator])
+    .map((arg) => evaluate(arg, doc));
+  const number = (value) => (value instanceof Date ? value.getTime() : value);
+  const present = args.filter((value) => value != null);
+
+  switch (operator) {
+    case "$add": {
+      const sum = args.reduce((total, value) => total + number(value), 0);
+      return args.some((value) => value instanceof Date) ? new Date(sum) : sum;
+    }
+    case "$subtract": {
+      const difference = number(args[0]) - number(args[1]);
+      return args[0] instanceof Date && !(args[1] instanceof Date)
+        ? new Date(difference)
+        : difference;
+    }
+    case "$multiply":
+      return args.reduce((product, value) => product * value, 1);
+    case "$divide":
+      return args[0] / args[1];
+    case "$pow":
+      return args[0] ** args[1];
+    case "$min":
+    case "$max":
+      if (present.length === 0) return null;
+      return present.reduce((best, value) => {
+        const order = compareValues(value, best);
+        return (operator === "$min" ? order < 0 : order > 0) ? value : best;
+      });
+    case "$eq":
+      return compareValues(args[0], args[1]) === 0;
+    case "$gt":
+      return compareValues(args[0], args[1]) > 0;
+    case "$gte":
+      return compareValues(args[0], args[1]) >= 0;
+    case "$lt":
+      return compareValues(args[0], args[1]) < 0;
+    case "$lte":
+      return compareValues(args[0], args[1]) <= 0;
+    case "$ifNull":
+      return present.length > 0 ? present[0] : null;
+    case "$cond": {
+      const { if: test, then, else: otherwise } = Array.isArray(
+        expression.$cond
+      )
+        ? {
+            if: expression.$cond[0],
+            then: expression.$cond[1],
+            else: expression.$cond[2],
+          }
+        : expression.$cond;
+      return evaluate(evaluate(test, doc) ? then : otherwise, doc);
+    }
+    case "$toDate":
+      return args[0] == null ? null : new Date(args[0]);
+    default:
+      throw new Error(`Unsupported aggregation operator ${operator}`);
+  }
+};
+
+const applyPipeline = (doc, stages) => {
+  for (const stage of stages) {
+    const [[name, spec]] = Object.entries(stage);
+    const before = clone(doc);
+    switch (name) {
+      case "$set":
+      case "$addFields":
+        for (const [path, expression] of Object.entries(spec)) {
+          const value = evaluate(expression, before);
+          if (value === undefined) unsetPath(doc, path);
+          else setPath(doc, path, value);
+        }
+        break;
+      case "$unset":
+        [].concat(spec).forEach((path) => unsetPath(doc, path));
+        break;
+      default:
+        throw new Error(`Unsupported pipeline stage ${name}`);
+    }
+  }
+};
+
+const applyUpdate = (doc, update, filter, isInsert = false) => {
+  if (Array.isArray(update)) {
+    applyPipeline(doc, update);
+    return;
+  }
+
+  const operators = Object.keys(update);
+  if (!operators.every((key) => key.startsWith("$"))) {
+    // Replacement document
+    const replacement = clone(update);
+    for (const key of Object.keys(doc)) {
+      if (key !== "_id") delete doc[key];
+    }
+    Object.assign(doc, replacement);
+    return;
+  }
+
+  // Positional paths refer to the element matched before the update
+  const original = clone(doc);
+
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [rawPath, value] of Object.entries(fields)) {
+      const path = resolvePositional(original, rawPath, filter);
+      const current = getPath(doc, path);
+
+      switch (operator) {
+        case "$set":
+          setPath(doc, path, clone(value));
+          break;
+        case "$setOnInsert":
+          if (isInsert) setPath(doc, path, clone(value));
+          break;
+        case "$unset":
+          unsetPath(doc, path);
+          break;
+        case "$inc":
+          setPath(doc, path, (current || 0) + value);
+          break;
+        case "$min":
+          if (current == null || compareValues(value, current) < 0) {
+            setPath(doc, path, clone(value));
+          }
+          break;
+        case "$max":
+          if (current == null || compareValues(value, current) > 0) {
+            setPath(doc, path, clone(value));
+          }
+          break;
+        case "$currentDate":
+          setPath(doc, path, new Date());
+          break;
+        case "$push":
+        case "$addToSet": {
+          const items =
+            value && value.$each !== undefined ? value.$each : [value];
+          const array = current || [];
+          for (const item of items) {
+            if (
+              operator === "$addToSet" &&
+              array.some((existing) => equals(existing, item))
+            ) {
+              continue;
+            }
+            array.push(clone(item));
+          }
+          if (value && value.$slice !== undefined) {
+            array.splice(
+              0,
+              value.$slice < 0 ? Math.max(array.length + value.$slice, 0) : 0
+            );
+            if (value.$slice >= 0) array.splice(value.$slice);
+          }
+          setPath(doc, path, array);
+          break;
+        }
+        case "$pull": {
+          const matches = isPlainObject(value)
+            ? matcher(value)
+            : (item) => equals(item, value);
+          setPath(
+            doc,
+            path,
+            (current || []).filter((item) => !matches(item))
+          );
+          break;
+        }
+        case "$pullAll":
+          setPath(
+            doc,
+            path,
+            (current || []).filter(
+              (item) => !value.some((removed) => equals(item, removed))
+            )
+          );
+          break;
+        default:
+          throw new Error(`Unsupported update operator ${operator}`);
+      }
+    }
+  }
+};
+
+// Seed an upserted document with the equality conditions of its filter
+const upsertBase = (filter) => {
+  const doc = {};
+  for (const [key, condition] of Object.entries(filter || {})) {
+    if (key.startsWith("$")) continue;
+    if (
+      isPlainObject(condition) &&
+      Object.keys(condition)[0]?.startsWith("$")
+    ) {
+      if ("$eq" in condition) setPath(doc, key, clone(condition.$eq));
+      continue;
+    }
+    setPath(doc, key, clone(condition));
+  }
+  return doc;
+};
+
+const updateDocs = (name, filter, update, options = {}, multi = false) => {
+  const matches = findDocs(name, filter, { sort: options.sort });
+  const targets = multi ? matches : matches.slice(0, 1);
+  let modifiedCount = 0;
+
+  for (const doc of targets) {
+    const before = clone(doc);
+    const next = clone(doc);
+    applyUpdate(next, update, filter);
+    assertUnique(name, next);
+    if (!equals(before, next)) {
+      modifiedCount++;
+      Object.keys(doc).forEach((key) => delete doc[key]);
+      Object.assign(doc, next);
+    }
+  }
+
+  if (targets.length === 0 && options.upsert) {
+    const doc = upsertBase(filter);
+    applyUpdate(doc, update, filter, true);
+    if (doc._id === undefined) doc._id = new ObjectId();
+    assertUnique(name, doc);
+    getDocs(name).push(doc);
+    return {
+      acknowledged: true,
+      matchedCount: 0,
+      modifiedCount: 0,
+      upsertedCount: 1,
+      upsertedId: doc._id,
+      before: null,
+      after: doc,
+    };
+  }
+
+  return {
+    acknowledged: true,
+    matchedCount: targets.length,
+    modifiedCount,
+    upsertedCount: 0,
+    upsertedId: null,
+    targets,
+  };
+};
+
+const insertDoc = (name, doc) => {
+  const stored = clone(doc);
+  if (stored._id === undefined) stored._id = new ObjectId();
+  assertUnique(name, stored);
+  getDocs(name).push(stored);
+  doc._id = stored._id;
+  return stored._id;
+};
+
+const deleteDocs = (name, filter, multi) => {
+  const docs = getDocs(name);
+  const targets = multi
+    ? docs.filter(matcher(filter))
+    : findDocs(name, filter).slice(0, 1);
+  collections.set(
+    name,
+    docs.filter((doc) => !targets.includes(doc))
+  );
+  return targets;
+};
+
+const operations = {
+  // Returns a cursor synchronously, like the driver, so scripts can
+  // iterate it with for await
+  find(filter, options = {}) {
+    const docs = findDocs(this.collectionName, filter, options).map((doc) =>
+      project(doc, options.projection)
+    );
+    return {
+      toArray: async () => docs,
+      async *[Symbol.asyncIterator]() {
+        yield* docs;
+      },
+    };
+  },
+
+  async findOne(filter, options = {}) {
+    const [doc] = findDocs(this.collectionName, filter, {
+      ...options,
+      limit: 1,
+    });
+    return doc ? project(doc, options.projection) : null;
+  },
+
+  async countDocuments(filter, options = {}) {
+    return findDocs(this.collectionName, filter, options).length;
+  },
+
+  async estimatedDocumentCount() {
+    return getDocs(this.collectionName).length;
+  },
+
+  async distinct(field, filter) {
+    const values = [];
+    for (const doc of findDocs(this.collectionName, filter)) {
+      const value = getPath(doc, field);
+      for (const item of Array.isArray(value) ? value : [value]) {
+        if (item !== undefined && !values.some((seen) => equals(seen, item))) {
+          values.push(clone(item));
+        }
+      }
+    }
+    return values;
+  },
+
+  async insertOne(doc) {
+    const insertedId = insertDoc(this.collectionName, doc);
+    return { acknowledged: true, insertedId };
+  },
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    docs.forEach((doc, i) => {
+      insertedIds[i] = insertDoc(this.collectionName, doc);
+    });
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  },
+
+  async updateOne(filter, update, options = {}) {
+    const { before, after, targets, ...result } = updateDocs(
+      this.collectionName,
+      filter,
+      update,
+      options
+    );
+    return result;
+  },
+
+  async updateMany(filter, update, options = {}) {
+    const { before, after, targets, ...result } = updateDocs(
+      this.collectionName,
+      filter,
+      update,
+      options,
+      true
+    );
+    return result;
+  },
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [existing] = findDocs(this.collectionName, filter, {
+      sort: options.sort,
+      limit: 1,
+    });
+    const before = existing ? clone(existing) : null;
+    const result = updateDocs(
+      this.collectionName,
+      existing ? { ...filter, _id: existing._id } : filter,
+      update,
+      options
+    );
+
+    const returnAfter = options.returnDocument === "after" || options.new;
+    let doc = returnAfter ? result.after || result.targets?.[0] : before;
+    doc = doc ? project(doc, options.projection) : null;
+    return options.includeResultMetadata ? { value: doc, ok: 1 } : doc;
+  },
+
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = findDocs(this.collectionName, filter, {
+      sort: options.sort,
+      limit: 1,
+    });
+    if (doc) deleteDocs(this.collectionName, { _id: doc._id }, false);
+    const value = doc ? project(doc, options.projection) : null;
+    return options.includeResultMetadata ? { value, ok: 1 } : value;
+  },
+
+  async deleteOne(filter) {
+    const deleted = deleteDocs(this.collectionName, filter, false);
+    return { acknowledged: true, deletedCount: deleted.length };
+  },
+
+  async deleteMany(filter) {
+    const deleted = deleteDocs(this.collectionName, filter, true);
+    return { acknowledged: true, deletedCount: deleted.length };
+  },
+
+  async createIndex() {
+    return null;
+  },
+};
+
+let installed = false;
+
+// Route every model operation to the in-memory collections
+const install = () => {
+  if (installed) return;
+  installed = true;
+
+  mongoose.set("autoIndex", false);
+  mongoose.set("autoCreate", false);
+  mongoose.set("bufferCommands", false);
+
+  for (const [name, operation] of Object.entries(operations)) {
+    NativeCollection.prototype[name] = operation;
+  }
+  for (const name of ["aggregate", "bulkWrite", "findOneAndReplace"]) {
+    NativeCollection.prototype[name] = () => {
+      throw new Error(`${name} is not supported by the in-memory database`);
+    };
+  }
+};
+
+// Drop every stored document between tests
+const reset = () => {
+  collections.clear();
+};
+
+// Raw stored documents, for assertions
+const dump = (name) => getDocs(name).map(clone);
+
+module.exports = { install, reset, dump };
@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+const express = require("express");
+
+// A local OpenID Connect provider for the generic `oidc` social login:
+// discovery, an authorization endpoint that signs in whichever user the
+// test picked, a token endpoint that enforces PKCE, and userinfo.
+const createMockIdp = ({ clientId, clientSecret }) => {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  let issuer = null;
+  let currentUser = null;
+  // code -> { claims, redirectUri, codeChallenge }
+  const codes = new Map();
+  // access token -> claims
+  const accessTokens = new Map();
+  const tokenRequests = [];
+
+  app.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      code_challenge_methods_supported: ["S256"],
+    });
+  });
+
+  // Signs the current user in without a login page
+  app.get("/authorize", (req, res) => {
+    const {
+      client_id: requestedClientId,
+      redirect_uri: redirectUri,
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: codeChallengeMethod,
+    } = req.query;
+
+    if (
+      requestedClientId !== clientId ||
+      !codeChallenge ||
+      codeChallengeMethod !== "S256"
+    ) {
+      return res.status(400).send("invalid_request");
+    }
+
+    const code = crypto.randomBytes(16).toString("hex");
+    codes.set(code, { claims: currentUser, redirectUri, codeChallenge });
+
+    const url = new URL(redirectUri);
+    url.searchParams.set("code", code);
+    url.searchParams.set("state", state);
+    res.redirect(url.toString());
+  });
+
+  app.post("/token", (req, res) => {
+    tokenRequests.push(req.body);
+    const {
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier,
+    } = req.body;
+
+    if (
+      req.body.client_id !== clientId ||
+      req.body.client_secret !== clientSecret
+    ) {
+      return res.status(401).json({ error: "invalid_client" });
+    }
+
+    const entry = codes.get(code);
+    codes.delete(code);
+    const challenge =
+      typeof codeVerifier === "string" &&
+      crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+
+    if (
+      !entry ||
+      entry.redirectUri !== redirectUri ||
+      challenge !== entry.codeChallenge
+    ) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    const accessToken = crypto.randomBytes(16).toString("hex");
+    accessTokens.set(accessToken, entry.claims);
+    res.json({
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: 3600,
+    });
+  });
+
+  app.get("/userinfo", (req, res) => {
+    const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+    const claims = accessTokens.get(token);
+    if (!claims) return res.status(401).json({ error: "invalid_token" });
+    res.json(claims);
+  });
+
+  const start = () =>
+    new Promise((resolve) => {
+      const server = app.listen(0, "127.0.0.1", () => {
+        issuer = `http://127.0.0.1:${server.address().port}`;
+        resolve({
+          issuer,
+          close: () => new Promise((done) => server.close(done)),
+        });
+      });
+    });
+
+  return {
+    start,
+    // Claims of the user the next authorization signs in
+    signInAs: (claims) => {
+      currentUser = claims;
+    },
+    tokenRequests,
+  };
+};
+
+module.exports = { createMockIdp };
@@ -0,0 +1,162 @@
+const crypto = require("crypto");
+
+// A software WebAuthn authenticator: answers the ceremony options from
+// routes/passkeys.js the way a browser and a platform authenticator would,
+// with a P-256 key per credential and "none" attestation.
+
+// Just enough CBOR for attestation objects and COSE keys
+const encodeHead = (majorType, length) => {
+  if (length < 24) return Buffer.from([(majorType << 5) | length]);
+  if (length < 0x100) return Buffer.from([(majorType << 5) | 24, length]);
+  const head = Buffer.alloc(3);
+  head[0] = (majorType << 5) | 25;
+  head.writeUInt16BE(length, 1);
+  return head;
+};
+
+const encodeCbor = (value) => {
+  if (Number.isInteger(value)) {
+    return value >= 0 ? encodeHead(0, value) : encodeHead(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([encodeHead(2, value.length), value]);
+  }
+  if (typeof value === "string") {
+    const bytes = Buffer.from(value);
+    return Buffer.concat([encodeHead(3, bytes.length), bytes]);
+  }
+  if (value instanceof Map) {
+    return Buffer.concat([
+      encodeHead(5, value.size),
+      ...[...value].flatMap(([key, item]) => [
+        encodeCbor(key),
+        encodeCbor(item),
+      ]),
+    ]);
+  }
+  return encodeCbor(new Map(Object.entries(value)));
+};
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest();
+
+// Flags: user present, user verified, attested credential data included
+const FLAG_UP = 0x01;
+const FLAG_UV = 0x04;
+const FLAG_AT = 0x40;
+
+const createAuthenticator = ({ origin, rpID = new URL(origin).hostname }) => {
+  // credential id (base64url) -> { privateKey, userHandle, counter }
+  const credentials = new Map();
+
+  const clientData = (type, challenge, clientOrigin = origin) =>
+    Buffer.from(
+      JSON.stringify({
+        type,
+        challenge,
+        origin: clientOrigin,
+        crossOrigin: false,
+      })
+    );
+
+  const authenticatorData = (flags, counter, attestedCredential = null) => {
+    const counterBytes = Buffer.alloc(4);
+    counterBytes.writeUInt32BE(counter);
+    return Buffer.concat([
+      sha256(rpID),
+      Buffer.from([flags]),
+      counterBytes,
+      ...(attestedCredential ? [attestedCredential] : []),
+    ]);
+  };
+
+  // navigator.credentials.create() for the given registration options
+  const register = (options, { origin: clientOrigin } = {}) => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", {
+      namedCurve: "P-256",
+    });
+    const credentialId = crypto.randomBytes(16);
+    const id = credentialId.toString("base64url");
+    credentials.set(id, {
+      privateKey,
+      userHandle: options.user.id,
+      counter: 0,
+    });
+
+    const jwk = publicKey.export({ format: "jwk" });
+    const coseKey = new Map([
+      [1, 2], // kty: EC2
+      [3, -7], // alg: ES256
+      [-1, 1], // crv: P-256
+      [-2, Buffer.from(jwk.x, "base64url")],
+      [-3, Buffer.from(jwk.y, "base64url")],
+    ]);
+    const credentialIdLength = Buffer.alloc(2);
+    credentialIdLength.writeUInt16BE(credentialId.length);
+    const attestedCredential = Buffer.concat([
+      Buffer.alloc(16), // AAGUID
+      credentialIdLength,
+      credentialId,
+      encodeCbor(coseKey),
+    ]);
+
+    const attestationObject = encodeCbor({
+      fmt: "none",
+      attStmt: new Map(),
+      authData: authenticatorData(
+        FLAG_UP | FLAG_UV | FLAG_AT,
+        0,
+        attestedCredential
+      ),
+    });
+
+    return {
+      id,
+      rawId: id,
+      type: "public-key",
+      response: {
+        clientDataJSON: clientData(
+          "webauthn.create",
+          options.challenge,
+          clientOrigin
+        ).toString("base64url"),
+        attestationObject: attestationObject.toString("base64url"),
+        transports: ["internal"],
+      },
+      clientExtensionResults: {},
+      authenticatorAttachment: "platform",
+    };
+  };
+
+  // navigator.credentials.get() for the given authentication options.
+  // `signWith` signs with another credential's key (a forged assertion).
+  const authenticate = (options, id, { signWith = id } = {}) => {
+    const credential = credentials.get(id);
+    credential.counter += 1;
+
+    const authData = authenticatorData(FLAG_UP | FLAG_UV, credential.counter);
+    const clientDataJSON = clientData("webauthn.get", options.challenge);
+    const signature = crypto.sign(
+      "sha256",
+      Buffer.concat([authData, sha256(clientDataJSON)]),
+      credentials.get(signWith).privateKey
+    );
+
+    return {
+      id,
+      rawId: id,
+      type: "public-key",
+      response: {
+        clientDataJSON: clientDataJSON.toString("base64url"),
+        authenticatorData: authData.toString("base64url"),
+        signature: signature.toString("base64url"),
+        userHandle: credential.userHandle,
+      },
+      clientExtensionResults: {},
+      authenticatorAttachment: "platform",
+    };
+  };
+
+  return { register, authenticate };
+};
+
+module.exports = { createAuthenticator };
@@ -0,0 +1,198 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createApp,
+  startServer,
+  createClient,
+  resetState,
+  outbox,
+  memoryDb,
+} = require("./helpers/app");
+const User = require("../models/User");
+const Role = require("../models/Role");
+const Invitation = require("../models/Invitation");
+const { ensureBuiltInRoles } = require("../utils/permissions");
+
+const PASSWORD = "Password123!";
+
+describe("account invitations", () => {
+  let server;
+  let client;
+  let adminToken;
+
+  before(async () => {
+    const app = createApp([
+      ["/auth", require("../routes/auth")],
+      ["/users/invitations", require("../routes/invitations")],
+    ]);
+    server = await startServer(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetState();
+    client = createClient(server.baseUrl);
+
+    await ensureBuiltInRoles();
+    await Role.create({ name: "support", permissions: ["users:read"] });
+    await Role.create({ name: "recruiter", permissions: ["users:invite"] });
+    await User.create({
+      name: "Admin",
+      email: "admin@example.com",
+      password: PASSWORD,
+      isEmailVerified: true,
+      roles: ["user", "admin"],
+    });
+    await User.create({
+      name: "Recruiter",
+      email: "recruiter@example.com",
+      password: PASSWORD,
+      isEmailVerified: true,
+      roles: ["user", "recruiter"],
+    });
+
+    adminToken = await login("admin@example.com");
+  });
+
+  const login = async (email) => {
+    const res = await client.post("/auth/login", {
+      body: { email, password: PASSWORD },
+    });
+    return res.body.data.accessToken;
+  };
+
+  const invite = (body, token = adminToken) =>
+    client.post("/users/invitations", {
+      token,
+      body: { email: "carol@example.com", ...body },
+    });
+
+  const mailedToken = () =>
+    /\?token=(\S+)$/m.exec(outbox[outbox.length - 1].text)[1];
+
+  const accept = (token) =>
+    client.post("/users/invitations/accept", {
+      body: {
+        token: decodeURIComponent(token),
+        name: "Carol",
+        password: PASSWORD,
+      },
+    });
+
+  it("mails a link that creates the account with the preset roles", async () => {
+    const res = await invite({ roles: ["user", "support"] });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.invitation.status, "pending");
+    assert.equal(outbox[0].to, "carol@example.com");
+
+    const accepted = await accept(mailedToken());
+
+    assert.equal(accepted.status, 201);
+    assert.ok(accepted.body.data.accessToken);
+    const carol = await User.findOne({ email: "carol@example.com" });
+    assert.deepEqual([...carol.roles].sort(), ["support", "user"]);
+    assert.equal(carol.isEmailVerified, true);
+
+    const [invitation] = memoryDb.dump("invitations");
+    assert.ok(invitation.acceptedAt);
+    assert.ok(invitation.acceptedBy.equals(carol._id));
+  });
+
+  it("accepts a link only once", async () => {
+    await invite();
+    const token = mailedToken();
+
+    assert.equal((await accept(token)).status, 201);
+    const again = await accept(token);
+    assert.equal(again.status, 400);
+    assert.equal(await User.countDocuments({ email: "carol@example.com" }), 1);
+  });
+
+  it("needs roles:manage to invite with roles beyond the default", async () => {
+    const recruiterToken = await login("recruiter@example.com");
+
+    const res = await invite({ roles: ["support"] }, recruiterToken);
+    assert.equal(res.status, 403);
+
+    const plain = await invite({}, recruiterToken);
+    assert.equal(plain.status, 201);
+    assert.deepEqual(plain.body.data.invitation.roles, ["user"]);
+  });
+
+  it("refuses to invite an existing account or invite twice", async () => {
+    const existing = await invite({ email: "recruiter@example.com" });
+    assert.equal(existing.status, 409);
+
+    await invite();
+    const twice = await invite();
+    assert.equal(twice.status, 409);
+  });
+
+  it("rejects a revoked invitation", async () => {
+    const { invitation } = (await invite()).body.data;
+    const token = mailedToken();
+
+    const res = await client.delete(`/users/invitations/${invitation.id}`, {
+      token: adminToken,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.invitation.status, "revoked");
+
+    assert.equal((await accept(token)).status, 400);
+    assert.equal(await User.countDocuments({ email: "carol@example.com" }), 0);
+  });
+
+  it("rejects an expired invitation until it is resent", async () => {
+    const { invitation } = (await invite()).body.data;
+    await Invitation.updateOne(
+      { _id: invitation.id },
+      { $set: { expiresAt: new Date(Date.now() - 1000) } }
+    );
+
+    const list = await client.get("/users/invitations?status=expired", {
+      token: adminToken,
+    });
+    assert.equal(list.body.data.invitations.length, 1);
+
+    assert.equal((await accept(mailedToken())).status, 400);
+
+    const resent = await client.post(
+      `/users/invitations/${invitation.id}/resend`,
+      { token: adminToken }
+    );
+    assert.equal(resent.status, 200);
+    assert.equal(resent.body.data.invitation.status, "pending");
+    assert.equal(resent.body.data.invitation.sendCount, 2);
+
+    assert.equal((await accept(mailedToken())).status, 201);
+  });
+
+  it("only accepts the latest link after a resend", async () => {
+    const { invitation } = (await invite()).body.data;
+    const firstToken = mailedToken();
+
+    await client.post(`/users/invitations/${invitation.id}/resend`, {
+      token: adminToken,
+    });
+
+    assert.equal((await accept(firstToken)).status, 400);
+    assert.equal((await accept(mailedToken())).status, 201);
+  });
+
+  it("can't resend or revoke an accepted invitation", async () => {
+    const { invitation } = (await invite()).body.data;
+    await accept(mailedToken());
+
+    const resend = await client.post(
+      `/users/invitations/${invitation.id}/resend`,
+      { token: adminToken }
+    );
+    assert.equal(resend.status, 400);
+
+    const revoke = await client.delete(`/users/invitations/${invitation.id}`, {
+      token: adminToken,
+    });
+    assert.equal(revoke.status, 400);
+  });
+});
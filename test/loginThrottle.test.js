@@ -0,0 +1,139 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createApp,
+  startServer,
+  createClient,
+  resetState,
+  memoryDb,
+} = require("./helpers/app");
+const User = require("../models/User");
+const LoginThrottle = require("../models/LoginThrottle");
+const { ensureBuiltInRoles } = require("../utils/permissions");
+const {
+  checkLoginThrottle,
+  recordLoginFailure,
+} = require("../utils/loginThrottle");
+
+const PASSWORD = "Password123!";
+
+describe("login brute-force protection", () => {
+  let server;
+  let client;
+
+  before(async () => {
+    const app = createApp([
+      ["/auth", require("../routes/auth")],
+      ["/auth", require("../routes/lockouts")],
+    ]);
+    server = await startServer(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetState();
+    client = createClient(server.baseUrl);
+    await ensureBuiltInRoles();
+    await User.create({
+      name: "Alice",
+      email: "alice@example.com",
+      password: PASSWORD,
+      isEmailVerified: true,
+    });
+  });
+
+  const login = (password, email = "alice@example.com") =>
+    client.post("/auth/login", { body: { email, password } });
+
+  it("rejects an email or password that isn't a string", async () => {
+    for (const body of [
+      { email: { $ne: null }, password: PASSWORD },
+      { email: "alice@example.com", password: ["x"] },
+    ]) {
+      const res = await client.post("/auth/login", { body });
+      assert.equal(res.status, 400);
+    }
+
+    assert.equal(await LoginThrottle.countDocuments(), 0);
+  });
+
+  it("delays the account after repeated failures, even for the right password", async () => {
+    assert.equal((await login("wrong-1")).status, 401);
+    assert.equal((await login("wrong-2")).status, 401);
+
+    const res = await login(PASSWORD);
+    assert.equal(res.status, 401);
+
+    const logs = memoryDb.dump("activitylogs");
+    assert.ok(logs.some((log) => log.action === "login_locked"));
+  });
+
+  it("forgets the account's failures after a successful login", async () => {
+    assert.equal((await login("wrong")).status, 401);
+    assert.equal((await login(PASSWORD)).status, 200);
+
+    assert.equal(
+      await LoginThrottle.countDocuments({ key: "account:alice@example.com" }),
+      0
+    );
+  });
+
+  it("locks the account once the attempt limit is reached", async () => {
+    let failure;
+    for (let i = 0; i < 5; i++) {
+      failure = await recordLoginFailure("Alice@Example.com", "10.0.0.1");
+    }
+
+    assert.deepEqual(failure.lockedScopes, ["account"]);
+    const lockout = await checkLoginThrottle("alice@example.com", "10.0.0.2");
+    assert.equal(lockout.locked, true);
+    assert.deepEqual(lockout.scopes, ["account"]);
+  });
+
+  it("counts concurrent failures without losing any", async () => {
+    const failures = await Promise.all(
+      Array.from({ length: 6 }, () =>
+        recordLoginFailure("alice@example.com", "10.0.0.1")
+      )
+    );
+
+    const locked = failures.filter((failure) =>
+      failure.lockedScopes.includes("account")
+    );
+    assert.equal(locked.length, 1);
+    const [record] = memoryDb
+      .dump("loginthrottles")
+      .filter((entry) => entry.key === "account:alice@example.com");
+    assert.equal(record.failures, 1);
+    assert.equal(record.lockCount, 1);
+    assert.ok(record.lockedUntil > new Date());
+    assert.ok(record.expiresAt >= record.lockedUntil);
+  });
+
+  it("lets lockouts:manage clear a lockout", async () => {
+    for (let i = 0; i < 5; i++) {
+      await recordLoginFailure("alice@example.com", "10.0.0.1");
+    }
+    await User.create({
+      name: "Admin",
+      email: "admin@example.com",
+      password: PASSWORD,
+      isEmailVerified: true,
+      roles: ["user", "admin"],
+    });
+    const adminLogin = await login(PASSWORD, "admin@example.com");
+    const token = adminLogin.body.data.accessToken;
+
+    const list = await client.get("/auth/lockouts", { token });
+    assert.equal(list.status, 200);
+    const [lockout] = list.body.data.lockouts;
+    assert.equal(lockout.key, "account:alice@example.com");
+
+    const res = await client.delete(`/auth/lockouts/${lockout._id}`, {
+      token,
+    });
+    assert.equal(res.status, 200);
+    assert.equal((await login(PASSWORD)).status, 200);
+  });
+});
@@ -0,0 +1,193 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("node:timers/promises");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const {
+  createApp,
+  startServer,
+  createClient,
+  resetState,
+  outbox,
+  memoryDb,
+} = require("./helpers/app");
+const User = require("../models/User");
+const { generateEmailVerificationToken } = require("../utils/jwt");
+const { generateSecret } = require("../utils/totp");
+
+describe("magic link login", () => {
+  let server;
+  let client;
+  let alice;
+
+  before(async () => {
+    const app = createApp([["/auth", require("../routes/magicLink")]]);
+    server = await startServer(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetState();
+    client = createClient(server.baseUrl);
+    alice = await User.create({
+      name: "Alice",
+      email: "alice@example.com",
+      password: "Password123!",
+      isEmailVerified: true,
+    });
+  });
+
+  // The link is mailed after the response
+  const waitForMail = async () => {
+    for (let i = 0; i < 50 && outbox.length === 0; i++) await sleep(10);
+  };
+
+  it("mails a login link to an existing account", async () => {
+    const res = await client.post("/auth/magic-link", {
+      body: { email: "alice@example.com" },
+    });
+    await waitForMail();
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      outbox.map((message) => message.to),
+      ["alice@example.com"]
+    );
+  });
+
+  it("rejects an email that isn't a string", async () => {
+    const res = await client.post("/auth/magic-link", {
+      body: { email: { $ne: null } },
+    });
+    await sleep(50);
+
+    assert.equal(res.status, 400);
+    assert.equal(outbox.length, 0);
+  });
+
+  // Ask for a link and return its token (and the device token, if bound)
+  const requestLink = async (body = {}) => {
+    const res = await client.post("/auth/magic-link", {
+      body: { email: "alice@example.com", ...body },
+    });
+    await waitForMail();
+    const [, token] = /\?token=(\S+)$/m.exec(outbox[outbox.length - 1].text);
+    return {
+      token: decodeURIComponent(token),
+      deviceToken: res.body.data?.deviceToken,
+    };
+  };
+
+  const verify = (body) => client.post("/auth/magic-link/verify", { body });
+
+  it("logs in with a valid link", async () => {
+    const { token } = await requestLink();
+
+    const res = await verify({ token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.user.email, "alice@example.com");
+    assert.ok(res.body.data.accessToken);
+    assert.ok(res.body.data.refreshToken);
+
+    const [log] = memoryDb
+      .dump("activitylogs")
+      .filter((entry) => entry.action === "login" && entry.success);
+    assert.equal(log.details.loginMethod, "magic_link");
+  });
+
+  it("accepts each link only once", async () => {
+    const { token } = await requestLink();
+
+    assert.equal((await verify({ token })).status, 200);
+    const again = await verify({ token });
+
+    assert.equal(again.status, 400);
+    assert.equal(again.body.data, undefined);
+    assert.equal(memoryDb.dump("magiclinktokens").length, 0);
+  });
+
+  it("rejects an expired link", async () => {
+    const { token } = await requestLink();
+    const { jti } = jwt.decode(token);
+    const expired = jwt.sign(
+      {
+        id: alice._id,
+        email: alice.email,
+        purpose: "magic_link",
+        exp: Math.floor(Date.now() / 1000) - 10,
+      },
+      process.env.JWT_ACCESS_SECRET,
+      { jwtid: jti }
+    );
+
+    const res = await verify({ token: expired });
+
+    assert.equal(res.status, 400);
+    const [log] = memoryDb
+      .dump("activitylogs")
+      .filter((entry) => entry.action === "login" && !entry.success);
+    assert.equal(log.details.reason, "expired");
+  });
+
+  it("rejects a token issued for another purpose", async () => {
+    const token = generateEmailVerificationToken({
+      id: alice._id,
+      email: alice.email,
+    });
+
+    const res = await verify({ token });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.data, undefined);
+  });
+
+  it("only accepts a device-bound link with its device token", async () => {
+    const { token, deviceToken } = await requestLink({ sameDevice: true });
+    assert.ok(deviceToken);
+
+    const elsewhere = await verify({ token });
+    assert.equal(elsewhere.status, 400);
+    assert.match(elsewhere.body.message, /device/);
+
+    const wrongDevice = await verify({
+      token,
+      deviceToken: crypto.randomBytes(32).toString("base64url"),
+    });
+    assert.equal(wrongDevice.status, 400);
+
+    const res = await verify({ token, deviceToken });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.data.accessToken);
+  });
+
+  it("marks the email address verified", async () => {
+    await User.updateOne(
+      { _id: alice._id },
+      { $set: { isEmailVerified: false } }
+    );
+    const { token } = await requestLink();
+
+    assert.equal((await verify({ token })).status, 200);
+
+    const [stored] = memoryDb.dump("users");
+    assert.equal(stored.isEmailVerified, true);
+  });
+
+  it("returns an MFA challenge instead of tokens when MFA is enabled", async () => {
+    await User.updateOne(
+      { _id: alice._id },
+      { $set: { "mfa.enabled": true, "mfa.secret": generateSecret() } }
+    );
+    const { token } = await requestLink();
+
+    const res = await verify({ token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.mfaRequired, true);
+    assert.equal(jwt.decode(res.body.data.mfaToken).loginMethod, "magic_link");
+    assert.equal(res.body.data.accessToken, undefined);
+    assert.equal(res.body.data.refreshToken, undefined);
+  });
+});
@@ -0,0 +1,226 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createApp,
+  startServer,
+  createClient,
+  resetState,
+  memoryDb,
+} = require("./helpers/app");
+const User = require("../models/User");
+const LoginThrottle = require("../models/LoginThrottle");
+const { generateCode } = require("../utils/totp");
+const {
+  createMemoryRevocationStore,
+  createMongoRevocationStore,
+} = require("../utils/tokenRevocation");
+
+const PASSWORD = "Password123!";
+
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+describe("two-factor authentication", () => {
+  let server;
+  let client;
+
+  before(async () => {
+    const app = createApp([
+      ["/auth", require("../routes/auth")],
+      ["/auth", require("../routes/mfa")],
+    ]);
+    server = await startServer(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetState();
+    client = createClient(server.baseUrl);
+    await User.create({
+      name: "Alice",
+      email: "alice@example.com",
+      password: PASSWORD,
+      isEmailVerified: true,
+    });
+  });
+
+  const login = () =>
+    client.post("/auth/login", {
+      body: { email: "alice@example.com", password: PASSWORD },
+    });
+
+  // Enroll through the API; the code for the next time step is still
+  // unused afterwards
+  const enroll = async () => {
+    const token = (await login()).body.data.accessToken;
+
+    const setup = await client.post("/auth/mfa/setup", { token });
+    assert.equal(setup.status, 200);
+    const { secret } = setup.body.data;
+
+    const confirm = await client.post("/auth/mfa/confirm", {
+      token,
+      body: { code: generateCode(secret, currentStep()) },
+    });
+    assert.equal(confirm.status, 200);
+
+    return { token, secret, recoveryCodes: confirm.body.data.recoveryCodes };
+  };
+
+  const completeLogin = (body) => client.post("/auth/login/mfa", { body });
+
+  it("enables MFA and then asks for a second factor at login", async () => {
+    const { recoveryCodes } = await enroll();
+    assert.equal(recoveryCodes.length, 10);
+
+    const res = await login();
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.mfaRequired, true);
+    assert.equal(res.body.data.accessToken, undefined);
+  });
+
+  it("completes the login with a TOTP code", async () => {
+    const { secret } = await enroll();
+    const { mfaToken } = (await login()).body.data;
+
+    const res = await completeLogin({
+      mfaToken,
+      code: generateCode(secret, currentStep() + 1),
+    });
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.data.accessToken);
+    assert.equal(res.body.data.remainingRecoveryCodes, 10);
+  });
+
+  it("uses a recovery code only once", async () => {
+    const { recoveryCodes } = await enroll();
+
+    const first = await completeLogin({
+      mfaToken: (await login()).body.data.mfaToken,
+      recoveryCode: recoveryCodes[0],
+    });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.data.remainingRecoveryCodes, 9);
+
+    const second = await completeLogin({
+      mfaToken: (await login()).body.data.mfaToken,
+      recoveryCode: recoveryCodes[0],
+    });
+    assert.equal(second.status, 401);
+  });
+
+  it("rejects a challenge that was already used", async () => {
+    const { recoveryCodes } = await enroll();
+    const { mfaToken } = (await login()).body.data;
+
+    await completeLogin({ mfaToken, recoveryCode: recoveryCodes[0] });
+    const res = await completeLogin({
+      mfaToken,
+      recoveryCode: recoveryCodes[1],
+    });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.message, "Invalid or expired MFA challenge");
+  });
+
+  it("lets only one of two concurrent requests use a challenge", async () => {
+    const { secret, recoveryCodes } = await enroll();
+    const { mfaToken } = (await login()).body.data;
+
+    const results = await Promise.all([
+      completeLogin({
+        mfaToken,
+        code: generateCode(secret, currentStep() + 1),
+      }),
+      completeLogin({ mfaToken, recoveryCode: recoveryCodes[0] }),
+    ]);
+
+    assert.deepEqual(results.map((res) => res.status).sort(), [200, 401]);
+    const sessions = memoryDb.dump("users")[0].refreshTokens;
+    // The enrollment login and one MFA login
+    assert.equal(sessions.length, 2);
+  });
+
+  it("lets only one of two challenges use the same recovery code", async () => {
+    const { recoveryCodes } = await enroll();
+    const first = (await login()).body.data.mfaToken;
+    const second = (await login()).body.data.mfaToken;
+
+    const results = await Promise.all([
+      completeLogin({ mfaToken: first, recoveryCode: recoveryCodes[0] }),
+      completeLogin({ mfaToken: second, recoveryCode: recoveryCodes[0] }),
+    ]);
+
+    assert.deepEqual(results.map((res) => res.status).sort(), [200, 401]);
+    const [alice] = memoryDb.dump("users");
+    assert.equal(alice.mfa.recoveryCodes.length, 9);
+  });
+
+  it("lets only one of two challenges use the same TOTP code", async () => {
+    const { secret } = await enroll();
+    const first = (await login()).body.data.mfaToken;
+    const second = (await login()).body.data.mfaToken;
+    const code = generateCode(secret, currentStep() + 1);
+
+    const results = await Promise.all([
+      completeLogin({ mfaToken: first, code }),
+      completeLogin({ mfaToken: second, code }),
+    ]);
+
+    assert.deepEqual(results.map((res) => res.status).sort(), [200, 401]);
+    assert.equal(
+      memoryDb.dump("users")[0].mfa.lastUsedStep,
+      currentStep() + 1
+    );
+  });
+
+  it("counts a wrong password when disabling MFA towards the lockout", async () => {
+    const { token, secret } = await enroll();
+
+    const res = await client.post("/auth/mfa/disable", {
+      token,
+      body: {
+        password: "wrong-password",
+        code: generateCode(secret, currentStep() + 1),
+      },
+    });
+
+    assert.equal(res.status, 401);
+    const record = await LoginThrottle.findOne({
+      key: "account:alice@example.com",
+    });
+    assert.equal(record.failures, 1);
+    assert.equal(memoryDb.dump("users")[0].mfa.enabled, true);
+  });
+});
+
+describe("claiming single-use token ids", () => {
+  for (const [name, createStore] of [
+    ["memory", createMemoryRevocationStore],
+    ["mongo", createMongoRevocationStore],
+  ]) {
+    it(`claims a key once in the ${name} store`, async () => {
+      await resetState();
+      const store = createStore();
+      const expiresAt = Date.now() + 60 * 1000;
+
+      const claims = await Promise.all([
+        store.claim("used:a", expiresAt),
+        store.claim("used:a", expiresAt),
+      ]);
+
+      assert.deepEqual(claims.sort(), [false, true]);
+      assert.equal(await store.has("used:a"), true);
+    });
+
+    it(`claims an expired key again in the ${name} store`, async () => {
+      await resetState();
+      const store = createStore();
+
+      assert.equal(await store.claim("used:b", Date.now() - 1000), true);
+      assert.equal(await store.claim("used:b", Date.now() + 60 * 1000), true);
+    });
+  }
+});
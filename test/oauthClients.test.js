@@ -0,0 +1,302 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createApp,
+  startServer,
+  createClient,
+  resetState,
+} = require("./helpers/app");
+const User = require("../models/User");
+const Role = require("../models/Role");
+const OAuthClient = require("../models/OAuthClient");
+const { ensureBuiltInRoles } = require("../utils/permissions");
+
+const PASSWORD = "Password123!";
+
+describe("granting API scopes to service clients", () => {
+  let server;
+  let client;
+  let token;
+
+  before(async () => {
+    const app = createApp([
+      ["/auth", require("../routes/auth")],
+      ["/oauth/clients", require("../routes/oauthClients")],
+    ]);
+    server = await startServer(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetState();
+    client = createClient(server.baseUrl);
+
+    await ensureBuiltInRoles();
+    await Role.create({
+      name: "integrator",
+      permissions: ["clients:manage", "users:read"],
+    });
+    await User.create({
+      name: "Integrator",
+      email: "integrator@example.com",
+      password: PASSWORD,
+      isEmailVerified: true,
+      roles: ["user", "integrator"],
+    });
+
+    const res = await client.post("/auth/login", {
+      body: { email: "integrator@example.com", password: PASSWORD },
+    });
+    token = res.body.data.accessToken;
+  });
+
+  const createServiceClient = (scopes) =>
+    client.post("/oauth/clients", {
+      token,
+      body: {
+        name: "Reporting",
+        grantTypes: ["client_credentials"],
+        scopes,
+      },
+    });
+
+  it("creates a client with scopes the actor holds", async () => {
+    const res = await createServiceClient(["users:read"]);
+
+    assert.equal(res.status, 201);
+    assert.deepEqual(res.body.data.client.scopes, ["users:read"]);
+  });
+
+  it("refuses to create a client with scopes the actor lacks", async () => {
+    const res = await createServiceClient(["users:read", "users:delete"]);
+
+    assert.equal(res.status, 403);
+    assert.match(res.body.message, /users:delete/);
+    assert.equal(await OAuthClient.countDocuments(), 0);
+  });
+
+  it("refuses to add scopes the actor lacks to a client", async () => {
+    const created = await createServiceClient(["users:read"]);
+    const { clientId } = created.body.data.client;
+
+    const res = await client.put(`/oauth/clients/${clientId}`, {
+      token,
+      body: { scopes: ["users:read", "logs:read"] },
+    });
+
+    assert.equal(res.status, 403);
+    const stored = await OAuthClient.findOne({ clientId });
+    assert.deepEqual([...stored.scopes], ["users:read"]);
+  });
+
+  it("refuses to rotate the secret of a client with scopes the actor lacks", async () => {
+    const serviceClient = new OAuthClient({
+      name: "Cleanup",
+      grantTypes: ["client_credentials"],
+      scopes: ["users:delete"],
+    });
+    serviceClient.generateCredentials();
+    await serviceClient.save();
+    const before = await OAuthClient.findById(serviceClient._id).select(
+      "+clientSecretHash"
+    );
+
+    const res = await client.post(
+      `/oauth/clients/${serviceClient.clientId}/secret`,
+      { token }
+    );
+
+    assert.equal(res.status, 403);
+    assert.match(res.body.message, /users:delete/);
+    assert.equal(res.body.data, undefined);
+    const stored = await OAuthClient.findById(serviceClient._id).select(
+      "+clientSecretHash"
+    );
+    assert.equal(stored.clientSecretHash, before.clientSecretHash);
+  });
+
+  it("updates a client's other settings without touching its scopes", async () => {
+    const created = await createServiceClient(["users:read"]);
+    const { clientId } = created.body.data.client;
+
+    const res = await client.put(`/oauth/clients/${clientId}`, {
+      token,
+      body: { name: "Reports" },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.client.name, "Reports");
+  });
+});
+
+describe("client credentials grant", () => {
+  let server;
+  let client;
+  let token;
+
+  before(async () => {
+    const app = createApp([
+      ["/auth", require("../routes/auth")],
+      ["/oauth", require("../routes/oidc")],
+      ["/oauth/clients", require("../routes/oauthClients")],
+      ["/users", require("../routes/users")],
+    ]);
+    server = await startServer(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetState();
+    client = createClient(server.baseUrl);
+
+    await ensureBuiltInRoles();
+    await User.create({
+      name: "Admin",
+      email: "admin@example.com",
+      password: PASSWORD,
+      isEmailVerified: true,
+      roles: ["user", "admin"],
+    });
+
+    const res = await client.post("/auth/login", {
+      body: { email: "admin@example.com", password: PASSWORD },
+    });
+    token = res.body.data.accessToken;
+  });
+
+  // Register a service client; returns { clientId, clientSecret }
+  const registerServiceClient = async (scopes = ["users:read"]) => {
+    const res = await client.post("/oauth/clients", {
+      token,
+      body: {
+        name: "Reporting",
+        grantTypes: ["client_credentials"],
+        scopes,
+      },
+    });
+    assert.equal(res.status, 201);
+    return {
+      clientId: res.body.data.client.clientId,
+      clientSecret: res.body.data.clientSecret,
+    };
+  };
+
+  const requestToken = ({ clientId, clientSecret }, scope) =>
+    client.post("/oauth/token", {
+      body: {
+        grant_type: "client_credentials",
+        client_id: clientId,
+        client_secret: clientSecret,
+        scope,
+      },
+    });
+
+  it("issues a token limited to the client's scopes", async () => {
+    const credentials = await registerServiceClient();
+
+    const res = await requestToken(credentials);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.token_type, "Bearer");
+    assert.equal(res.body.scope, "users:read");
+    assert.equal(res.body.id_token, undefined);
+
+    const users = await client.get("/users", {
+      token: res.body.access_token,
+    });
+    assert.equal(users.status, 200);
+  });
+
+  it("accepts the credentials through HTTP Basic authentication", async () => {
+    const { clientId, clientSecret } = await registerServiceClient();
+    const basic = Buffer.from(`${clientId}:${clientSecret}`).toString(
+      "base64"
+    );
+
+    const res = await client.post("/oauth/token", {
+      headers: { Authorization: `Basic ${basic}` },
+      body: { grant_type: "client_credentials" },
+    });
+
+    assert.equal(res.status, 200);
+  });
+
+  it("refuses scopes the client was not granted", async () => {
+    const credentials = await registerServiceClient();
+
+    const res = await requestToken(credentials, "users:read users:delete");
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "invalid_scope");
+  });
+
+  it("keeps client tokens off routes their scopes don't cover", async () => {
+    const credentials = await registerServiceClient();
+    const { access_token: accessToken } = (await requestToken(credentials))
+      .body;
+
+    const me = await client.get("/auth/me", { token: accessToken });
+    assert.equal(me.status, 403);
+
+    const users = await User.find();
+    const remove = await client.delete(`/users/${users[0]._id}`, {
+      token: accessToken,
+    });
+    assert.equal(remove.status, 403);
+  });
+
+  it("rejects a wrong secret", async () => {
+    const { clientId } = await registerServiceClient();
+
+    const res = await requestToken({ clientId, clientSecret: "wrong" });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, "invalid_client");
+    assert.match(res.headers.get("www-authenticate"), /^Basic/);
+  });
+
+  it("stops accepting the old secret and its tokens after rotation", async () => {
+    const credentials = await registerServiceClient();
+    const { access_token: accessToken } = (await requestToken(credentials))
+      .body;
+
+    const rotated = await client.post(
+      `/oauth/clients/${credentials.clientId}/secret`,
+      { token }
+    );
+    assert.equal(rotated.status, 200);
+
+    assert.equal((await requestToken(credentials)).status, 401);
+    assert.equal(
+      (await client.get("/users", { token: accessToken })).status,
+      401
+    );
+
+    const fresh = await requestToken({
+      clientId: credentials.clientId,
+      clientSecret: rotated.body.data.clientSecret,
+    });
+    assert.equal(fresh.status, 200);
+  });
+
+  it("refuses the grant to clients not registered for it", async () => {
+    const res = await client.post("/oauth/clients", {
+      token,
+      body: {
+        name: "Photo App",
+        redirectUris: ["https://app.example.com/callback"],
+      },
+    });
+    const credentials = {
+      clientId: res.body.data.client.clientId,
+      clientSecret: res.body.data.clientSecret,
+    };
+
+    const issued = await requestToken(credentials);
+
+    assert.equal(issued.status, 400);
+    assert.equal(issued.body.error, "unauthorized_client");
+  });
+});
@@ -0,0 +1,313 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const {
+  createApp,
+  startServer,
+  createClient,
+  resetState,
+  memoryDb,
+} = require("./helpers/app");
+const User = require("../models/User");
+const OAuthClient = require("../models/OAuthClient");
+const { getIssuer } = require("../utils/oidc");
+
+const PASSWORD = "Password123!";
+const REDIRECT_URI = "https://app.example.com/callback";
+const VERIFIER = "a-code-verifier-long-enough-for-pkce-0123456789";
+const CHALLENGE = crypto
+  .createHash("sha256")
+  .update(VERIFIER)
+  .digest("base64url");
+
+describe("OpenID Connect provider", () => {
+  let server;
+  let client;
+  let alice;
+
+  before(async () => {
+    const app = createApp([
+      ["/auth", require("../routes/auth")],
+      ["/oauth", require("../routes/oidc")],
+      ["/.well-known", require("../routes/wellKnown")],
+    ]);
+    server = await startServer(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetState();
+    client = createClient(server.baseUrl);
+
+    alice = await User.create({
+      name: "Alice",
+      email: "alice@example.com",
+      password: PASSWORD,
+      isEmailVerified: true,
+    });
+  });
+
+  // Register a client; returns { oauthClient, clientSecret }
+  const registerClient = async (settings = {}) => {
+    const oauthClient = new OAuthClient({
+      name: "Photo App",
+      redirectUris: [REDIRECT_URI],
+      ...settings,
+    });
+    const { clientSecret } = oauthClient.generateCredentials();
+    await oauthClient.save();
+    return { oauthClient, clientSecret };
+  };
+
+  const signIn = async () => {
+    const login = await client.post("/auth/login", {
+      body: { email: "alice@example.com", password: PASSWORD },
+    });
+    const tokens = login.body.data;
+
+    const res = await client.post("/oauth/session", {
+      token: tokens.accessToken,
+    });
+    assert.equal(res.status, 200);
+    return tokens;
+  };
+
+  const authorize = (clientId, params = {}) => {
+    const query = new URLSearchParams({
+      response_type: "code",
+      client_id: clientId,
+      redirect_uri: REDIRECT_URI,
+      scope: "openid",
+      state: "xyz",
+      code_challenge: CHALLENGE,
+      code_challenge_method: "S256",
+      ...params,
+    });
+    return client.get(`/oauth/authorize?${query}`);
+  };
+
+  // Query parameters of a redirect back to the client, or null
+  const redirectParams = (res) => {
+    if (res.status !== 302) return null;
+    const location = new URL(res.headers.get("location"));
+    return location.origin + location.pathname === REDIRECT_URI
+      ? location.searchParams
+      : null;
+  };
+
+  const redirectedWithCode = (res) => !!redirectParams(res)?.get("code");
+
+  describe("browser sign-in session", () => {
+    let oauthClient;
+
+    beforeEach(async () => {
+      ({ oauthClient } = await registerClient({ skipConsent: true }));
+    });
+
+    it("issues codes while the session is signed in", async () => {
+      await signIn();
+
+      assert.ok(redirectedWithCode(await authorize(oauthClient.clientId)));
+    });
+
+    it("stops issuing codes after logout everywhere", async () => {
+      const { accessToken } = await signIn();
+
+      const logout = await client.post("/auth/logout-all", {
+        token: accessToken,
+      });
+      assert.equal(logout.status, 200);
+
+      const res = await authorize(oauthClient.clientId);
+      assert.ok(!redirectedWithCode(res));
+      assert.match(res.headers.get("location"), /\/login\?return_to=/);
+    });
+
+    it("stops issuing codes once the originating session is logged out", async () => {
+      const { accessToken, refreshToken } = await signIn();
+
+      await client.post("/auth/logout", {
+        token: accessToken,
+        body: { refreshToken },
+      });
+
+      assert.ok(!redirectedWithCode(await authorize(oauthClient.clientId)));
+    });
+
+    it("stops issuing codes after a password change", async () => {
+      const { accessToken, refreshToken } = await signIn();
+
+      const change = await client.post("/auth/change-password", {
+        token: accessToken,
+        body: {
+          currentPassword: PASSWORD,
+          newPassword: "NewPassword123!",
+          refreshToken,
+        },
+      });
+      assert.equal(change.status, 200);
+
+      assert.ok(!redirectedWithCode(await authorize(oauthClient.clientId)));
+    });
+  });
+
+  describe("authorization code flow", () => {
+    let oauthClient;
+    let clientSecret;
+
+    beforeEach(async () => {
+      ({ oauthClient, clientSecret } = await registerClient());
+      await signIn();
+    });
+
+    // Consent to the request and return the issued code
+    const authorizeWithConsent = async (params) => {
+      const page = await authorize(oauthClient.clientId, params);
+      assert.equal(page.status, 200);
+      assert.equal(page.headers.get("x-frame-options"), "DENY");
+      const requestId = /name="request_id" value="([0-9a-f]+)"/.exec(
+        page.body
+      )[1];
+
+      const res = await client.post("/oauth/authorize", {
+        body: { request_id: requestId, decision: "allow" },
+      });
+      return redirectParams(res).get("code");
+    };
+
+    const exchange = (code, overrides = {}) =>
+      client.post("/oauth/token", {
+        body: {
+          grant_type: "authorization_code",
+          code,
+          redirect_uri: REDIRECT_URI,
+          code_verifier: VERIFIER,
+          client_id: oauthClient.clientId,
+          client_secret: clientSecret,
+          ...overrides,
+        },
+      });
+
+    it("asks for consent once and then remembers it", async () => {
+      const code = await authorizeWithConsent({ scope: "openid email" });
+      assert.ok(code);
+
+      const again = await authorize(oauthClient.clientId, {
+        scope: "openid email",
+      });
+      assert.ok(redirectedWithCode(again));
+      assert.equal(redirectParams(again).get("state"), "xyz");
+      assert.equal(redirectParams(again).get("iss"), getIssuer());
+    });
+
+    it("redirects with access_denied when consent is refused", async () => {
+      const page = await authorize(oauthClient.clientId);
+      const requestId = /name="request_id" value="([0-9a-f]+)"/.exec(
+        page.body
+      )[1];
+
+      const res = await client.post("/oauth/authorize", {
+        body: { request_id: requestId, decision: "deny" },
+      });
+
+      assert.equal(redirectParams(res).get("error"), "access_denied");
+      assert.equal(memoryDb.dump("oauthconsents").length, 0);
+    });
+
+    it("exchanges a code for an access token and a signed ID token", async () => {
+      const code = await authorizeWithConsent({
+        scope: "openid profile email",
+        nonce: "n-0S6",
+      });
+
+      const res = await exchange(code);
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get("cache-control"), "no-store");
+      assert.equal(res.body.token_type, "Bearer");
+      assert.equal(res.body.scope, "openid profile email");
+
+      const { header } = jwt.decode(res.body.id_token, { complete: true });
+      const jwks = (await client.get("/.well-known/jwks.json")).body;
+      const jwk = jwks.keys.find((key) => key.kid === header.kid);
+      const idToken = jwt.verify(
+        res.body.id_token,
+        crypto.createPublicKey({ key: jwk, format: "jwk" }),
+        { audience: oauthClient.clientId, issuer: getIssuer() }
+      );
+      assert.equal(idToken.sub, String(alice._id));
+      assert.equal(idToken.nonce, "n-0S6");
+      assert.equal(idToken.email, "alice@example.com");
+
+      const userInfo = await client.get("/oauth/userinfo", {
+        token: res.body.access_token,
+      });
+      assert.deepEqual(userInfo.body, {
+        sub: String(alice._id),
+        name: "Alice",
+        email: "alice@example.com",
+        email_verified: true,
+      });
+    });
+
+    it("rejects a wrong PKCE verifier", async () => {
+      const code = await authorizeWithConsent();
+
+      const res = await exchange(code, {
+        code_verifier: "another-verifier-that-does-not-match-0123456",
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, "invalid_grant");
+    });
+
+    it("redeems a code only once", async () => {
+      const code = await authorizeWithConsent();
+
+      assert.equal((await exchange(code)).status, 200);
+      const replay = await exchange(code);
+      assert.equal(replay.status, 400);
+      assert.equal(replay.body.error, "invalid_grant");
+    });
+
+    it("rejects a wrong client secret", async () => {
+      const code = await authorizeWithConsent();
+
+      const res = await exchange(code, { client_secret: "wrong" });
+
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, "invalid_client");
+    });
+
+    it("lets public clients redeem codes without a secret", async () => {
+      ({ oauthClient } = await registerClient({
+        type: "public",
+        skipConsent: true,
+      }));
+      const code = redirectParams(await authorize(oauthClient.clientId)).get(
+        "code"
+      );
+
+      const res = await exchange(code, { client_secret: undefined });
+      assert.equal(res.status, 200);
+    });
+
+    it("requires an S256 PKCE challenge", async () => {
+      const res = await authorize(oauthClient.clientId, {
+        code_challenge_method: "plain",
+      });
+
+      assert.equal(redirectParams(res).get("error"), "invalid_request");
+    });
+
+    it("refuses to redirect to an unregistered URI", async () => {
+      const res = await authorize(oauthClient.clientId, {
+        redirect_uri: "https://attacker.example.com/callback",
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.headers.get("location"), null);
+    });
+  });
+});
@@ -0,0 +1,228 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("node:timers/promises");
+const {
+  createApp,
+  startServer,
+  createClient,
+  resetState,
+  outbox,
+  memoryDb,
+} = require("./helpers/app");
+const User = require("../models/User");
+const Organization = require("../models/Organization");
+const Membership = require("../models/Membership");
+const { softDeleteUser } = require("../utils/userDeletion");
+
+const PASSWORD = "Password123!";
+
+describe("organizations", () => {
+  let server;
+  let client;
+  let organization;
+  let owner;
+  let bob;
+  let tokens;
+
+  before(async () => {
+    const app = createApp([
+      ["/auth", require("../routes/auth")],
+      ["/orgs", require("../routes/organizations")],
+      ["/logs", require("../routes/logs")],
+    ]);
+    server = await startServer(app);
+  });
+
+  after(() => server.close());
+
+  const createUser = (name) =>
+    User.create({
+      name,
+      email: `${name.toLowerCase()}@example.com`,
+      password: PASSWORD,
+      isEmailVerified: true,
+    });
+
+  const login = async (user) => {
+    const res = await client.post("/auth/login", {
+      body: { email: user.email, password: PASSWORD },
+    });
+    assert.equal(res.status, 200);
+    return res.body.data.accessToken;
+  };
+
+  const addMember = (org, user, roles = ["member"]) =>
+    Membership.create({ organizationId: org._id, userId: user._id, roles });
+
+  beforeEach(async () => {
+    await resetState();
+    client = createClient(server.baseUrl);
+
+    owner = await createUser("Owner");
+    bob = await createUser("Bob");
+    organization = await Organization.create({ name: "Acme", slug: "acme" });
+    await addMember(organization, owner, ["admin"]);
+    tokens = { owner: await login(owner), bob: await login(bob) };
+  });
+
+  describe("inviting members", () => {
+    // Invitations are mailed after the response; waits for the mail when
+    // one is expected
+    const invite = async (email, roles, { mailed = true } = {}) => {
+      const sent = outbox.length;
+      const res = await client.post(`/orgs/${organization._id}/members`, {
+        token: tokens.owner,
+        body: { email, roles },
+      });
+      for (let i = 0; i < 50 && mailed && outbox.length === sent; i++) {
+        await sleep(10);
+      }
+      return res;
+    };
+
+    const invitationToken = (message) =>
+      decodeURIComponent(message.text.match(/token=(\S+)/)[1]);
+
+    it("answers the same whether or not the account exists", async () => {
+      const existing = await invite("bob@example.com");
+      const unknown = await invite("nobody@example.com", undefined, {
+        mailed: false,
+      });
+      await sleep(50);
+
+      assert.equal(existing.status, 200);
+      assert.equal(unknown.status, existing.status);
+      assert.deepEqual(unknown.body, existing.body);
+
+      // Only the account holder is emailed, and nobody joins yet
+      assert.deepEqual(
+        outbox.map((message) => message.to),
+        ["bob@example.com"]
+      );
+      assert.equal(memoryDb.dump("memberships").length, 1);
+    });
+
+    it("adds the invitee once they accept", async () => {
+      await invite("bob@example.com", ["admin"]);
+
+      const res = await client.post("/orgs/invitations/accept", {
+        token: tokens.bob,
+        body: { token: invitationToken(outbox[0]) },
+      });
+
+      assert.equal(res.status, 201);
+      assert.deepEqual(res.body.data.organization.roles, ["admin"]);
+      const membership = await Membership.findOne({ userId: bob._id });
+      assert.ok(membership.organizationId.equals(organization._id));
+
+      const replay = await client.post("/orgs/invitations/accept", {
+        token: tokens.bob,
+        body: { token: invitationToken(outbox[0]) },
+      });
+      assert.equal(replay.status, 400);
+    });
+
+    it("refuses an invitation sent to another email address", async () => {
+      const carol = await createUser("Carol");
+      await invite("bob@example.com");
+
+      const res = await client.post("/orgs/invitations/accept", {
+        token: await login(carol),
+        body: { token: invitationToken(outbox[0]) },
+      });
+
+      assert.equal(res.status, 403);
+      assert.equal(await Membership.countDocuments({ userId: carol._id }), 0);
+    });
+
+    it("only accepts the latest link after inviting again", async () => {
+      await invite("bob@example.com");
+      await invite("bob@example.com", ["admin"]);
+
+      const stale = await client.post("/orgs/invitations/accept", {
+        token: tokens.bob,
+        body: { token: invitationToken(outbox[0]) },
+      });
+      assert.equal(stale.status, 400);
+
+      const res = await client.post("/orgs/invitations/accept", {
+        token: tokens.bob,
+        body: { token: invitationToken(outbox[1]) },
+      });
+      assert.equal(res.status, 201);
+      assert.deepEqual(res.body.data.organization.roles, ["admin"]);
+      assert.equal(memoryDb.dump("invitations").length, 1);
+    });
+  });
+
+  describe("updating members", () => {
+    it("answers 404 for a deleted member", async () => {
+      await addMember(organization, bob);
+      await softDeleteUser(bob);
+
+      const res = await client.put(
+        `/orgs/${organization._id}/members/${bob._id}`,
+        { token: tokens.owner, body: { roles: ["admin"] } }
+      );
+
+      assert.equal(res.status, 404);
+      const membership = await Membership.findOne({ userId: bob._id });
+      assert.deepEqual(membership.roles, ["member"]);
+    });
+
+    it("rejects role names inherited from Object.prototype", async () => {
+      await addMember(organization, bob);
+
+      for (const role of ["constructor", "toString"]) {
+        const res = await client.put(
+          `/orgs/${organization._id}/members/${bob._id}`,
+          { token: tokens.owner, body: { roles: [role] } }
+        );
+        assert.equal(res.status, 400);
+      }
+
+      const membership = await Membership.findOne({ userId: bob._id });
+      assert.deepEqual(membership.roles, ["member"]);
+    });
+  });
+
+  describe("activity logs", () => {
+    const switchTo = async (token, org) => {
+      const res = await client.post("/orgs/switch", {
+        token,
+        body: { organizationId: String(org._id) },
+      });
+      assert.equal(res.status, 200);
+      return res.body.data.accessToken;
+    };
+
+    it("only lists the activity recorded in the organization", async () => {
+      const other = await Organization.create({ name: "Other", slug: "other" });
+      await addMember(organization, bob);
+      await addMember(other, bob);
+
+      await switchTo(tokens.bob, other);
+      await switchTo(tokens.bob, organization);
+      const ownerToken = await switchTo(tokens.owner, organization);
+
+      const res = await client.get("/logs/all-activity", {
+        token: ownerToken,
+      });
+
+      assert.equal(res.status, 200);
+      const { logs } = res.body.data;
+      assert.equal(logs.length, 2);
+      assert.ok(
+        logs.every((log) => log.organizationId === String(organization._id))
+      );
+
+      // Bob's switch into the other organization is only recorded there
+      const [otherLog] = memoryDb
+        .dump("activitylogs")
+        .filter(
+          (log) => log.organizationId && log.organizationId.equals(other._id)
+        );
+      assert.equal(otherLog.action, "organization_switched");
+    });
+  });
+});
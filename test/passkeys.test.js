@@ -0,0 +1,246 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createApp,
+  startServer,
+  createClient,
+  resetState,
+  memoryDb,
+} = require("./helpers/app");
+const { createAuthenticator } = require("./helpers/softwareAuthenticator");
+const User = require("../models/User");
+const { consumeChallenge, saveChallenge } = require("../utils/webauthn");
+
+const ORIGIN = process.env.FRONTEND_URL;
+const PASSWORD = "Password123!";
+
+describe("passkeys", () => {
+  let server;
+  let client;
+  let authenticator;
+
+  before(async () => {
+    const app = createApp([
+      ["/auth", require("../routes/auth")],
+      ["/auth", require("../routes/passkeys")],
+    ]);
+    server = await startServer(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetState();
+    client = createClient(server.baseUrl);
+    authenticator = createAuthenticator({ origin: ORIGIN });
+  });
+
+  const signUp = async (email = "alice@example.com") => {
+    await User.create({
+      name: "Alice",
+      email,
+      password: PASSWORD,
+      isEmailVerified: true,
+    });
+    const res = await client.post("/auth/login", {
+      body: { email, password: PASSWORD },
+    });
+    assert.equal(res.status, 200);
+    return res.body.data.accessToken;
+  };
+
+  const registerPasskey = async (token) => {
+    const options = await client.post("/auth/passkeys/register/options", {
+      token,
+    });
+    assert.equal(options.status, 200);
+
+    const credential = authenticator.register(options.body.data.options);
+    const res = await client.post("/auth/passkeys/register/verify", {
+      token,
+      body: { credential, name: "Laptop" },
+    });
+    assert.equal(res.status, 201);
+    return credential.id;
+  };
+
+  const loginOptions = async () => {
+    const res = await client.post("/auth/passkeys/login/options");
+    assert.equal(res.status, 200);
+    return res.body.data.options;
+  };
+
+  it("registers a passkey and signs in with it", async () => {
+    const token = await signUp();
+    const credentialId = await registerPasskey(token);
+
+    const listed = await client.get("/auth/passkeys", { token });
+    assert.equal(listed.body.data.passkeys.length, 1);
+    assert.equal(listed.body.data.passkeys[0].name, "Laptop");
+
+    const credential = authenticator.authenticate(
+      await loginOptions(),
+      credentialId
+    );
+    const res = await client.post("/auth/passkeys/login/verify", {
+      body: { credential },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.user.email, "alice@example.com");
+    assert.ok(res.body.data.accessToken);
+    assert.ok(res.body.data.refreshToken);
+
+    const [user] = memoryDb.dump("users");
+    assert.equal(user.passkeys[0].counter, 1);
+    assert.ok(user.passkeys[0].lastUsedAt);
+  });
+
+  it("rejects a replayed login assertion", async () => {
+    const credentialId = await registerPasskey(await signUp());
+    const credential = authenticator.authenticate(
+      await loginOptions(),
+      credentialId
+    );
+
+    const first = await client.post("/auth/passkeys/login/verify", {
+      body: { credential },
+    });
+    assert.equal(first.status, 200);
+
+    const replay = await client.post("/auth/passkeys/login/verify", {
+      body: { credential },
+    });
+    assert.equal(replay.status, 401);
+    assert.equal(replay.body.message, "Invalid or expired login challenge");
+  });
+
+  it("rejects an assertion signed by another key", async () => {
+    const credentialId = await registerPasskey(await signUp());
+    const otherToken = await signUp("bob@example.com");
+    const otherCredentialId = await registerPasskey(otherToken);
+
+    const credential = authenticator.authenticate(
+      await loginOptions(),
+      credentialId,
+      { signWith: otherCredentialId }
+    );
+    const res = await client.post("/auth/passkeys/login/verify", {
+      body: { credential },
+    });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.message, "Invalid credentials");
+  });
+
+  it("rejects a registration from another origin", async () => {
+    const token = await signUp();
+    const options = await client.post("/auth/passkeys/register/options", {
+      token,
+    });
+
+    const credential = authenticator.register(options.body.data.options, {
+      origin: "https://evil.example.com",
+    });
+    const res = await client.post("/auth/passkeys/register/verify", {
+      token,
+      body: { credential },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(
+      res.body.message,
+      "Passkey registration could not be verified"
+    );
+    assert.equal(memoryDb.dump("users")[0].passkeys.length, 0);
+  });
+
+  it("rejects a registration challenge issued to another user", async () => {
+    const aliceToken = await signUp();
+    const bobToken = await signUp("bob@example.com");
+    const options = await client.post("/auth/passkeys/register/options", {
+      token: aliceToken,
+    });
+
+    const credential = authenticator.register(options.body.data.options);
+    const res = await client.post("/auth/passkeys/register/verify", {
+      token: bobToken,
+      body: { credential },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "Invalid or expired registration challenge");
+  });
+
+  it("refuses to delete the last login method", async () => {
+    const token = await signUp();
+    await registerPasskey(token);
+    await User.updateOne({}, { $set: { password: null } });
+
+    const [passkey] = (await client.get("/auth/passkeys", { token })).body.data
+      .passkeys;
+    const res = await client.delete(`/auth/passkeys/${passkey.id}`, { token });
+
+    assert.equal(res.status, 400);
+    assert.equal(memoryDb.dump("users")[0].passkeys.length, 1);
+  });
+
+  it("renames a passkey and rejects a name that isn't a string", async () => {
+    const token = await signUp();
+    await registerPasskey(token);
+    const [passkey] = (await client.get("/auth/passkeys", { token })).body.data
+      .passkeys;
+
+    for (const name of [42, { first: "Phone" }, ["Phone"]]) {
+      const res = await client.put(`/auth/passkeys/${passkey.id}`, {
+        token,
+        body: { name },
+      });
+      assert.equal(res.status, 400);
+    }
+
+    const res = await client.put(`/auth/passkeys/${passkey.id}`, {
+      token,
+      body: { name: "Phone" },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.passkey.name, "Phone");
+  });
+
+  describe("consumeChallenge", () => {
+    const credentialFor = (challenge) => ({
+      response: {
+        clientDataJSON: Buffer.from(JSON.stringify({ challenge })).toString(
+          "base64url"
+        ),
+      },
+    });
+
+    it("consumes a stored challenge once", async () => {
+      await saveChallenge("abc", "authentication");
+
+      assert.equal(
+        await consumeChallenge(credentialFor("abc"), "authentication"),
+        "abc"
+      );
+      assert.equal(
+        await consumeChallenge(credentialFor("abc"), "authentication"),
+        null
+      );
+    });
+
+    it("ignores challenges of another ceremony type", async () => {
+      await saveChallenge("abc", "registration");
+
+      assert.equal(
+        await consumeChallenge(credentialFor("abc"), "authentication"),
+        null
+      );
+    });
+
+    it("rejects malformed client data", async () => {
+      const credential = { response: { clientDataJSON: "not json" } };
+      assert.equal(await consumeChallenge(credential, "authentication"), null);
+    });
+  });
+});
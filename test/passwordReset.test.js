@@ -0,0 +1,127 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("node:timers/promises");
+const {
+  createApp,
+  startServer,
+  createClient,
+  resetState,
+  outbox,
+} = require("./helpers/app");
+const User = require("../models/User");
+
+const PASSWORD = "Password123!";
+const NEW_PASSWORD = "NewPassword123!";
+
+describe("password reset", () => {
+  let server;
+  let client;
+
+  before(async () => {
+    const app = createApp([["/auth", require("../routes/auth")]]);
+    server = await startServer(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetState();
+    client = createClient(server.baseUrl);
+    await User.create({
+      name: "Alice",
+      email: "alice@example.com",
+      password: PASSWORD,
+    });
+  });
+
+  const login = (password) =>
+    client.post("/auth/login", {
+      body: { email: "alice@example.com", password },
+    });
+
+  // The link is mailed after the response; returns its token
+  const requestReset = async () => {
+    const res = await client.post("/auth/forgot-password", {
+      body: { email: "alice@example.com" },
+    });
+    assert.equal(res.status, 200);
+    for (let i = 0; i < 50 && outbox.length === 0; i++) await sleep(10);
+
+    const [message] = outbox;
+    return new URL(/^http\S+/m.exec(message.text)[0]).searchParams.get(
+      "token"
+    );
+  };
+
+  const resetPassword = (token, password = NEW_PASSWORD) =>
+    client.post("/auth/reset-password", { body: { token, password } });
+
+  it("answers the same for unknown emails without sending anything", async () => {
+    const res = await client.post("/auth/forgot-password", {
+      body: { email: "nobody@example.com" },
+    });
+    await sleep(50);
+
+    assert.equal(res.status, 200);
+    assert.equal(outbox.length, 0);
+  });
+
+  it("stores only a hash of the reset token", async () => {
+    const token = await requestReset();
+
+    const user = await User.findOne({ email: "alice@example.com" });
+    assert.notEqual(user.passwordResetToken, token);
+    assert.equal(user.passwordResetToken, User.hashResetToken(token));
+  });
+
+  it("sets the new password and signs every session out", async () => {
+    const { accessToken, refreshToken } = (await login(PASSWORD)).body.data;
+    const token = await requestReset();
+
+    const res = await resetPassword(token);
+    assert.equal(res.status, 200);
+
+    assert.equal((await login(PASSWORD)).status, 401);
+    assert.equal((await login(NEW_PASSWORD)).status, 200);
+
+    const me = await client.get("/auth/me", { token: accessToken });
+    assert.equal(me.status, 401);
+    const refreshed = await client.post("/auth/refresh", {
+      body: { refreshToken },
+    });
+    assert.equal(refreshed.status, 401);
+
+    const user = await User.findOne({ email: "alice@example.com" });
+    assert.equal(user.isEmailVerified, true);
+  });
+
+  it("accepts a reset token only once", async () => {
+    const token = await requestReset();
+
+    assert.equal((await resetPassword(token)).status, 200);
+    assert.equal((await resetPassword(token, "OtherPassword1!")).status, 400);
+  });
+
+  it("rejects an expired reset token", async () => {
+    const token = await requestReset();
+    await User.updateOne(
+      { email: "alice@example.com" },
+      { $set: { passwordResetExpires: new Date(Date.now() - 1000) } }
+    );
+
+    assert.equal((await resetPassword(token)).status, 400);
+    assert.equal((await login(PASSWORD)).status, 200);
+  });
+
+  it("rejects input that isn't a string", async () => {
+    const forgot = await client.post("/auth/forgot-password", {
+      body: { email: { $gt: "" } },
+    });
+    assert.equal(forgot.status, 400);
+
+    const reset = await client.post("/auth/reset-password", {
+      body: { token: { $ne: null }, password: NEW_PASSWORD },
+    });
+    assert.equal(reset.status, 400);
+  });
+});
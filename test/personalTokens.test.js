@@ -0,0 +1,209 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createApp,
+  startServer,
+  createClient,
+  resetState,
+  memoryDb,
+} = require("./helpers/app");
+const User = require("../models/User");
+const PersonalAccessToken = require("../models/PersonalAccessToken");
+const { ensureBuiltInRoles } = require("../utils/permissions");
+
+const PASSWORD = "Password123!";
+
+describe("personal access tokens", () => {
+  let server;
+  let client;
+
+  before(async () => {
+    const app = createApp([
+      ["/auth", require("../routes/auth")],
+      ["/auth", require("../routes/personalTokens")],
+      ["/users", require("../routes/users")],
+    ]);
+    server = await startServer(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetState();
+    client = createClient(server.baseUrl);
+
+    await ensureBuiltInRoles();
+    await User.create({
+      name: "Alice",
+      email: "alice@example.com",
+      password: PASSWORD,
+      isEmailVerified: true,
+    });
+    await User.create({
+      name: "Admin",
+      email: "admin@example.com",
+      password: PASSWORD,
+      isEmailVerified: true,
+      roles: ["user", "admin"],
+    });
+  });
+
+  const login = async (email) => {
+    const res = await client.post("/auth/login", {
+      body: { email, password: PASSWORD },
+    });
+    return res.body.data.accessToken;
+  };
+
+  const createToken = (accessToken, body) =>
+    client.post("/auth/personal-tokens", {
+      token: accessToken,
+      body: { name: "CI", ...body },
+    });
+
+  it("returns the token once and stores only its hash", async () => {
+    const accessToken = await login("alice@example.com");
+
+    const res = await createToken(accessToken, { scopes: ["profile:read"] });
+
+    assert.equal(res.status, 201);
+    const { token, personalToken } = res.body.data;
+    assert.match(token, /^pat_/);
+    assert.ok(token.startsWith(personalToken.tokenPrefix));
+    assert.equal(personalToken.tokenHash, undefined);
+
+    const [stored] = memoryDb.dump("personalaccesstokens");
+    assert.ok(stored.tokenHash);
+    assert.ok(!JSON.stringify(stored).includes(token));
+
+    const list = await client.get("/auth/personal-tokens", {
+      token: accessToken,
+    });
+    assert.equal(list.body.data.personalTokens.length, 1);
+    assert.ok(!JSON.stringify(list.body).includes(token));
+  });
+
+  it("acts as its user on routes that allow its scope", async () => {
+    const accessToken = await login("alice@example.com");
+    const { token } = (
+      await createToken(accessToken, { scopes: ["profile:read"] })
+    ).body.data;
+
+    const me = await client.get("/auth/me", { token });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.data.user.email, "alice@example.com");
+
+    const [stored] = memoryDb.dump("personalaccesstokens");
+    assert.ok(stored.lastUsedAt);
+  });
+
+  it("is refused on routes that don't allow its scope", async () => {
+    const accessToken = await login("alice@example.com");
+    const { token } = (
+      await createToken(accessToken, { scopes: ["activity:read"] })
+    ).body.data;
+
+    assert.equal((await client.get("/auth/me", { token })).status, 403);
+
+    const create = await createToken(token, { scopes: ["profile:read"] });
+    assert.equal(create.status, 403);
+  });
+
+  it("only grants API scopes the owner holds the permission for", async () => {
+    const aliceToken = await login("alice@example.com");
+    const refused = await createToken(aliceToken, { scopes: ["users:read"] });
+    assert.equal(refused.status, 403);
+    assert.match(refused.body.message, /users:read/);
+
+    const adminToken = await login("admin@example.com");
+    const { token } = (
+      await createToken(adminToken, { scopes: ["users:read"] })
+    ).body.data;
+    assert.equal((await client.get("/users", { token })).status, 200);
+  });
+
+  it("stops working once the owner loses the permission", async () => {
+    const adminToken = await login("admin@example.com");
+    const { token } = (
+      await createToken(adminToken, { scopes: ["users:read"] })
+    ).body.data;
+
+    await User.updateOne(
+      { email: "admin@example.com" },
+      { $set: { roles: ["user"] } }
+    );
+
+    assert.equal((await client.get("/users", { token })).status, 403);
+  });
+
+  it("stops working when revoked", async () => {
+    const accessToken = await login("alice@example.com");
+    const { token, personalToken } = (
+      await createToken(accessToken, { scopes: ["profile:read"] })
+    ).body.data;
+
+    const res = await client.delete(
+      `/auth/personal-tokens/${personalToken._id}`,
+      { token: accessToken }
+    );
+    assert.equal(res.status, 200);
+
+    assert.equal((await client.get("/auth/me", { token })).status, 401);
+  });
+
+  it("can't be revoked by another user", async () => {
+    const aliceToken = await login("alice@example.com");
+    const { personalToken } = (
+      await createToken(aliceToken, { scopes: ["profile:read"] })
+    ).body.data;
+
+    const adminToken = await login("admin@example.com");
+    const res = await client.delete(
+      `/auth/personal-tokens/${personalToken._id}`,
+      { token: adminToken }
+    );
+
+    assert.equal(res.status, 404);
+    assert.equal(await PersonalAccessToken.countDocuments(), 1);
+  });
+
+  it("expires and disappears from the list", async () => {
+    const accessToken = await login("alice@example.com");
+    const created = await createToken(accessToken, {
+      scopes: ["profile:read"],
+      expiresInDays: 30,
+    });
+    const { token, personalToken } = created.body.data;
+    const expiresInMs = new Date(personalToken.expiresAt) - Date.now();
+    assert.ok(Math.abs(expiresInMs - 30 * 24 * 60 * 60 * 1000) < 60 * 1000);
+
+    await PersonalAccessToken.updateOne(
+      { _id: personalToken._id },
+      { $set: { expiresAt: new Date(Date.now() - 1000) } }
+    );
+
+    assert.equal((await client.get("/auth/me", { token })).status, 401);
+    const list = await client.get("/auth/personal-tokens", {
+      token: accessToken,
+    });
+    assert.equal(list.body.data.personalTokens.length, 0);
+  });
+
+  it("rejects unknown scopes and out-of-range expiry", async () => {
+    const accessToken = await login("alice@example.com");
+
+    const unknown = await createToken(accessToken, { scopes: ["admin"] });
+    assert.equal(unknown.status, 400);
+
+    const inherited = await createToken(accessToken, {
+      scopes: ["constructor"],
+    });
+    assert.equal(inherited.status, 400);
+
+    const tooLong = await createToken(accessToken, {
+      scopes: ["profile:read"],
+      expiresInDays: 366,
+    });
+    assert.equal(tooLong.status, 400);
+  });
+});
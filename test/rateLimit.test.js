@@ -0,0 +1,137 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const {
+  createApp,
+  startServer,
+  createClient,
+  resetState,
+} = require("./helpers/app");
+const { rateLimit } = require("../middleware/rateLimit");
+const {
+  createMemoryStore,
+  createMongoStore,
+} = require("../utils/rateLimitStore");
+
+const MINUTE = 60 * 1000;
+
+describe("rate limiting", () => {
+  let server;
+  let client;
+
+  // Every route gets a fresh store per test through `stores`
+  const stores = {};
+  const limited = (policy) =>
+    rateLimit({
+      ...policy,
+      store: {
+        hitFixedWindow: (...args) => stores.current.hitFixedWindow(...args),
+        takeToken: (...args) => stores.current.takeToken(...args),
+      },
+    });
+
+  before(async () => {
+    const router = express.Router();
+    const ok = (req, res) => res.json({ success: true });
+
+    router.post(
+      "/window",
+      limited({ name: "window", limit: 2, windowMs: MINUTE }),
+      ok
+    );
+    router.post(
+      "/email",
+      limited({ name: "email", limit: 1, windowMs: MINUTE, keyBy: "email" }),
+      ok
+    );
+    router.post(
+      "/bucket",
+      limited({
+        name: "bucket",
+        algorithm: "token_bucket",
+        limit: 3,
+        windowMs: MINUTE,
+      }),
+      ok
+    );
+
+    server = await startServer(createApp([["/limited", router]]));
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetState();
+    client = createClient(server.baseUrl);
+    stores.current = createMemoryStore();
+    delete process.env.RATE_LIMIT_ENABLED;
+  });
+
+  const statuses = async (path, count, body = {}) => {
+    const results = [];
+    for (let i = 0; i < count; i++) {
+      results.push((await client.post(path, { body })).status);
+    }
+    return results;
+  };
+
+  it("allows the limit per window and then answers 429", async () => {
+    assert.deepEqual(await statuses("/limited/window", 3), [200, 200, 429]);
+  });
+
+  it("reports the limit in headers", async () => {
+    const first = await client.post("/limited/window");
+    assert.equal(first.headers.get("ratelimit-limit"), "2");
+    assert.equal(first.headers.get("ratelimit-remaining"), "1");
+    assert.equal(first.headers.get("ratelimit-policy"), "2;w=60");
+
+    await client.post("/limited/window");
+    const blocked = await client.post("/limited/window");
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.headers.get("ratelimit-remaining"), "0");
+    const retryAfter = Number(blocked.headers.get("retry-after"));
+    assert.ok(retryAfter > 0 && retryAfter <= 60);
+  });
+
+  it("counts each email separately", async () => {
+    const alice = { email: "Alice@example.com" };
+    assert.deepEqual(await statuses("/limited/email", 2, alice), [200, 429]);
+    assert.deepEqual(
+      await statuses("/limited/email", 1, { email: "alice@example.com " }),
+      [429]
+    );
+    assert.deepEqual(
+      await statuses("/limited/email", 1, { email: "bob@example.com" }),
+      [200]
+    );
+  });
+
+  it("lets a token bucket burst up to its capacity", async () => {
+    assert.deepEqual(
+      await statuses("/limited/bucket", 4),
+      [200, 200, 200, 429]
+    );
+  });
+
+  it("shares fixed windows through the MongoDB store", async () => {
+    stores.current = createMongoStore();
+
+    assert.deepEqual(await statuses("/limited/window", 3), [200, 200, 429]);
+  });
+
+  it("lets requests through when the store fails", async () => {
+    stores.current = {
+      hitFixedWindow: async () => {
+        throw new Error("store unavailable");
+      },
+    };
+
+    assert.deepEqual(await statuses("/limited/window", 3), [200, 200, 200]);
+  });
+
+  it("can be turned off with RATE_LIMIT_ENABLED=false", async () => {
+    process.env.RATE_LIMIT_ENABLED = "false";
+
+    assert.deepEqual(await statuses("/limited/window", 3), [200, 200, 200]);
+  });
+});
@@ -0,0 +1,217 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const {
+  createApp,
+  startServer,
+  createClient,
+  resetState,
+  memoryDb,
+} = require("./helpers/app");
+const User = require("../models/User");
+const { hashRefreshToken, generateRefreshToken } = require("../utils/jwt");
+const {
+  migrateRefreshTokens,
+} = require("../scripts/migrate-refresh-tokens");
+
+const PASSWORD = "Password123!";
+
+describe("refresh token rotation", () => {
+  let server;
+  let client;
+
+  before(async () => {
+    const app = createApp([["/auth", require("../routes/auth")]]);
+    server = await startServer(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetState();
+    client = createClient(server.baseUrl);
+    await User.create({
+      name: "Alice",
+      email: "alice@example.com",
+      password: PASSWORD,
+      isEmailVerified: true,
+    });
+  });
+
+  const login = async () => {
+    const res = await client.post("/auth/login", {
+      body: { email: "alice@example.com", password: PASSWORD },
+    });
+    return res.body.data;
+  };
+
+  const refresh = (refreshToken) =>
+    client.post("/auth/refresh", { body: { refreshToken } });
+
+  const storedSessions = () => memoryDb.dump("users")[0].refreshTokens;
+
+  it("replaces the refresh token on every use, in the same session", async () => {
+    const { refreshToken } = await login();
+    const [before] = storedSessions();
+
+    const res = await refresh(refreshToken);
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.data.accessToken);
+    assert.notEqual(res.body.data.refreshToken, refreshToken);
+
+    const [after] = storedSessions();
+    assert.ok(after._id.equals(before._id));
+    assert.equal(after.family, before.family);
+    assert.notEqual(after.tokenId, before.tokenId);
+
+    assert.equal((await refresh(res.body.data.refreshToken)).status, 200);
+  });
+
+  it("revokes the whole family when a rotated token is reused", async () => {
+    const { refreshToken } = await login();
+    const rotated = (await refresh(refreshToken)).body.data;
+
+    const reuse = await refresh(refreshToken);
+    assert.equal(reuse.status, 401);
+
+    assert.equal(storedSessions().length, 0);
+    assert.equal((await refresh(rotated.refreshToken)).status, 401);
+    const me = await client.get("/auth/me", { token: rotated.accessToken });
+    assert.equal(me.status, 401);
+
+    const [log] = memoryDb
+      .dump("activitylogs")
+      .filter((entry) => entry.action === "refresh_token_reuse");
+    assert.equal(log.success, false);
+    assert.equal(log.details.tokensRevoked, 1);
+  });
+
+  it("leaves other sessions alone on reuse", async () => {
+    const other = await login();
+    const { refreshToken } = await login();
+    await refresh(refreshToken);
+
+    await refresh(refreshToken);
+
+    assert.equal(storedSessions().length, 1);
+    assert.equal((await refresh(other.refreshToken)).status, 200);
+  });
+
+  it("treats losing a concurrent rotation as reuse", async () => {
+    const { refreshToken } = await login();
+
+    const results = await Promise.all([
+      refresh(refreshToken),
+      refresh(refreshToken),
+    ]);
+
+    assert.ok(results.some((res) => res.status === 401));
+    assert.ok(
+      memoryDb
+        .dump("activitylogs")
+        .some((entry) => entry.action === "refresh_token_reuse")
+    );
+  });
+
+  it("rejects a logout with a refresh token that isn't a string", async () => {
+    const { accessToken } = await login();
+
+    for (const refreshToken of [{}, 42, ["token"]]) {
+      const res = await client.post("/auth/logout", {
+        token: accessToken,
+        body: { refreshToken },
+      });
+      assert.equal(res.status, 400);
+    }
+
+    assert.equal(storedSessions().length, 1);
+    const me = await client.get("/auth/me", { token: accessToken });
+    assert.equal(me.status, 200);
+  });
+
+  it("rejects a token that isn't a refresh token", async () => {
+    const { accessToken } = await login();
+
+    assert.equal((await refresh(accessToken)).status, 401);
+    assert.equal(storedSessions().length, 1);
+  });
+});
+
+describe("refresh token storage", () => {
+  let server;
+  let client;
+
+  before(async () => {
+    const app = createApp([["/auth", require("../routes/auth")]]);
+    server = await startServer(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetState();
+    client = createClient(server.baseUrl);
+  });
+
+  it("stores a keyed hash and an id instead of the token", async () => {
+    await User.create({
+      name: "Alice",
+      email: "alice@example.com",
+      password: PASSWORD,
+    });
+    const res = await client.post("/auth/login", {
+      body: { email: "alice@example.com", password: PASSWORD },
+    });
+    const { refreshToken } = res.body.data;
+
+    const [stored] = memoryDb.dump("users");
+    const [session] = stored.refreshTokens;
+    assert.ok(!JSON.stringify(stored).includes(refreshToken));
+    assert.equal(session.token, undefined);
+    assert.equal(session.tokenHash, hashRefreshToken(refreshToken));
+    assert.notEqual(
+      session.tokenHash,
+      crypto.createHash("sha256").update(refreshToken).digest("hex")
+    );
+    assert.equal(session.tokenId, jwt.decode(refreshToken).jti);
+  });
+
+  it("migrates plaintext tokens and drops invalid ones", async () => {
+    const { insertedId } = await User.collection.insertOne({
+      name: "Alice",
+      email: "alice@example.com",
+      roles: ["user"],
+      refreshTokens: [],
+    });
+    const refreshToken = generateRefreshToken({ id: insertedId });
+    await User.collection.updateOne(
+      { _id: insertedId },
+      {
+        $set: {
+          refreshTokens: [
+            { token: refreshToken, createdAt: new Date() },
+            { token: "not-a-refresh-token", createdAt: new Date() },
+          ],
+        },
+      }
+    );
+
+    const result = await migrateRefreshTokens();
+
+    assert.deepEqual(result, {
+      usersMigrated: 1,
+      tokensHashed: 1,
+      tokensDropped: 1,
+    });
+    const [session] = memoryDb.dump("users")[0].refreshTokens;
+    assert.equal(session.token, undefined);
+    assert.equal(session.tokenHash, hashRefreshToken(refreshToken));
+
+    const res = await client.post("/auth/refresh", {
+      body: { refreshToken },
+    });
+    assert.equal(res.status, 200);
+  });
+});
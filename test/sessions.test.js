@@ -0,0 +1,148 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createApp,
+  startServer,
+  createClient,
+  resetState,
+} = require("./helpers/app");
+const User = require("../models/User");
+
+const PASSWORD = "Password123!";
+const FIREFOX_ON_LINUX =
+  "Mozilla/5.0 (X11; Linux x86_64; rv:128.0) Gecko/20100101 Firefox/128.0";
+const SAFARI_ON_IPHONE =
+  "Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1";
+
+describe("device sessions", () => {
+  let server;
+  let client;
+
+  before(async () => {
+    const app = createApp([
+      ["/auth", require("../routes/auth")],
+      ["/auth", require("../routes/sessions")],
+    ]);
+    server = await startServer(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetState();
+    client = createClient(server.baseUrl);
+    await User.create({
+      name: "Alice",
+      email: "alice@example.com",
+      password: PASSWORD,
+      isEmailVerified: true,
+    });
+    await User.create({
+      name: "Bob",
+      email: "bob@example.com",
+      password: PASSWORD,
+      isEmailVerified: true,
+    });
+  });
+
+  const login = async (email, { deviceName, userAgent } = {}) => {
+    const res = await client.post("/auth/login", {
+      body: { email, password: PASSWORD, deviceName },
+      headers: userAgent ? { "User-Agent": userAgent } : {},
+    });
+    return res.body.data;
+  };
+
+  const listSessions = async (token) =>
+    (await client.get("/auth/sessions", { token })).body.data.sessions;
+
+  it("lists sessions with their device and marks the current one", async () => {
+    await login("alice@example.com", { userAgent: FIREFOX_ON_LINUX });
+    const { accessToken } = await login("alice@example.com", {
+      deviceName: "Work laptop",
+    });
+
+    const sessions = await listSessions(accessToken);
+
+    assert.equal(sessions.length, 2);
+    const current = sessions.find((session) => session.current);
+    assert.equal(current.deviceName, "Work laptop");
+    const other = sessions.find((session) => !session.current);
+    assert.equal(other.deviceName, "Firefox on Linux");
+    assert.equal(other.browser, "Firefox 128");
+    assert.equal(other.deviceType, "desktop");
+  });
+
+  it("updates the device details when a refresh comes from another user agent", async () => {
+    const { refreshToken } = await login("alice@example.com", {
+      userAgent: FIREFOX_ON_LINUX,
+    });
+
+    const res = await client.post("/auth/refresh", {
+      body: { refreshToken },
+      headers: { "User-Agent": SAFARI_ON_IPHONE },
+    });
+    assert.equal(res.status, 200);
+
+    const [session] = await listSessions(res.body.data.accessToken);
+    assert.equal(session.browser, "Mobile Safari 17");
+    assert.equal(session.os, "iOS 17.5");
+    assert.equal(session.deviceType, "mobile");
+    assert.equal(session.deviceName, "Mobile on iOS 17.5");
+  });
+
+  it("keeps a chosen device name across refreshes from the same device", async () => {
+    const { refreshToken } = await login("alice@example.com", {
+      deviceName: "Work laptop",
+      userAgent: FIREFOX_ON_LINUX,
+    });
+
+    const res = await client.post("/auth/refresh", {
+      body: { refreshToken },
+      headers: { "User-Agent": FIREFOX_ON_LINUX },
+    });
+
+    const [session] = await listSessions(res.body.data.accessToken);
+    assert.equal(session.deviceName, "Work laptop");
+    assert.equal(session.browser, "Firefox 128");
+  });
+
+  it("revokes one session and its access tokens", async () => {
+    const phone = await login("alice@example.com", { deviceName: "Phone" });
+    const { accessToken } = await login("alice@example.com");
+    const target = (await listSessions(accessToken)).find(
+      (session) => session.deviceName === "Phone"
+    );
+
+    const res = await client.delete(`/auth/sessions/${target.id}`, {
+      token: accessToken,
+    });
+    assert.equal(res.status, 200);
+
+    assert.equal((await listSessions(accessToken)).length, 1);
+    const me = await client.get("/auth/me", { token: phone.accessToken });
+    assert.equal(me.status, 401);
+    const refreshed = await client.post("/auth/refresh", {
+      body: { refreshToken: phone.refreshToken },
+    });
+    assert.equal(refreshed.status, 401);
+  });
+
+  it("keeps users from seeing or revoking others' sessions", async () => {
+    const alice = await login("alice@example.com");
+    const bob = await login("bob@example.com");
+    const [bobSession] = await listSessions(bob.accessToken);
+    const bobUser = await User.findOne({ email: "bob@example.com" });
+
+    const list = await client.get(`/auth/sessions?userId=${bobUser._id}`, {
+      token: alice.accessToken,
+    });
+    assert.equal(list.status, 403);
+
+    const res = await client.delete(`/auth/sessions/${bobSession.id}`, {
+      token: alice.accessToken,
+    });
+    assert.equal(res.status, 404);
+    assert.equal((await listSessions(bob.accessToken)).length, 1);
+  });
+});
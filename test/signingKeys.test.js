@@ -0,0 +1,264 @@
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+  mock,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const {
+  createApp,
+  startServer,
+  createClient,
+  resetState,
+  memoryDb,
+} = require("./helpers/app");
+const User = require("../models/User");
+const SigningKey = require("../models/SigningKey");
+const {
+  rotateSigningKeys,
+  loadSigningKeys,
+  getActiveSigningKey,
+  scheduleKeyRotation,
+} = require("../utils/signingKeys");
+
+const PASSWORD = "Password123!";
+
+describe("access token signing keys", () => {
+  let server;
+  let client;
+
+  before(async () => {
+    const app = createApp([
+      ["/auth", require("../routes/auth")],
+      ["/.well-known", require("../routes/wellKnown")],
+    ]);
+    server = await startServer(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetState();
+    client = createClient(server.baseUrl);
+    await User.create({
+      name: "Alice",
+      email: "alice@example.com",
+      password: PASSWORD,
+      isEmailVerified: true,
+    });
+  });
+
+  const login = async () => {
+    const res = await client.post("/auth/login", {
+      body: { email: "alice@example.com", password: PASSWORD },
+    });
+    return res.body.data.accessToken;
+  };
+
+  const me = (token) => client.get("/auth/me", { token });
+
+  const fetchJwks = async () => {
+    const res = await client.get("/.well-known/jwks.json");
+    assert.equal(res.status, 200);
+    return res.body.keys;
+  };
+
+  const kidOf = (token) => jwt.decode(token, { complete: true }).header.kid;
+
+  // Change when a key activates or expires and reload the key set
+  const updateKey = async (kid, fields) => {
+    await SigningKey.updateOne({ kid }, { $set: fields });
+    await loadSigningKeys();
+  };
+
+  it("signs access tokens with a published RS256 key", async () => {
+    const token = await login();
+    const { header } = jwt.decode(token, { complete: true });
+    assert.equal(header.alg, "RS256");
+
+    const keys = await fetchJwks();
+    const jwk = keys.find((key) => key.kid === header.kid);
+    assert.equal(jwk.use, "sig");
+    assert.equal(jwk.d, undefined);
+
+    const publicKey = crypto.createPublicKey({ key: jwk, format: "jwk" });
+    const decoded = jwt.verify(token, publicKey, { algorithms: ["RS256"] });
+    assert.equal(decoded.email, "alice@example.com");
+  });
+
+  it("publishes a new key before it starts signing", async () => {
+    const oldKid = kidOf(await login());
+
+    const { kid } = await rotateSigningKeys({ force: true });
+
+    const published = (await fetchJwks()).map((key) => key.kid);
+    assert.deepEqual(published.sort(), [oldKid, kid].sort());
+    assert.equal(kidOf(await login()), oldKid);
+  });
+
+  it("keeps verifying tokens of the previous key during the grace window", async () => {
+    const oldToken = await login();
+    const { kid } = await rotateSigningKeys({ force: true });
+    await updateKey(kid, { activatedAt: new Date() });
+
+    const newToken = await login();
+    assert.equal(kidOf(newToken), kid);
+    assert.equal((await me(newToken)).status, 200);
+    assert.equal((await me(oldToken)).status, 200);
+  });
+
+  it("rejects tokens of a key past its grace window", async () => {
+    const oldToken = await login();
+    const { kid } = await rotateSigningKeys({ force: true });
+    await updateKey(kid, { activatedAt: new Date() });
+    await updateKey(kidOf(oldToken), {
+      expiresAt: new Date(Date.now() - 1000),
+    });
+
+    assert.equal((await me(oldToken)).status, 401);
+    const published = (await fetchJwks()).map((key) => key.kid);
+    assert.deepEqual(published, [kid]);
+  });
+
+  it("signs with ES256 when configured", async () => {
+    process.env.JWT_SIGNING_ALG = "ES256";
+    try {
+      const { kid } = await rotateSigningKeys();
+      await updateKey(kid, { activatedAt: new Date() });
+
+      const token = await login();
+      assert.equal(jwt.decode(token, { complete: true }).header.alg, "ES256");
+      assert.equal((await me(token)).status, 200);
+    } finally {
+      delete process.env.JWT_SIGNING_ALG;
+    }
+  });
+
+  it("rejects HS256 tokens and tokens with an unknown kid", async () => {
+    const payload = jwt.decode(await login());
+    delete payload.exp;
+
+    const hs256 = jwt.sign(payload, process.env.JWT_ACCESS_SECRET, {
+      expiresIn: "15m",
+    });
+    assert.equal((await me(hs256)).status, 401);
+
+    const { privateKey } = crypto.generateKeyPairSync("rsa", {
+      modulusLength: 2048,
+    });
+    const unknownKid = jwt.sign(payload, privateKey, {
+      algorithm: "RS256",
+      keyid: crypto.randomUUID(),
+      expiresIn: "15m",
+    });
+    assert.equal((await me(unknownKid)).status, 401);
+  });
+
+  it("stores private keys encrypted", async () => {
+    const token = await login();
+    const [stored] = memoryDb.dump("signingkeys");
+
+    assert.doesNotMatch(stored.privateKey, /PRIVATE KEY/);
+    assert.throws(() => crypto.createPrivateKey(stored.privateKey));
+
+    // Bound to its kid: copied onto another key, it no longer loads
+    const { kid } = await rotateSigningKeys({ force: true });
+    await SigningKey.collection.updateOne(
+      { kid },
+      { $set: { privateKey: stored.privateKey } }
+    );
+    await assert.rejects(loadSigningKeys());
+
+    await SigningKey.deleteOne({ kid });
+    await loadSigningKeys();
+    assert.equal((await me(token)).status, 200);
+  });
+
+  it("can't load keys without the key-encryption key", async () => {
+    const encryptionKey = process.env.SIGNING_KEY_ENCRYPTION_KEY;
+    process.env.SIGNING_KEY_ENCRYPTION_KEY = crypto
+      .randomBytes(32)
+      .toString("base64");
+    try {
+      await assert.rejects(loadSigningKeys());
+
+      delete process.env.SIGNING_KEY_ENCRYPTION_KEY;
+      await assert.rejects(loadSigningKeys(), /SIGNING_KEY_ENCRYPTION_KEY/);
+    } finally {
+      process.env.SIGNING_KEY_ENCRYPTION_KEY = encryptionKey;
+    }
+  });
+
+  it("encrypts keys stored in plaintext when loading them", async () => {
+    const { privateKey } = crypto.generateKeyPairSync("rsa", {
+      modulusLength: 2048,
+    });
+    const pem = privateKey.export({ type: "pkcs8", format: "pem" });
+    const kid = crypto.randomUUID();
+    await SigningKey.collection.insertOne({
+      kid,
+      alg: "RS256",
+      publicJwk: {
+        ...crypto.createPublicKey(privateKey).export({ format: "jwk" }),
+        kid,
+        alg: "RS256",
+        use: "sig",
+      },
+      privateKey: pem,
+      activatedAt: new Date(),
+      retiredAt: null,
+      expiresAt: null,
+    });
+
+    await loadSigningKeys();
+
+    const stored = memoryDb
+      .dump("signingkeys")
+      .find((key) => key.kid === kid);
+    assert.notEqual(stored.privateKey, pem);
+    const token = await login();
+    assert.equal(kidOf(token), kid);
+    assert.equal((await me(token)).status, 200);
+  });
+
+  describe("scheduled rotation", () => {
+    beforeEach(() => {
+      mock.timers.enable({ apis: ["setInterval"] });
+      mock.method(console, "log", () => {});
+    });
+
+    afterEach(() => {
+      mock.timers.reset();
+      mock.restoreAll();
+    });
+
+    it("resolves once a signing key is loaded", async () => {
+      await SigningKey.deleteMany({});
+      await loadSigningKeys();
+      assert.throws(() => getActiveSigningKey(), /No active signing key/);
+
+      await scheduleKeyRotation();
+
+      assert.ok(getActiveSigningKey().kid);
+      assert.ok(await login());
+    });
+
+    it("rejects when the first check fails", async () => {
+      const encryptionKey = process.env.SIGNING_KEY_ENCRYPTION_KEY;
+      delete process.env.SIGNING_KEY_ENCRYPTION_KEY;
+      try {
+        await assert.rejects(
+          scheduleKeyRotation(),
+          /SIGNING_KEY_ENCRYPTION_KEY/
+        );
+      } finally {
+        process.env.SIGNING_KEY_ENCRYPTION_KEY = encryptionKey;
+      }
+    });
+  });
+});
@@ -0,0 +1,386 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createApp,
+  startServer,
+  createClient,
+  resetState,
+  memoryDb,
+} = require("./helpers/app");
+const { createMockIdp } = require("./helpers/mockIdp");
+const User = require("../models/User");
+const SocialLoginCode = require("../models/SocialLoginCode");
+const { createLoginCode } = require("../utils/socialAuth");
+const { generateSecret, generateCode } = require("../utils/totp");
+
+const CLIENT_ID = "test-client";
+const CLIENT_SECRET = "test-client-secret";
+const REDIRECT_URL = "http://localhost:3000/auth/callback";
+
+const ALICE = {
+  sub: "idp-alice",
+  email: "alice@example.com",
+  email_verified: true,
+  name: "Alice",
+};
+
+describe("generic OpenID Connect social login", () => {
+  const idp = createMockIdp({
+    clientId: CLIENT_ID,
+    clientSecret: CLIENT_SECRET,
+  });
+  let idpServer;
+  let server;
+  let client;
+
+  before(async () => {
+    idpServer = await idp.start();
+
+    // The provider list is read when the social routes are loaded
+    process.env.SOCIAL_OIDC_ISSUER = idpServer.issuer;
+    process.env.SOCIAL_OIDC_CLIENT_ID = CLIENT_ID;
+    process.env.SOCIAL_OIDC_CLIENT_SECRET = CLIENT_SECRET;
+    process.env.SOCIAL_LOGIN_REDIRECT_URL = REDIRECT_URL;
+
+    const app = createApp([
+      ["/auth", require("../routes/auth")],
+      ["/auth", require("../routes/social")],
+      ["/auth", require("../routes/identities")],
+      ["/auth", require("../routes/mfa")],
+    ]);
+    server = await startServer(app);
+  });
+
+  after(async () => {
+    await server.close();
+    await idpServer.close();
+  });
+
+  beforeEach(async () => {
+    await resetState();
+    delete process.env.EMAIL_VERIFICATION_POLICY;
+    idp.tokenRequests.length = 0;
+    client = createClient(server.baseUrl);
+    idp.signInAs(ALICE);
+  });
+
+  // Browser round trip: /auth/oidc -> IdP -> callback -> frontend.
+  // Returns the frontend URL's query parameters.
+  const socialLogin = async (path = "/auth/oidc?state=frontend-state") => {
+    const start = await client.get(path);
+    assert.equal(start.status, 302);
+    const authorizeUrl = new URL(start.headers.get("location"));
+
+    const authorized = await client.get(authorizeUrl.toString());
+    assert.equal(authorized.status, 302);
+
+    const callback = await client.get(authorized.headers.get("location"));
+    assert.equal(callback.status, 302);
+    const frontendUrl = new URL(callback.headers.get("location"));
+    assert.equal(frontendUrl.origin + frontendUrl.pathname, REDIRECT_URL);
+
+    return { authorizeUrl, params: frontendUrl.searchParams };
+  };
+
+  it("discovers the provider and sends an S256 PKCE challenge", async () => {
+    const start = await client.get("/auth/oidc");
+    const authorizeUrl = new URL(start.headers.get("location"));
+
+    assert.equal(authorizeUrl.origin, idpServer.issuer);
+    assert.equal(authorizeUrl.pathname, "/authorize");
+    assert.equal(authorizeUrl.searchParams.get("client_id"), CLIENT_ID);
+    assert.equal(
+      authorizeUrl.searchParams.get("redirect_uri"),
+      `${server.baseUrl}/auth/oidc/callback`
+    );
+    assert.equal(
+      authorizeUrl.searchParams.get("code_challenge_method"),
+      "S256"
+    );
+    assert.ok(authorizeUrl.searchParams.get("code_challenge"));
+    assert.ok(authorizeUrl.searchParams.get("state"));
+  });
+
+  it("creates an account and a linked identity for a new user", async () => {
+    const { params } = await socialLogin();
+
+    assert.equal(params.get("provider"), "oidc");
+    assert.equal(params.get("state"), "frontend-state");
+    assert.equal(params.get("error"), null);
+
+    // The token request carried the verifier for the challenge
+    assert.equal(idp.tokenRequests.length, 1);
+    assert.ok(idp.tokenRequests[0].code_verifier);
+
+    const res = await client.post("/auth/oidc/exchange", {
+      body: { code: params.get("code") },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.user.email, ALICE.email);
+    assert.ok(res.body.data.accessToken);
+
+    const [user] = memoryDb.dump("users");
+    assert.equal(user.isEmailVerified, true);
+    const [identity] = memoryDb.dump("linkedidentities");
+    assert.equal(identity.provider, "oidc");
+    assert.equal(identity.subject, ALICE.sub);
+    assert.ok(identity.userId.equals(user._id));
+
+    const replay = await client.post("/auth/oidc/exchange", {
+      body: { code: params.get("code") },
+    });
+    assert.equal(replay.status, 400);
+  });
+
+  it("signs a returning identity in to the same account", async () => {
+    await socialLogin();
+    const { params } = await socialLogin();
+
+    const res = await client.post("/auth/oidc/exchange", {
+      body: { code: params.get("code") },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(memoryDb.dump("users").length, 1);
+    assert.equal(memoryDb.dump("linkedidentities").length, 1);
+  });
+
+  it("rejects a callback with a forged state", async () => {
+    const { authorizeUrl } = await socialLogin();
+    authorizeUrl.searchParams.set("state", "forged");
+
+    const authorized = await client.get(authorizeUrl.toString());
+    const callback = await client.get(authorized.headers.get("location"));
+    const params = new URL(callback.headers.get("location")).searchParams;
+
+    assert.equal(params.get("error"), "auth_failed");
+    assert.equal(params.get("code"), null);
+  });
+
+  it("asks the owner of an existing account to confirm the link", async () => {
+    await User.create({
+      name: "Alice",
+      email: ALICE.email,
+      password: "Password123!",
+    });
+
+    const { params } = await socialLogin();
+
+    assert.equal(params.get("error"), "account_exists");
+    assert.ok(params.get("link_token"));
+    assert.equal(params.get("code"), null);
+    assert.equal(memoryDb.dump("linkedidentities").length, 0);
+  });
+
+  it("rejects a link confirmation with input that isn't a string", async () => {
+    await User.create({
+      name: "Alice",
+      email: ALICE.email,
+      password: "Password123!",
+    });
+    const { params } = await socialLogin();
+    const linkToken = params.get("link_token");
+
+    for (const body of [
+      { linkToken, password: { $ne: null } },
+      { linkToken, password: "Password123!", code: 123456 },
+      { linkToken, password: "Password123!", recoveryCode: ["x"] },
+    ]) {
+      const res = await client.post("/auth/identities/confirm", { body });
+      assert.equal(res.status, 400);
+    }
+
+    const res = await client.post("/auth/identities/confirm", {
+      body: { linkToken, password: "Password123!" },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(memoryDb.dump("linkedidentities").length, 1);
+  });
+
+  it("requires the second factor when MFA is enabled", async () => {
+    await socialLogin();
+    const secret = generateSecret();
+    await User.updateOne(
+      { email: ALICE.email },
+      { $set: { "mfa.enabled": true, "mfa.secret": secret } }
+    );
+
+    const { params } = await socialLogin();
+    const res = await client.post("/auth/oidc/exchange", {
+      body: { code: params.get("code") },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.mfaRequired, true);
+    assert.equal(res.body.data.accessToken, undefined);
+
+    const mfa = await client.post("/auth/login/mfa", {
+      body: { mfaToken: res.body.data.mfaToken, code: generateCode(secret) },
+    });
+    assert.equal(mfa.status, 200);
+    assert.ok(mfa.body.data.accessToken);
+
+    const [log] = memoryDb
+      .dump("activitylogs")
+      .filter((entry) => entry.action === "login" && entry.success);
+    assert.equal(log.details.loginMethod, "social");
+    assert.equal(log.details.provider, "oidc");
+  });
+
+  it("creates no account for an email the provider hasn't verified", async () => {
+    idp.signInAs({ ...ALICE, email_verified: false });
+
+    const { params } = await socialLogin();
+
+    assert.equal(params.get("error"), "email_not_verified");
+    assert.equal(params.get("code"), null);
+    assert.equal(memoryDb.dump("users").length, 0);
+    assert.equal(memoryDb.dump("linkedidentities").length, 0);
+  });
+
+  it("applies the block_login email verification policy", async () => {
+    await socialLogin();
+    await User.updateOne(
+      { email: ALICE.email },
+      { $set: { isEmailVerified: false } }
+    );
+    process.env.EMAIL_VERIFICATION_POLICY = "block_login";
+
+    const { params } = await socialLogin();
+    const res = await client.post("/auth/oidc/exchange", {
+      body: { code: params.get("code") },
+    });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.data, undefined);
+  });
+
+  describe("one-time code handoff", () => {
+    const exchange = (code) =>
+      client.post("/auth/oidc/exchange", { body: { code } });
+
+    it("hands the frontend a code and the state, never tokens", async () => {
+      const { params } = await socialLogin();
+
+      assert.deepEqual([...params.keys()].sort(), [
+        "code",
+        "provider",
+        "state",
+      ]);
+
+      const res = await exchange(params.get("code"));
+      const { accessToken, refreshToken } = res.body.data;
+      for (const value of params.values()) {
+        assert.notEqual(value, accessToken);
+        assert.notEqual(value, refreshToken);
+      }
+    });
+
+    it("stores only the code's hash", async () => {
+      const { params } = await socialLogin();
+
+      const [stored] = memoryDb.dump("sociallogincodes");
+      assert.ok(stored.codeHash);
+      assert.ok(!JSON.stringify(stored).includes(params.get("code")));
+    });
+
+    it("rejects an expired code", async () => {
+      const { params } = await socialLogin();
+      await SocialLoginCode.updateMany(
+        {},
+        { $set: { expiresAt: new Date(Date.now() - 1000) } }
+      );
+
+      const res = await exchange(params.get("code"));
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.data, undefined);
+    });
+
+    it("rejects a code issued for another provider", async () => {
+      const user = await User.create({
+        name: "Alice",
+        email: ALICE.email,
+        password: "Password123!",
+      });
+      const code = await createLoginCode(user._id, "google");
+
+      assert.equal((await exchange(code)).status, 400);
+    });
+
+    it("rejects a code that isn't a string", async () => {
+      const res = await exchange({ $ne: null });
+
+      assert.equal(res.status, 400);
+    });
+
+    it("has no endpoint that hands out tokens without a code", async () => {
+      await socialLogin();
+
+      const res = await client.post("/auth/oidc/success", {
+        body: { sub: ALICE.sub },
+      });
+
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe("linking from a signed-in account", () => {
+    const signIn = async () => {
+      await User.create({
+        name: "Bob",
+        email: "bob@example.com",
+        password: "Password123!",
+        isEmailVerified: true,
+      });
+      const res = await client.post("/auth/login", {
+        body: { email: "bob@example.com", password: "Password123!" },
+      });
+      return res.body.data.accessToken;
+    };
+
+    it("links the identity in the session that asked for it", async () => {
+      const token = await signIn();
+      const link = await client.post("/auth/identities/oidc/link", { token });
+      assert.equal(link.status, 200);
+      assert.equal(link.body.data.url, "/auth/oidc?link=1");
+
+      const { params } = await socialLogin(link.body.data.url);
+
+      assert.equal(params.get("linked"), "1");
+      const [identity] = memoryDb.dump("linkedidentities");
+      const bob = memoryDb
+        .dump("users")
+        .find((user) => user.email === "bob@example.com");
+      assert.ok(identity.userId.equals(bob._id));
+      assert.equal(identity.subject, ALICE.sub);
+    });
+
+    it("refuses to link from another browser session", async () => {
+      const token = await signIn();
+      const link = await client.post("/auth/identities/oidc/link", { token });
+
+      // e.g. a victim lured to the link URL by whoever requested it
+      client = createClient(server.baseUrl);
+      const start = await client.get(link.body.data.url);
+      const params = new URL(start.headers.get("location")).searchParams;
+
+      assert.equal(params.get("error"), "invalid_link_request");
+      assert.equal(memoryDb.dump("linkedidentities").length, 0);
+    });
+
+    it("signs in normally when the link isn't continued", async () => {
+      const token = await signIn();
+      await client.post("/auth/identities/oidc/link", { token });
+
+      const { params } = await socialLogin();
+
+      assert.ok(params.get("code"));
+      assert.equal(params.get("linked"), null);
+      const [identity] = memoryDb.dump("linkedidentities");
+      const bob = memoryDb
+        .dump("users")
+        .find((user) => user.email === "bob@example.com");
+      assert.ok(!identity.userId.equals(bob._id));
+    });
+  });
+});
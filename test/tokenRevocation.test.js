@@ -0,0 +1,113 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createApp,
+  startServer,
+  createClient,
+  resetState,
+} = require("./helpers/app");
+const User = require("../models/User");
+const {
+  TokenRevokedError,
+  assertTokenIssuedAfterCutoff,
+} = require("../utils/tokenRevocation");
+
+const PASSWORD = "Password123!";
+
+describe("access token cut-off", () => {
+  const cutoff = new Date("2025-01-01T00:00:00.500Z");
+  const cutoffSecond = Math.floor(cutoff.getTime() / 1000);
+
+  it("revokes tokens issued earlier in the cut-off second", () => {
+    assert.throws(
+      () =>
+        assertTokenIssuedAfterCutoff(
+          { iat: cutoffSecond, iat_ms: cutoff.getTime() - 100 },
+          { tokensValidAfter: cutoff }
+        ),
+      TokenRevokedError
+    );
+  });
+
+  it("accepts tokens issued later in the cut-off second", () => {
+    assertTokenIssuedAfterCutoff(
+      { iat: cutoffSecond, iat_ms: cutoff.getTime() + 100 },
+      { tokensValidAfter: cutoff }
+    );
+  });
+
+  it("revokes tokens without iat_ms from the cut-off second", () => {
+    assert.throws(
+      () =>
+        assertTokenIssuedAfterCutoff(
+          { iat: cutoffSecond },
+          { tokensValidAfter: cutoff }
+        ),
+      TokenRevokedError
+    );
+  });
+});
+
+describe("revoking access tokens", () => {
+  let server;
+  let client;
+
+  before(async () => {
+    const app = createApp([["/auth", require("../routes/auth")]]);
+    server = await startServer(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetState();
+    client = createClient(server.baseUrl);
+    await User.create({
+      name: "Alice",
+      email: "alice@example.com",
+      password: PASSWORD,
+      isEmailVerified: true,
+    });
+  });
+
+  const login = async () => {
+    const res = await client.post("/auth/login", {
+      body: { email: "alice@example.com", password: PASSWORD },
+    });
+    assert.equal(res.status, 200);
+    return res.body.data;
+  };
+
+  it("rejects a token issued in the same second as logout-all", async () => {
+    const { accessToken } = await login();
+    const other = await login();
+
+    const res = await client.post("/auth/logout-all", { token: accessToken });
+    assert.equal(res.status, 200);
+
+    const me = await client.get("/auth/me", { token: other.accessToken });
+    assert.equal(me.status, 401);
+  });
+
+  it("keeps the fresh token from change-password valid", async () => {
+    const { accessToken, refreshToken } = await login();
+
+    const res = await client.post("/auth/change-password", {
+      token: accessToken,
+      body: {
+        currentPassword: PASSWORD,
+        newPassword: "NewPassword123!",
+        refreshToken,
+      },
+    });
+    assert.equal(res.status, 200);
+
+    const old = await client.get("/auth/me", { token: accessToken });
+    assert.equal(old.status, 401);
+
+    const fresh = await client.get("/auth/me", {
+      token: res.body.data.accessToken,
+    });
+    assert.equal(fresh.status, 200);
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetState, memoryDb } = require("./helpers/app");
+const User = require("../models/User");
+const ActivityLog = require("../models/ActivityLog");
+const { softDeleteUser, purgeUser } = require("../utils/userDeletion");
+
+describe("purging a deleted user's activity logs", () => {
+  let alice;
+  let admin;
+
+  beforeEach(async () => {
+    await resetState();
+    delete process.env.USER_PURGE_ACTIVITY_LOGS;
+
+    admin = await User.create({
+      name: "Admin",
+      email: "admin@example.com",
+      password: "Password123!",
+    });
+    alice = await User.create({
+      name: "Alice",
+      email: "alice@example.com",
+      password: "Password123!",
+    });
+
+    await ActivityLog.create([
+      {
+        userId: alice._id,
+        action: "email_verified",
+        ipAddress: "203.0.113.7",
+        userAgent: "Alice's browser",
+        details: { email: alice.email },
+      },
+      {
+        // Failed login before the account existed, as typed
+        userId: null,
+        action: "login",
+        success: false,
+        ipAddress: "203.0.113.7",
+        details: { email: "Alice@Example.com", reason: "unknown_email" },
+      },
+      {
+        userId: admin._id,
+        action: "session_revoked",
+        ipAddress: "198.51.100.1",
+        details: { targetUserId: alice._id, deviceName: "Alice's iPhone" },
+      },
+      {
+        userId: admin._id,
+        action: "invitation_sent",
+        details: { email: alice.email, roles: ["user"] },
+      },
+      {
+        userId: admin._id,
+        action: "login",
+        ipAddress: "198.51.100.1",
+        details: { email: admin.email },
+      },
+    ]);
+
+    await softDeleteUser(alice);
+  });
+
+  const logs = () => memoryDb.dump("activitylogs");
+
+  it("anonymizes the user's entries and scrubs entries about them", async () => {
+    const result = await purgeUser(alice);
+
+    assert.equal(result.activityLogsAffected, 2);
+    const [verified, failedLogin, revoked, invited, adminLogin] = logs();
+
+    for (const entry of [verified, failedLogin]) {
+      assert.equal(entry.userId, null);
+      assert.equal(entry.ipAddress, null);
+      assert.equal(entry.userAgent, null);
+      assert.equal(entry.details.email, undefined);
+    }
+    assert.equal(failedLogin.details.reason, "unknown_email");
+
+    // Other users' entries keep their own data
+    assert.ok(revoked.userId.equals(admin._id));
+    assert.equal(revoked.ipAddress, "198.51.100.1");
+    assert.equal(revoked.details.deviceName, undefined);
+    assert.equal(invited.details.email, undefined);
+    assert.deepEqual(invited.details.roles, ["user"]);
+    assert.equal(adminLogin.details.email, admin.email);
+
+    assert.ok(!JSON.stringify(logs()).toLowerCase().includes("alice@"));
+  });
+
+  it("deletes the user's entries in delete mode", async () => {
+    process.env.USER_PURGE_ACTIVITY_LOGS = "delete";
+
+    const result = await purgeUser(alice);
+
+    assert.equal(result.activityLogsAffected, 2);
+    assert.deepEqual(
+      logs().map((entry) => entry.action),
+      ["session_revoked", "invitation_sent", "login"]
+    );
+    assert.ok(!JSON.stringify(logs()).toLowerCase().includes("alice@"));
+  });
+});
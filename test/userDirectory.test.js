@@ -0,0 +1,184 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createApp,
+  startServer,
+  createClient,
+  resetState,
+} = require("./helpers/app");
+const User = require("../models/User");
+const LinkedIdentity = require("../models/LinkedIdentity");
+const { ensureBuiltInRoles } = require("../utils/permissions");
+
+const PASSWORD = "Password123!";
+
+describe("user directory", () => {
+  let server;
+  let client;
+  let token;
+
+  before(async () => {
+    const app = createApp([
+      ["/auth", require("../routes/auth")],
+      ["/users", require("../routes/users")],
+    ]);
+    server = await startServer(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetState();
+    client = createClient(server.baseUrl);
+
+    await ensureBuiltInRoles();
+    await User.create({
+      name: "Admin",
+      email: "admin@example.com",
+      password: PASSWORD,
+      isEmailVerified: true,
+      roles: ["user", "admin"],
+    });
+    for (const [name, fields] of [
+      ["Alice", { isEmailVerified: true }],
+      ["Bob", { status: "suspended" }],
+      ["Carol", { isEmailVerified: true }],
+      ["Dave", {}],
+    ]) {
+      await User.create({
+        name,
+        email: `${name.toLowerCase()}@example.com`,
+        password: PASSWORD,
+        ...fields,
+      });
+    }
+
+    const res = await client.post("/auth/login", {
+      body: { email: "admin@example.com", password: PASSWORD },
+    });
+    token = res.body.data.accessToken;
+  });
+
+  const list = (query) => client.get(`/users?${query}`, { token });
+
+  const names = (res) => res.body.data.users.map((user) => user.name);
+
+  it("finds users by email or name prefix", async () => {
+    assert.deepEqual(names(await list("q=car")), ["Carol"]);
+    assert.deepEqual(names(await list("q=BOB%40")), ["Bob"]);
+    assert.deepEqual(names(await list("q=example")), []);
+  });
+
+  it("matches search terms literally", async () => {
+    assert.deepEqual(names(await list("q=.*")), []);
+  });
+
+  it("filters by role, email verification and status", async () => {
+    assert.deepEqual(names(await list("role=admin")), ["Admin"]);
+    assert.deepEqual(
+      names(await list("emailVerified=false&sort=name")),
+      ["Bob", "Dave"]
+    );
+    assert.deepEqual(names(await list("status=suspended")), ["Bob"]);
+  });
+
+  it("counts lapsed suspensions as active", async () => {
+    await User.updateOne(
+      { email: "bob@example.com" },
+      { $set: { statusExpiresAt: new Date(Date.now() - 1000) } }
+    );
+
+    assert.deepEqual(names(await list("status=suspended")), []);
+    assert.ok(names(await list("status=active")).includes("Bob"));
+  });
+
+  it("filters by linked provider", async () => {
+    const alice = await User.findOne({ email: "alice@example.com" });
+    await LinkedIdentity.create({
+      userId: alice._id,
+      provider: "google",
+      subject: "google-alice",
+    });
+
+    assert.deepEqual(names(await list("linkedProvider=google")), ["Alice"]);
+    assert.ok(!names(await list("linkedProvider=none")).includes("Alice"));
+  });
+
+  it("hides deleted users unless asked for", async () => {
+    await User.collection.updateOne(
+      { email: "dave@example.com" },
+      { $set: { deletedAt: new Date() } }
+    );
+
+    assert.ok(!names(await list("sort=name")).includes("Dave"));
+    assert.deepEqual(names(await list("deleted=true")), ["Dave"]);
+  });
+
+  it("sorts and pages with offsets", async () => {
+    const res = await list("sort=-name&limit=2&page=2");
+
+    assert.deepEqual(names(res), ["Bob", "Alice"]);
+    assert.equal(res.body.data.pagination.total, 5);
+    assert.equal(res.body.data.pagination.pages, 3);
+  });
+
+  it("walks every user once with cursors", async () => {
+    const seen = [];
+    let cursor = null;
+    do {
+      const res = await list(
+        `sort=name&limit=2${cursor ? `&cursor=${cursor}` : ""}`
+      );
+      assert.equal(res.status, 200);
+      seen.push(...names(res));
+      cursor = res.body.data.pagination.nextCursor;
+    } while (cursor);
+
+    assert.deepEqual(seen, ["Admin", "Alice", "Bob", "Carol", "Dave"]);
+  });
+
+  it("rejects a cursor issued for another sort", async () => {
+    const first = await list("sort=name&limit=2");
+    const { nextCursor } = first.body.data.pagination;
+
+    const res = await list(`sort=-name&cursor=${nextCursor}`);
+
+    assert.equal(res.status, 400);
+    assert.match(res.body.errors[0], /cursor/);
+  });
+
+  it("returns only the requested fields", async () => {
+    const res = await list("q=alice&fields=name,email");
+
+    assert.deepEqual(Object.keys(res.body.data.users[0]).sort(), [
+      "_id",
+      "email",
+      "name",
+    ]);
+  });
+
+  it("rejects unknown, repeated and invalid parameters", async () => {
+    const res = await list("nmae=Alice&sort=password&limit=500");
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors, ["Unknown parameter: nmae"]);
+
+    const repeated = await list("q=a&q=b");
+    assert.equal(repeated.status, 400);
+
+    const invalid = await list("sort=password&limit=500&page=1&cursor=x");
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.errors.length, 3);
+  });
+
+  it("is closed to users without users:read", async () => {
+    const login = await client.post("/auth/login", {
+      body: { email: "alice@example.com", password: PASSWORD },
+    });
+
+    const res = await client.get("/users", {
+      token: login.body.data.accessToken,
+    });
+
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,227 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createApp,
+  startServer,
+  createClient,
+  resetState,
+  memoryDb,
+} = require("./helpers/app");
+const User = require("../models/User");
+const Role = require("../models/Role");
+const { ensureBuiltInRoles } = require("../utils/permissions");
+
+const PASSWORD = "Password123!";
+
+describe("acting on admin accounts", () => {
+  let server;
+  let client;
+  let admin;
+  let support;
+  let member;
+  let tokens;
+
+  before(async () => {
+    const app = createApp([
+      ["/auth", require("../routes/auth")],
+      ["/auth", require("../routes/sessions")],
+      ["/users", require("../routes/users")],
+    ]);
+    server = await startServer(app);
+  });
+
+  after(() => server.close());
+
+  const createUser = (name, roles) =>
+    User.create({
+      name,
+      email: `${name.toLowerCase()}@example.com`,
+      password: PASSWORD,
+      isEmailVerified: true,
+      roles,
+    });
+
+  const login = async (user) => {
+    const res = await client.post("/auth/login", {
+      body: { email: user.email, password: PASSWORD },
+    });
+    assert.equal(res.status, 200);
+    return res.body.data.accessToken;
+  };
+
+  beforeEach(async () => {
+    await resetState();
+    client = createClient(server.baseUrl);
+
+    await ensureBuiltInRoles();
+    // Everything needed to manage ordinary users, but not roles
+    await Role.create({
+      name: "support",
+      permissions: [
+        "users:read",
+        "users:update",
+        "users:delete",
+        "sessions:manage",
+      ],
+    });
+
+    admin = await createUser("Admin", ["user", "admin"]);
+    support = await createUser("Support", ["user", "support"]);
+    member = await createUser("Member", ["user"]);
+    tokens = {
+      admin: await login(admin),
+      support: await login(support),
+    };
+  });
+
+  it("refuses to change an admin's email without roles:manage", async () => {
+    const res = await client.put(`/users/${admin._id}`, {
+      token: tokens.support,
+      body: { email: "attacker@example.com" },
+    });
+
+    assert.equal(res.status, 403);
+    const stored = memoryDb.dump("users").find((u) => u._id.equals(admin._id));
+    assert.equal(stored.email, "admin@example.com");
+  });
+
+  it("refuses to change the email of a custom role holding more permissions", async () => {
+    await Role.create({ name: "role-admin", permissions: ["roles:manage"] });
+    const roleAdmin = await createUser("RoleAdmin", ["user", "role-admin"]);
+
+    const res = await client.put(`/users/${roleAdmin._id}`, {
+      token: tokens.support,
+      body: { email: "attacker@example.com" },
+    });
+
+    assert.equal(res.status, 403);
+  });
+
+  it("lets users:update change the email of a user with fewer permissions", async () => {
+    await Role.create({ name: "reader", permissions: ["users:read"] });
+    const reader = await createUser("Reader", ["user", "reader"]);
+
+    const res = await client.put(`/users/${reader._id}`, {
+      token: tokens.support,
+      body: { email: "new-reader@example.com" },
+    });
+
+    assert.equal(res.status, 200);
+  });
+
+  it("lets users:update change an ordinary user's email", async () => {
+    const res = await client.put(`/users/${member._id}`, {
+      token: tokens.support,
+      body: { email: "new-member@example.com" },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.user.email, "new-member@example.com");
+    assert.equal(res.body.data.user.isEmailVerified, false);
+  });
+
+  it("rejects an email that isn't a string", async () => {
+    for (const email of [{ $ne: null }, ["admin@example.com"], 42]) {
+      const res = await client.put(`/users/${admin._id}`, {
+        token: tokens.support,
+        body: { email },
+      });
+      assert.equal(res.status, 400);
+    }
+
+    const stored = memoryDb.dump("users").find((u) => u._id.equals(admin._id));
+    assert.equal(stored.email, "admin@example.com");
+  });
+
+  it("lets admins change their own email", async () => {
+    const res = await client.put(`/users/${admin._id}`, {
+      token: tokens.admin,
+      body: { email: "root@example.com" },
+    });
+
+    assert.equal(res.status, 200);
+  });
+
+  it("refuses to delete an admin without roles:manage", async () => {
+    const res = await client.delete(`/users/${admin._id}`, {
+      token: tokens.support,
+    });
+
+    assert.equal(res.status, 403);
+    assert.equal(await User.countDocuments({ _id: admin._id }), 1);
+  });
+
+  it("refuses to delete the last admin", async () => {
+    const res = await client.delete(`/users/${admin._id}`, {
+      token: tokens.admin,
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "Cannot delete the last admin");
+  });
+
+  it("deletes an admin when another one remains", async () => {
+    const other = await createUser("Other", ["user", "admin"]);
+
+    const res = await client.delete(`/users/${other._id}`, {
+      token: tokens.admin,
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(await User.countDocuments({ _id: other._id }), 0);
+  });
+
+  it("refuses to restore an admin without roles:manage", async () => {
+    const other = await createUser("Other", ["user", "admin"]);
+    await client.delete(`/users/${other._id}`, { token: tokens.admin });
+
+    const res = await client.post(`/users/${other._id}/restore`, {
+      token: tokens.support,
+    });
+
+    assert.equal(res.status, 403);
+    const stored = memoryDb
+      .dump("users")
+      .find((u) => u._id.equals(other._id));
+    assert.ok(stored.deletedAt);
+
+    const restored = await client.post(`/users/${other._id}/restore`, {
+      token: tokens.admin,
+    });
+    assert.equal(restored.status, 200);
+  });
+
+  it("refuses to revoke an admin's session without roles:manage", async () => {
+    const [session] = memoryDb
+      .dump("users")
+      .find((u) => u._id.equals(admin._id)).refreshTokens;
+
+    const res = await client.delete(`/auth/sessions/${session._id}`, {
+      token: tokens.support,
+    });
+
+    assert.equal(res.status, 403);
+    const me = await client.get("/auth/me", { token: tokens.admin });
+    assert.equal(me.status, 200);
+  });
+
+  it("refuses to clear an admin's tokens without roles:manage", async () => {
+    const res = await client.post("/auth/clear-tokens", {
+      token: tokens.support,
+      body: { userId: String(admin._id) },
+    });
+
+    assert.equal(res.status, 403);
+    const me = await client.get("/auth/me", { token: tokens.admin });
+    assert.equal(me.status, 200);
+  });
+
+  it("lets sessions:manage clear an ordinary user's tokens", async () => {
+    const res = await client.post("/auth/clear-tokens", {
+      token: tokens.support,
+      body: { userId: String(member._id) },
+    });
+
+    assert.equal(res.status, 200);
+  });
+});
@@ -0,0 +1,136 @@
+const { logActivity } = require("./activityLogger");
+
+const ACTIVE = "active";
+const SUSPENDED = "suspended";
+const DISABLED = "disabled";
+
+// User.status values. Suspensions may expire; disabled accounts stay
+// disabled until reactivated.
+const ACCOUNT_STATUSES = [ACTIVE, SUSPENDED, DISABLED];
+
+// Account may not be used; status is suspended or disabled
+class AccountStatusError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "AccountStatusError";
+    this.status = status;
+  }
+}
+
+// Status in effect now: a suspension past its expiry no longer counts
+const getAccountStatus = (user) => {
+  const status = user.status || ACTIVE;
+
+  if (
+    status === SUSPENDED &&
+    user.statusExpiresAt &&
+    user.statusExpiresAt <= new Date()
+  ) {
+    return ACTIVE;
+  }
+  return status;
+};
+
+const describeAccountStatus = (user, status) => {
+  if (status === DISABLED) return "Your account has been disabled";
+
+  return user.statusExpiresAt
+    ? `Your account is suspended until ${user.statusExpiresAt.toISOString()}`
+    : "Your account is suspended";
+};
+
+// Throw an AccountStatusError unless the account is active
+const assertAccountActive = (user) => {
+  const status = getAccountStatus(user);
+  if (status !== ACTIVE) {
+    throw new AccountStatusError(status, describeAccountStatus(user, status));
+  }
+};
+
+// Refuse to start a session for a suspended or disabled account: logs the
+// failed `action`, sends the 403 and returns true. Returns false for active
+// ones.
+const rejectInactiveAccount = async (
+  user,
+  req,
+  res,
+  details = {},
+  action = "login"
+) => {
+  const status = getAccountStatus(user);
+  if (status === ACTIVE) return false;
+
+  await logActivity(user._id, action, req, false, {
+    ...details,
+    reason: `account_${status}`,
+  });
+
+  res.status(403).json({
+    success: false,
+    message: describeAccountStatus(user, status),
+    data: {
+      accountStatus: status,
+      ...(status === SUSPENDED && { suspendedUntil: user.statusExpiresAt }),
+    },
+  });
+  return true;
+};
+
+// Change an account's status. Suspending or disabling also signs the user
+// out everywhere: refresh tokens are dropped and every access token issued
+// so far stops working. Returns the number of sessions revoked.
+const setAccountStatus = async (
+  user,
+  status,
+  { reason = null, expiresAt = null, changedBy = null } = {}
+) => {
+  user.status = status;
+  user.statusReason = status === ACTIVE ? null : reason;
+  user.statusExpiresAt = status === SUSPENDED ? expiresAt : null;
+  user.statusChangedBy = changedBy;
+  user.statusChangedAt = new Date();
+
+  let sessionsRevoked = 0;
+  if (status !== ACTIVE) {
+    sessionsRevoked = user.refreshTokens.length;
+    user.refreshTokens = [];
+    user.tokensValidAfter = new Date();
+  }
+
+  await user.save();
+  return sessionsRevoked;
+};
+
+// Query matching users whose status in effect is `status`. Accounts from
+// before statuses existed have none and are active.
+const accountStatusFilter = (status) => {
+  const now = new Date();
+
+  if (status === ACTIVE) {
+    return {
+      $or: [
+        { status: { $in: [ACTIVE, null] } },
+        { status: SUSPENDED, statusExpiresAt: { $lte: now } },
+      ],
+    };
+  }
+
+  if (status === SUSPENDED) {
+    return {
+      status: SUSPENDED,
+      $or: [{ statusExpiresAt: null }, { statusExpiresAt: { $gt: now } }],
+    };
+  }
+
+  return { status };
+};
+
+module.exports = {
+  ACCOUNT_STATUSES,
+  AccountStatusError,
+  getAccountStatus,
+  assertAccountActive,
+  rejectInactiveAccount,
+  setAccountStatus,
+  accountStatusFilter,
+};
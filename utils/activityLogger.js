@@ -1,4 +1,5 @@
 const ActivityLog = require("../models/ActivityLog");
+const { getClientIp } = require("./requestInfo");
 
 // Helper function untuk log aktivitas user
 const logActivity = async (
@@ -9,17 +10,17 @@ const logActivity = async (
   details = null
 ) => {
   try {
-    const ipAddress =
-      req.ip ||
-      req.connection.remoteAddress ||
-      req.socket.remoteAddress ||
-      (req.connection.socket ? req.connection.socket.remoteAddress : null);
+    const ipAddress = getClientIp(req);
 
     const userAgent = req.get("User-Agent");
 
+    const organizationId =
+      (details && details.organizationId) || req.organizationId || null;
+
     await ActivityLog.create({
       userId,
       action,
+      organizationId,
       ipAddress,
       userAgent,
       success,
@@ -0,0 +1,106 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const { generateAccessToken, generateRefreshToken } = require("./jwt");
+const { getDeviceInfo } = require("./requestInfo");
+const { getUserPermissions } = require("./permissions");
+const { findMembership, getMembershipPermissions } = require("./organizations");
+
+// Access tokens carry the session id (the refresh token entry id) so the
+// session they belong to can be identified. Roles and permissions reflect
+// the moment of issue; this API itself re-checks them on every request.
+// A session switched to an organization adds it (`org`) with the user's
+// roles there; the organization is dropped once the membership is gone,
+// unless the user manages all organizations.
+const buildAccessTokenPayload = async (
+  user,
+  sessionId = null,
+  organizationId = null
+) => {
+  const permissions = await getUserPermissions(user);
+  const membership =
+    organizationId && (await findMembership(user._id, organizationId));
+  const org =
+    membership || (organizationId && permissions.includes("orgs:manage"))
+      ? organizationId
+      : null;
+
+  return {
+    id: user._id,
+    email: user.email,
+    roles: user.roles,
+    permissions,
+    sid: sessionId,
+    org,
+    orgRoles: membership ? membership.roles : [],
+    orgPermissions: getMembershipPermissions(membership),
+  };
+};
+
+// Issue an access token for an existing session
+const issueAccessToken = async (user, sessionId, organizationId = null) => {
+  return generateAccessToken(
+    await buildAccessTokenPayload(user, sessionId, organizationId)
+  );
+};
+
+// Start a new session: an access token plus a refresh token that opens a
+// new token family, recorded against the requesting device
+const issueAuthTokens = async (user, req) => {
+  const family = crypto.randomUUID();
+
+  const refreshToken = generateRefreshToken({ id: user._id, family });
+  // Saved along with the new session
+  user.lastLoginAt = new Date();
+  const session = await user.addRefreshToken(
+    refreshToken,
+    family,
+    getDeviceInfo(req)
+  );
+
+  const accessToken = await issueAccessToken(user, session._id);
+
+  return { accessToken, refreshToken, sessionId: session._id };
+};
+
+// Exchange a stored refresh token for a new pair in the same family.
+// Returns null if the token was already rotated (e.g. by a concurrent
+// request), which callers must treat as reuse.
+const rotateAuthTokens = async (user, tokenEntry, req) => {
+  // Tokens issued before rotation existed have no family yet
+  const family = tokenEntry.family || crypto.randomUUID();
+
+  const accessToken = await issueAccessToken(
+    user,
+    tokenEntry._id,
+    tokenEntry.organizationId
+  );
+  const refreshToken = generateRefreshToken({ id: user._id, family });
+
+  // The device details follow the current user agent. A name chosen at
+  // login stays unless the request renames the device or it changed.
+  const deviceInfo = getDeviceInfo(req);
+  const renamed =
+    req.body &&
+    typeof req.body.deviceName === "string" &&
+    req.body.deviceName.trim();
+  if (!renamed && deviceInfo.userAgent === tokenEntry.userAgent) {
+    delete deviceInfo.deviceName;
+  }
+
+  const rotated = await User.rotateRefreshToken(
+    user._id,
+    tokenEntry.tokenId,
+    refreshToken,
+    family,
+    deviceInfo
+  );
+
+  return rotated ? { accessToken, refreshToken, family } : null;
+};
+
+module.exports = {
+  buildAccessTokenPayload,
+  issueAccessToken,
+  issueAuthTokens,
+  rotateAuthTokens,
+};
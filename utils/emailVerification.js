@@ -0,0 +1,52 @@
+const { generateEmailVerificationToken } = require("./jwt");
+const { sendMail } = require("./mailer");
+
+// Verification policy for password-registered accounts:
+// - "off":         unverified users can use the API normally (default, as
+//                  accounts created before verification existed are all
+//                  unverified)
+// - "restrict":    unverified users can log in but are blocked from
+//                  routes guarded by requireVerifiedEmail
+// - "block_login": unverified users cannot log in at all
+const POLICIES = ["off", "restrict", "block_login"];
+
+const getVerificationPolicy = () => {
+  const policy = process.env.EMAIL_VERIFICATION_POLICY || "off";
+  return POLICIES.includes(policy) ? policy : "off";
+};
+
+const buildVerificationUrl = (token) => {
+  const baseUrl =
+    process.env.EMAIL_VERIFICATION_URL ||
+    `${process.env.FRONTEND_URL || "http://localhost:3000"}/verify-email`;
+  return `${baseUrl}?token=${encodeURIComponent(token)}`;
+};
+
+// Issue a verification token and mail the link to the user
+const sendVerificationEmail = async (user) => {
+  const token = generateEmailVerificationToken({
+    id: user._id,
+    email: user.email,
+  });
+  const verificationUrl = buildVerificationUrl(token);
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "Please confirm your email address by opening the link below:",
+      verificationUrl,
+      "",
+      `If the link does not open, submit this token to POST /auth/verify-email: ${token}`,
+    ].join("\n"),
+  });
+
+  return token;
+};
+
+module.exports = {
+  getVerificationPolicy,
+  sendVerificationEmail,
+};
@@ -0,0 +1,17 @@
+// Escape text for interpolation into HTML element content or attributes
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[char])
+  );
+
+module.exports = {
+  escapeHtml,
+};
@@ -0,0 +1,140 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Invitation = require("../models/Invitation");
+const { generateInvitationToken, verifyInvitationToken } = require("./jwt");
+const { sendMail } = require("./mailer");
+
+// Invitation can't be accepted; reason is recorded in the activity log
+class InvitationError extends Error {
+  constructor(reason, message = "Invalid or expired invitation") {
+    super(message);
+    this.name = "InvitationError";
+    this.reason = reason;
+  }
+}
+
+const buildInvitationUrl = (token, organization) => {
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
+  const baseUrl = organization
+    ? process.env.ORG_INVITATION_URL ||
+      `${frontendUrl}/accept-organization-invitation`
+    : process.env.INVITATION_URL || `${frontendUrl}/accept-invitation`;
+  return `${baseUrl}?token=${encodeURIComponent(token)}`;
+};
+
+// Sign a new link for the invitation (replacing any earlier one, and
+// restarting its expiry), save it and mail it to the invitee. Pass the
+// organization for organization invitations.
+const sendInvitationEmail = async (invitation, inviter, organization) => {
+  const tokenId = crypto.randomUUID();
+  const token = generateInvitationToken({ email: invitation.email }, tokenId);
+  const { exp } = jwt.decode(token);
+
+  if (!invitation.isNew) {
+    invitation.sentAt = new Date();
+    invitation.sendCount += 1;
+  }
+  invitation.tokenId = tokenId;
+  invitation.expiresAt = new Date(exp * 1000);
+  await invitation.save();
+
+  const inviterName = inviter ? inviter.name : "An administrator";
+  await sendMail({
+    to: invitation.email,
+    subject: organization
+      ? `You're invited to join ${organization.name}`
+      : "You're invited to create an account",
+    text: [
+      "Hi,",
+      "",
+      organization
+        ? `${inviterName} invited you to join ${organization.name}. Open the link below and sign in to accept:`
+        : `${inviterName} invited you to create an account. Open the link below to choose your name and password:`,
+      buildInvitationUrl(token, organization),
+      "",
+      `The invitation expires on ${invitation.expiresAt.toUTCString()}.`,
+      "If you were not expecting it, you can ignore this email.",
+    ].join("\n"),
+  });
+
+  return token;
+};
+
+// Invite an existing account to an organization. Inviting the same email
+// again resends the open invitation with the new roles.
+const sendOrganizationInvitation = async (
+  email,
+  organization,
+  orgRoles,
+  inviter
+) => {
+  const invitation =
+    (await Invitation.findOne({
+      email,
+      organizationId: organization._id,
+      acceptedAt: null,
+      revokedAt: null,
+    })) ||
+    new Invitation({
+      email,
+      roles: [],
+      organizationId: organization._id,
+    });
+  invitation.orgRoles = orgRoles;
+  invitation.invitedBy = inviter._id;
+
+  return sendInvitationEmail(invitation, inviter, organization);
+};
+
+// Check an invitation link and return the pending invitation it belongs to
+const findPendingInvitation = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyInvitationToken(token);
+  } catch (error) {
+    throw new InvitationError(
+      error.name === "TokenExpiredError" ? "expired" : "invalid_token"
+    );
+  }
+
+  // A resent invitation only accepts its latest link
+  const invitation = await Invitation.findOne({ tokenId: decoded.jti });
+  if (!invitation) {
+    throw new InvitationError("superseded");
+  }
+
+  const status = invitation.getStatus();
+  if (status === "accepted") {
+    throw new InvitationError(
+      "already_accepted",
+      "This invitation has already been accepted"
+    );
+  }
+  if (status !== "pending") {
+    throw new InvitationError(status);
+  }
+
+  return invitation;
+};
+
+// Mark a pending invitation accepted, exactly once. Returns null if a
+// concurrent request got there first or it was revoked or resent meanwhile.
+const claimInvitation = (invitation) =>
+  Invitation.findOneAndUpdate(
+    {
+      _id: invitation._id,
+      tokenId: invitation.tokenId,
+      acceptedAt: null,
+      revokedAt: null,
+    },
+    { $set: { acceptedAt: new Date() } },
+    { new: true }
+  );
+
+module.exports = {
+  InvitationError,
+  sendInvitationEmail,
+  sendOrganizationInvitation,
+  findPendingInvitation,
+  claimInvitation,
+};
@@ -1,28 +1,233 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
+const {
+  getActiveSigningKey,
+  getVerificationKey,
+  ensureVerificationKey,
+} = require("./signingKeys");
 
-const generateAccessToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_ACCESS_SECRET, {
-    expiresIn: process.env.JWT_ACCESS_EXPIRE || "15m",
+// Sign with the current asymmetric key (RS256/ES256) so other services can
+// verify against /.well-known/jwks.json
+const signWithActiveKey = (payload, options = {}) => {
+  const { kid, alg, privateKey } = getActiveSigningKey();
+  return jwt.sign(payload, privateKey, {
+    ...options,
+    algorithm: alg,
+    keyid: kid,
+  });
+};
+
+const getTokenKid = (token) => {
+  const complete = jwt.decode(token, { complete: true });
+  return complete && complete.header.kid;
+};
+
+// Verify with the key named by the token's kid, pinned to that key's algorithm
+const verifyWithSigningKey = (token, options = {}) => {
+  const key = getVerificationKey(getTokenKid(token));
+  if (!key) {
+    throw new jwt.JsonWebTokenError("unknown signing key");
+  }
+
+  return jwt.verify(token, key.publicKey, {
+    ...options,
+    algorithms: [key.alg],
   });
 };
 
+// Issue time in seconds (iat) and milliseconds (iat_ms). Revocation
+// cut-offs compare iat_ms, so tokens issued right after a cut-off are valid
+// even within the same second.
+const issuedAtClaims = () => {
+  const now = Date.now();
+  return { iat: Math.floor(now / 1000), iat_ms: now };
+};
+
+// Unique jti so individual access tokens can be revoked
+const generateAccessToken = (payload) => {
+  return signWithActiveKey(
+    { ...payload, ...issuedAtClaims() },
+    {
+      expiresIn: process.env.JWT_ACCESS_EXPIRE || "15m",
+      jwtid: crypto.randomUUID(),
+    }
+  );
+};
+
 const generateRefreshToken = (payload) => {
+  // Unique jti so tokens issued in the same second never collide
   return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
     expiresIn: process.env.JWT_REFRESH_EXPIRE || "7d",
+    jwtid: crypto.randomUUID(),
   });
 };
 
 const verifyAccessToken = (token) => {
-  return jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+  const decoded = verifyWithSigningKey(token);
+  // Purpose-bound tokens (email verification, MFA challenge) and tokens
+  // issued to other audiences (OIDC ID and access tokens) must never be
+  // accepted as access tokens
+  if (decoded.purpose || decoded.aud) {
+    throw new jwt.JsonWebTokenError("invalid token purpose");
+  }
+  return decoded;
+};
+
+// Load the token's signing key if this instance has not seen it yet; call
+// before verifyAccessToken where a database round trip is acceptable
+const loadAccessTokenKey = async (token) => {
+  await ensureVerificationKey(getTokenKid(token));
 };
 
 const verifyRefreshToken = (token) => {
   return jwt.verify(token, process.env.JWT_REFRESH_SECRET);
 };
 
+// Refresh tokens are only ever stored as keyed hashes, so a database leak
+// does not hand out live sessions
+const hashRefreshToken = (token) => {
+  return crypto
+    .createHmac(
+      "sha256",
+      process.env.REFRESH_TOKEN_HASH_SECRET || process.env.JWT_REFRESH_SECRET
+    )
+    .update(token)
+    .digest("hex");
+};
+
+// Storage fields for a refresh token: opaque id, keyed hash and expiry
+const describeRefreshToken = (token) => {
+  const decoded = jwt.decode(token) || {};
+  return {
+    tokenId: decoded.jti || crypto.randomUUID(),
+    tokenHash: hashRefreshToken(token),
+    expiresAt: decoded.exp ? new Date(decoded.exp * 1000) : null,
+  };
+};
+
+// Email verification tokens are bound to the address they were issued for,
+// so changing the email invalidates any outstanding link
+const getEmailVerificationSecret = () =>
+  process.env.JWT_EMAIL_SECRET || process.env.JWT_ACCESS_SECRET;
+
+const generateEmailVerificationToken = (payload) => {
+  return jwt.sign(
+    { ...payload, purpose: "email_verification" },
+    getEmailVerificationSecret(),
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || "24h" }
+  );
+};
+
+const verifyEmailVerificationToken = (token) => {
+  const decoded = jwt.verify(token, getEmailVerificationSecret());
+  if (decoded.purpose !== "email_verification") {
+    throw new jwt.JsonWebTokenError("invalid token purpose");
+  }
+  return decoded;
+};
+
+// MFA challenge tokens prove the password step succeeded and are exchanged
+// for real tokens at POST /auth/login/mfa. The jti makes them single-use.
+const generateMfaChallengeToken = (payload) => {
+  return jwt.sign(
+    { ...payload, purpose: "mfa_challenge" },
+    process.env.JWT_ACCESS_SECRET,
+    {
+      expiresIn: process.env.MFA_CHALLENGE_EXPIRE || "5m",
+      jwtid: crypto.randomUUID(),
+    }
+  );
+};
+
+const verifyMfaChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+  if (decoded.purpose !== "mfa_challenge" || !decoded.jti) {
+    throw new jwt.JsonWebTokenError("invalid token purpose");
+  }
+  return decoded;
+};
+
+// Identity link tokens hold an external identity whose email belongs to an
+// existing account, until the account owner confirms the link at
+// POST /auth/identities/confirm
+const generateIdentityLinkToken = (payload) => {
+  return jwt.sign(
+    { ...payload, purpose: "identity_link" },
+    process.env.JWT_ACCESS_SECRET,
+    { expiresIn: process.env.IDENTITY_LINK_EXPIRE || "10m" }
+  );
+};
+
+const verifyIdentityLinkToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+  if (decoded.purpose !== "identity_link") {
+    throw new jwt.JsonWebTokenError("invalid token purpose");
+  }
+  return decoded;
+};
+
+// Magic login links are mailed to the user's address and exchanged at
+// POST /auth/magic-link/verify. The jti makes each link single-use (see
+// models/MagicLinkToken.js).
+const generateMagicLinkToken = (payload, tokenId) => {
+  return jwt.sign(
+    { ...payload, purpose: "magic_link" },
+    process.env.JWT_ACCESS_SECRET,
+    {
+      expiresIn: process.env.MAGIC_LINK_EXPIRE || "15m",
+      jwtid: tokenId,
+    }
+  );
+};
+
+const verifyMagicLinkToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+  if (decoded.purpose !== "magic_link" || !decoded.jti) {
+    throw new jwt.JsonWebTokenError("invalid token purpose");
+  }
+  return decoded;
+};
+
+// Account invitation, redeemed at POST /users/invitations/accept. The jti
+// ties the link to the invitation's latest send (see models/Invitation.js).
+const generateInvitationToken = (payload, tokenId) => {
+  return jwt.sign(
+    { ...payload, purpose: "invitation" },
+    process.env.JWT_ACCESS_SECRET,
+    {
+      expiresIn: process.env.INVITATION_EXPIRE || "7d",
+      jwtid: tokenId,
+    }
+  );
+};
+
+const verifyInvitationToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+  if (decoded.purpose !== "invitation" || !decoded.jti) {
+    throw new jwt.JsonWebTokenError("invalid token purpose");
+  }
+  return decoded;
+};
+
 module.exports = {
+  signWithActiveKey,
+  issuedAtClaims,
+  verifyWithSigningKey,
   generateAccessToken,
   generateRefreshToken,
   verifyAccessToken,
+  loadAccessTokenKey,
   verifyRefreshToken,
+  hashRefreshToken,
+  describeRefreshToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+  generateIdentityLinkToken,
+  verifyIdentityLinkToken,
+  generateMagicLinkToken,
+  verifyMagicLinkToken,
+  generateInvitationToken,
+  verifyInvitationToken,
 };
@@ -0,0 +1,128 @@
+const User = require("../models/User");
+const LinkedIdentity = require("../models/LinkedIdentity");
+
+// Linking refused; code is reported to the client
+class IdentityLinkError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "IdentityLinkError";
+    this.code = code;
+  }
+}
+
+// Resolve a login with an external identity (see utils/socialAuth.js for
+// its shape). Returns one of:
+// - { user }          the identity is linked to user, or a new account was
+//                     created for it
+// - { existingUser }  an account with the identity's email exists; linking
+//                     needs that account's owner to confirm
+// - { unverifiedEmail } no account exists and the provider hasn't verified
+//                     the identity's email, so none is created for it
+// - {}                the identity can't be used (no subject or email)
+// Identities are never attached to an existing account silently.
+const resolveSocialLogin = async (provider, identity) => {
+  if (!identity.subject) return {};
+
+  const linked = await LinkedIdentity.findOne({
+    provider,
+    subject: identity.subject,
+  });
+
+  if (linked) {
+    const user = await User.findById(linked.userId).withDeleted();
+    // Kept while the account is deleted, in case it is restored
+    if (user && user.deletedAt) return {};
+    if (user) {
+      linked.email = identity.email;
+      linked.name = identity.name;
+      linked.lastLoginAt = new Date();
+      await linked.save();
+      return { user };
+    }
+
+    // Left over from a deleted account
+    await linked.deleteOne();
+  }
+
+  if (!identity.email) return {};
+
+  const existingUser = await User.findOne({
+    email: identity.email.toLowerCase(),
+  }).withDeleted();
+  if (existingUser && existingUser.deletedAt) return {};
+  if (existingUser) return { existingUser };
+
+  // Whoever controls an unverified address could otherwise claim it here
+  if (!identity.emailVerified) return { unverifiedEmail: true };
+
+  const user = new User({
+    name: (identity.name || identity.email.split("@")[0]).slice(0, 50),
+    email: identity.email,
+    avatar: identity.avatar,
+    isEmailVerified: true,
+  });
+  await user.save();
+  await linkIdentity(user._id, provider, identity);
+
+  return { user };
+};
+
+// Attach an identity to a user who proved they own the account. A user has
+// at most one identity per provider.
+const linkIdentity = async (userId, provider, identity) => {
+  const [linked, sameProvider] = await Promise.all([
+    LinkedIdentity.findOne({ provider, subject: identity.subject }),
+    LinkedIdentity.findOne({ userId, provider }),
+  ]);
+
+  if (linked) {
+    if (linked.userId.equals(userId)) return linked;
+    throw new IdentityLinkError(
+      "identity_in_use",
+      "This account is already linked to another user"
+    );
+  }
+
+  if (sameProvider) {
+    throw new IdentityLinkError(
+      "provider_already_linked",
+      "Another account from this provider is already linked"
+    );
+  }
+
+  try {
+    return await LinkedIdentity.create({
+      userId,
+      provider,
+      subject: identity.subject,
+      email: identity.email,
+      name: identity.name,
+      lastLoginAt: new Date(),
+    });
+  } catch (error) {
+    // Linked concurrently
+    if (error.code === 11000) {
+      throw new IdentityLinkError(
+        "identity_in_use",
+        "This account is already linked to another user"
+      );
+    }
+    throw error;
+  }
+};
+
+// Ways a user can sign in: password, passkeys and linked identities.
+// Requires user.password and user.passkeys to be loaded.
+const countLoginMethods = async (user) => {
+  const identities = await LinkedIdentity.countDocuments({
+    userId: user._id,
+  });
+  return (user.password ? 1 : 0) + user.passkeys.length + identities;
+};
+
+module.exports = {
+  IdentityLinkError,
+  resolveSocialLogin,
+  linkIdentity,
+  countLoginMethods,
+};
@@ -0,0 +1,155 @@
+const LoginThrottle = require("../models/LoginThrottle");
+
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const MAX_DELAY_SECONDS = 30;
+
+const getThrottleConfig = () => ({
+  maxAccountAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT) || 5,
+  maxIpAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  windowMinutes: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 60,
+});
+
+const accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ipAddress) => `ip:${ipAddress || "unknown"}`;
+
+// Check whether login attempts for this email or IP are currently blocked
+const checkLoginThrottle = async (email, ipAddress) => {
+  const now = new Date();
+  const records = await LoginThrottle.find({
+    key: { $in: [accountKey(email), ipKey(ipAddress)] },
+    lockedUntil: { $gt: now },
+  });
+
+  if (records.length === 0) {
+    return { locked: false };
+  }
+
+  return {
+    locked: true,
+    scopes: records.map((r) => r.type),
+    lockedUntil: new Date(Math.max(...records.map((r) => r.lockedUntil))),
+  };
+};
+
+// Count one failure against a key. Accounts get progressive delays
+// (1s, 2s, 4s, ...) before the lockout; IPs, which may be shared, only
+// lock once the limit is reached. Each lockout doubles the next one.
+const recordFailure = async (key, type, maxAttempts, progressive) => {
+  const { lockoutMinutes, windowMinutes } = getThrottleConfig();
+  const now = new Date();
+
+  // Stages see the previous stage's values, so the lockout is decided on
+  // the incremented count within the same atomic update; concurrent
+  // failures can't overwrite each other's counts
+  const locking = { $gte: ["$failures", maxAttempts] };
+  const lockoutMs = {
+    $multiply: [
+      {
+        $min: [
+          { $multiply: [lockoutMinutes, { $pow: [2, "$lockCount"] }] },
+          MAX_LOCKOUT_MINUTES,
+        ],
+      },
+      60 * 1000,
+    ],
+  };
+  const delayMs = {
+    $multiply: [
+      {
+        $min: [
+          { $pow: [2, { $subtract: ["$failures", 2] }] },
+          MAX_DELAY_SECONDS,
+        ],
+      },
+      1000,
+    ],
+  };
+
+  const record = await LoginThrottle.findOneAndUpdate(
+    { key },
+    [
+      {
+        $set: {
+          type,
+          lastFailureAt: now,
+          failures: { $add: [{ $ifNull: ["$failures", 0] }, 1] },
+          lockCount: { $ifNull: ["$lockCount", 0] },
+          lockedUntil: { $ifNull: ["$lockedUntil", null] },
+          // Pipeline updates skip Mongoose's own createdAt on insert
+          createdAt: { $ifNull: ["$createdAt", now] },
+        },
+      },
+      {
+        $set: {
+          lockedUntil: {
+            $cond: [
+              locking,
+              { $add: [now, lockoutMs] },
+              progressive
+                ? {
+                    $cond: [
+                      { $gte: ["$failures", 2] },
+                      { $add: [now, delayMs] },
+                      "$lockedUntil",
+                    ],
+                  }
+                : "$lockedUntil",
+            ],
+          },
+          lockCount: {
+            $cond: [locking, { $add: ["$lockCount", 1] }, "$lockCount"],
+          },
+          failures: { $cond: [locking, 0, "$failures"] },
+        },
+      },
+      {
+        $set: {
+          expiresAt: {
+            $max: [
+              "$lockedUntil",
+              new Date(now.getTime() + windowMinutes * 60 * 1000),
+            ],
+          },
+        },
+      },
+    ],
+    { upsert: true, new: true }
+  ).lean();
+
+  // Every failure adds one, so only a lockout leaves the count at zero
+  return { record, lockApplied: record.failures === 0 };
+};
+
+// Record a failed login for both the account and the client IP.
+// Returns the scopes that have just been locked out.
+const recordLoginFailure = async (email, ipAddress) => {
+  const { maxAccountAttempts, maxIpAttempts } = getThrottleConfig();
+
+  const [account, ip] = await Promise.all([
+    recordFailure(accountKey(email), "account", maxAccountAttempts, true),
+    recordFailure(ipKey(ipAddress), "ip", maxIpAttempts, false),
+  ]);
+
+  const lockedScopes = [];
+  if (account.lockApplied) lockedScopes.push("account");
+  if (ip.lockApplied) lockedScopes.push("ip");
+
+  return {
+    lockedScopes,
+    accountFailures: account.record.failures,
+    lockedUntil: account.record.lockedUntil || ip.record.lockedUntil,
+  };
+};
+
+// Forget account failures after a successful login
+const resetAccountThrottle = async (email) => {
+  await LoginThrottle.deleteOne({ key: accountKey(email) });
+};
+
+module.exports = {
+  getThrottleConfig,
+  checkLoginThrottle,
+  recordLoginFailure,
+  resetAccountThrottle,
+};
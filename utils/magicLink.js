@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const MagicLinkToken = require("../models/MagicLinkToken");
+const { generateMagicLinkToken, verifyMagicLinkToken } = require("./jwt");
+const { sendMail } = require("./mailer");
+
+// Link can't be used; reason is recorded in the activity log
+class MagicLinkError extends Error {
+  constructor(reason, message = "Invalid or expired login link") {
+    super(message);
+    this.name = "MagicLinkError";
+    this.reason = reason;
+  }
+}
+
+const hashDeviceToken = (deviceToken) =>
+  crypto.createHash("sha256").update(deviceToken).digest("hex");
+
+// Secret kept by the device that requested a link; the link then only
+// works together with it
+const generateDeviceToken = () => crypto.randomBytes(32).toString("base64url");
+
+const buildMagicLinkUrl = (token) => {
+  const baseUrl =
+    process.env.MAGIC_LINK_URL ||
+    `${process.env.FRONTEND_URL || "http://localhost:3000"}/magic-link`;
+  return `${baseUrl}?token=${encodeURIComponent(token)}`;
+};
+
+// Issue a single-use login link and mail it to the user
+const sendMagicLinkEmail = async (user, { deviceToken = null } = {}) => {
+  const tokenId = crypto.randomUUID();
+  const token = generateMagicLinkToken(
+    { id: user._id, email: user.email },
+    tokenId
+  );
+  const { exp } = jwt.decode(token);
+
+  await MagicLinkToken.create({
+    tokenId,
+    userId: user._id,
+    deviceHash: deviceToken ? hashDeviceToken(deviceToken) : null,
+    expiresAt: new Date(exp * 1000),
+  });
+
+  const minutes = Math.max(1, Math.round((exp * 1000 - Date.now()) / 60000));
+
+  await sendMail({
+    to: user.email,
+    subject: "Your login link",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "Open the link below to log in:",
+      buildMagicLinkUrl(token),
+      "",
+      `The link expires in ${minutes} minutes and can only be used once.`,
+      deviceToken
+        ? "Open it on the device where you asked for it."
+        : "If you did not ask to log in, you can ignore this email.",
+    ].join("\n"),
+  });
+
+  return token;
+};
+
+// Redeem a magic link exactly once. A link bound to a device is only
+// consumed when the matching device token is presented, so opening it
+// elsewhere does not burn it. Returns the decoded link.
+const redeemMagicLink = async (token, deviceToken) => {
+  let decoded;
+  try {
+    decoded = verifyMagicLinkToken(token);
+  } catch (error) {
+    throw new MagicLinkError(
+      error.name === "TokenExpiredError" ? "expired" : "invalid_token"
+    );
+  }
+
+  const entry = await MagicLinkToken.findOneAndDelete({
+    tokenId: decoded.jti,
+    deviceHash:
+      typeof deviceToken === "string" && deviceToken
+        ? hashDeviceToken(deviceToken)
+        : null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!entry) {
+    const pending = await MagicLinkToken.exists({ tokenId: decoded.jti });
+    if (pending) {
+      throw new MagicLinkError(
+        "device_mismatch",
+        "Open the login link on the device that requested it"
+      );
+    }
+    throw new MagicLinkError("already_used");
+  }
+
+  return decoded;
+};
+
+module.exports = {
+  MagicLinkError,
+  generateDeviceToken,
+  sendMagicLinkEmail,
+  redeemMagicLink,
+};
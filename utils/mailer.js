@@ -0,0 +1,71 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Built-in transports. Each one receives the composed message and returns
+// information about the delivery.
+const transports = {
+  // Print the message to stdout (default for development)
+  console: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}`);
+    console.log(message.text);
+    return { transport: "console" };
+  },
+
+  // Write each message as a JSON file into the outbox directory
+  file: async (message) => {
+    const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || "tmp/outbox");
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.id}.json`;
+    const filePath = path.join(outboxDir, fileName);
+    await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+
+    console.log(`📧 Mail to ${message.to} written to ${filePath}`);
+    return { transport: "file", path: filePath };
+  },
+};
+
+// Transport registered at runtime (e.g. an SMTP or provider API client)
+let customTransport = null;
+
+// Register a custom transport: async function (message) => info
+const setTransport = (transport) => {
+  if (transport !== null && typeof transport !== "function") {
+    throw new Error("Mail transport must be a function");
+  }
+  customTransport = transport;
+};
+
+const getTransport = () => {
+  if (customTransport) return customTransport;
+
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text, html = null }) => {
+  const message = {
+    id: crypto.randomBytes(8).toString("hex"),
+    from: process.env.MAIL_FROM || "no-reply@localhost",
+    to,
+    subject,
+    text,
+    html,
+    createdAt: new Date().toISOString(),
+  };
+
+  const info = await getTransport()(message);
+  return { ...message, info };
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  transports,
+};
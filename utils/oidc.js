@@ -0,0 +1,359 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const OAuthClient = require("../models/OAuthClient");
+const OAuthAuthorizationCode = require("../models/OAuthAuthorizationCode");
+const OAuthConsent = require("../models/OAuthConsent");
+const {
+  signWithActiveKey,
+  verifyWithSigningKey,
+  issuedAtClaims,
+} = require("./jwt");
+const { getKeyConfig } = require("./signingKeys");
+const { API_SCOPES } = require("../config/scopes");
+
+const SUPPORTED_SCOPES = ["openid", "profile", "email"];
+const SUPPORTED_CLAIMS = [
+  "sub",
+  "iss",
+  "aud",
+  "exp",
+  "iat",
+  "auth_time",
+  "nonce",
+  "name",
+  "picture",
+  "email",
+  "email_verified",
+];
+const AUTHORIZATION_CODE_TTL_MS = 60 * 1000;
+// RFC 9068 JWT access tokens; the typ header keeps ID tokens (signed with
+// the same keys) from being used as access tokens. Tokens issued to a
+// service itself (client credentials) have sub === client_id.
+const ACCESS_TOKEN_TYPE = "at+jwt";
+
+// Token endpoint errors, reported as { error, error_description } (RFC 6749)
+class OAuthError extends Error {
+  constructor(error, description, status = 400) {
+    super(description);
+    this.name = "OAuthError";
+    this.error = error;
+    this.status = status;
+  }
+}
+
+const getIssuer = () =>
+  (
+    process.env.OIDC_ISSUER || `http://localhost:${process.env.PORT || 3000}`
+  ).replace(/\/+$/, "");
+
+const parseScopes = (scope) => [
+  ...new Set(
+    String(scope || "")
+      .split(" ")
+      .filter(Boolean)
+  ),
+];
+
+const hashCode = (code) =>
+  crypto.createHash("sha256").update(code).digest("hex");
+
+// PKCE (S256): BASE64URL(SHA256(code_verifier)) must equal the challenge
+const verifyPkce = (codeVerifier, codeChallenge) => {
+  if (
+    typeof codeVerifier !== "string" ||
+    !/^[A-Za-z0-9\-._~]{43,128}$/.test(codeVerifier)
+  ) {
+    return false;
+  }
+
+  const expected = Buffer.from(codeChallenge);
+  const actual = Buffer.from(
+    crypto.createHash("sha256").update(codeVerifier).digest("base64url")
+  );
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+// Claims about the user allowed by the granted scopes
+const getUserClaims = (user, scopes) => {
+  const claims = { sub: String(user._id) };
+
+  if (scopes.includes("profile")) {
+    claims.name = user.name;
+    if (user.avatar) claims.picture = user.avatar;
+  }
+  if (scopes.includes("email")) {
+    claims.email = user.email;
+    claims.email_verified = !!user.isEmailVerified;
+  }
+
+  return claims;
+};
+
+const hasConsent = async (userId, clientId, scopes) => {
+  const consent = await OAuthConsent.findOne({ userId, clientId });
+  return !!consent && scopes.every((scope) => consent.scopes.includes(scope));
+};
+
+const grantConsent = async (userId, clientId, scopes) => {
+  await OAuthConsent.updateOne(
+    { userId, clientId },
+    { $addToSet: { scopes: { $each: scopes } } },
+    { upsert: true }
+  );
+};
+
+const createAuthorizationCode = async ({
+  clientId,
+  userId,
+  redirectUri,
+  scopes,
+  codeChallenge,
+  nonce,
+  authTime,
+}) => {
+  const code = crypto.randomBytes(32).toString("base64url");
+
+  await OAuthAuthorizationCode.create({
+    codeHash: hashCode(code),
+    clientId,
+    userId,
+    redirectUri,
+    scopes,
+    codeChallenge,
+    nonce: nonce || null,
+    authTime,
+    expiresAt: new Date(Date.now() + AUTHORIZATION_CODE_TTL_MS),
+  });
+
+  return code;
+};
+
+// Redeem an authorization code exactly once. It must have been issued to
+// this client for this redirect_uri, and the PKCE verifier must match.
+const redeemAuthorizationCode = async ({
+  code,
+  client,
+  redirectUri,
+  codeVerifier,
+}) => {
+  if (typeof code !== "string" || !code) {
+    throw new OAuthError("invalid_request", "code is required");
+  }
+
+  const entry = await OAuthAuthorizationCode.findOneAndDelete({
+    codeHash: hashCode(code),
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (
+    !entry ||
+    entry.clientId !== client.clientId ||
+    entry.redirectUri !== redirectUri
+  ) {
+    throw new OAuthError(
+      "invalid_grant",
+      "Invalid or expired authorization code"
+    );
+  }
+
+  if (!verifyPkce(codeVerifier, entry.codeChallenge)) {
+    throw new OAuthError("invalid_grant", "PKCE verification failed");
+  }
+
+  return entry;
+};
+
+// Client authentication at the token endpoint: HTTP Basic or client_secret
+// in the body for confidential clients, client_id alone for public ones
+const authenticateClient = async (req) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+
+  const authHeader = req.header("Authorization");
+  if (authHeader && authHeader.startsWith("Basic ")) {
+    const credentials = Buffer.from(
+      authHeader.substring(6),
+      "base64"
+    ).toString();
+    const separator = credentials.indexOf(":");
+
+    try {
+      if (separator === -1) throw new URIError("missing separator");
+      clientId = decodeURIComponent(credentials.slice(0, separator));
+      clientSecret = decodeURIComponent(credentials.slice(separator + 1));
+    } catch (error) {
+      throw new OAuthError(
+        "invalid_client",
+        "Malformed client credentials",
+        401
+      );
+    }
+  }
+
+  const client =
+    typeof clientId === "string" &&
+    clientId &&
+    (await OAuthClient.findOne({ clientId }).select("+clientSecretHash"));
+
+  if (
+    !client ||
+    (client.type === "confidential" && !client.verifySecret(clientSecret))
+  ) {
+    throw new OAuthError("invalid_client", "Client authentication failed", 401);
+  }
+
+  return client;
+};
+
+const signJwtAccessToken = (subject, clientId, scopes, expiresIn) => {
+  return signWithActiveKey(
+    { scope: scopes.join(" "), client_id: clientId, ...issuedAtClaims() },
+    {
+      header: { typ: ACCESS_TOKEN_TYPE },
+      subject,
+      audience: getIssuer(),
+      issuer: getIssuer(),
+      expiresIn,
+      jwtid: crypto.randomUUID(),
+    }
+  );
+};
+
+const verifyJwtAccessToken = (token) => {
+  const decoded = verifyWithSigningKey(token, {
+    audience: getIssuer(),
+    issuer: getIssuer(),
+  });
+
+  if (jwt.decode(token, { complete: true }).header.typ !== ACCESS_TOKEN_TYPE) {
+    throw new jwt.JsonWebTokenError("invalid token type");
+  }
+  return decoded;
+};
+
+// Access token for /oauth/userinfo, issued to a client on behalf of a user
+const generateOidcAccessToken = (user, clientId, scopes) => {
+  return signJwtAccessToken(
+    String(user._id),
+    clientId,
+    scopes,
+    process.env.JWT_ACCESS_EXPIRE || "15m"
+  );
+};
+
+const verifyOidcAccessToken = (token) => {
+  const decoded = verifyJwtAccessToken(token);
+  if (decoded.sub === decoded.client_id) {
+    throw new jwt.JsonWebTokenError("invalid token type");
+  }
+  return decoded;
+};
+
+// Access token a service client gets for itself (client credentials grant)
+const generateClientAccessToken = (clientId, scopes) => {
+  return signJwtAccessToken(
+    clientId,
+    clientId,
+    scopes,
+    process.env.CLIENT_TOKEN_EXPIRE || "1h"
+  );
+};
+
+const verifyClientAccessToken = (token) => {
+  const decoded = verifyJwtAccessToken(token);
+  if (decoded.sub !== decoded.client_id) {
+    throw new jwt.JsonWebTokenError("invalid token type");
+  }
+  return decoded;
+};
+
+// Whether a bearer token claims to be a client token (not verified yet)
+const isClientAccessToken = (token) => {
+  const complete = jwt.decode(token, { complete: true });
+  return (
+    !!complete &&
+    complete.header.typ === ACCESS_TOKEN_TYPE &&
+    !!complete.payload.sub &&
+    complete.payload.sub === complete.payload.client_id
+  );
+};
+
+// at_hash: left half of the SHA-256 of the access token (RS256 and ES256)
+const hashAccessToken = (accessToken) => {
+  const digest = crypto.createHash("sha256").update(accessToken).digest();
+  return digest.subarray(0, digest.length / 2).toString("base64url");
+};
+
+const generateIdToken = (
+  user,
+  clientId,
+  { scopes, nonce, authTime, accessToken }
+) => {
+  // sub is set through the subject option
+  const { sub, ...claims } = getUserClaims(user, scopes);
+
+  return signWithActiveKey(
+    {
+      ...claims,
+      auth_time: authTime,
+      at_hash: hashAccessToken(accessToken),
+      ...(nonce && { nonce }),
+    },
+    {
+      subject: sub,
+      audience: clientId,
+      issuer: getIssuer(),
+      expiresIn: process.env.OIDC_ID_TOKEN_EXPIRE || "1h",
+    }
+  );
+};
+
+// OpenID Provider metadata (OpenID Connect Discovery 1.0)
+const getDiscoveryDocument = () => {
+  const issuer = getIssuer();
+
+  return {
+    issuer,
+    authorization_endpoint: `${issuer}/oauth/authorize`,
+    token_endpoint: `${issuer}/oauth/token`,
+    userinfo_endpoint: `${issuer}/oauth/userinfo`,
+    jwks_uri: `${issuer}/.well-known/jwks.json`,
+    response_types_supported: ["code"],
+    grant_types_supported: ["authorization_code", "client_credentials"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: [getKeyConfig().alg],
+    scopes_supported: [...SUPPORTED_SCOPES, ...Object.keys(API_SCOPES)],
+    claims_supported: SUPPORTED_CLAIMS,
+    code_challenge_methods_supported: ["S256"],
+    token_endpoint_auth_methods_supported: [
+      "client_secret_basic",
+      "client_secret_post",
+      "none",
+    ],
+    authorization_response_iss_parameter_supported: true,
+  };
+};
+
+module.exports = {
+  SUPPORTED_SCOPES,
+  OAuthError,
+  getIssuer,
+  parseScopes,
+  verifyPkce,
+  getUserClaims,
+  hasConsent,
+  grantConsent,
+  createAuthorizationCode,
+  redeemAuthorizationCode,
+  authenticateClient,
+  generateOidcAccessToken,
+  verifyOidcAccessToken,
+  generateClientAccessToken,
+  verifyClientAccessToken,
+  isClientAccessToken,
+  generateIdToken,
+  getDiscoveryDocument,
+};
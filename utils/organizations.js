@@ -0,0 +1,48 @@
+const Membership = require("../models/Membership");
+const { ORG_ROLES } = require("../config/permissions");
+
+// Permissions a membership's roles grant within its organization
+const getMembershipPermissions = (membership) => {
+  if (!membership) return [];
+
+  return [
+    ...new Set(
+      membership.roles.flatMap((role) =>
+        Object.hasOwn(ORG_ROLES, role) ? ORG_ROLES[role].permissions : []
+      )
+    ),
+  ].sort();
+};
+
+const findMembership = (userId, organizationId) =>
+  Membership.findOne({ userId, organizationId });
+
+// Permissions the user holds in an organization; none without a membership
+const getOrganizationPermissions = async (userId, organizationId) =>
+  getMembershipPermissions(await findMembership(userId, organizationId));
+
+// Whether the request's user holds permission in the organization its
+// access token is scoped to (req.organizationId); resolved once per request
+const hasActiveOrgPermission = async (req, permission) => {
+  if (!req.organizationId) return false;
+
+  if (!req.orgPermissions) {
+    req.orgPermissions = await getOrganizationPermissions(
+      req.user._id,
+      req.organizationId
+    );
+  }
+  return req.orgPermissions.includes(permission);
+};
+
+// Ids of an organization's members, for filtering users
+const getMemberIds = (organizationId) =>
+  Membership.find({ organizationId }).distinct("userId");
+
+module.exports = {
+  getMembershipPermissions,
+  findMembership,
+  getOrganizationPermissions,
+  hasActiveOrgPermission,
+  getMemberIds,
+};
@@ -0,0 +1,12 @@
+// Password strength rules shared by every route that sets a password.
+// Returns an error message, or null when the password is acceptable.
+const validatePassword = (password) => {
+  if (typeof password !== "string" || password.length < 6) {
+    return "Password must be at least 6 characters long";
+  }
+  return null;
+};
+
+module.exports = {
+  validatePassword,
+};
@@ -0,0 +1,36 @@
+const { sendMail } = require("./mailer");
+
+const buildResetUrl = (token) => {
+  const baseUrl =
+    process.env.PASSWORD_RESET_URL ||
+    `${process.env.FRONTEND_URL || "http://localhost:3000"}/reset-password`;
+  return `${baseUrl}?token=${encodeURIComponent(token)}`;
+};
+
+// Issue a password reset token and mail the link to the user
+const sendPasswordResetEmail = async (user) => {
+  const token = await user.createPasswordResetToken();
+  const resetUrl = buildResetUrl(token);
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "We received a request to reset your password. Open the link below to choose a new one:",
+      resetUrl,
+      "",
+      `The link expires in ${
+        parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30
+      } minutes and can only be used once.`,
+      "If you did not request a password reset, you can ignore this email.",
+    ].join("\n"),
+  });
+
+  return token;
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+};
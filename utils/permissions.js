@@ -0,0 +1,72 @@
+const Role = require("../models/Role");
+const { BUILT_IN_ROLES, ADMIN_ROLE } = require("../config/permissions");
+
+// Union of the permissions of the user's roles. Unknown role names grant
+// nothing.
+const getUserPermissions = async (user) => {
+  if (!user.roles || user.roles.length === 0) return [];
+
+  const roles = await Role.find({ name: { $in: user.roles } }).select(
+    "permissions"
+  );
+  return [...new Set(roles.flatMap((role) => role.permissions))].sort();
+};
+
+// Whether the request's user holds permission; resolved once per request
+const hasPermission = async (req, permission) => {
+  if (!req.permissions) {
+    req.permissions = await getUserPermissions(req.user);
+  }
+  return req.permissions.includes(permission);
+};
+
+// Whether the request may take over or lock out user's account (change
+// their email or status, delete or restore them, end their sessions).
+// Taking over an account that holds permissions the actor lacks would grant
+// those permissions, so that needs roles:manage; service clients may only
+// act on accounts without permissions. Users may always act on their own
+// account.
+const canManageAccount = async (req, user) => {
+  if (req.user && req.user._id.equals(user._id)) return true;
+
+  const targetPermissions = await getUserPermissions(user);
+  if (targetPermissions.length === 0) return true;
+  if (!req.user) return false;
+
+  if (await hasPermission(req, "roles:manage")) return true;
+  return targetPermissions.every((permission) =>
+    req.permissions.includes(permission)
+  );
+};
+
+// Role names (lowercased) that don't exist
+const findUnknownRoles = async (names) => {
+  const known = await Role.find({ name: { $in: names } }).select("name");
+  return names.filter((name) => !known.some((role) => role.name === name));
+};
+
+// Create the built-in roles, and keep admin holding every permission as
+// new ones are added
+const ensureBuiltInRoles = async () => {
+  for (const { name, description, permissions } of BUILT_IN_ROLES) {
+    await Role.updateOne(
+      { name },
+      {
+        $setOnInsert: { description, createdAt: new Date() },
+        $set: {
+          builtIn: true,
+          ...(name === ADMIN_ROLE && { permissions }),
+        },
+      },
+      { upsert: true }
+    );
+  }
+};
+
+module.exports = {
+  getUserPermissions,
+  hasPermission,
+  canManageAccount,
+  findUnknownRoles,
+  ensureBuiltInRoles,
+};
@@ -0,0 +1,76 @@
+const crypto = require("crypto");
+const PersonalAccessToken = require("../models/PersonalAccessToken");
+const User = require("../models/User");
+
+// Recognisable prefix so personal tokens are never mistaken for JWTs (and
+// are easy to spot by secret scanners)
+const PERSONAL_TOKEN_PREFIX = "pat_";
+const DISPLAY_PREFIX_LENGTH = PERSONAL_TOKEN_PREFIX.length + 8;
+// Avoid a database write on every request made with the same token
+const LAST_USED_UPDATE_MS = 60 * 1000;
+
+const hashPersonalToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const isPersonalAccessToken = (token) =>
+  typeof token === "string" && token.startsWith(PERSONAL_TOKEN_PREFIX);
+
+// Create a token for a user. The secret is returned once; only its hash is
+// stored.
+const createPersonalToken = async (userId, { name, scopes, expiresAt }) => {
+  const token =
+    PERSONAL_TOKEN_PREFIX + crypto.randomBytes(32).toString("base64url");
+
+  const personalToken = await PersonalAccessToken.create({
+    userId,
+    name,
+    scopes,
+    expiresAt,
+    tokenHash: hashPersonalToken(token),
+    tokenPrefix: token.slice(0, DISPLAY_PREFIX_LENGTH),
+  });
+
+  return { token, personalToken };
+};
+
+// Look up a personal token and its user, and record where it was used.
+// Returns { personalToken, user }, both null when the token is unknown or
+// expired; user is null if the account no longer exists.
+const authenticatePersonalToken = async (token, ipAddress) => {
+  const personalToken = await PersonalAccessToken.findOne({
+    tokenHash: hashPersonalToken(token),
+  });
+
+  if (
+    !personalToken ||
+    (personalToken.expiresAt && personalToken.expiresAt <= new Date())
+  ) {
+    return { personalToken: null, user: null };
+  }
+
+  const user = await User.findById(personalToken.userId).select(
+    "-password -refreshTokens"
+  );
+
+  const now = new Date();
+  if (
+    !personalToken.lastUsedAt ||
+    now - personalToken.lastUsedAt > LAST_USED_UPDATE_MS ||
+    personalToken.lastUsedIp !== ipAddress
+  ) {
+    personalToken.lastUsedAt = now;
+    personalToken.lastUsedIp = ipAddress;
+    await PersonalAccessToken.updateOne(
+      { _id: personalToken._id },
+      { lastUsedAt: now, lastUsedIp: ipAddress }
+    );
+  }
+
+  return { personalToken, user };
+};
+
+module.exports = {
+  isPersonalAccessToken,
+  createPersonalToken,
+  authenticatePersonalToken,
+};
@@ -0,0 +1,161 @@
+const RateLimitBucket = require("../models/RateLimitBucket");
+
+// Rate limit stores implement two atomic operations:
+// - hitFixedWindow(key, windowMs) -> { count, resetAt }
+// - takeToken(key, capacity, refillIntervalMs) -> { allowed, tokens, resetAt }
+// resetAt is a timestamp in ms.
+
+// In-process store. Fast, but each instance counts separately.
+const createMemoryStore = () => {
+  const windows = new Map();
+  const buckets = new Map();
+
+  // Drop expired entries so the maps don't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+    for (const [key, entry] of buckets) {
+      if (entry.expiresAt <= now) buckets.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async hitFixedWindow(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count++;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async takeToken(key, capacity, refillIntervalMs) {
+      const now = Date.now();
+      const entry = buckets.get(key) || { tokens: capacity, refilledAt: now };
+
+      const refilled = (now - entry.refilledAt) / refillIntervalMs;
+      entry.tokens = Math.min(capacity, entry.tokens + refilled);
+      entry.refilledAt = now;
+
+      const allowed = entry.tokens >= 1;
+      if (allowed) entry.tokens -= 1;
+
+      entry.expiresAt = now + (capacity - entry.tokens) * refillIntervalMs;
+      buckets.set(key, entry);
+
+      return {
+        allowed,
+        tokens: Math.floor(entry.tokens),
+        resetAt: now + Math.ceil((1 - (entry.tokens % 1)) * refillIntervalMs),
+      };
+    },
+  };
+};
+
+// MongoDB-backed store shared by every instance
+const createMongoStore = () => ({
+  async hitFixedWindow(key, windowMs) {
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const resetAt = windowStart + windowMs;
+
+    const bucket = await RateLimitBucket.findOneAndUpdate(
+      { key: `${key}:${windowStart}` },
+      {
+        $inc: { count: 1 },
+        $setOnInsert: { expiresAt: new Date(resetAt) },
+      },
+      { upsert: true, new: true }
+    );
+
+    return { count: bucket.count, resetAt };
+  },
+
+  async takeToken(key, capacity, refillIntervalMs) {
+    const now = Date.now();
+
+    // Refill, then take a token if one is available, in a single atomic
+    // pipeline update
+    const bucket = await RateLimitBucket.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            tokens: {
+              $min: [
+                capacity,
+                {
+                  $add: [
+                    { $ifNull: ["$tokens", capacity] },
+                    {
+                      $divide: [
+                        { $subtract: [now, { $ifNull: ["$refilledAt", now] }] },
+                        refillIntervalMs,
+                      ],
+                    },
+                  ],
+                },
+              ],
+            },
+            refilledAt: now,
+          },
+        },
+        { $set: { allowed: { $gte: ["$tokens", 1] } } },
+        {
+          $set: {
+            tokens: {
+              $cond: ["$allowed", { $subtract: ["$tokens", 1] }, "$tokens"],
+            },
+          },
+        },
+        {
+          $set: {
+            expiresAt: {
+              $toDate: {
+                $add: [
+                  now,
+                  {
+                    $multiply: [
+                      { $subtract: [capacity, "$tokens"] },
+                      refillIntervalMs,
+                    ],
+                  },
+                ],
+              },
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    ).lean();
+
+    return {
+      allowed: bucket.allowed,
+      tokens: Math.floor(bucket.tokens),
+      resetAt: now + Math.ceil((1 - (bucket.tokens % 1)) * refillIntervalMs),
+    };
+  },
+});
+
+let defaultStore = null;
+
+// Store selected by RATE_LIMIT_STORE (memory | mongo)
+const getDefaultStore = () => {
+  if (!defaultStore) {
+    defaultStore =
+      process.env.RATE_LIMIT_STORE === "mongo"
+        ? createMongoStore()
+        : createMemoryStore();
+  }
+  return defaultStore;
+};
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  getDefaultStore,
+};
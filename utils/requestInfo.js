@@ -0,0 +1,56 @@
+const UAParser = require("ua-parser-js");
+
+// Best-effort client IP address for a request
+const getClientIp = (req) => {
+  return (
+    req.ip ||
+    req.connection.remoteAddress ||
+    req.socket.remoteAddress ||
+    (req.connection.socket ? req.connection.socket.remoteAddress : null)
+  );
+};
+
+// Parse the User-Agent header into browser, OS and device type
+const parseUserAgent = (userAgent) => {
+  const result = new UAParser(userAgent || "").getResult();
+  const browser = [result.browser.name, result.browser.major]
+    .filter(Boolean)
+    .join(" ");
+  const os = [result.os.name, result.os.version].filter(Boolean).join(" ");
+
+  return {
+    browser: browser || null,
+    os: os || null,
+    deviceType: result.device.type || "desktop",
+  };
+};
+
+// Describe the device a request comes from, for session records.
+// Clients can name the device explicitly with `deviceName` in the body.
+const getDeviceInfo = (req) => {
+  const userAgent = req.get("User-Agent") || null;
+  const { browser, os, deviceType } = parseUserAgent(userAgent);
+
+  const requestedName =
+    req.body && typeof req.body.deviceName === "string"
+      ? req.body.deviceName.trim().slice(0, 50)
+      : "";
+  const derivedName = [browser && browser.split(" ")[0], os && `on ${os}`]
+    .filter(Boolean)
+    .join(" ");
+
+  return {
+    deviceName: requestedName || derivedName || "Unknown device",
+    userAgent,
+    browser,
+    os,
+    deviceType,
+    ipAddress: getClientIp(req),
+  };
+};
+
+module.exports = {
+  getClientIp,
+  parseUserAgent,
+  getDeviceInfo,
+};
@@ -0,0 +1,270 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+const SigningKey = require("../models/SigningKey");
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// New keys are published in the JWKS this long before they sign anything,
+// so verifiers with a cached key set can pick them up first
+const ACTIVATION_DELAY_MS = 15 * 60 * 1000;
+// How stale the in-memory key set may get before the JWKS endpoint reloads it
+const KEY_CACHE_TTL_MS = 60 * 1000;
+// Minimum gap between reloads triggered by tokens with an unknown kid
+const UNKNOWN_KID_RELOAD_MS = 10 * 1000;
+
+const getKeyConfig = () => ({
+  alg: process.env.JWT_SIGNING_ALG === "ES256" ? "ES256" : "RS256",
+  rotationDays: parseFloat(process.env.JWT_KEY_ROTATION_DAYS) || 30,
+  graceHours: parseFloat(process.env.JWT_KEY_GRACE_HOURS) || 24,
+});
+
+// kid -> { kid, alg, publicJwk, publicKey, privateKey, activatedAt, expiresAt }
+let keys = new Map();
+let loadedAt = 0;
+
+// Private keys are stored encrypted with AES-256-GCM under
+// SIGNING_KEY_ENCRYPTION_KEY (32 bytes, base64), so a database dump or
+// backup alone can't sign tokens. The kid is authenticated along with the
+// key, so ciphertexts can't be swapped between documents.
+const ENCRYPTED_KEY_VERSION = "v1";
+
+const getKeyEncryptionKey = () => {
+  const key = Buffer.from(
+    process.env.SIGNING_KEY_ENCRYPTION_KEY || "",
+    "base64"
+  );
+  if (key.length !== 32) {
+    throw new Error(
+      "SIGNING_KEY_ENCRYPTION_KEY must be set to 32 random bytes, base64-encoded"
+    );
+  }
+  return key;
+};
+
+const encryptPrivateKey = (pem, kid) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(
+    "aes-256-gcm",
+    getKeyEncryptionKey(),
+    iv
+  );
+  cipher.setAAD(Buffer.from(kid));
+  const ciphertext = Buffer.concat([
+    cipher.update(pem, "utf8"),
+    cipher.final(),
+  ]);
+
+  return [ENCRYPTED_KEY_VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString("base64url") : part))
+    .join(".");
+};
+
+const decryptPrivateKey = (stored, kid) => {
+  const [version, iv, tag, ciphertext] = stored.split(".");
+  if (version !== ENCRYPTED_KEY_VERSION || !ciphertext) {
+    throw new Error(`Signing key ${kid} is not encrypted in a known format`);
+  }
+
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getKeyEncryptionKey(),
+    Buffer.from(iv, "base64url")
+  );
+  decipher.setAAD(Buffer.from(kid));
+  decipher.setAuthTag(Buffer.from(tag, "base64url"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64url")),
+    decipher.final(),
+  ]).toString("utf8");
+};
+
+// Private key PEM of a stored key. Keys saved in plaintext before
+// encryption was introduced are encrypted in place.
+const readPrivateKey = async (doc) => {
+  if (!doc.privateKey.startsWith("-----BEGIN")) {
+    return decryptPrivateKey(doc.privateKey, doc.kid);
+  }
+
+  await SigningKey.updateOne(
+    { _id: doc._id },
+    { privateKey: encryptPrivateKey(doc.privateKey, doc.kid) }
+  );
+  return doc.privateKey;
+};
+
+const createSigningKey = async (alg, activatedAt) => {
+  const { publicKey, privateKey } =
+    alg === "ES256"
+      ? await generateKeyPair("ec", { namedCurve: "P-256" })
+      : await generateKeyPair("rsa", { modulusLength: 2048 });
+  const kid = crypto.randomUUID();
+
+  return SigningKey.create({
+    kid,
+    alg,
+    publicJwk: { ...publicKey.export({ format: "jwk" }), kid, alg, use: "sig" },
+    privateKey: encryptPrivateKey(
+      privateKey.export({ type: "pkcs8", format: "pem" }),
+      kid
+    ),
+    activatedAt,
+  });
+};
+
+// Replace the in-memory key set with every key still inside its grace window
+const loadSigningKeys = async () => {
+  const docs = await SigningKey.find({
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  }).select("+privateKey");
+
+  const next = new Map();
+  for (const doc of docs) {
+    const pem = await readPrivateKey(doc);
+    next.set(doc.kid, {
+      kid: doc.kid,
+      alg: doc.alg,
+      publicJwk: doc.publicJwk,
+      publicKey: crypto.createPublicKey(pem),
+      privateKey: crypto.createPrivateKey(pem),
+      activatedAt: doc.activatedAt,
+      expiresAt: doc.expiresAt,
+    });
+  }
+
+  keys = next;
+  loadedAt = Date.now();
+  return keys.size;
+};
+
+// Create a new key when none exists, the newest is older than
+// JWT_KEY_ROTATION_DAYS or JWT_SIGNING_ALG changed (or when forced), then
+// retire every older key: it keeps verifying for JWT_KEY_GRACE_HOURS after
+// the newest key takes over. Safe to run on several instances at once,
+// they all agree on the newest key.
+const rotateSigningKeys = async ({ force = false } = {}) => {
+  const { alg, rotationDays, graceHours } = getKeyConfig();
+  const now = Date.now();
+
+  const newest = await SigningKey.findOne({ retiredAt: null }).sort({
+    activatedAt: -1,
+    _id: -1,
+  });
+  const due =
+    force ||
+    !newest ||
+    newest.alg !== alg ||
+    now - newest.activatedAt.getTime() >= rotationDays * DAY_MS;
+
+  let active = newest;
+  if (due) {
+    // The very first key has nothing to wait for
+    active = await createSigningKey(
+      alg,
+      new Date(newest ? now + ACTIVATION_DELAY_MS : now)
+    );
+    active = await SigningKey.findOne({ retiredAt: null }).sort({
+      activatedAt: -1,
+      _id: -1,
+    });
+  }
+
+  await SigningKey.updateMany(
+    { retiredAt: null, _id: { $ne: active._id } },
+    {
+      retiredAt: active.activatedAt,
+      expiresAt: new Date(active.activatedAt.getTime() + graceHours * HOUR_MS),
+    }
+  );
+  await loadSigningKeys();
+
+  return { rotated: due, kid: active.kid, activatedAt: active.activatedAt };
+};
+
+const isKeyUsable = (key, now = Date.now()) =>
+  !key.expiresAt || key.expiresAt.getTime() > now;
+
+// Newest key whose activation time has passed
+const getActiveSigningKey = () => {
+  const now = Date.now();
+  let active = null;
+  for (const key of keys.values()) {
+    if (key.activatedAt.getTime() > now || !isKeyUsable(key, now)) continue;
+    if (!active || key.activatedAt > active.activatedAt) active = key;
+  }
+
+  if (!active) {
+    throw new Error("No active signing key loaded");
+  }
+  return active;
+};
+
+const getVerificationKey = (kid) => {
+  const key = kid && keys.get(kid);
+  return key && isKeyUsable(key) ? key : null;
+};
+
+// Tokens signed with a key another instance just created carry a kid this
+// instance has not loaded yet
+const ensureVerificationKey = async (kid) => {
+  if (!kid || getVerificationKey(kid)) return;
+  if (Date.now() - loadedAt >= UNKNOWN_KID_RELOAD_MS) {
+    await loadSigningKeys();
+  }
+};
+
+// Public keys (RFC 7517 key set) for every key that still verifies,
+// including keys waiting to activate
+const getJwks = async () => {
+  if (Date.now() - loadedAt >= KEY_CACHE_TTL_MS) {
+    await loadSigningKeys();
+  }
+
+  return {
+    keys: [...keys.values()]
+      .filter((key) => isKeyUsable(key))
+      .map((key) => key.publicJwk),
+  };
+};
+
+const rotateAndReport = async () => {
+  const { rotated, kid, activatedAt } = await rotateSigningKeys();
+  if (rotated) {
+    console.log(
+      `🔑 New signing key ${kid} activates at ${activatedAt.toISOString()}`
+    );
+  }
+};
+
+// Check for due rotations (and pick up keys created by other instances).
+// Resolves once the first check has loaded the keys and rejects if it
+// fails: no access token can be signed before then.
+const scheduleKeyRotation = async (intervalMinutes = 5) => {
+  const run = async () => {
+    try {
+      await rotateAndReport();
+    } catch (error) {
+      console.error("❌ Signing key rotation failed:", error);
+    }
+  };
+
+  await rotateAndReport();
+
+  console.log(
+    `⏰ Checking signing key rotation every ${intervalMinutes} minutes`
+  );
+  setInterval(run, intervalMinutes * 60 * 1000);
+};
+
+module.exports = {
+  getKeyConfig,
+  loadSigningKeys,
+  rotateSigningKeys,
+  getActiveSigningKey,
+  getVerificationKey,
+  ensureVerificationKey,
+  getJwks,
+  scheduleKeyRotation,
+};
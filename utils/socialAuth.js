@@ -0,0 +1,200 @@
+const crypto = require("crypto");
+const passport = require("passport");
+const GoogleStrategy = require("passport-google-oauth20").Strategy;
+const OAuth2Strategy = require("passport-oauth2");
+const SocialLoginCode = require("../models/SocialLoginCode");
+
+// GitHub's API rejects requests without a User-Agent
+const USER_AGENT = "nodejs-auth-api";
+const GITHUB_ENDPOINTS = {
+  authorizationURL: "https://github.com/login/oauth/authorize",
+  tokenURL: "https://github.com/login/oauth/access_token",
+};
+
+const fetchJson = async (url, accessToken) => {
+  const response = await fetch(url, {
+    headers: {
+      Accept: "application/json",
+      "User-Agent": USER_AGENT,
+      ...(accessToken && { Authorization: `Bearer ${accessToken}` }),
+    },
+  });
+
+  if (!response.ok) {
+    throw new Error(`${url} responded with ${response.status}`);
+  }
+  return response.json();
+};
+
+// Every provider's profile is reduced to an identity:
+// { subject, email, emailVerified, name, avatar }
+
+const fromGoogleProfile = (profile) => ({
+  subject: profile.id,
+  email: profile._json.email || null,
+  emailVerified: !!profile._json.email_verified,
+  name: profile.displayName,
+  avatar: profile.photos && profile.photos[0] ? profile.photos[0].value : null,
+});
+
+const fetchGitHubIdentity = async (accessToken) => {
+  const [user, emails] = await Promise.all([
+    fetchJson("https://api.github.com/user", accessToken),
+    fetchJson("https://api.github.com/user/emails", accessToken),
+  ]);
+  // The public profile email can be anything; use the verified primary one
+  const primary = emails.find((entry) => entry.primary && entry.verified);
+
+  return {
+    subject: String(user.id),
+    email: primary ? primary.email : null,
+    emailVerified: !!primary,
+    name: user.name || user.login,
+    avatar: user.avatar_url || null,
+  };
+};
+
+const fromOidcClaims = (claims) => ({
+  subject: claims.sub,
+  email: claims.email || null,
+  emailVerified: claims.email_verified === true,
+  name: claims.name || claims.preferred_username || claims.email,
+  avatar: claims.picture || null,
+});
+
+// Strategies only establish who the user is at the provider; the callback
+// route decides whether that signs in, links or needs confirmation
+const createVerify =
+  (toIdentity = (profile) => profile) =>
+  (accessToken, refreshToken, profile, done) => {
+    done(null, toIdentity(profile));
+  };
+
+// Plain OAuth 2.0 strategy whose "profile" is the identity loaded with the
+// provider access token
+const createOAuth2Strategy = (provider, endpoints, loadIdentity, options) => {
+  const strategy = new OAuth2Strategy(
+    {
+      ...endpoints,
+      clientID: provider.clientId,
+      clientSecret: provider.clientSecret,
+      callbackURL: `/auth/${provider.name}/callback`,
+      scope: provider.scope,
+      state: true,
+      customHeaders: { "User-Agent": USER_AGENT },
+      ...options,
+    },
+    createVerify()
+  );
+
+  strategy.userProfile = (accessToken, done) => {
+    loadIdentity(accessToken).then(
+      (identity) => done(null, identity),
+      (error) => done(error)
+    );
+  };
+
+  return strategy;
+};
+
+const createStrategy = async (provider) => {
+  switch (provider.type) {
+    case "google":
+      return new GoogleStrategy(
+        {
+          clientID: provider.clientId,
+          clientSecret: provider.clientSecret,
+          callbackURL: `/auth/${provider.name}/callback`,
+          scope: provider.scope,
+          state: true,
+        },
+        createVerify(fromGoogleProfile)
+      );
+
+    case "github":
+      return createOAuth2Strategy(
+        provider,
+        GITHUB_ENDPOINTS,
+        fetchGitHubIdentity
+      );
+
+    case "oidc": {
+      const issuer = provider.issuer.replace(/\/+$/, "");
+      const metadata = await fetchJson(
+        `${issuer}/.well-known/openid-configuration`
+      );
+
+      return createOAuth2Strategy(
+        provider,
+        {
+          authorizationURL: metadata.authorization_endpoint,
+          tokenURL: metadata.token_endpoint,
+        },
+        async (accessToken) =>
+          fromOidcClaims(
+            await fetchJson(metadata.userinfo_endpoint, accessToken)
+          ),
+        { pkce: true }
+      );
+    }
+
+    default:
+      throw new Error(`Unknown social provider type: ${provider.type}`);
+  }
+};
+
+// Strategies are registered with passport under the provider name on first
+// use, since OIDC providers need discovery first. A failed discovery is
+// retried on the next request.
+const strategies = new Map();
+
+const loadSocialStrategy = (provider) => {
+  if (!strategies.has(provider.name)) {
+    const loading = createStrategy(provider)
+      .then((strategy) => {
+        passport.use(provider.name, strategy);
+      })
+      .catch((error) => {
+        strategies.delete(provider.name);
+        throw error;
+      });
+    strategies.set(provider.name, loading);
+  }
+
+  return strategies.get(provider.name);
+};
+
+// The callback hands the frontend a short-lived code instead of tokens, so
+// tokens never end up in browser history, logs or Referer headers
+const LOGIN_CODE_TTL_MS = 60 * 1000;
+
+const hashCode = (code) =>
+  crypto.createHash("sha256").update(code).digest("hex");
+
+const createLoginCode = async (userId, provider) => {
+  const code = crypto.randomBytes(32).toString("base64url");
+
+  await SocialLoginCode.create({
+    codeHash: hashCode(code),
+    userId,
+    provider,
+    expiresAt: new Date(Date.now() + LOGIN_CODE_TTL_MS),
+  });
+
+  return code;
+};
+
+// Redeem a login code exactly once; null when unknown, expired or issued
+// for another provider
+const redeemLoginCode = (code, provider) =>
+  SocialLoginCode.findOneAndDelete({
+    codeHash: hashCode(code),
+    provider,
+    expiresAt: { $gt: new Date() },
+  });
+
+module.exports = {
+  loadSocialStrategy,
+  createLoginCode,
+  redeemLoginCode,
+};
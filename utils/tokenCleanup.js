@@ -1,6 +1,11 @@
-const { verifyRefreshToken } = require('./jwt');
 const User = require('../models/User');
 
+// Stored refresh tokens are hashed, so expiry comes from the saved expiresAt.
+// Entries without one predate hashing and can never be matched again.
+const isRefreshTokenExpired = (tokenObj) => {
+  return !tokenObj.expiresAt || tokenObj.expiresAt <= new Date();
+};
+
 // Cleanup expired refresh tokens for a specific user
 const cleanupUserRefreshTokens = async (userId) => {
   try {
@@ -11,14 +16,12 @@ const cleanupUserRefreshTokens = async (userId) => {
     let expiredCount = 0;
 
     for (const tokenObj of user.refreshTokens) {
-      try {
-        // Try to verify the token
-        verifyRefreshToken(tokenObj.token);
-        validTokens.push(tokenObj);
-      } catch (error) {
+      if (isRefreshTokenExpired(tokenObj)) {
         // Token is expired or invalid
         expiredCount++;
         console.log(`🗑️ Removing expired refresh token for user ${userId}`);
+      } else {
+        validTokens.push(tokenObj);
       }
     }
 
@@ -132,11 +135,10 @@ const getCleanupStats = async () => {
     for (const user of users) {
       for (const tokenObj of user.refreshTokens) {
         totalTokens++;
-        try {
-          verifyRefreshToken(tokenObj.token);
-          validTokens++;
-        } catch (error) {
+        if (isRefreshTokenExpired(tokenObj)) {
           expiredTokens++;
+        } else {
+          validTokens++;
         }
       }
     }
@@ -156,6 +158,7 @@ const getCleanupStats = async () => {
 };
 
 module.exports = {
+  isRefreshTokenExpired,
   cleanupUserRefreshTokens,
   cleanupAllExpiredTokens,
   cleanupOldTokens,
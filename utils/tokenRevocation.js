@@ -0,0 +1,188 @@
+const RevokedToken = require("../models/RevokedToken");
+const User = require("../models/User");
+
+class TokenRevokedError extends Error {
+  constructor(message = "Token revoked") {
+    super(message);
+    this.name = "TokenRevokedError";
+  }
+}
+
+// Revocation stores implement:
+// - add(key, expiresAt)  denylist a key until expiresAt (ms timestamp)
+// - has(key)             whether a key is currently denylisted
+// - claim(key, expiresAt) denylist a key unless it already is, atomically;
+//                         returns whether this call added it
+
+// In-process store. Fast, but revocations are not shared between instances.
+const createMemoryRevocationStore = () => {
+  const entries = new Map();
+
+  // Drop expired entries so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, expiresAt] of entries) {
+      if (expiresAt <= now) entries.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async add(key, expiresAt) {
+      entries.set(key, Math.max(expiresAt, entries.get(key) || 0));
+    },
+
+    async has(key) {
+      const expiresAt = entries.get(key);
+      return expiresAt !== undefined && expiresAt > Date.now();
+    },
+
+    // No await between the check and the write, so claims can't interleave
+    async claim(key, expiresAt) {
+      const current = entries.get(key);
+      if (current !== undefined && current > Date.now()) return false;
+      entries.set(key, expiresAt);
+      return true;
+    },
+  };
+};
+
+// MongoDB-backed store shared by every instance
+const createMongoRevocationStore = () => ({
+  async add(key, expiresAt) {
+    await RevokedToken.updateOne(
+      { key },
+      { $max: { expiresAt: new Date(expiresAt) } },
+      { upsert: true }
+    );
+  },
+
+  async has(key) {
+    return !!(await RevokedToken.exists({
+      key,
+      expiresAt: { $gt: new Date() },
+    }));
+  },
+
+  // Takes over an expired entry the TTL monitor hasn't removed yet; a live
+  // entry makes the upsert collide with the unique key
+  async claim(key, expiresAt) {
+    try {
+      await RevokedToken.updateOne(
+        { key, expiresAt: { $lte: new Date() } },
+        { $set: { expiresAt: new Date(expiresAt) } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  },
+});
+
+let store = null;
+
+// Store selected by TOKEN_REVOCATION_STORE (memory | mongo)
+const getRevocationStore = () => {
+  if (!store) {
+    store =
+      process.env.TOKEN_REVOCATION_STORE === "mongo"
+        ? createMongoRevocationStore()
+        : createMemoryRevocationStore();
+  }
+  return store;
+};
+
+// Parse a jsonwebtoken-style duration ("15m", "7d", or seconds) into ms
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 3600 * 1000,
+  d: 86400 * 1000,
+};
+const parseDuration = (value) => {
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+  if (!match) return DURATION_UNITS.d;
+  return Number(match[1]) * DURATION_UNITS[match[2] || "s"];
+};
+
+const getAccessTokenLifetimeMs = () =>
+  parseDuration(process.env.JWT_ACCESS_EXPIRE || "15m");
+
+// Revoke one access token until it expires
+const revokeAccessToken = async (decoded) => {
+  if (!decoded || !decoded.jti) return;
+  const expiresAt = decoded.exp
+    ? decoded.exp * 1000
+    : Date.now() + getAccessTokenLifetimeMs();
+  await getRevocationStore().add(`jti:${decoded.jti}`, expiresAt);
+};
+
+// Revoke every access token issued for a session (refresh token entry)
+const revokeSessionAccessTokens = async (sessionIds) => {
+  const ids = Array.isArray(sessionIds) ? sessionIds : [sessionIds];
+  const expiresAt = Date.now() + getAccessTokenLifetimeMs();
+  await Promise.all(
+    ids
+      .filter(Boolean)
+      .map((id) => getRevocationStore().add(`sid:${id}`, expiresAt))
+  );
+};
+
+// Invalidate every access token issued to a user before now
+const revokeAllUserAccessTokens = async (userId) => {
+  await User.updateOne({ _id: userId }, { tokensValidAfter: new Date() });
+};
+
+// Single-use tokens (MFA challenges): use up the jti until the token
+// expires, returning false if it already was (by a concurrent request too),
+// and check whether it was without using it
+const claimTokenUse = (decoded) =>
+  getRevocationStore().claim(`used:${decoded.jti}`, decoded.exp * 1000);
+
+const isTokenUsed = (decoded) =>
+  getRevocationStore().has(`used:${decoded.jti}`);
+
+// Throw TokenRevokedError if the token id or its session is denylisted
+const assertTokenNotDenylisted = async (decoded) => {
+  const revocationStore = getRevocationStore();
+  const [jtiRevoked, sidRevoked] = await Promise.all([
+    decoded.jti ? revocationStore.has(`jti:${decoded.jti}`) : false,
+    decoded.sid ? revocationStore.has(`sid:${decoded.sid}`) : false,
+  ]);
+
+  if (jtiRevoked || sidRevoked) {
+    throw new TokenRevokedError();
+  }
+};
+
+// When a token was issued, in milliseconds. Tokens from before iat_ms
+// only have iat and count from the start of their second.
+const getTokenIssuedAt = (decoded) =>
+  decoded.iat_ms !== undefined ? decoded.iat_ms : decoded.iat * 1000;
+
+// Throw TokenRevokedError if the token was issued before the user's (or
+// client's) cut-off. The fresh token change-password returns is issued
+// after it, so it stays valid.
+const assertTokenIssuedAfterCutoff = (decoded, user) => {
+  if (
+    user.tokensValidAfter &&
+    getTokenIssuedAt(decoded) < user.tokensValidAfter.getTime()
+  ) {
+    throw new TokenRevokedError();
+  }
+};
+
+module.exports = {
+  TokenRevokedError,
+  createMemoryRevocationStore,
+  createMongoRevocationStore,
+  revokeAccessToken,
+  revokeSessionAccessTokens,
+  revokeAllUserAccessTokens,
+  claimTokenUse,
+  isTokenUsed,
+  assertTokenNotDenylisted,
+  assertTokenIssuedAfterCutoff,
+};
@@ -0,0 +1,176 @@
+const User = require("../models/User");
+const ActivityLog = require("../models/ActivityLog");
+const PersonalAccessToken = require("../models/PersonalAccessToken");
+const LinkedIdentity = require("../models/LinkedIdentity");
+const Membership = require("../models/Membership");
+const OAuthConsent = require("../models/OAuthConsent");
+const MagicLinkToken = require("../models/MagicLinkToken");
+const SocialLoginCode = require("../models/SocialLoginCode");
+const OAuthAuthorizationCode = require("../models/OAuthAuthorizationCode");
+const WebAuthnChallenge = require("../models/WebAuthnChallenge");
+const { resetAccountThrottle } = require("./loginThrottle");
+const { escapeRegex } = require("./userDirectory");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long deleted users can be restored, and what happens to their
+// activity logs when they are purged: "anonymize" keeps the entries without
+// the user, IP address, user agent and personal details; "delete" removes
+// them
+const getDeletionConfig = () => ({
+  retentionDays: parseFloat(process.env.USER_DELETION_RETENTION_DAYS) || 30,
+  activityLogs:
+    process.env.USER_PURGE_ACTIVITY_LOGS === "delete" ? "delete" : "anonymize",
+});
+
+// When a soft-deleted user becomes eligible for purging
+const getPurgeDate = (user) =>
+  new Date(
+    user.deletedAt.getTime() + getDeletionConfig().retentionDays * DAY_MS
+  );
+
+// Hide the user and sign them out everywhere. Their data stays until the
+// purge, so restoring brings the account back as it was (minus sessions).
+const softDeleteUser = async (user, deletedBy = null) => {
+  user.deletedAt = new Date();
+  user.deletedBy = deletedBy;
+  user.refreshTokens = [];
+  user.tokensValidAfter = new Date();
+  await user.save();
+};
+
+const restoreUser = async (user) => {
+  user.deletedAt = null;
+  user.deletedBy = null;
+  await user.save();
+};
+
+// Activity log details that identify a person: email addresses, names
+// (of the account or its devices, passkeys and tokens) and the profiles in
+// logged responses
+const PERSONAL_DETAILS = ["email", "name", "deviceName", "responseData"];
+
+const unsetPersonalDetails = Object.fromEntries(
+  PERSONAL_DETAILS.map((field) => [`details.${field}`, ""])
+);
+
+// Anonymize or delete the user's own activity logs, including failed
+// logins against their email that have no user, and scrub the personal
+// details from other users' entries about them (e.g. an admin revoking
+// their session). Returns the number of the user's own entries affected.
+const purgeActivityLogs = async (user, mode) => {
+  // Unknown-email logins keep the address as typed
+  const email = {
+    $regex: `^${escapeRegex(user.email)}$`,
+    $options: "i",
+  };
+  const ownFilter = {
+    $or: [{ userId: user._id }, { userId: null, "details.email": email }],
+  };
+
+  const own =
+    mode === "delete"
+      ? await ActivityLog.deleteMany(ownFilter)
+      : await ActivityLog.updateMany(ownFilter, {
+          $set: { userId: null, ipAddress: null, userAgent: null },
+          $unset: unsetPersonalDetails,
+        });
+
+  await ActivityLog.updateMany(
+    {
+      $or: [
+        { "details.targetUserId": user._id },
+        { "details.memberId": user._id },
+        { "details.email": email },
+      ],
+    },
+    { $unset: unsetPersonalDetails }
+  );
+
+  return mode === "delete" ? own.deletedCount : own.modifiedCount;
+};
+
+// Hard-delete a soft-deleted user and everything that belongs to them.
+// Returns what was removed, or null if the user was restored meanwhile.
+const purgeUser = async (user) => {
+  const { deletedCount } = await User.deleteOne({
+    _id: user._id,
+    deletedAt: { $ne: null },
+  });
+  if (deletedCount === 0) return null;
+
+  const userFilter = { userId: user._id };
+  const { activityLogs } = getDeletionConfig();
+
+  const [activityLogsAffected] = await Promise.all([
+    purgeActivityLogs(user, activityLogs),
+    PersonalAccessToken.deleteMany(userFilter),
+    LinkedIdentity.deleteMany(userFilter),
+    Membership.deleteMany(userFilter),
+    OAuthConsent.deleteMany(userFilter),
+    MagicLinkToken.deleteMany(userFilter),
+    SocialLoginCode.deleteMany(userFilter),
+    OAuthAuthorizationCode.deleteMany(userFilter),
+    WebAuthnChallenge.deleteMany(userFilter),
+    resetAccountThrottle(user.email),
+  ]);
+
+  return { activityLogs, activityLogsAffected };
+};
+
+// Purge every user deleted longer ago than the retention window
+const purgeDeletedUsers = async () => {
+  const cutoff = new Date(
+    Date.now() - getDeletionConfig().retentionDays * DAY_MS
+  );
+  const users = await User.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+  let purged = 0;
+  for (const user of users) {
+    const result = await purgeUser(user);
+    if (!result) continue;
+
+    purged++;
+    await ActivityLog.create({
+      userId: null,
+      action: "user_purged",
+      details: {
+        targetUserId: user._id,
+        deletedAt: user.deletedAt,
+        deletedBy: user.deletedBy,
+        ...result,
+      },
+    });
+  }
+
+  return { purged };
+};
+
+// Scheduled purge (to be called once on startup)
+const schedulePurge = (intervalHours = 24) => {
+  const run = async () => {
+    try {
+      const { purged } = await purgeDeletedUsers();
+      if (purged > 0) {
+        console.log(`🗑️ Purged ${purged} deleted users`);
+      }
+    } catch (error) {
+      console.error("❌ Deleted user purge failed:", error);
+    }
+  };
+
+  console.log(`⏰ Scheduling deleted user purge every ${intervalHours} hours`);
+
+  setTimeout(run, 60000); // Start after 1 minute
+  setInterval(run, intervalHours * 60 * 60 * 1000);
+};
+
+module.exports = {
+  getDeletionConfig,
+  getPurgeDate,
+  softDeleteUser,
+  restoreUser,
+  purgeUser,
+  purgeDeletedUsers,
+  schedulePurge,
+};
@@ -0,0 +1,387 @@
+const User = require("../models/User");
+const LinkedIdentity = require("../models/LinkedIdentity");
+const { ACCOUNT_STATUSES, accountStatusFilter } = require("./accountStatus");
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+const DEFAULT_SORT = "-createdAt";
+
+// Query parameters GET /users understands; anything else is rejected
+const QUERY_PARAMS = [
+  "q",
+  "role",
+  "emailVerified",
+  "status",
+  "deleted",
+  "linkedProvider",
+  "createdFrom",
+  "createdTo",
+  "lastLoginFrom",
+  "lastLoginTo",
+  "sort",
+  "fields",
+  "limit",
+  "page",
+  "cursor",
+];
+
+const SORT_FIELDS = ["name", "email", "createdAt", "updatedAt", "lastLoginAt"];
+const DATE_FIELDS = ["createdAt", "updatedAt", "lastLoginAt"];
+
+// Fields ?fields= may select; _id is always returned
+const PROJECTION_FIELDS = [
+  "name",
+  "email",
+  "roles",
+  "avatar",
+  "isEmailVerified",
+  "status",
+  "deletedAt",
+  "createdAt",
+  "updatedAt",
+  "lastLoginAt",
+];
+
+const ROLE_NAME = /^[a-z][a-z0-9_-]{1,31}$/;
+const PROVIDER_NAME = /^[a-z0-9_-]{1,32}$/;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const parseList = (value) =>
+  value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const parsePositiveInt = (value) =>
+  /^\d+$/.test(value) && parseInt(value) > 0 ? parseInt(value) : null;
+
+const formatSort = (field, direction) =>
+  `${direction === -1 ? "-" : ""}${field}`;
+
+// Opaque position after the last user of a page: the sort it was issued
+// for, and the user's sort value and id
+const encodeCursor = (user, field, direction) =>
+  Buffer.from(
+    JSON.stringify([
+      formatSort(field, direction),
+      user[field] === undefined ? null : user[field],
+      user._id,
+    ])
+  ).toString("base64url");
+
+// Returns { value, id }, or null if the cursor is malformed or belongs to
+// another sort
+const decodeCursor = (cursor, field, direction) => {
+  try {
+    const [sort, value, id] = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    if (sort !== formatSort(field, direction)) return null;
+    if (typeof id !== "string" || !/^[0-9a-f]{24}$/.test(id)) return null;
+    if (value === null || !DATE_FIELDS.includes(field)) return { value, id };
+
+    const date = new Date(value);
+    return isNaN(date) ? null : { value: date, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Validate GET /users query parameters. Returns { errors, options }; errors
+// lists every problem found.
+const parseDirectoryQuery = (query) => {
+  const errors = [];
+  const options = {
+    conditions: [],
+    sortField: "createdAt",
+    sortDirection: -1,
+    limit: DEFAULT_LIMIT,
+    page: 1,
+    cursor: null,
+    projection: null,
+    linkedProvider: null,
+    deleted: false,
+  };
+
+  for (const [name, value] of Object.entries(query)) {
+    if (!QUERY_PARAMS.includes(name)) {
+      errors.push(`Unknown parameter: ${name}`);
+    } else if (typeof value !== "string") {
+      errors.push(`${name} may only be given once`);
+    }
+  }
+  if (errors.length > 0) return { errors, options };
+
+  // Prefix search on email (stored lowercase) or name
+  if (query.q !== undefined) {
+    const q = query.q.trim();
+    if (q.length === 0 || q.length > 100) {
+      errors.push("q must be 1-100 characters");
+    } else {
+      options.conditions.push({
+        $or: [
+          { email: { $regex: `^${escapeRegex(q.toLowerCase())}` } },
+          { name: { $regex: `^${escapeRegex(q)}`, $options: "i" } },
+        ],
+      });
+    }
+  }
+
+  if (query.role !== undefined) {
+    const roles = parseList(query.role.toLowerCase());
+    if (roles.length === 0 || roles.some((role) => !ROLE_NAME.test(role))) {
+      errors.push("role must be a comma-separated list of role names");
+    } else {
+      options.conditions.push({ roles: { $in: roles } });
+    }
+  }
+
+  if (query.emailVerified !== undefined) {
+    if (!["true", "false"].includes(query.emailVerified)) {
+      errors.push("emailVerified must be true or false");
+    } else {
+      options.conditions.push({
+        isEmailVerified: query.emailVerified === "true",
+      });
+    }
+  }
+
+  // Status in effect, so lapsed suspensions count as active
+  if (query.status !== undefined) {
+    const statuses = parseList(query.status);
+    if (
+      statuses.length === 0 ||
+      statuses.some((status) => !ACCOUNT_STATUSES.includes(status))
+    ) {
+      errors.push(
+        `status must be a comma-separated list of: ${ACCOUNT_STATUSES.join(
+          ", "
+        )}`
+      );
+    } else {
+      options.conditions.push({
+        $or: [...new Set(statuses)].map(accountStatusFilter),
+      });
+    }
+  }
+
+  // Deleted users are hidden unless asked for; they can be restored until
+  // they are purged
+  if (query.deleted !== undefined) {
+    if (!["true", "false"].includes(query.deleted)) {
+      errors.push("deleted must be true or false");
+    } else {
+      options.deleted = query.deleted === "true";
+    }
+  }
+
+  // A provider name (e.g. google), or "none" for accounts without any
+  // linked identity
+  if (query.linkedProvider !== undefined) {
+    if (!PROVIDER_NAME.test(query.linkedProvider)) {
+      errors.push("linkedProvider must be a provider name or none");
+    } else {
+      options.linkedProvider = query.linkedProvider;
+    }
+  }
+
+  for (const [field, from, to] of [
+    ["createdAt", "createdFrom", "createdTo"],
+    ["lastLoginAt", "lastLoginFrom", "lastLoginTo"],
+  ]) {
+    const range = {};
+    for (const [param, operator] of [
+      [from, "$gte"],
+      [to, "$lte"],
+    ]) {
+      if (query[param] === undefined) continue;
+
+      const date = new Date(query[param]);
+      if (isNaN(date)) {
+        errors.push(`${param} must be an ISO 8601 date`);
+      } else {
+        range[operator] = date;
+      }
+    }
+
+    if (range.$gte && range.$lte && range.$gte > range.$lte) {
+      errors.push(`${from} must not be after ${to}`);
+    } else if (Object.keys(range).length > 0) {
+      options.conditions.push({ [field]: range });
+    }
+  }
+
+  // One field, descending with a leading "-"; ties are broken by _id
+  const sort = query.sort !== undefined ? query.sort : DEFAULT_SORT;
+  const sortField = sort.replace(/^-/, "");
+  if (!SORT_FIELDS.includes(sortField)) {
+    errors.push(
+      `sort must be one of: ${SORT_FIELDS.join(", ")} (prefix - to reverse)`
+    );
+  } else {
+    options.sortField = sortField;
+    options.sortDirection = sort.startsWith("-") ? -1 : 1;
+  }
+
+  if (query.fields !== undefined) {
+    const fields = parseList(query.fields);
+    const unknown = fields.filter(
+      (field) => !PROJECTION_FIELDS.includes(field)
+    );
+    if (fields.length === 0 || unknown.length > 0) {
+      errors.push(
+        `fields must be a comma-separated list of: ${PROJECTION_FIELDS.join(
+          ", "
+        )}`
+      );
+    } else {
+      options.projection = [...new Set(fields)];
+    }
+  }
+
+  if (query.limit !== undefined) {
+    const limit = parsePositiveInt(query.limit);
+    if (!limit || limit > MAX_LIMIT) {
+      errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+    } else {
+      options.limit = limit;
+    }
+  }
+
+  if (query.page !== undefined && query.cursor !== undefined) {
+    errors.push("Use either page or cursor, not both");
+  } else if (query.page !== undefined) {
+    const page = parsePositiveInt(query.page);
+    if (!page) {
+      errors.push("page must be a positive integer");
+    } else {
+      options.page = page;
+    }
+  } else if (query.cursor !== undefined) {
+    // Only valid with the sort it was issued for
+    options.cursor = decodeCursor(
+      query.cursor,
+      options.sortField,
+      options.sortDirection
+    );
+    if (!options.cursor) {
+      errors.push("cursor is invalid or was issued for another sort");
+    }
+  }
+
+  return { errors, options };
+};
+
+// Users after the cursor in sort order. Missing values (e.g. users who never
+// logged in) sort before everything ascending and after everything
+// descending, and can't be compared with $gt/$lt.
+const afterCursor = ({ value, id }, field, direction) => {
+  const next = direction === 1 ? "$gt" : "$lt";
+  const sameValueLaterId = { [field]: value, _id: { [next]: id } };
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [sameValueLaterId, { [field]: { $ne: null } }] }
+      : sameValueLaterId;
+  }
+
+  return {
+    $or: [
+      { [field]: { [next]: value } },
+      sameValueLaterId,
+      ...(direction === -1 ? [{ [field]: null }] : []),
+    ],
+  };
+};
+
+// Run a parsed directory query, optionally restricted to the given user
+// ids (an organization's members). Offset pages include a total; cursor
+// pages skip the count so they stay cheap on large sets. Both return the
+// cursor for the next page, or null on the last one.
+const findDirectoryUsers = async (options, { userIds = null } = {}) => {
+  const conditions = [...options.conditions];
+
+  if (userIds) {
+    conditions.push({ _id: { $in: userIds } });
+  }
+
+  if (options.deleted) {
+    conditions.push({ deletedAt: { $ne: null } });
+  }
+
+  if (options.linkedProvider) {
+    const linkedUserIds = await LinkedIdentity.distinct(
+      "userId",
+      options.linkedProvider === "none"
+        ? {}
+        : { provider: options.linkedProvider }
+    );
+    conditions.push({
+      _id:
+        options.linkedProvider === "none"
+          ? { $nin: linkedUserIds }
+          : { $in: linkedUserIds },
+    });
+  }
+
+  const filter = conditions.length > 0 ? { $and: conditions } : {};
+  const { sortField, sortDirection, limit, cursor } = options;
+
+  const pageFilter = cursor
+    ? { $and: [...conditions, afterCursor(cursor, sortField, sortDirection)] }
+    : filter;
+
+  let usersQuery = User.find(pageFilter)
+    .setOptions({ withDeleted: options.deleted })
+    .sort({ [sortField]: sortDirection, _id: sortDirection })
+    .limit(limit + 1);
+
+  // Names sort case-insensitively; the collation also applies to the
+  // cursor comparison, keeping pages consistent
+  if (sortField === "name") {
+    usersQuery = usersQuery.collation({ locale: "en", strength: 2 });
+  }
+
+  if (!cursor) {
+    usersQuery = usersQuery.skip((options.page - 1) * limit);
+  }
+
+  // The sort field is needed to build the next cursor
+  usersQuery = usersQuery.select(
+    options.projection
+      ? [...new Set([...options.projection, sortField])].join(" ")
+      : "-password -refreshTokens"
+  );
+
+  const found = await usersQuery;
+  const page = found.slice(0, limit);
+  const nextCursor =
+    found.length > limit
+      ? encodeCursor(page[page.length - 1], sortField, sortDirection)
+      : null;
+
+  // With ?fields=, return exactly those fields
+  const users = options.projection
+    ? page.map((user) => ({
+        _id: user._id,
+        ...Object.fromEntries(
+          options.projection.map((field) => [field, user[field]])
+        ),
+      }))
+    : page;
+
+  const total = cursor
+    ? null
+    : await User.countDocuments(filter).setOptions({
+        withDeleted: options.deleted,
+      });
+
+  return { users, nextCursor, total };
+};
+
+module.exports = {
+  escapeRegex,
+  parseDirectoryQuery,
+  findDirectoryUsers,
+};
@@ -0,0 +1,59 @@
+const WebAuthnChallenge = require("../models/WebAuthnChallenge");
+
+// Relying party configuration. The RP ID must be the domain the frontend is
+// served from, and the origin must match it exactly (scheme, host and port).
+const getRelyingParty = () => {
+  const origin =
+    process.env.WEBAUTHN_ORIGIN ||
+    process.env.FRONTEND_URL ||
+    "http://localhost:3000";
+
+  return {
+    rpID: process.env.WEBAUTHN_RP_ID || new URL(origin).hostname,
+    rpName: process.env.WEBAUTHN_RP_NAME || "Node Auth API",
+    origin,
+  };
+};
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// Remember a challenge issued in ceremony options
+const saveChallenge = async (challenge, type, userId = null) => {
+  await WebAuthnChallenge.create({
+    challenge,
+    type,
+    userId,
+    expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS),
+  });
+};
+
+// Read the challenge echoed back in clientDataJSON and consume the matching
+// stored challenge. Returns the challenge, or null when unknown or expired.
+const consumeChallenge = async (credential, type, userId = null) => {
+  let challenge;
+  try {
+    const clientData = JSON.parse(
+      Buffer.from(credential.response.clientDataJSON, "base64url").toString()
+    );
+    challenge = clientData.challenge;
+  } catch (error) {
+    return null;
+  }
+
+  if (typeof challenge !== "string") return null;
+
+  const stored = await WebAuthnChallenge.findOneAndDelete({
+    challenge,
+    type,
+    userId,
+    expiresAt: { $gt: new Date() },
+  });
+
+  return stored ? challenge : null;
+};
+
+module.exports = {
+  getRelyingParty,
+  saveChallenge,
+  consumeChallenge,
+};